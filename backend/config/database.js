@@ -1,14 +1,23 @@
 const sqlite3 = require('sqlite3').verbose();
 const mysql = require('mysql2/promise');
 const { Pool } = require('pg');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const Migrator = require('../services/migrator');
+const { DEFAULT_CURRENCY, CurrencyError, findRate, roundMoney } = require('../services/currency');
+const { today, toDateString } = require('../services/recurrence');
+const { DEFAULT_CATEGORIES, annotateTotals, rollUpTotals } = require('../services/categories');
+const syncRecords = require('../services/syncRecords');
+const { BackupError } = require('../services/backups');
 require('dotenv').config();
 
 // Database configuration
 const DB_CONFIG = {
     type: process.env.DB_TYPE || 'sqlite', // sqlite, mysql, postgresql
     sqlite: {
-        path: path.join(__dirname, '../../data/expenses.db')
+        path: process.env.SQLITE_PATH || path.join(__dirname, '../../data/expenses.db')
     },
     mysql: {
         host: process.env.MYSQL_HOST || 'localhost',
@@ -28,98 +37,223 @@ const DB_CONFIG = {
     }
 };
 
+// A file name in the system's temporary directory
+function tempPath(suffix) {
+    return path.join(os.tmpdir(), `expense-tracker-${crypto.randomUUID()}-${suffix}`);
+}
+
+// A dump from DatabaseManager.dumpDatabase, checked before anything is
+// restored from it: table and column names are used in SQL, and each table's
+// row count has to match its rows
+function parseDump(data) {
+    let dump;
+    try {
+        dump = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new BackupError('The backup dump is not valid JSON');
+    }
+    const identifier = /^[a-z_][a-z0-9_]*$/i;
+    if (!dump || !Array.isArray(dump.migrations) || !Array.isArray(dump.tables)) {
+        throw new BackupError('The backup dump is incomplete');
+    }
+    dump.tables.forEach(table => {
+        if (!identifier.test(table.name) || !Array.isArray(table.rows)) {
+            throw new BackupError('The backup dump is incomplete');
+        }
+        if (table.rows.length !== table.count) {
+            throw new BackupError(`The backup of ${table.name} has ${table.rows.length} rows instead of ${table.count}`);
+        }
+        if (table.rows.some(row => !row || typeof row !== 'object' || !Object.keys(row).every(column => identifier.test(column)))) {
+            throw new BackupError(`The backup of ${table.name} has invalid rows`);
+        }
+    });
+    return dump;
+}
+
+// Whether `error` is a unique constraint violation, in any of the dialects
+function isUniqueViolation(error) {
+    return error.code === 'ER_DUP_ENTRY' ||
+        error.code === '23505' ||
+        (error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message));
+}
+
+// Rows of a table that refers to itself, each after the row its `column` points to
+function parentsFirst(rows, column) {
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const depth = (row, seen = new Set([row])) => {
+        const parent = byId.get(row[column]);
+        if (!parent || seen.has(parent)) return 0;
+        seen.add(parent);
+        return depth(parent, seen) + 1;
+    };
+    return rows
+        .map(row => ({ row, depth: depth(row) }))
+        .sort((a, b) => a.depth - b.depth)
+        .map(entry => entry.row);
+}
+
 class DatabaseManager {
-    constructor() {
+    // `options` are for tools that open more than one database (see
+    // scripts/copy-database.js); the server's connection comes from DB_CONFIG
+    constructor(options = {}) {
         this.db = null;
-        this.type = DB_CONFIG.type;
-        this.initializeDatabase();
+        this.type = options.type || DB_CONFIG.type;
+        this.config = options.config || DB_CONFIG[this.type];
+        // Pending migrations run on startup unless DB_AUTO_MIGRATE=false
+        // (the migrate CLI turns this off to manage the schema itself)
+        this.autoMigrate = options.autoMigrate !== undefined
+            ? options.autoMigrate
+            : process.env.DB_AUTO_MIGRATE !== 'false';
+        // Whether a MySQL or PostgreSQL database that cannot be reached is
+        // replaced by the local SQLite one (DB_FALLBACK_TO_SQLITE=true)
+        this.fallbackToSQLite = options.fallbackToSQLite !== undefined
+            ? options.fallbackToSQLite
+            : process.env.DB_FALLBACK_TO_SQLITE === 'true';
+        this.fellBack = false;
+        // MySQL session time zone for every pooled connection (default: the server's)
+        this.timeZone = options.timeZone || null;
+        // SQLite has a single connection, so its transactions take turns
+        this.sqliteTransactions = Promise.resolve();
+        // Called whenever changes are queued for cloud sync (see onSyncQueued)
+        this.syncListeners = [];
+        this.connecting = null;
+    }
+
+    // Resolves once the database is connected and migrated; the connection
+    // is made on first use, so requiring this module opens nothing
+    get ready() {
+        if (!this.connecting) this.connecting = this.initializeDatabase();
+        return this.connecting;
     }
 
     async initializeDatabase() {
         try {
-            switch (this.type) {
-                case 'sqlite':
-                    await this.initializeSQLite();
-                    break;
-                case 'mysql':
-                    await this.initializeMySQL();
-                    break;
-                case 'postgresql':
-                    await this.initializePostgreSQL();
-                    break;
-                default:
-                    throw new Error(`Unsupported database type: ${this.type}`);
-            }
-            console.log(`✅ Connected to ${this.type.toUpperCase()} database`);
-            await this.createTables();
+            await this.connect();
         } catch (error) {
-            console.error('❌ Database initialization failed:', error.message);
-            // Fallback to SQLite if other databases fail
-            if (this.type !== 'sqlite') {
-                console.log('🔄 Falling back to SQLite...');
-                this.type = 'sqlite';
+            console.error(`❌ Could not connect to the ${this.type} database:`, error.message);
+            if (this.type === 'sqlite' || !this.fallbackToSQLite) throw error;
+
+            console.warn(`⚠️  DB_FALLBACK_TO_SQLITE is set: using the SQLite database at ${DB_CONFIG.sqlite.path} instead.`);
+            console.warn(`⚠️  Nothing written now reaches the ${this.type} database.`);
+            this.type = 'sqlite';
+            this.config = DB_CONFIG.sqlite;
+            this.fellBack = true;
+            await this.connect();
+        }
+        if (this.autoMigrate) await this.migrate();
+    }
+
+    async connect() {
+        switch (this.type) {
+            case 'sqlite':
                 await this.initializeSQLite();
-                await this.createTables();
-            }
+                break;
+            case 'mysql':
+                await this.initializeMySQL();
+                break;
+            case 'postgresql':
+                await this.initializePostgreSQL();
+                break;
+            default:
+                throw new Error(`Unsupported database type: ${this.type}`);
         }
+        console.log(`✅ Connected to ${this.type.toUpperCase()} database`);
     }
 
     async initializeSQLite() {
         return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database(DB_CONFIG.sqlite.path, (err) => {
+            this.db = new sqlite3.Database(this.config.path, (err) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve();
+                    // SQLite only enforces foreign keys when asked to, per connection
+                    this.db.run('PRAGMA foreign_keys = ON', (pragmaErr) => {
+                        if (pragmaErr) reject(pragmaErr);
+                        else resolve();
+                    });
                 }
             });
         });
     }
 
     async initializeMySQL() {
-        this.db = await mysql.createConnection(DB_CONFIG.mysql);
-        console.log('MySQL connection established');
+        // A pool, so each transaction can have a connection of its own
+        this.db = mysql.createPool(this.config);
+        if (this.timeZone) {
+            this.db.on('connection', connection => connection.query('SET time_zone = ?', [this.timeZone]));
+        }
+        // The pool connects lazily; make sure the server is reachable now
+        try {
+            await this.db.query('SELECT 1');
+        } catch (error) {
+            await this.db.end();
+            this.db = null;
+            throw error;
+        }
+        console.log('MySQL connection pool created');
     }
 
     async initializePostgreSQL() {
-        this.db = new Pool(DB_CONFIG.postgresql);
+        this.db = new Pool(this.config);
+        // The pool connects lazily; make sure the server is reachable now
+        try {
+            await this.db.query('SELECT 1');
+        } catch (error) {
+            await this.db.end();
+            this.db = null;
+            throw error;
+        }
         console.log('PostgreSQL connection pool created');
     }
 
-    async createTables() {
-        const createTableSQL = this.getCreateTableSQL();
-        
+    // Applies pending schema migrations, then seeds sample data into an empty
+    // database. A failed migration is rethrown: nothing should run on a
+    // half-migrated schema.
+    async migrate() {
         try {
-            if (this.type === 'sqlite') {
-                await this.runSQLite(createTableSQL);
-            } else if (this.type === 'mysql') {
-                await this.db.execute(createTableSQL);
-            } else if (this.type === 'postgresql') {
-                await this.db.query(createTableSQL);
-            }
-            console.log('📊 Database tables created/verified');
-            await this.insertSampleData();
+            await new Migrator(this).up();
         } catch (error) {
-            console.error('Error creating tables:', error.message);
-        }
-    }
-
-    getCreateTableSQL() {
-        const baseSQL = `
-            CREATE TABLE IF NOT EXISTS expenses (
-                id ${this.type === 'postgresql' ? 'SERIAL PRIMARY KEY' : 
-                    this.type === 'mysql' ? 'INT AUTO_INCREMENT PRIMARY KEY' : 
-                    'INTEGER PRIMARY KEY AUTOINCREMENT'},
-                date ${this.type === 'postgresql' ? 'DATE' : 'TEXT'} NOT NULL,
-                category ${this.type === 'postgresql' ? 'VARCHAR(100)' : 'TEXT'} NOT NULL,
-                amount ${this.type === 'postgresql' ? 'DECIMAL(10,2)' : 'REAL'} NOT NULL,
-                description ${this.type === 'postgresql' ? 'TEXT' : 'TEXT'},
-                created_at ${this.type === 'postgresql' ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 
-                    this.type === 'mysql' ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' : 
-                    'DATETIME DEFAULT CURRENT_TIMESTAMP'}
-            )
-        `;
-        return baseSQL;
+            console.error('❌ Error running migrations:', error.message);
+            throw error;
+        }
+        console.log('📊 Database schema is up to date');
+        await this.insertSampleData();
+    }
+
+    // Column definitions that differ between dialects, for use in migrations
+    getColumnTypes() {
+        switch (this.type) {
+            case 'postgresql':
+                return {
+                    id: 'SERIAL PRIMARY KEY',
+                    string: 'VARCHAR(100)',
+                    text: 'TEXT',
+                    date: 'DATE',
+                    money: 'DECIMAL(10,2)',
+                    rate: 'DECIMAL(18,8)',
+                    timestamp: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+                };
+            case 'mysql':
+                return {
+                    id: 'INT AUTO_INCREMENT PRIMARY KEY',
+                    string: 'VARCHAR(100)',
+                    text: 'TEXT',
+                    date: 'TEXT',
+                    money: 'REAL',
+                    rate: 'DOUBLE',
+                    timestamp: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+                };
+            default:
+                return {
+                    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+                    string: 'TEXT',
+                    text: 'TEXT',
+                    date: 'TEXT',
+                    money: 'REAL',
+                    rate: 'REAL',
+                    timestamp: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+                };
+        }
     }
 
     async insertSampleData() {
@@ -193,191 +327,1788 @@ class DatabaseManager {
         }
     }
 
-    // Database operations
-    async addExpense(expense) {
-        try {
-            if (this.type === 'sqlite') {
-                return new Promise((resolve, reject) => {
-                    const stmt = this.db.prepare(`
-                        INSERT INTO expenses (date, category, amount, description)
-                        VALUES (?, ?, ?, ?)
-                    `);
-                    
-                    stmt.run([expense.date, expense.category, expense.amount, expense.description], function(err) {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            resolve({ id: this.lastID, ...expense });
-                        }
-                    });
-                    
-                    stmt.finalize();
-                });
-            } else if (this.type === 'mysql') {
-                const [result] = await this.db.execute(
-                    "INSERT INTO expenses (date, category, amount, description) VALUES (?, ?, ?, ?)",
-                    [expense.date, expense.category, expense.amount, expense.description]
+    // Database operations. Expense and budget queries take an optional userId;
+    // when given, only rows owned by that user are read or changed.
+    // `expense.amount` is in `expense.currency` (the owner's base currency when
+    // omitted); the stored `amount` is converted to the base currency
+    async addExpense(expense, userId, client = this.db) {
+        const { baseCurrency, rates } = await this.getConversionContext([expense], userId);
+        const added = await this.insert('expenses', {
+            ...this.toExpenseRecord(expense, baseCurrency, rates),
+            user_id: userId || null
+        }, client);
+        await this.trackExpenseChanges(userId, [added.id], client);
+        return added;
+    }
+
+    // Appends `user_id = ?` to a condition list when a user is given
+    scopeToUser(conditions, params, userId) {
+        if (userId !== undefined && userId !== null) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+    }
+
+    // Appends `account_id = ?` when an account is given
+    scopeToAccount(conditions, params, accountId) {
+        if (accountId !== undefined && accountId !== null) {
+            conditions.push('account_id = ?');
+            params.push(accountId);
+        }
+    }
+
+    // Personal expense views leave out expenses recorded in shared ledgers
+    scopeExpensesToUser(conditions, params, userId) {
+        if (userId !== undefined && userId !== null) {
+            this.scopeToUser(conditions, params, userId);
+            conditions.push('ledger_id IS NULL');
+        }
+    }
+
+    async getExpenseById(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeExpensesToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM expenses WHERE ${conditions.join(' AND ')}`, params);
+        return rows[0] || null;
+    }
+
+    // Returns the updated expense, or null when no row matched the id
+    async updateExpense(id, expense, userId) {
+        const { baseCurrency, rates } = await this.getConversionContext([expense], userId);
+        const record = this.toExpenseRecord(expense, baseCurrency, rates);
+        const columns = Object.keys(record);
+        const conditions = ['id = ?'];
+        const params = [...columns.map(column => record[column]), id];
+        this.scopeExpensesToUser(conditions, params, userId);
+
+        const result = await this.execute(
+            `UPDATE expenses SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        if (result.changes === 0) return null;
+        await this.trackExpenseChanges(userId, [id]);
+        return { id: Number(id), ...record };
+    }
+
+    // Returns true when a row was deleted
+    async deleteExpense(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeExpensesToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM expenses WHERE ${conditions.join(' AND ')}`, params);
+        if (result.changes === 0) return false;
+        await this.trackExpenseChanges(userId, [id]);
+        return true;
+    }
+
+    async getAllExpenses(userId) {
+        const { where, params } = this.buildExpenseFilter({ userId });
+        return this.query(`SELECT * FROM expenses ${where} ORDER BY date DESC`, params);
+    }
+
+    // Builds a parameterised WHERE clause from expense filters: userId,
+    // accountId, from/to (dates), categories, minAmount/maxAmount and a
+    // description search
+    buildExpenseFilter(filters = {}) {
+        const conditions = [];
+        const params = [];
+        // PostgreSQL DATE columns need a cast to compare against text
+        const dateColumn = this.type === 'postgresql' ? 'date::text' : 'date';
+
+        this.scopeExpensesToUser(conditions, params, filters.userId);
+        this.scopeToAccount(conditions, params, filters.accountId);
+        if (filters.from) {
+            conditions.push(`${dateColumn} >= ?`);
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push(`${dateColumn} <= ?`);
+            params.push(filters.to);
+        }
+        if (filters.categories && filters.categories.length > 0) {
+            conditions.push(`category IN (${filters.categories.map(() => '?').join(', ')})`);
+            params.push(...filters.categories);
+        }
+        if (filters.minAmount !== undefined) {
+            conditions.push('amount >= ?');
+            params.push(filters.minAmount);
+        }
+        if (filters.maxAmount !== undefined) {
+            conditions.push('amount <= ?');
+            params.push(filters.maxAmount);
+        }
+        if (filters.search) {
+            // Escape LIKE wildcards so the search term is matched literally
+            const escaped = filters.search.toLowerCase().replace(/[\\%_]/g, (char) => `\\${char}`);
+            const escapeClause = this.type === 'mysql' ? "ESCAPE '\\\\'" : "ESCAPE '\\'";
+            conditions.push(`LOWER(description) LIKE ? ${escapeClause}`);
+            params.push(`%${escaped}%`);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    // Filtered, sorted and paginated expenses along with the total number of matches
+    async findExpenses(filters = {}) {
+        const sortColumns = ['date', 'amount', 'category', 'description', 'created_at'];
+        const sort = sortColumns.includes(filters.sort) ? filters.sort : 'date';
+        const order = String(filters.order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+        const { where, params } = this.buildExpenseFilter(filters);
+
+        const [rows, countRows] = await Promise.all([
+            this.query(
+                `SELECT expenses.*, (SELECT COUNT(*) FROM attachments WHERE attachments.expense_id = expenses.id) as attachment_count
+                 FROM expenses ${where} ORDER BY ${sort} ${order}, id ${order} LIMIT ? OFFSET ?`,
+                [...params, filters.limit, filters.offset]
+            ),
+            this.query(`SELECT COUNT(*) as count FROM expenses ${where}`, params)
+        ]);
+
+        return {
+            expenses: rows.map(row => ({ ...row, attachment_count: Number(row.attachment_count) })),
+            total: Number(countRows[0].count)
+        };
+    }
+
+    // Every expense matching the filters, oldest first, without pagination
+    async getFilteredExpenses(filters = {}) {
+        const { where, params } = this.buildExpenseFilter(filters);
+        return this.query(`SELECT * FROM expenses ${where} ORDER BY date ASC, id ASC`, params);
+    }
+
+    async getExpensesInRange(from, to, userId) {
+        const { where, params } = this.buildExpenseFilter({ from, to, userId });
+        return this.query(`SELECT * FROM expenses ${where} ORDER BY date DESC`, params);
+    }
+
+    // Description → category pairs used to train the category suggester
+    async getCategoryExamples(userId) {
+        const conditions = ["description IS NOT NULL", "description <> ''"];
+        const params = [];
+        this.scopeExpensesToUser(conditions, params, userId);
+        return this.query(`SELECT description, category FROM expenses WHERE ${conditions.join(' AND ')}`, params);
+    }
+
+    // Inserts a batch of expenses atomically: either all rows are added or none
+    async addExpenses(expenses, userId) {
+        const { baseCurrency, rates } = await this.getConversionContext(expenses, userId);
+        const records = expenses.map(expense => this.toExpenseRecord(expense, baseCurrency, rates));
+
+        return this.transaction(async (client) => {
+            const inserted = [];
+            for (const record of records) {
+                inserted.push(await this.insert('expenses', { ...record, user_id: userId || null }, client));
+            }
+            await this.trackExpenseChanges(userId, inserted.map(expense => expense.id), client);
+            return inserted;
+        });
+    }
+
+    // Currency operations
+    async getBaseCurrency(userId) {
+        if (userId === undefined || userId === null) return DEFAULT_CURRENCY;
+        const rows = await this.query("SELECT base_currency FROM users WHERE id = ?", [userId]);
+        return (rows[0] && rows[0].base_currency) || DEFAULT_CURRENCY;
+    }
+
+    // The user's base currency plus the exchange rates needed to convert `expenses` into it
+    async getConversionContext(expenses, userId) {
+        const baseCurrency = await this.getBaseCurrency(userId);
+        const currencies = [...new Set(expenses.map(expense => expense.currency || baseCurrency))];
+        const rates = currencies.some(currency => currency !== baseCurrency)
+            ? await this.getExchangeRates([...currencies, baseCurrency])
+            : [];
+        return { baseCurrency, rates };
+    }
+
+    // Expense column values with `amount` converted from `expense.currency` to
+    // `baseCurrency` at the rate for the expense date
+    toExpenseRecord(expense, baseCurrency, rates) {
+        const currency = expense.currency || baseCurrency;
+        const rate = findRate(rates, currency, baseCurrency, expense.date);
+        if (!rate) {
+            throw new CurrencyError(`No exchange rate from ${currency} to ${baseCurrency}`);
+        }
+
+        return {
+            date: expense.date,
+            category: expense.category,
+            amount: roundMoney(Number(expense.amount) * rate),
+            description: expense.description,
+            currency,
+            original_amount: Number(expense.amount),
+            exchange_rate: rate,
+            account_id: expense.accountId || null
+        };
+    }
+
+    // Switches a user's base currency and re-converts their expenses and
+    // income (at each entry's date) and budgets (at today's rate). Throws
+    // CurrencyError before changing anything when a rate is missing.
+    async setBaseCurrency(userId, baseCurrency) {
+        const previous = await this.getBaseCurrency(userId);
+        if (previous === baseCurrency) return;
+
+        const [expenses, income, budgets] = await Promise.all([
+            this.getAllExpenses(userId),
+            this.getIncome({ userId }),
+            this.getBudgets(userId)
+        ]);
+        const currencies = new Set([
+            previous,
+            baseCurrency,
+            ...[...expenses, ...income].map(entry => entry.currency || previous)
+        ]);
+        const rates = await this.getExchangeRates([...currencies]);
+
+        const reconvert = (entry) => ({
+            id: entry.id,
+            ...this.toExpenseRecord({
+                ...entry,
+                currency: entry.currency || previous,
+                amount: entry.original_amount !== null && entry.original_amount !== undefined
+                    ? entry.original_amount
+                    : entry.amount
+            }, baseCurrency, rates)
+        });
+        const records = expenses.map(reconvert);
+        const incomeRecords = income.map(reconvert);
+        const budgetRate = findRate(rates, previous, baseCurrency, today());
+        if (budgets.length > 0 && !budgetRate) {
+            throw new CurrencyError(`No exchange rate from ${previous} to ${baseCurrency}`);
+        }
+
+        await this.transaction(async (client) => {
+            for (const record of records) {
+                await this.execute(
+                    "UPDATE expenses SET amount = ?, currency = ?, original_amount = ?, exchange_rate = ? WHERE id = ?",
+                    [record.amount, record.currency, record.original_amount, record.exchange_rate, record.id],
+                    client
                 );
-                return { id: result.insertId, ...expense };
-            } else if (this.type === 'postgresql') {
-                const result = await this.db.query(
-                    "INSERT INTO expenses (date, category, amount, description) VALUES ($1, $2, $3, $4) RETURNING id",
-                    [expense.date, expense.category, expense.amount, expense.description]
+            }
+            for (const record of incomeRecords) {
+                await this.execute(
+                    "UPDATE income SET amount = ?, currency = ?, original_amount = ?, exchange_rate = ? WHERE id = ?",
+                    [record.amount, record.currency, record.original_amount, record.exchange_rate, record.id],
+                    client
                 );
-                return { id: result.rows[0].id, ...expense };
             }
-        } catch (error) {
-            throw error;
+            for (const budget of budgets) {
+                await this.execute(
+                    "UPDATE budgets SET amount = ? WHERE id = ?",
+                    [roundMoney(budget.amount * budgetRate), budget.id],
+                    client
+                );
+            }
+            await this.execute("UPDATE users SET base_currency = ? WHERE id = ?", [baseCurrency, userId], client);
+            await this.trackExpenseChanges(userId, null, client);
+        });
+    }
+
+    // Every stored rate that involves one of `currencies`
+    async getExchangeRates(currencies) {
+        const placeholders = currencies.map(() => '?').join(', ');
+        return this.query(
+            `SELECT * FROM exchange_rates
+             WHERE base_currency IN (${placeholders}) OR quote_currency IN (${placeholders})`,
+            [...currencies, ...currencies]
+        );
+    }
+
+    // The most recent rate for each currency pair
+    async getLatestExchangeRates() {
+        const rows = await this.query(
+            `SELECT r.* FROM exchange_rates r
+             WHERE r.date = (
+                 SELECT MAX(x.date) FROM exchange_rates x
+                 WHERE x.base_currency = r.base_currency AND x.quote_currency = r.quote_currency
+             )
+             ORDER BY r.base_currency, r.quote_currency`
+        );
+        return rows.map(row => ({ ...row, rate: Number(row.rate) }));
+    }
+
+    // Adds rates, replacing any existing rate for the same pair and date
+    async importExchangeRates(rates) {
+        return this.transaction(async (client) => {
+            for (const rate of rates) {
+                await this.execute(
+                    "DELETE FROM exchange_rates WHERE date = ? AND base_currency = ? AND quote_currency = ?",
+                    [rate.date, rate.base_currency, rate.quote_currency],
+                    client
+                );
+                await this.insert('exchange_rates', rate, client);
+            }
+            return rates.length;
+        });
+    }
+
+    // SQL expression that formats the date column as YYYY-MM
+    getMonthExpression() {
+        if (this.type === 'mysql') return "DATE_FORMAT(date, '%Y-%m')";
+        if (this.type === 'postgresql') return "TO_CHAR(date, 'YYYY-MM')";
+        return "strftime('%Y-%m', date)";
+    }
+
+    // WHERE clause matching one calendar month, optionally for a single user
+    // and account
+    buildMonthFilter(year, month, userId, accountId) {
+        const monthStr = month.toString().padStart(2, '0');
+        const dateColumn = this.type === 'postgresql' ? 'date::text' : 'date';
+        const conditions = [`${dateColumn} LIKE ?`];
+        const params = [`${year}-${monthStr}%`];
+        this.scopeExpensesToUser(conditions, params, userId);
+        this.scopeToAccount(conditions, params, accountId);
+
+        return { where: `WHERE ${conditions.join(' AND ')}`, params };
+    }
+
+    async getExpensesByMonth(year, month, userId, options = {}) {
+        const { where, params } = this.buildMonthFilter(year, month, userId, options.accountId);
+        return this.query(`SELECT * FROM expenses ${where} ORDER BY date DESC`, params);
+    }
+
+    // Totals are in the user's base currency: `amount` is stored converted.
+    // Rows carry the category's colour, icon and parent; with `rollup`
+    // subcategories are folded into their parent category. `accountId`
+    // limits the totals to one account.
+    async getCategoryTotals(year, month, userId, options = {}) {
+        const { where, params } = this.buildMonthFilter(year, month, userId, options.accountId);
+        return this.sumByCategory(where, params, userId, options);
+    }
+
+    // Category totals for expenses dated from..to (see getCategoryTotals)
+    async getCategoryTotalsBetween(from, to, userId, options = {}) {
+        const { where, params } = this.buildExpenseFilter({ from, to, userId, accountId: options.accountId });
+        return this.sumByCategory(where, params, userId, options);
+    }
+
+    async sumByCategory(where, params, userId, options) {
+        const [rows, categories] = await Promise.all([
+            this.query(
+                `SELECT category, SUM(amount) as total
+                 FROM expenses 
+                 ${where}
+                 GROUP BY category 
+                 ORDER BY total DESC`,
+                params
+            ),
+            this.getCategories(userId)
+        ]);
+
+        const totals = rows.map(row => ({ ...row, total: Number(row.total) }));
+        return options.rollup ? rollUpTotals(totals, categories) : annotateTotals(totals, categories);
+    }
+
+    // Totals are in the user's base currency: `amount` is stored converted.
+    // Newest month first; `from`/`to` (YYYY-MM-DD) bound the months covered
+    // and `accountId` limits the totals to one account.
+    async getMonthlyTotals(userId, options = {}) {
+        const { where, params } = this.buildExpenseFilter({
+            userId,
+            accountId: options.accountId,
+            from: options.from,
+            to: options.to
+        });
+        const monthExpression = this.getMonthExpression();
+
+        const rows = await this.query(
+            `SELECT 
+                ${monthExpression} as month,
+                SUM(amount) as total
+             FROM expenses 
+             ${where}
+             GROUP BY ${monthExpression}
+             ORDER BY month DESC`,
+            params
+        );
+        return rows.map(row => ({ ...row, total: Number(row.total) }));
+    }
+
+    // Per-month, per-category totals over the user's whole history, for forecasting
+    async getMonthlyCategoryTotals(userId) {
+        const conditions = [];
+        const params = [];
+        this.scopeExpensesToUser(conditions, params, userId);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const monthExpression = this.getMonthExpression();
+
+        const rows = await this.query(
+            `SELECT ${monthExpression} as month, category, SUM(amount) as total
+             FROM expenses
+             ${where}
+             GROUP BY ${monthExpression}, category
+             ORDER BY month`,
+            params
+        );
+        return rows.map(row => ({ ...row, total: Number(row.total) }));
+    }
+
+    // Per-day, per-category totals from `from` onwards (up to `options.to`),
+    // optionally for one account
+    async getDailyTotals(from, userId, options = {}) {
+        const { where, params } = this.buildExpenseFilter({ from, to: options.to, userId, accountId: options.accountId });
+        const rows = await this.query(
+            `SELECT date, category, SUM(amount) as total
+             FROM expenses
+             ${where}
+             GROUP BY date, category
+             ORDER BY date`,
+            params
+        );
+        return rows.map(row => ({ date: toDateString(row.date), category: row.category, total: Number(row.total) }));
+    }
+
+    // Budget operations
+    async getBudgets(userId) {
+        const conditions = [];
+        const params = [];
+        this.scopeToUser(conditions, params, userId);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await this.query(`SELECT * FROM budgets ${where} ORDER BY category`, params);
+        return rows.map(row => ({ ...row, amount: Number(row.amount) }));
+    }
+
+    async getBudgetByCategory(category, userId) {
+        const conditions = [category ? 'category = ?' : 'category IS NULL'];
+        const params = category ? [category] : [];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM budgets WHERE ${conditions.join(' AND ')}`, params);
+        return rows[0] ? { ...rows[0], amount: Number(rows[0].amount) } : null;
+    }
+
+    // Creates the budget for a category (or the overall budget), replacing any
+    // existing one. When two saves both find no budget, the unique index on
+    // (user_id, category) turns the second insert away and it updates instead.
+    async setBudget(budget, userId) {
+        const category = budget.category || null;
+        let existing = await this.getBudgetByCategory(category, userId);
+
+        if (!existing) {
+            try {
+                return await this.insert('budgets', { category, amount: budget.amount, user_id: userId || null });
+            } catch (error) {
+                if (!isUniqueViolation(error)) throw error;
+            }
+            existing = await this.getBudgetByCategory(category, userId);
         }
+        return this.updateBudget(existing.id, { category, amount: budget.amount }, userId);
     }
 
-    async getAllExpenses() {
-        try {
-            if (this.type === 'sqlite') {
-                return new Promise((resolve, reject) => {
-                    this.db.all("SELECT * FROM expenses ORDER BY date DESC", (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows);
-                    });
-                });
-            } else if (this.type === 'mysql') {
-                const [rows] = await this.db.execute("SELECT * FROM expenses ORDER BY date DESC");
-                return rows;
-            } else if (this.type === 'postgresql') {
-                const result = await this.db.query("SELECT * FROM expenses ORDER BY date DESC");
-                return result.rows;
+    // Returns the updated budget, or null when no row matched the id
+    async updateBudget(id, budget, userId) {
+        const category = budget.category || null;
+        const conditions = ['id = ?'];
+        const params = [category, budget.amount, id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(
+            `UPDATE budgets SET category = ?, amount = ? WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        return result.changes > 0 ? { id: Number(id), category, amount: budget.amount } : null;
+    }
+
+    async deleteBudget(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM budgets WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Category operations
+    async getCategories(userId) {
+        const conditions = [];
+        const params = [];
+        this.scopeToUser(conditions, params, userId);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.query(`SELECT * FROM categories ${where} ORDER BY name`, params);
+    }
+
+    async getCategoryById(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM categories WHERE ${conditions.join(' AND ')}`, params);
+        return rows[0] || null;
+    }
+
+    // Case-insensitive lookup, so "food" resolves to the stored "Food"
+    async getCategoryByName(name, userId) {
+        const conditions = ['LOWER(name) = LOWER(?)'];
+        const params = [String(name || '').trim()];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM categories WHERE ${conditions.join(' AND ')}`, params);
+        return rows[0] || null;
+    }
+
+    async createCategory(category, userId) {
+        return this.insert('categories', { ...category, user_id: userId || null });
+    }
+
+    // Renaming a category renames it on the user's expenses, budgets and recurring expenses too
+    async updateCategory(id, category, userId) {
+        const existing = await this.getCategoryById(id, userId);
+        if (!existing) return null;
+
+        return this.transaction(async (client) => {
+            await this.execute(
+                "UPDATE categories SET name = ?, parent_id = ?, color = ?, icon = ? WHERE id = ?",
+                [category.name, category.parent_id, category.color, category.icon, id],
+                client
+            );
+            if (category.name !== existing.name) {
+                await this.renameCategoryUsage(existing.name, category.name, userId, client);
             }
-        } catch (error) {
-            throw error;
+            return { ...existing, ...category };
+        });
+    }
+
+    async renameCategoryUsage(from, to, userId, client) {
+        for (const table of ['expenses', 'budgets', 'recurring_expenses']) {
+            const conditions = ['category = ?'];
+            const params = [to, from];
+            if (table === 'expenses') {
+                this.scopeExpensesToUser(conditions, params, userId);
+            } else {
+                this.scopeToUser(conditions, params, userId);
+            }
+            await this.execute(`UPDATE ${table} SET category = ? WHERE ${conditions.join(' AND ')}`, params, client);
         }
+        await this.trackExpenseChanges(userId, null, client);
     }
 
-    async getExpensesByMonth(year, month) {
-        try {
-            const monthStr = month.toString().padStart(2, '0');
-            const yearMonth = `${year}-${monthStr}`;
-            
-            if (this.type === 'sqlite') {
-                return new Promise((resolve, reject) => {
-                    this.db.all(
-                        "SELECT * FROM expenses WHERE date LIKE ? ORDER BY date DESC",
-                        [`${yearMonth}%`],
-                        (err, rows) => {
-                            if (err) reject(err);
-                            else resolve(rows);
-                        }
-                    );
-                });
-            } else if (this.type === 'mysql') {
-                const [rows] = await this.db.execute(
-                    "SELECT * FROM expenses WHERE date LIKE ? ORDER BY date DESC",
-                    [`${yearMonth}%`]
+    // Number of the user's expenses, budgets and recurring expenses using a category name
+    async getCategoryUsage(name, userId) {
+        let count = 0;
+        for (const table of ['expenses', 'budgets', 'recurring_expenses']) {
+            const conditions = ['category = ?'];
+            const params = [name];
+            if (table === 'expenses') {
+                this.scopeExpensesToUser(conditions, params, userId);
+            } else {
+                this.scopeToUser(conditions, params, userId);
+            }
+            const rows = await this.query(`SELECT COUNT(*) as count FROM ${table} WHERE ${conditions.join(' AND ')}`, params);
+            count += Number(rows[0].count);
+        }
+        return count;
+    }
+
+    // Subcategories of a deleted category become top-level categories
+    async deleteCategory(id, userId) {
+        return this.transaction(async (client) => {
+            const conditions = ['id = ?'];
+            const params = [id];
+            this.scopeToUser(conditions, params, userId);
+
+            await this.execute("UPDATE categories SET parent_id = NULL WHERE parent_id = ?", [id], client);
+            const result = await this.execute(`DELETE FROM categories WHERE ${conditions.join(' AND ')}`, params, client);
+            return result.changes > 0;
+        });
+    }
+
+    // Moves everything filed under `source` to `target` and deletes `source`.
+    // Subcategories of `source` move under `target` (or its parent when
+    // `target` is itself a subcategory). When both have a budget, the
+    // target's budget is kept.
+    async mergeCategory(source, target, userId) {
+        return this.transaction(async (client) => {
+            const targetBudget = await this.query(
+                "SELECT id FROM budgets WHERE category = ? AND user_id = ?",
+                [target.name, userId],
+                client
+            );
+            if (targetBudget.length > 0) {
+                await this.execute("DELETE FROM budgets WHERE category = ? AND user_id = ?", [source.name, userId], client);
+            }
+            await this.renameCategoryUsage(source.name, target.name, userId, client);
+
+            await this.execute(
+                "UPDATE categories SET parent_id = ? WHERE parent_id = ?",
+                [target.parent_id || target.id, source.id],
+                client
+            );
+            await this.execute("DELETE FROM categories WHERE id = ?", [source.id], client);
+        });
+    }
+
+    // Gives a user the default categories plus any category name their
+    // expenses, budgets or recurring expenses use that isn't in the table yet
+    async addMissingCategories(userId) {
+        const [categories, used] = await Promise.all([
+            this.getCategories(userId),
+            this.query(
+                `SELECT category FROM expenses WHERE user_id = ? AND ledger_id IS NULL
+                 UNION SELECT category FROM budgets WHERE user_id = ? AND category IS NOT NULL
+                 UNION SELECT category FROM recurring_expenses WHERE user_id = ?`,
+                [userId, userId, userId]
+            )
+        ]);
+
+        const names = new Set(categories.map(category => category.name.toLowerCase()));
+        const missing = [
+            ...DEFAULT_CATEGORIES,
+            ...used.filter(row => row.category).map(row => ({ name: row.category }))
+        ].filter(category => {
+            const isNew = !names.has(category.name.toLowerCase());
+            names.add(category.name.toLowerCase());
+            return isNew;
+        });
+
+        for (const category of missing) {
+            await this.createCategory({ color: '#8e8e93', icon: 'fa-tag', ...category }, userId);
+        }
+        return missing.length;
+    }
+
+    // Anomaly feedback operations
+    async getAnomalyFeedback(userId) {
+        const conditions = [];
+        const params = [];
+        this.scopeToUser(conditions, params, userId);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.query(`SELECT * FROM anomaly_feedback ${where} ORDER BY created_at DESC`, params);
+    }
+
+    // Records `status` for an anomaly key, replacing earlier feedback on the same key
+    async setAnomalyFeedback(feedback, userId) {
+        const record = {
+            anomaly_key: feedback.key,
+            status: feedback.status,
+            expense_id: feedback.expenseId || null,
+            user_id: userId || null
+        };
+
+        return this.transaction(async (client) => {
+            await this.execute(
+                'DELETE FROM anomaly_feedback WHERE anomaly_key = ? AND user_id = ?',
+                [record.anomaly_key, record.user_id],
+                client
+            );
+            return this.insert('anomaly_feedback', record, client);
+        });
+    }
+
+    // Returns true when a row was deleted
+    async deleteAnomalyFeedback(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM anomaly_feedback WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Recurring schedules. Recurring expenses and recurring income share
+    // their columns apart from category/source; `table` is recurring_expenses
+    // or recurring_income.
+    toSchedule(row) {
+        return row ? { ...row, amount: Number(row.amount), paused: Boolean(Number(row.paused)) } : null;
+    }
+
+    async getSchedules(table, userId) {
+        const conditions = [];
+        const params = [];
+        this.scopeToUser(conditions, params, userId);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await this.query(`SELECT * FROM ${table} ${where} ORDER BY next_run, id`, params);
+        return rows.map(row => this.toSchedule(row));
+    }
+
+    async getScheduleById(table, id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM ${table} WHERE ${conditions.join(' AND ')}`, params);
+        return this.toSchedule(rows[0]);
+    }
+
+    // `schedule` holds column values (see services/recurrence normalizeSchedule) plus next_run
+    async addSchedule(table, schedule, userId) {
+        const created = await this.insert(table, { ...schedule, paused: 0, user_id: userId || null });
+        return { ...created, paused: false };
+    }
+
+    // Returns the updated schedule, or null when no row matched the id
+    async updateSchedule(table, id, schedule, userId) {
+        const columns = Object.keys(schedule);
+        const conditions = ['id = ?'];
+        const params = [...columns.map(column => schedule[column]), id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(
+            `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        return result.changes > 0 ? this.getScheduleById(table, id, userId) : null;
+    }
+
+    async deleteSchedule(table, id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM ${table} WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Active schedules, across all users, with an occurrence on or before `date`
+    async getDueSchedules(table, date) {
+        const rows = await this.query(
+            `SELECT * FROM ${table} WHERE paused = 0 AND next_run IS NOT NULL AND next_run <= ? ORDER BY id`,
+            [date]
+        );
+        return rows.map(row => this.toSchedule(row));
+    }
+
+    // Posts the occurrence of a schedule due on `date` with `post(client)` and
+    // moves the schedule on to `nextRun`, in one transaction. Returns what
+    // `post` returns, or null without posting when the schedule is no longer
+    // due on `date` because another run posted it first.
+    async postScheduleRun(table, id, date, nextRun, post) {
+        return this.transaction(async (client) => {
+            const result = await this.execute(
+                `UPDATE ${table} SET last_run = ?, next_run = ? WHERE id = ? AND next_run = ?`,
+                [date, nextRun, id, date],
+                client
+            );
+            return result.changes > 0 ? post(client) : null;
+        });
+    }
+
+    // Income operations. Like expenses, `income.amount` is in `income.currency`
+    // (the owner's base currency when omitted) and stored converted.
+    toIncomeRecord(income, baseCurrency, rates) {
+        const { category, ...record } = this.toExpenseRecord(income, baseCurrency, rates);
+        return { ...record, source: income.source };
+    }
+
+    toIncome(row) {
+        return row ? { ...row, date: toDateString(row.date), amount: Number(row.amount) } : null;
+    }
+
+    async addIncome(income, userId, client = this.db) {
+        const { baseCurrency, rates } = await this.getConversionContext([income], userId);
+        const created = await this.insert('income', {
+            ...this.toIncomeRecord(income, baseCurrency, rates),
+            recurring_id: income.recurringId || null,
+            user_id: userId || null
+        }, client);
+        return this.toIncome(created);
+    }
+
+    // Income dated from..to, newest first, optionally from one source or
+    // into one account; every filter is optional
+    async getIncome(filters = {}) {
+        const conditions = [];
+        const params = [];
+        const dateColumn = this.type === 'postgresql' ? 'date::text' : 'date';
+
+        this.scopeToUser(conditions, params, filters.userId);
+        this.scopeToAccount(conditions, params, filters.accountId);
+        if (filters.from) {
+            conditions.push(`${dateColumn} >= ?`);
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push(`${dateColumn} <= ?`);
+            params.push(filters.to);
+        }
+        if (filters.source) {
+            conditions.push('source = ?');
+            params.push(filters.source);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await this.query(`SELECT * FROM income ${where} ORDER BY date DESC, id DESC`, params);
+        return rows.map(row => this.toIncome(row));
+    }
+
+    async getIncomeById(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM income WHERE ${conditions.join(' AND ')}`, params);
+        return this.toIncome(rows[0]);
+    }
+
+    // Returns the updated entry, or null when no row matched the id
+    async updateIncome(id, income, userId) {
+        const { baseCurrency, rates } = await this.getConversionContext([income], userId);
+        const record = this.toIncomeRecord(income, baseCurrency, rates);
+        const columns = Object.keys(record);
+        const conditions = ['id = ?'];
+        const params = [...columns.map(column => record[column]), id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(
+            `UPDATE income SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        return result.changes > 0 ? this.getIncomeById(id, userId) : null;
+    }
+
+    async deleteIncome(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM income WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Per-month income totals, oldest first, over the user's whole history or
+    // the months between `from` and `to`
+    async getMonthlyIncomeTotals(userId, options = {}) {
+        const conditions = [];
+        const params = [];
+        const dateColumn = this.type === 'postgresql' ? 'date::text' : 'date';
+        this.scopeToUser(conditions, params, userId);
+        this.scopeToAccount(conditions, params, options.accountId);
+        if (options.from) {
+            conditions.push(`${dateColumn} >= ?`);
+            params.push(options.from);
+        }
+        if (options.to) {
+            conditions.push(`${dateColumn} <= ?`);
+            params.push(options.to);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const monthExpression = this.getMonthExpression();
+
+        const rows = await this.query(
+            `SELECT ${monthExpression} as month, SUM(amount) as total
+             FROM income
+             ${where}
+             GROUP BY ${monthExpression}
+             ORDER BY month`,
+            params
+        );
+        return rows.map(row => ({ ...row, total: Number(row.total) }));
+    }
+
+    // Account operations
+    async getAccounts(userId) {
+        const conditions = [];
+        const params = [];
+        this.scopeToUser(conditions, params, userId);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.query(`SELECT * FROM accounts ${where} ORDER BY archived, name`, params);
+    }
+
+    async getAccountById(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM accounts WHERE ${conditions.join(' AND ')}`, params);
+        return rows[0] || null;
+    }
+
+    // `account` holds column values (see services/accounts normalizeAccount)
+    async createAccount(account, userId) {
+        return this.insert('accounts', { ...account, user_id: userId || null });
+    }
+
+    async updateAccount(id, account, userId) {
+        const columns = Object.keys(account);
+        const conditions = ['id = ?'];
+        const params = [...columns.map(column => account[column]), id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(
+            `UPDATE accounts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        return result.changes > 0 ? this.getAccountById(id, userId) : null;
+    }
+
+    // Number of expenses, income entries, schedules and transfers using an account
+    async getAccountUsage(id, userId) {
+        const counts = await Promise.all([
+            ...['expenses', 'income', 'recurring_expenses', 'recurring_income'].map(table => this.query(
+                `SELECT COUNT(*) as count FROM ${table} WHERE account_id = ? AND user_id = ?`,
+                [id, userId]
+            )),
+            this.query(
+                "SELECT COUNT(*) as count FROM transfers WHERE (from_account_id = ? OR to_account_id = ?) AND user_id = ?",
+                [id, id, userId]
+            )
+        ]);
+        return counts.reduce((sum, rows) => sum + Number(rows[0].count), 0);
+    }
+
+    async deleteAccount(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM accounts WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Transfers, newest first, optionally only those in or out of one account
+    async getTransfers(userId, accountId) {
+        const conditions = [];
+        const params = [];
+        this.scopeToUser(conditions, params, userId);
+        if (accountId !== undefined && accountId !== null) {
+            conditions.push('(from_account_id = ? OR to_account_id = ?)');
+            params.push(accountId, accountId);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await this.query(`SELECT * FROM transfers ${where} ORDER BY date DESC, id DESC`, params);
+        return rows.map(row => ({ ...row, date: toDateString(row.date), amount: Number(row.amount) }));
+    }
+
+    // `transfer` holds column values (see services/accounts normalizeTransfer)
+    async addTransfer(transfer, userId) {
+        return this.insert('transfers', { ...transfer, user_id: userId || null });
+    }
+
+    async deleteTransfer(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM transfers WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Attachment operations
+    async getAttachments(expenseId, userId) {
+        const conditions = ['expense_id = ?'];
+        const params = [expenseId];
+        this.scopeToUser(conditions, params, userId);
+
+        return this.query(`SELECT * FROM attachments WHERE ${conditions.join(' AND ')} ORDER BY id`, params);
+    }
+
+    async getAttachmentById(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const rows = await this.query(`SELECT * FROM attachments WHERE ${conditions.join(' AND ')}`, params);
+        return rows[0] || null;
+    }
+
+    // `attachment` holds column values (see services/receipts toAttachmentRecord)
+    async addAttachment(attachment, userId) {
+        return this.insert('attachments', { ...attachment, user_id: userId || null });
+    }
+
+    async deleteAttachment(id, userId) {
+        const conditions = ['id = ?'];
+        const params = [id];
+        this.scopeToUser(conditions, params, userId);
+
+        const result = await this.execute(`DELETE FROM attachments WHERE ${conditions.join(' AND ')}`, params);
+        return result.changes > 0;
+    }
+
+    // Cloud sync operations (see services/cloudSync.js). Every change to a
+    // user's personal expenses updates the expense's state in sync_records
+    // and queues it in sync_outbox until the next push.
+    async getSyncValue(name) {
+        const rows = await this.query("SELECT value FROM sync_state WHERE name = ?", [name]);
+        return rows[0] ? rows[0].value : null;
+    }
+
+    async setSyncValue(name, value) {
+        const rows = await this.query("SELECT name FROM sync_state WHERE name = ?", [name]);
+        if (rows.length > 0) {
+            await this.execute("UPDATE sync_state SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?", [value, name]);
+        } else {
+            await this.execute("INSERT INTO sync_state (name, value) VALUES (?, ?)", [name, value]);
+        }
+    }
+
+    // Users whose expenses sync: every account on this database
+    async getSyncUsers() {
+        return this.query("SELECT id, email FROM users ORDER BY id");
+    }
+
+    // This database's device id, stamped on its changes; created on first use
+    getDeviceId() {
+        if (!this.deviceId) {
+            this.deviceId = (async () => {
+                let id = await this.getSyncValue('device_id');
+                if (!id) {
+                    id = crypto.randomUUID();
+                    await this.setSyncValue('device_id', id);
+                }
+                return id;
+            })();
+            this.deviceId.catch(() => { this.deviceId = null; });
+        }
+        return this.deviceId;
+    }
+
+    // Brings the sync state of a user's personal expenses (all of them, or the
+    // given ids) up to date with the expenses table and queues those that
+    // changed. A deleted expense keeps its sync record, marked as deleted.
+    // Returns the number of records queued.
+    async trackExpenseChanges(userId, ids = null, client = this.db) {
+        if (userId === undefined || userId === null || (ids && ids.length === 0)) return 0;
+
+        const deviceId = await this.getDeviceId();
+        const idParams = ids ? ids.map(Number) : [];
+        const inIds = (column) => ids ? ` AND ${column} IN (${idParams.map(() => '?').join(', ')})` : '';
+        const rows = await this.query(
+            `SELECT * FROM expenses WHERE user_id = ? AND ledger_id IS NULL${inIds('id')}`,
+            [userId, ...idParams],
+            client
+        );
+        const records = await this.query(
+            `SELECT * FROM sync_records WHERE user_id = ? AND entity = 'expense' AND record_id IS NOT NULL${inIds('record_id')}`,
+            [userId, ...idParams],
+            client
+        );
+
+        const tracked = new Map(records.map(record => [Number(record.record_id), record]));
+        const changes = rows.map(row => [tracked.get(Number(row.id)), row]);
+        const remaining = new Set(rows.map(row => Number(row.id)));
+        records
+            .filter(record => !remaining.has(Number(record.record_id)))
+            .forEach(record => changes.push([record, null]));
+
+        let queued = 0;
+        for (const [record, row] of changes) {
+            const state = syncRecords.recordChange(record ? JSON.parse(record.state) : null, row, deviceId);
+            if (!state) continue;
+
+            let syncRecordId = record ? record.id : null;
+            if (record) {
+                await this.execute(
+                    "UPDATE sync_records SET record_id = ?, version = ?, state = ? WHERE id = ?",
+                    [row ? row.id : null, state.version, JSON.stringify(state), record.id],
+                    client
                 );
-                return rows;
-            } else if (this.type === 'postgresql') {
-                const result = await this.db.query(
-                    "SELECT * FROM expenses WHERE date::text LIKE $1 ORDER BY date DESC",
-                    [`${yearMonth}%`]
+            } else {
+                ({ id: syncRecordId } = await this.insert('sync_records', {
+                    user_id: userId,
+                    entity: 'expense',
+                    sync_id: crypto.randomUUID(),
+                    record_id: row.id,
+                    version: state.version,
+                    state: JSON.stringify(state)
+                }, client));
+            }
+            await this.queueSyncRecord(userId, syncRecordId, state.version, client);
+            queued++;
+        }
+        if (queued > 0) this.syncListeners.forEach(listener => listener(userId));
+        return queued;
+    }
+
+    // Registers `listener(userId)` to hear about changes queued for cloud sync
+    onSyncQueued(listener) {
+        this.syncListeners.push(listener);
+    }
+
+    // The outbox keeps one entry per record: its latest version is what gets pushed
+    async queueSyncRecord(userId, syncRecordId, version, client = this.db) {
+        await this.execute("DELETE FROM sync_outbox WHERE sync_record_id = ?", [syncRecordId], client);
+        await this.insert('sync_outbox', { user_id: userId, sync_record_id: syncRecordId, version }, client);
+    }
+
+    // Queued changes, oldest first, with the owner's email and the record's current state
+    async getSyncOutbox(limit = 500) {
+        return this.query(
+            `SELECT sync_outbox.id, sync_outbox.user_id, users.email, sync_records.entity,
+                    sync_records.sync_id, sync_records.state
+             FROM sync_outbox
+             JOIN sync_records ON sync_records.id = sync_outbox.sync_record_id
+             JOIN users ON users.id = sync_outbox.user_id
+             ORDER BY sync_outbox.id
+             LIMIT ?`,
+            [limit]
+        );
+    }
+
+    // Queued changes, of one user or of everyone
+    async getSyncOutboxSize(userId = null) {
+        const rows = userId === null
+            ? await this.query("SELECT COUNT(*) as count FROM sync_outbox")
+            : await this.query("SELECT COUNT(*) as count FROM sync_outbox WHERE user_id = ?", [userId]);
+        return Number(rows[0].count);
+    }
+
+    // Removes pushed entries; a record changed again since then has a newer entry
+    async clearSyncOutbox(ids) {
+        if (ids.length === 0) return;
+        await this.execute(`DELETE FROM sync_outbox WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+
+    // Merges expense states pulled from the remote ([{ syncId, state }]) into a
+    // user's expenses: new records are added, changed ones updated and deleted
+    // ones removed. Returns how many expenses changed and the storage keys of
+    // receipts that belonged to deleted expenses.
+    async mergeSyncedExpenses(userId, remoteRecords) {
+        const result = await this.transaction(async (client) => {
+            let changed = 0;
+            const removedFiles = [];
+
+            for (const { syncId, state: remote } of remoteRecords) {
+                const [record] = await this.query(
+                    "SELECT * FROM sync_records WHERE user_id = ? AND entity = 'expense' AND sync_id = ?",
+                    [userId, syncId],
+                    client
                 );
-                return result.rows;
+                const local = record ? JSON.parse(record.state) : null;
+                const merged = syncRecords.mergeStates(local, remote);
+                if (local && syncRecords.sameState(local, merged)) continue;
+
+                let recordId = record ? record.record_id : null;
+                if (syncRecords.isDeleted(merged)) {
+                    if (recordId) {
+                        const files = await this.query("SELECT storage_key FROM attachments WHERE expense_id = ?", [recordId], client);
+                        removedFiles.push(...files.map(file => file.storage_key));
+                        await this.execute("DELETE FROM expenses WHERE id = ? AND user_id = ?", [recordId, userId], client);
+                        recordId = null;
+                        changed++;
+                    }
+                } else if (recordId) {
+                    const columns = syncRecords.SYNCED_FIELDS;
+                    await this.execute(
+                        `UPDATE expenses SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+                        [...columns.map(column => merged.fields[column]), recordId, userId],
+                        client
+                    );
+                    changed++;
+                } else {
+                    ({ id: recordId } = await this.insert('expenses', { ...merged.fields, user_id: userId }, client));
+                    changed++;
+                }
+
+                if (record) {
+                    await this.execute(
+                        "UPDATE sync_records SET record_id = ?, version = ?, state = ? WHERE id = ?",
+                        [recordId, merged.version, JSON.stringify(merged), record.id],
+                        client
+                    );
+                } else {
+                    await this.insert('sync_records', {
+                        user_id: userId,
+                        entity: 'expense',
+                        sync_id: syncId,
+                        record_id: recordId,
+                        version: merged.version,
+                        state: JSON.stringify(merged)
+                    }, client);
+                }
             }
-        } catch (error) {
-            throw error;
+            return { changed, removedFiles };
+        });
+
+        // Pulled expenses may use categories this user doesn't have yet
+        if (result.changed > 0) await this.addMissingCategories(userId);
+        return result;
+    }
+
+    // User operations
+    async createUser(user) {
+        return this.insert('users', {
+            email: user.email,
+            password_hash: user.passwordHash,
+            name: user.name || null,
+            base_currency: user.baseCurrency || DEFAULT_CURRENCY
+        });
+    }
+
+    async getUserByEmail(email) {
+        const rows = await this.query("SELECT * FROM users WHERE email = ?", [email]);
+        return rows[0] || null;
+    }
+
+    async getUserById(id) {
+        const rows = await this.query("SELECT id, email, name, base_currency, created_at FROM users WHERE id = ?", [id]);
+        return rows[0] || null;
+    }
+
+    async getFirstUserId() {
+        const rows = await this.query("SELECT id FROM users ORDER BY id LIMIT 1");
+        return rows[0] ? rows[0].id : null;
+    }
+
+    async getUserCount() {
+        const rows = await this.query("SELECT COUNT(*) as count FROM users");
+        return Number(rows[0].count);
+    }
+
+    // Hands rows created before accounts existed to the given user
+    async claimUnownedData(userId) {
+        await this.execute("UPDATE expenses SET user_id = ? WHERE user_id IS NULL", [userId]);
+        await this.execute("UPDATE budgets SET user_id = ? WHERE user_id IS NULL", [userId]);
+        await this.trackExpenseChanges(userId);
+    }
+
+    // Ledger operations
+    // Creates a ledger with its creator as owner
+    async createLedger(name, userId) {
+        return this.transaction(async (client) => {
+            const ledger = await this.insert('ledgers', { name, created_by: userId }, client);
+            await this.insert('ledger_members', { ledger_id: ledger.id, user_id: userId, role: 'owner' }, client);
+            return { ...ledger, role: 'owner' };
+        });
+    }
+
+    async getLedgersForUser(userId) {
+        return this.query(
+            `SELECT l.*, m.role
+             FROM ledgers l
+             JOIN ledger_members m ON m.ledger_id = l.id
+             WHERE m.user_id = ?
+             ORDER BY l.name`,
+            [userId]
+        );
+    }
+
+    async getLedgerById(id) {
+        const rows = await this.query("SELECT * FROM ledgers WHERE id = ?", [id]);
+        return rows[0] || null;
+    }
+
+    // Deletes a ledger together with its expenses, splits and memberships
+    async deleteLedger(id) {
+        return this.transaction(async (client) => {
+            await this.execute(
+                "DELETE FROM expense_splits WHERE expense_id IN (SELECT id FROM expenses WHERE ledger_id = ?)",
+                [id],
+                client
+            );
+            await this.execute("DELETE FROM expenses WHERE ledger_id = ?", [id], client);
+            await this.execute("DELETE FROM ledger_members WHERE ledger_id = ?", [id], client);
+            const result = await this.execute("DELETE FROM ledgers WHERE id = ?", [id], client);
+            return result.changes > 0;
+        });
+    }
+
+    async getLedgerMembers(ledgerId) {
+        return this.query(
+            `SELECT m.user_id, m.role, u.email, u.name
+             FROM ledger_members m
+             JOIN users u ON u.id = m.user_id
+             WHERE m.ledger_id = ?
+             ORDER BY m.id`,
+            [ledgerId]
+        );
+    }
+
+    // The user's role in the ledger, or null when they are not a member
+    async getLedgerRole(ledgerId, userId) {
+        const rows = await this.query(
+            "SELECT role FROM ledger_members WHERE ledger_id = ? AND user_id = ?",
+            [ledgerId, userId]
+        );
+        return rows[0] ? rows[0].role : null;
+    }
+
+    async addLedgerMember(ledgerId, userId, role) {
+        return this.insert('ledger_members', { ledger_id: ledgerId, user_id: userId, role });
+    }
+
+    async updateLedgerMemberRole(ledgerId, userId, role) {
+        const result = await this.execute(
+            "UPDATE ledger_members SET role = ? WHERE ledger_id = ? AND user_id = ?",
+            [role, ledgerId, userId]
+        );
+        return result.changes > 0;
+    }
+
+    async removeLedgerMember(ledgerId, userId) {
+        const result = await this.execute(
+            "DELETE FROM ledger_members WHERE ledger_id = ? AND user_id = ?",
+            [ledgerId, userId]
+        );
+        return result.changes > 0;
+    }
+
+    // Records a ledger expense and how it is split between members
+    async addLedgerExpense(ledgerId, expense, splits, userId) {
+        return this.transaction(async (client) => {
+            const created = await this.insert('expenses', {
+                date: expense.date,
+                category: expense.category,
+                amount: expense.amount,
+                description: expense.description,
+                user_id: userId,
+                ledger_id: Number(ledgerId),
+                paid_by: expense.paidBy,
+                split_type: expense.splitType
+            }, client);
+
+            for (const split of splits) {
+                await this.insert('expense_splits', {
+                    expense_id: created.id,
+                    user_id: split.userId,
+                    amount: split.amount
+                }, client);
+            }
+
+            return { ...created, splits };
+        });
+    }
+
+    async getLedgerExpenses(ledgerId) {
+        const [expenses, splits] = await Promise.all([
+            this.query("SELECT * FROM expenses WHERE ledger_id = ? ORDER BY date DESC, id DESC", [ledgerId]),
+            this.getLedgerSplits(ledgerId)
+        ]);
+
+        return expenses.map(expense => ({
+            ...expense,
+            splits: splits
+                .filter(split => split.expense_id === expense.id)
+                .map(split => ({ userId: split.user_id, amount: Number(split.amount) }))
+        }));
+    }
+
+    async getLedgerSplits(ledgerId) {
+        return this.query(
+            `SELECT s.*
+             FROM expense_splits s
+             JOIN expenses e ON e.id = s.expense_id
+             WHERE e.ledger_id = ?`,
+            [ledgerId]
+        );
+    }
+
+    async deleteLedgerExpense(ledgerId, expenseId) {
+        return this.transaction(async (client) => {
+            await this.execute(
+                "DELETE FROM expense_splits WHERE expense_id IN (SELECT id FROM expenses WHERE id = ? AND ledger_id = ?)",
+                [expenseId, ledgerId],
+                client
+            );
+            const result = await this.execute(
+                "DELETE FROM expenses WHERE id = ? AND ledger_id = ?",
+                [expenseId, ledgerId],
+                client
+            );
+            return result.changes > 0;
+        });
+    }
+
+    // Snapshots for backups (see services/backups.js): { dialect, kind, data }.
+    // A SQLite database is copied page by page with the online backup API
+    // (kind 'sqlite', data is the database file). MySQL and PostgreSQL are
+    // dumped table by table (kind 'dump', data is JSON:
+    // { migrations: [version], tables: [{ name, count, rows }] }).
+    async createSnapshot() {
+        if (this.type === 'sqlite') {
+            const file = tempPath('snapshot.db');
+            try {
+                await this.copySQLite(file, true);
+                return { dialect: this.type, kind: 'sqlite', data: await fs.promises.readFile(file) };
+            } finally {
+                await fs.promises.rm(file, { force: true });
+            }
+        }
+        const dump = await this.dumpDatabase();
+        return { dialect: this.type, kind: 'dump', data: Buffer.from(JSON.stringify(dump)) };
+    }
+
+    // Throws a BackupError unless the snapshot can be restored into this
+    // database: same dialect, intact (SQLite's integrity check, or every
+    // table's row count) and made at a schema version this code knows
+    async verifySnapshot({ dialect, kind }, data) {
+        if (dialect !== this.type) {
+            throw new BackupError(`This is a backup of a ${dialect} database; the server uses ${this.type}`);
+        }
+
+        let versions;
+        if (kind === 'sqlite') {
+            versions = await this.inspectSQLiteFile(data);
+        } else if (kind === 'dump') {
+            versions = parseDump(data).migrations;
+        } else {
+            throw new BackupError(`Unknown backup kind: ${kind}`);
+        }
+
+        const known = new Migrator(this).loadMigrations().map(migration => migration.version);
+        const unknown = versions.filter(version => !known.includes(version));
+        if (unknown.length > 0) {
+            throw new BackupError(`The backup was made by a newer version of the app (migration ${unknown[0]})`);
         }
     }
 
-    async getCategoryTotals(year, month) {
+    // Replaces every table's contents with the snapshot's (see verifySnapshot),
+    // then brings the schema up to date again
+    async restoreSnapshot({ kind }, data) {
+        if (kind === 'sqlite') {
+            const file = tempPath('restore.db');
+            try {
+                await fs.promises.writeFile(file, data);
+                await this.copySQLite(file, false);
+            } finally {
+                await fs.promises.rm(file, { force: true });
+            }
+        } else {
+            await this.loadDump(parseDump(data));
+        }
+
+        // The device id is whatever the restored sync_state says
+        this.deviceId = null;
+        await new Migrator(this).up();
+    }
+
+    // Copies the open SQLite database to `file` (toFile) or `file` over it
+    copySQLite(file, toFile) {
+        return new Promise((resolve, reject) => {
+            const backup = this.db.backup(file, 'main', 'main', toFile, (err) => {
+                if (err) reject(err);
+            });
+            const step = () => backup.step(-1, (err) => {
+                if (err) {
+                    backup.finish(() => reject(err));
+                } else if (backup.completed || backup.failed) {
+                    backup.finish(() => backup.failed ? reject(new Error('SQLite backup failed')) : resolve());
+                } else {
+                    // The database was busy; try again shortly
+                    setTimeout(step, 100);
+                }
+            });
+            step();
+        });
+    }
+
+    // Runs SQLite's integrity check on a database file and returns its
+    // applied migration versions
+    async inspectSQLiteFile(data) {
+        const file = tempPath('verify.db');
+        await fs.promises.writeFile(file, data);
+        const db = await new Promise((resolve, reject) => {
+            const opened = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => err ? reject(err) : resolve(opened));
+        }).catch(() => null);
+
         try {
-            const monthStr = month.toString().padStart(2, '0');
-            const yearMonth = `${year}-${monthStr}`;
-            
-            if (this.type === 'sqlite') {
-                return new Promise((resolve, reject) => {
-                    this.db.all(
-                        `SELECT category, SUM(amount) as total
-                         FROM expenses 
-                         WHERE date LIKE ? 
-                         GROUP BY category 
-                         ORDER BY total DESC`,
-                        [`${yearMonth}%`],
-                        (err, rows) => {
-                            if (err) reject(err);
-                            else resolve(rows);
-                        }
-                    );
-                });
-            } else if (this.type === 'mysql') {
-                const [rows] = await this.db.execute(
-                    `SELECT category, SUM(amount) as total
-                     FROM expenses 
-                     WHERE date LIKE ? 
-                     GROUP BY category 
-                     ORDER BY total DESC`,
-                    [`${yearMonth}%`]
-                );
-                return rows;
-            } else if (this.type === 'postgresql') {
-                const result = await this.db.query(
-                    `SELECT category, SUM(amount) as total
-                     FROM expenses 
-                     WHERE date::text LIKE $1 
-                     GROUP BY category 
-                     ORDER BY total DESC`,
-                    [`${yearMonth}%`]
-                );
-                return result.rows;
+            if (!db) throw new BackupError('The backup does not contain a SQLite database');
+            const all = (sql) => new Promise((resolve, reject) => {
+                db.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+            });
+
+            const check = await all('PRAGMA integrity_check').catch(() => [{ integrity_check: 'not a database' }]);
+            if (check.length !== 1 || check[0].integrity_check !== 'ok') {
+                throw new BackupError(`The backed-up database is damaged: ${check[0].integrity_check}`);
             }
-        } catch (error) {
-            throw error;
+            const versions = await all('SELECT version FROM schema_migrations ORDER BY version').catch(() => null);
+            if (!versions) {
+                throw new BackupError('The backup is not an expense tracker database');
+            }
+            return versions.map(row => row.version);
+        } finally {
+            if (db) await new Promise(resolve => db.close(() => resolve()));
+            await fs.promises.rm(file, { force: true });
+        }
+    }
+
+    // Every table's rows as of one moment (see createSnapshot)
+    async dumpDatabase() {
+        return this.transaction(async (client) => {
+            // One snapshot for all the reads (InnoDB's default already is)
+            if (this.type === 'postgresql') {
+                await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+            }
+            const migrations = await this.query("SELECT version FROM schema_migrations ORDER BY version", [], client);
+            const tables = [];
+            for (const name of (await this.getTableOrder(client)).tables) {
+                const rows = await this.dumpTableRows(name, client);
+                tables.push({ name, count: rows.length, rows });
+            }
+            return { migrations: migrations.map(row => row.version), tables };
+        });
+    }
+
+    // A table's rows as plain JSON values; dates and timestamps come back as
+    // the strings the database stores rather than as Date objects. With
+    // `limit`, one page of the rows in `orderBy` order.
+    async dumpTableRows(table, client = this.db, { orderBy = null, limit = null, offset = 0 } = {}) {
+        const page = (alias = '') => limit
+            ? ` ORDER BY ${alias}${orderBy} LIMIT ${Number(limit)} OFFSET ${Number(offset)}`
+            : '';
+        if (this.type === 'postgresql') {
+            const result = await client.query(`SELECT row_to_json(t) AS row FROM ${table} t${page('t.')}`);
+            return result.rows.map(result => result.row);
         }
+        if (this.type === 'mysql') {
+            const [rows] = await client.query({ sql: `SELECT * FROM ${table}${page()}`, dateStrings: true });
+            return rows.map(row => ({ ...row }));
+        }
+        return this.query(`SELECT * FROM ${table}${page()}`, [], client);
     }
 
-    async getMonthlyTotals() {
+    // Loads a dump into the database. The schema is first taken back to the
+    // dump's migration version so every table matches the dump, the rows are
+    // replaced in one transaction, and the migrations made since are applied
+    // again to the restored rows.
+    async loadDump(dump) {
+        const migrator = new Migrator(this);
+        const applied = await migrator.getAppliedVersions();
+        if (dump.migrations.some(version => !applied.includes(version))) {
+            throw new BackupError('Apply the pending migrations before restoring this backup');
+        }
+
+        const newer = applied.filter(version => !dump.migrations.includes(version));
+        if (newer.length > 0) await migrator.down(newer.length);
         try {
-            if (this.type === 'sqlite') {
-                return new Promise((resolve, reject) => {
-                    this.db.all(
-                        `SELECT 
-                            strftime('%Y-%m', date) as month,
-                            SUM(amount) as total
-                         FROM expenses 
-                         GROUP BY strftime('%Y-%m', date)
-                         ORDER BY month DESC
-                         LIMIT 6`,
-                        (err, rows) => {
-                            if (err) reject(err);
-                            else resolve(rows);
-                        }
+            await this.transaction(async (client) => {
+                const { tables, selfReferences } = await this.getTableOrder(client);
+                const missing = dump.tables.find(table => !tables.includes(table.name));
+                if (missing) {
+                    throw new BackupError(`The backup has a table this database does not: ${missing.name}`);
+                }
+
+                // Children before parents when deleting, parents first when inserting
+                for (const table of [...tables].reverse()) {
+                    await this.execute(`DELETE FROM ${table}`, [], client);
+                }
+                const dumped = new Map(dump.tables.map(table => [table.name, table]));
+                for (const table of tables.filter(name => dumped.has(name))) {
+                    const { rows } = dumped.get(table);
+                    await this.insertRows(
+                        table,
+                        selfReferences[table] ? parentsFirst(rows, selfReferences[table]) : rows,
+                        client
                     );
-                });
-            } else if (this.type === 'mysql') {
-                const [rows] = await this.db.execute(
-                    `SELECT 
-                        DATE_FORMAT(date, '%Y-%m') as month,
-                        SUM(amount) as total
-                     FROM expenses 
-                     GROUP BY DATE_FORMAT(date, '%Y-%m')
-                     ORDER BY month DESC
-                     LIMIT 6`
-                );
-                return rows;
-            } else if (this.type === 'postgresql') {
-                const result = await this.db.query(
-                    `SELECT 
-                        TO_CHAR(date, 'YYYY-MM') as month,
-                        SUM(amount) as total
-                     FROM expenses 
-                     GROUP BY TO_CHAR(date, 'YYYY-MM')
-                     ORDER BY month DESC
-                     LIMIT 6`
-                );
-                return result.rows;
+                    const [{ count }] = await this.query(`SELECT COUNT(*) as count FROM ${table}`, [], client);
+                    if (Number(count) !== rows.length) {
+                        throw new BackupError(`Restoring ${table} gave ${count} rows instead of ${rows.length}`);
+                    }
+                }
+                await this.resetSequences(client);
+            });
+        } finally {
+            await migrator.up();
+        }
+    }
+
+    // Inserts rows as they are, ids included, several rows per statement
+    async insertRows(table, rows, client = this.db) {
+        if (rows.length === 0) return;
+        const columns = Object.keys(rows[0]);
+        const rowsPerStatement = Math.max(Math.floor(900 / columns.length), 1);
+        const placeholders = `(${columns.map(() => '?').join(', ')})`;
+
+        for (let start = 0; start < rows.length; start += rowsPerStatement) {
+            const batch = rows.slice(start, start + rowsPerStatement);
+            await this.execute(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${batch.map(() => placeholders).join(', ')}`,
+                batch.flatMap(row => columns.map(column => row[column] === undefined ? null : row[column])),
+                client
+            );
+        }
+    }
+
+    // PostgreSQL sequences don't move when ids are inserted explicitly; start
+    // each one after the table's highest id. MySQL and SQLite do this themselves.
+    async resetSequences(client = this.db) {
+        if (this.type !== 'postgresql') return;
+        const tables = await this.query(
+            `SELECT table_name FROM information_schema.columns
+             WHERE table_schema = current_schema() AND column_name = 'id'`,
+            [],
+            client
+        );
+        for (const { table_name: table } of tables) {
+            await this.query(
+                `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${table}`,
+                [],
+                client
+            );
+        }
+    }
+
+    // The application's tables (schema_migrations aside), every table after
+    // the tables its foreign keys point to, and for tables that refer to
+    // themselves (categories.parent_id) the referring column
+    async getTableOrder(client = this.db) {
+        let names;
+        let foreignKeys;
+        if (this.type === 'sqlite') {
+            names = (await this.query(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'",
+                [],
+                client
+            )).map(row => row.name);
+            foreignKeys = [];
+            for (const table of names) {
+                const keys = await this.query(`PRAGMA foreign_key_list(${table})`, [], client);
+                keys.forEach(key => foreignKeys.push({ table_name: table, column_name: key.from, referenced_table: key.table }));
             }
+        } else {
+            const schema = this.type === 'mysql' ? 'DATABASE()' : 'current_schema()';
+            names = (await this.query(
+                `SELECT table_name AS name FROM information_schema.tables
+                 WHERE table_schema = ${schema} AND table_type = 'BASE TABLE'`,
+                [],
+                client
+            )).map(row => row.name);
+            foreignKeys = await this.query(
+                this.type === 'mysql'
+                    ? `SELECT table_name AS table_name, column_name AS column_name, referenced_table_name AS referenced_table
+                       FROM information_schema.key_column_usage
+                       WHERE table_schema = DATABASE() AND referenced_table_name IS NOT NULL`
+                    : `SELECT kcu.table_name, kcu.column_name, ccu.table_name AS referenced_table
+                       FROM information_schema.table_constraints tc
+                       JOIN information_schema.key_column_usage kcu
+                         ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+                       JOIN information_schema.constraint_column_usage ccu
+                         ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
+                       WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = current_schema()`,
+                [],
+                client
+            );
+        }
+
+        names = names.filter(name => name !== 'schema_migrations').sort();
+        const selfReferences = {};
+        const dependsOn = new Map(names.map(name => [name, new Set()]));
+        foreignKeys.forEach(({ table_name: table, column_name: column, referenced_table: referenced }) => {
+            if (!dependsOn.has(table)) return;
+            if (table === referenced) selfReferences[table] = column;
+            else if (dependsOn.has(referenced)) dependsOn.get(table).add(referenced);
+        });
+
+        const tables = [];
+        while (tables.length < names.length) {
+            const ready = names.filter(name => !tables.includes(name) &&
+                [...dependsOn.get(name)].every(referenced => tables.includes(referenced)));
+            if (ready.length === 0) {
+                throw new Error('The tables\' foreign keys form a cycle');
+            }
+            tables.push(...ready);
+        }
+        return { tables, selfReferences };
+    }
+
+    // A table's columns in order, as { name, type } with the dialect's type name
+    async getTableColumns(table, client = this.db) {
+        if (this.type === 'sqlite') {
+            const columns = await this.query(`PRAGMA table_info(${table})`, [], client);
+            return columns.map(column => ({ name: column.name, type: column.type }));
+        }
+        const schema = this.type === 'mysql' ? 'DATABASE()' : 'current_schema()';
+        return this.query(
+            `SELECT column_name AS name, data_type AS type FROM information_schema.columns
+             WHERE table_schema = ${schema} AND table_name = ? ORDER BY ordinal_position`,
+            [table],
+            client
+        );
+    }
+
+    // Dialect-neutral helpers. SQL is written with `?` placeholders, which are
+    // rewritten to `$1, $2, ...` for PostgreSQL.
+    toPostgresParams(sql) {
+        let index = 0;
+        return sql.replace(/\?/g, () => `$${++index}`);
+    }
+
+    async query(sql, params = [], client = this.db) {
+        if (this.type === 'sqlite') {
+            return new Promise((resolve, reject) => {
+                client.all(sql, params, (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                });
+            });
+        } else if (this.type === 'mysql') {
+            const [rows] = await client.query(sql, params);
+            return rows;
+        } else if (this.type === 'postgresql') {
+            const result = await client.query(this.toPostgresParams(sql), params);
+            return result.rows;
+        }
+    }
+
+    // Runs a write statement and reports { changes, insertId }
+    async execute(sql, params = [], client = this.db) {
+        if (this.type === 'sqlite') {
+            return new Promise((resolve, reject) => {
+                client.run(sql, params, function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes, insertId: this.lastID });
+                });
+            });
+        } else if (this.type === 'mysql') {
+            const [result] = await client.query(sql, params);
+            return { changes: result.affectedRows, insertId: result.insertId };
+        } else if (this.type === 'postgresql') {
+            const result = await client.query(this.toPostgresParams(sql), params);
+            return { changes: result.rowCount, insertId: result.rows[0] && result.rows[0].id };
+        }
+    }
+
+    async insert(table, record, client = this.db) {
+        const columns = Object.keys(record);
+        const placeholders = columns.map(() => '?').join(', ');
+        let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+        if (this.type === 'postgresql') {
+            sql += ' RETURNING id';
+        }
+
+        const result = await this.execute(sql, Object.values(record), client);
+        return { id: result.insertId, ...record };
+    }
+
+    // Runs `work(client)` inside a transaction; pass the client to query/execute/insert
+    async transaction(work) {
+        if (this.type === 'sqlite') {
+            return this.queueSQLiteTransaction(async () => {
+                await this.runSQLite('BEGIN TRANSACTION');
+                try {
+                    const result = await work(this.db);
+                    await this.runSQLite('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.runSQLite('ROLLBACK');
+                    throw error;
+                }
+            });
+        }
+
+        // MySQL and PostgreSQL: a pooled connection of the transaction's own
+        const client = this.type === 'postgresql' ? await this.db.connect() : await this.db.getConnection();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
         } catch (error) {
+            await client.query('ROLLBACK');
             throw error;
+        } finally {
+            client.release();
         }
     }
 
+    // Runs `task` once every SQLite transaction queued before it has finished
+    queueSQLiteTransaction(task) {
+        const result = this.sqliteTransactions.then(task);
+        this.sqliteTransactions = result.catch(() => {});
+        return result;
+    }
+
     async runSQLite(sql, params = []) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
@@ -388,6 +2119,7 @@ class DatabaseManager {
     }
 
     async close() {
+        if (!this.db) return;
         try {
             if (this.type === 'sqlite') {
                 this.db.close();
@@ -408,11 +2140,112 @@ const dbManager = new DatabaseManager();
 
 // Export database operations for backward compatibility
 const dbOperations = {
-    addExpense: (expense) => dbManager.addExpense(expense),
-    getAllExpenses: () => dbManager.getAllExpenses(),
-    getExpensesByMonth: (year, month) => dbManager.getExpensesByMonth(year, month),
-    getCategoryTotals: (year, month) => dbManager.getCategoryTotals(year, month),
-    getMonthlyTotals: () => dbManager.getMonthlyTotals()
+    addExpense: (expense, userId) => dbManager.addExpense(expense, userId),
+    getExpenseById: (id, userId) => dbManager.getExpenseById(id, userId),
+    updateExpense: (id, expense, userId) => dbManager.updateExpense(id, expense, userId),
+    deleteExpense: (id, userId) => dbManager.deleteExpense(id, userId),
+    getAllExpenses: (userId) => dbManager.getAllExpenses(userId),
+    findExpenses: (filters) => dbManager.findExpenses(filters),
+    getFilteredExpenses: (filters) => dbManager.getFilteredExpenses(filters),
+    getExpensesInRange: (from, to, userId) => dbManager.getExpensesInRange(from, to, userId),
+    addExpenses: (expenses, userId) => dbManager.addExpenses(expenses, userId),
+    getCategoryExamples: (userId) => dbManager.getCategoryExamples(userId),
+    getExpensesByMonth: (year, month, userId, options) => dbManager.getExpensesByMonth(year, month, userId, options),
+    getCategoryTotals: (year, month, userId, options) => dbManager.getCategoryTotals(year, month, userId, options),
+    getCategoryTotalsBetween: (from, to, userId, options) => dbManager.getCategoryTotalsBetween(from, to, userId, options),
+    getMonthlyCategoryTotals: (userId) => dbManager.getMonthlyCategoryTotals(userId),
+    getDailyTotals: (from, userId, options) => dbManager.getDailyTotals(from, userId, options),
+    getMonthlyTotals: (userId, options) => dbManager.getMonthlyTotals(userId, options),
+    getBudgets: (userId) => dbManager.getBudgets(userId),
+    getBudgetByCategory: (category, userId) => dbManager.getBudgetByCategory(category, userId),
+    setBudget: (budget, userId) => dbManager.setBudget(budget, userId),
+    updateBudget: (id, budget, userId) => dbManager.updateBudget(id, budget, userId),
+    deleteBudget: (id, userId) => dbManager.deleteBudget(id, userId),
+    getBaseCurrency: (userId) => dbManager.getBaseCurrency(userId),
+    setBaseCurrency: (userId, baseCurrency) => dbManager.setBaseCurrency(userId, baseCurrency),
+    getLatestExchangeRates: () => dbManager.getLatestExchangeRates(),
+    importExchangeRates: (rates) => dbManager.importExchangeRates(rates),
+    getCategories: (userId) => dbManager.getCategories(userId),
+    getCategoryById: (id, userId) => dbManager.getCategoryById(id, userId),
+    getCategoryByName: (name, userId) => dbManager.getCategoryByName(name, userId),
+    createCategory: (category, userId) => dbManager.createCategory(category, userId),
+    updateCategory: (id, category, userId) => dbManager.updateCategory(id, category, userId),
+    getCategoryUsage: (name, userId) => dbManager.getCategoryUsage(name, userId),
+    deleteCategory: (id, userId) => dbManager.deleteCategory(id, userId),
+    mergeCategory: (source, target, userId) => dbManager.mergeCategory(source, target, userId),
+    addMissingCategories: (userId) => dbManager.addMissingCategories(userId),
+    getAnomalyFeedback: (userId) => dbManager.getAnomalyFeedback(userId),
+    setAnomalyFeedback: (feedback, userId) => dbManager.setAnomalyFeedback(feedback, userId),
+    deleteAnomalyFeedback: (id, userId) => dbManager.deleteAnomalyFeedback(id, userId),
+    getRecurringExpenses: (userId) => dbManager.getSchedules('recurring_expenses', userId),
+    getRecurringExpenseById: (id, userId) => dbManager.getScheduleById('recurring_expenses', id, userId),
+    addRecurringExpense: (schedule, userId) => dbManager.addSchedule('recurring_expenses', schedule, userId),
+    updateRecurringExpense: (id, schedule, userId) => dbManager.updateSchedule('recurring_expenses', id, schedule, userId),
+    deleteRecurringExpense: (id, userId) => dbManager.deleteSchedule('recurring_expenses', id, userId),
+    getDueRecurringExpenses: (date) => dbManager.getDueSchedules('recurring_expenses', date),
+    postRecurringExpense: (id, date, nextRun, expense, userId) => dbManager.postScheduleRun(
+        'recurring_expenses', id, date, nextRun, (client) => dbManager.addExpense(expense, userId, client)
+    ),
+    getRecurringIncome: (userId) => dbManager.getSchedules('recurring_income', userId),
+    getRecurringIncomeById: (id, userId) => dbManager.getScheduleById('recurring_income', id, userId),
+    addRecurringIncome: (schedule, userId) => dbManager.addSchedule('recurring_income', schedule, userId),
+    updateRecurringIncome: (id, schedule, userId) => dbManager.updateSchedule('recurring_income', id, schedule, userId),
+    deleteRecurringIncome: (id, userId) => dbManager.deleteSchedule('recurring_income', id, userId),
+    getDueRecurringIncome: (date) => dbManager.getDueSchedules('recurring_income', date),
+    postRecurringIncome: (id, date, nextRun, income, userId) => dbManager.postScheduleRun(
+        'recurring_income', id, date, nextRun, (client) => dbManager.addIncome(income, userId, client)
+    ),
+    addIncome: (income, userId) => dbManager.addIncome(income, userId),
+    getIncome: (filters) => dbManager.getIncome(filters),
+    getIncomeById: (id, userId) => dbManager.getIncomeById(id, userId),
+    updateIncome: (id, income, userId) => dbManager.updateIncome(id, income, userId),
+    deleteIncome: (id, userId) => dbManager.deleteIncome(id, userId),
+    getMonthlyIncomeTotals: (userId, options) => dbManager.getMonthlyIncomeTotals(userId, options),
+    getAccounts: (userId) => dbManager.getAccounts(userId),
+    getAccountById: (id, userId) => dbManager.getAccountById(id, userId),
+    createAccount: (account, userId) => dbManager.createAccount(account, userId),
+    updateAccount: (id, account, userId) => dbManager.updateAccount(id, account, userId),
+    getAccountUsage: (id, userId) => dbManager.getAccountUsage(id, userId),
+    deleteAccount: (id, userId) => dbManager.deleteAccount(id, userId),
+    getTransfers: (userId, accountId) => dbManager.getTransfers(userId, accountId),
+    addTransfer: (transfer, userId) => dbManager.addTransfer(transfer, userId),
+    deleteTransfer: (id, userId) => dbManager.deleteTransfer(id, userId),
+    getAttachments: (expenseId, userId) => dbManager.getAttachments(expenseId, userId),
+    getAttachmentById: (id, userId) => dbManager.getAttachmentById(id, userId),
+    addAttachment: (attachment, userId) => dbManager.addAttachment(attachment, userId),
+    deleteAttachment: (id, userId) => dbManager.deleteAttachment(id, userId),
+    getSyncValue: (name) => dbManager.getSyncValue(name),
+    setSyncValue: (name, value) => dbManager.setSyncValue(name, value),
+    getSyncUsers: () => dbManager.getSyncUsers(),
+    getDeviceId: () => dbManager.getDeviceId(),
+    trackExpenseChanges: (userId, ids) => dbManager.trackExpenseChanges(userId, ids),
+    getSyncOutbox: (limit) => dbManager.getSyncOutbox(limit),
+    getSyncOutboxSize: (userId) => dbManager.getSyncOutboxSize(userId),
+    onSyncQueued: (listener) => dbManager.onSyncQueued(listener),
+    clearSyncOutbox: (ids) => dbManager.clearSyncOutbox(ids),
+    mergeSyncedExpenses: (userId, records) => dbManager.mergeSyncedExpenses(userId, records),
+    createSnapshot: () => dbManager.createSnapshot(),
+    verifySnapshot: (header, data) => dbManager.verifySnapshot(header, data),
+    restoreSnapshot: (header, data) => dbManager.restoreSnapshot(header, data),
+    createUser: (user) => dbManager.createUser(user),
+    getUserByEmail: (email) => dbManager.getUserByEmail(email),
+    getUserById: (id) => dbManager.getUserById(id),
+    getFirstUserId: () => dbManager.getFirstUserId(),
+    getUserCount: () => dbManager.getUserCount(),
+    claimUnownedData: (userId) => dbManager.claimUnownedData(userId),
+    createLedger: (name, userId) => dbManager.createLedger(name, userId),
+    getLedgersForUser: (userId) => dbManager.getLedgersForUser(userId),
+    getLedgerById: (id) => dbManager.getLedgerById(id),
+    deleteLedger: (id) => dbManager.deleteLedger(id),
+    getLedgerMembers: (ledgerId) => dbManager.getLedgerMembers(ledgerId),
+    getLedgerRole: (ledgerId, userId) => dbManager.getLedgerRole(ledgerId, userId),
+    addLedgerMember: (ledgerId, userId, role) => dbManager.addLedgerMember(ledgerId, userId, role),
+    updateLedgerMemberRole: (ledgerId, userId, role) => dbManager.updateLedgerMemberRole(ledgerId, userId, role),
+    removeLedgerMember: (ledgerId, userId) => dbManager.removeLedgerMember(ledgerId, userId),
+    addLedgerExpense: (ledgerId, expense, splits, userId) => dbManager.addLedgerExpense(ledgerId, expense, splits, userId),
+    getLedgerExpenses: (ledgerId) => dbManager.getLedgerExpenses(ledgerId),
+    getLedgerSplits: (ledgerId) => dbManager.getLedgerSplits(ledgerId),
+    deleteLedgerExpense: (ledgerId, expenseId) => dbManager.deleteLedgerExpense(ledgerId, expenseId)
 };
 
-module.exports = { dbManager, dbOperations };
+module.exports = { dbManager, dbOperations, DatabaseManager, DB_CONFIG, isUniqueViolation };
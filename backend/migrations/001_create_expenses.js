@@ -0,0 +1,20 @@
+// Baseline expenses table. IF NOT EXISTS keeps this a no-op on installs
+// created before migrations were introduced.
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS expenses (
+                id ${types.id},
+                date ${types.date} NOT NULL,
+                category ${types.string} NOT NULL,
+                amount ${types.money} NOT NULL,
+                description ${types.text},
+                created_at ${types.timestamp}
+            )
+        `);
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS expenses');
+    }
+};
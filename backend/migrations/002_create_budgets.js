@@ -0,0 +1,17 @@
+// Monthly budgets. A NULL category is the overall budget.
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS budgets (
+                id ${types.id},
+                category ${types.string},
+                amount ${types.money} NOT NULL,
+                created_at ${types.timestamp}
+            )
+        `);
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS budgets');
+    }
+};
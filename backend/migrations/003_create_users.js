@@ -0,0 +1,57 @@
+const createExpenses = require('./001_create_expenses');
+const createBudgets = require('./002_create_budgets');
+
+// User accounts, plus an owning user_id on expenses and budgets.
+// Existing rows keep a NULL owner until the first account claims them.
+const OWNED_TABLES = [
+    { table: 'expenses', create: createExpenses, columns: 'id, date, category, amount, description, created_at' },
+    { table: 'budgets', create: createBudgets, columns: 'id, category, amount, created_at' }
+];
+
+module.exports = {
+    async up({ execute, type, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS users (
+                id ${types.id},
+                email ${types.string} NOT NULL UNIQUE,
+                password_hash ${types.text} NOT NULL,
+                name ${types.string},
+                created_at ${types.timestamp}
+            )
+        `);
+
+        for (const { table } of OWNED_TABLES) {
+            if (type === 'mysql') {
+                await execute(`
+                    ALTER TABLE ${table}
+                    ADD COLUMN user_id INT NULL,
+                    ADD CONSTRAINT fk_${table}_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                `);
+            } else {
+                await execute(`ALTER TABLE ${table} ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE`);
+                await execute(`CREATE INDEX idx_${table}_user ON ${table} (user_id)`);
+            }
+        }
+    },
+
+    async down(context) {
+        const { execute, type } = context;
+
+        for (const { table, create, columns } of OWNED_TABLES) {
+            if (type === 'mysql') {
+                await execute(`ALTER TABLE ${table} DROP FOREIGN KEY fk_${table}_user, DROP COLUMN user_id`);
+            } else if (type === 'postgresql') {
+                await execute(`ALTER TABLE ${table} DROP COLUMN user_id`);
+            } else {
+                // SQLite cannot drop a column used in a foreign key, so rebuild the table without it
+                await execute(`DROP INDEX IF EXISTS idx_${table}_user`);
+                await execute(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+                await create.up(context);
+                await execute(`INSERT INTO ${table} (${columns}) SELECT ${columns} FROM ${table}_old`);
+                await execute(`DROP TABLE ${table}_old`);
+            }
+        }
+
+        await execute('DROP TABLE IF EXISTS users');
+    }
+};
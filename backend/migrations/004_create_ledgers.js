@@ -0,0 +1,65 @@
+// Shared ledgers, their members and per-member expense splits.
+// Expenses gain ledger_id (NULL for personal expenses), paid_by and split_type.
+// These columns carry no foreign key so SQLite can drop them again on rollback;
+// deleting a ledger removes its expenses explicitly.
+const EXPENSE_COLUMNS = ['ledger_id', 'paid_by', 'split_type'];
+
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS ledgers (
+                id ${types.id},
+                name ${types.string} NOT NULL,
+                created_by INTEGER,
+                created_at ${types.timestamp},
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS ledger_members (
+                id ${types.id},
+                ledger_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role ${types.string} NOT NULL,
+                created_at ${types.timestamp},
+                UNIQUE (ledger_id, user_id),
+                FOREIGN KEY (ledger_id) REFERENCES ledgers(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        await execute('ALTER TABLE expenses ADD COLUMN ledger_id INTEGER');
+        await execute('ALTER TABLE expenses ADD COLUMN paid_by INTEGER');
+        await execute(`ALTER TABLE expenses ADD COLUMN split_type ${types.string}`);
+        await execute('CREATE INDEX idx_expenses_ledger ON expenses (ledger_id)');
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS expense_splits (
+                id ${types.id},
+                expense_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                amount ${types.money} NOT NULL,
+                FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    async down({ execute, type }) {
+        await execute('DROP TABLE IF EXISTS expense_splits');
+        await execute("DELETE FROM expenses WHERE ledger_id IS NOT NULL");
+
+        if (type === 'mysql') {
+            await execute('DROP INDEX idx_expenses_ledger ON expenses');
+        } else {
+            await execute('DROP INDEX IF EXISTS idx_expenses_ledger');
+        }
+        for (const column of EXPENSE_COLUMNS) {
+            await execute(`ALTER TABLE expenses DROP COLUMN ${column}`);
+        }
+
+        await execute('DROP TABLE IF EXISTS ledger_members');
+        await execute('DROP TABLE IF EXISTS ledgers');
+    }
+};
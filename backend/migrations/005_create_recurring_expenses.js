@@ -0,0 +1,34 @@
+// Recurring expenses (rent, subscriptions, ...). The scheduler posts an expense
+// for every occurrence up to today and moves next_run forward.
+// frequency is daily, weekly, monthly, yearly (every interval_count units) or cron.
+module.exports = {
+    async up({ execute, type, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS recurring_expenses (
+                id ${types.id},
+                user_id INTEGER,
+                category ${types.string} NOT NULL,
+                amount ${types.money} NOT NULL,
+                description ${types.text},
+                frequency ${types.string} NOT NULL,
+                interval_count INTEGER NOT NULL DEFAULT 1,
+                cron ${types.string},
+                start_date ${types.date} NOT NULL,
+                end_date ${types.date},
+                next_run ${types.date},
+                last_run ${types.date},
+                paused INTEGER NOT NULL DEFAULT 0,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        // Dates are TEXT on MySQL, which only indexes a TEXT column's first
+        // characters; YYYY-MM-DD fits in ten
+        const nextRun = type === 'mysql' ? 'next_run(10)' : 'next_run';
+        await execute(`CREATE INDEX idx_recurring_expenses_next_run ON recurring_expenses (${nextRun})`);
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS recurring_expenses');
+    }
+};
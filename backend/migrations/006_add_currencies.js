@@ -0,0 +1,45 @@
+// Multi-currency support.
+// Users get a base currency. Expenses keep the amount in their original
+// currency (currency, original_amount) next to `amount`, which stays in the
+// owner's base currency so totals can be summed directly. exchange_rates is
+// the locally maintained table conversions are read from: 1 base_currency
+// buys `rate` quote_currency on `date`.
+const EXPENSE_COLUMNS = ['currency', 'original_amount', 'exchange_rate'];
+
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`ALTER TABLE users ADD COLUMN base_currency ${types.string} NOT NULL DEFAULT 'INR'`);
+
+        await execute(`ALTER TABLE expenses ADD COLUMN currency ${types.string}`);
+        await execute(`ALTER TABLE expenses ADD COLUMN original_amount ${types.money}`);
+        await execute(`ALTER TABLE expenses ADD COLUMN exchange_rate ${types.rate}`);
+        await execute(`
+            UPDATE expenses
+            SET currency = 'INR', original_amount = amount, exchange_rate = 1
+            WHERE ledger_id IS NULL
+        `);
+
+        await execute(`ALTER TABLE recurring_expenses ADD COLUMN currency ${types.string}`);
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS exchange_rates (
+                id ${types.id},
+                date ${types.date} NOT NULL,
+                base_currency ${types.string} NOT NULL,
+                quote_currency ${types.string} NOT NULL,
+                rate ${types.rate} NOT NULL,
+                created_at ${types.timestamp}
+            )
+        `);
+        await execute('CREATE INDEX idx_exchange_rates_pair ON exchange_rates (base_currency, quote_currency)');
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS exchange_rates');
+        await execute('ALTER TABLE recurring_expenses DROP COLUMN currency');
+        for (const column of EXPENSE_COLUMNS) {
+            await execute(`ALTER TABLE expenses DROP COLUMN ${column}`);
+        }
+        await execute('ALTER TABLE users DROP COLUMN base_currency');
+    }
+};
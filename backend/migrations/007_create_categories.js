@@ -0,0 +1,60 @@
+// Per-user categories with an optional parent (one level of subcategories),
+// a colour and a Font Awesome icon. Expenses, budgets and recurring expenses
+// keep referring to categories by name.
+//
+// Every existing user gets the four original categories plus any other
+// category name their expenses, budgets or recurring expenses already use.
+const DEFAULTS = [
+    { name: 'Food', color: '#ff9500', icon: 'fa-utensils' },
+    { name: 'Travel', color: '#007aff', icon: 'fa-plane' },
+    { name: 'Shopping', color: '#af52de', icon: 'fa-shopping-bag' },
+    { name: 'Other', color: '#8e8e93', icon: 'fa-tag' }
+];
+
+module.exports = {
+    async up({ execute, query, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS categories (
+                id ${types.id},
+                user_id INTEGER,
+                name ${types.string} NOT NULL,
+                parent_id INTEGER,
+                color ${types.string},
+                icon ${types.string},
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE SET NULL
+            )
+        `);
+        await execute('CREATE INDEX idx_categories_user ON categories (user_id)');
+
+        const users = await query('SELECT id FROM users');
+        for (const user of users) {
+            const used = await query(
+                `SELECT category FROM expenses WHERE user_id = ? AND ledger_id IS NULL
+                 UNION SELECT category FROM budgets WHERE user_id = ? AND category IS NOT NULL
+                 UNION SELECT category FROM recurring_expenses WHERE user_id = ?`,
+                [user.id, user.id, user.id]
+            );
+
+            const categories = [...DEFAULTS];
+            used.forEach(row => {
+                const exists = categories.some(c => c.name.toLowerCase() === String(row.category).toLowerCase());
+                if (row.category && !exists) {
+                    categories.push({ name: row.category, color: '#8e8e93', icon: 'fa-tag' });
+                }
+            });
+
+            for (const category of categories) {
+                await execute(
+                    'INSERT INTO categories (user_id, name, color, icon) VALUES (?, ?, ?, ?)',
+                    [user.id, category.name, category.color, category.icon]
+                );
+            }
+        }
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS categories');
+    }
+};
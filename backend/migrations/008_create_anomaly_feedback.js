@@ -0,0 +1,23 @@
+// Feedback on flagged anomalies. `anomaly_key` identifies the pattern (for
+// example a category and description) rather than a single expense, so a
+// dismissed pattern is not flagged again; confirmed anomalies stay visible.
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS anomaly_feedback (
+                id ${types.id},
+                user_id INTEGER,
+                anomaly_key ${types.text} NOT NULL,
+                status ${types.string} NOT NULL,
+                expense_id INTEGER,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await execute('CREATE INDEX idx_anomaly_feedback_user ON anomaly_feedback (user_id)');
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS anomaly_feedback');
+    }
+};
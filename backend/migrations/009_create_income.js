@@ -0,0 +1,58 @@
+// Income entries (salary, freelance work, ...) alongside expenses. Amounts
+// are stored like expense amounts: `amount` in the owner's base currency next
+// to the original currency and amount. Recurring income is scheduled in
+// recurring_income and posted by the same scheduler as recurring expenses;
+// posted entries keep the schedule in recurring_id.
+module.exports = {
+    async up({ execute, type, types }) {
+        // Dates are TEXT on MySQL, which only indexes a TEXT column's first
+        // characters; YYYY-MM-DD fits in ten
+        const indexed = (column) => (type === 'mysql' ? `${column}(10)` : column);
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS recurring_income (
+                id ${types.id},
+                user_id INTEGER,
+                source ${types.string} NOT NULL,
+                amount ${types.money} NOT NULL,
+                description ${types.text},
+                currency ${types.string},
+                frequency ${types.string} NOT NULL,
+                interval_count INTEGER NOT NULL DEFAULT 1,
+                cron ${types.string},
+                start_date ${types.date} NOT NULL,
+                end_date ${types.date},
+                next_run ${types.date},
+                last_run ${types.date},
+                paused INTEGER NOT NULL DEFAULT 0,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await execute(`CREATE INDEX idx_recurring_income_next_run ON recurring_income (${indexed('next_run')})`);
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS income (
+                id ${types.id},
+                user_id INTEGER,
+                date ${types.date} NOT NULL,
+                source ${types.string} NOT NULL,
+                amount ${types.money} NOT NULL,
+                description ${types.text},
+                currency ${types.string},
+                original_amount ${types.money},
+                exchange_rate ${types.rate},
+                recurring_id INTEGER,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (recurring_id) REFERENCES recurring_income(id) ON DELETE SET NULL
+            )
+        `);
+        await execute(`CREATE INDEX idx_income_user_date ON income (user_id, ${indexed('date')})`);
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS income');
+        await execute('DROP TABLE IF EXISTS recurring_income');
+    }
+};
@@ -0,0 +1,59 @@
+// Accounts and wallets (cash, bank accounts, credit cards) that expenses and
+// income are paid from or into. opening_balance is the balance on
+// opening_date, in the owner's base currency. Transfers move money between
+// two of the user's accounts and are never counted as spending or income.
+const ACCOUNT_TABLES = ['expenses', 'income', 'recurring_expenses', 'recurring_income'];
+
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS accounts (
+                id ${types.id},
+                user_id INTEGER,
+                name ${types.string} NOT NULL,
+                type ${types.string} NOT NULL,
+                opening_balance ${types.money} NOT NULL DEFAULT 0,
+                opening_date ${types.date} NOT NULL,
+                archived INTEGER NOT NULL DEFAULT 0,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await execute('CREATE INDEX idx_accounts_user ON accounts (user_id)');
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS transfers (
+                id ${types.id},
+                user_id INTEGER,
+                date ${types.date} NOT NULL,
+                from_account_id INTEGER NOT NULL,
+                to_account_id INTEGER NOT NULL,
+                amount ${types.money} NOT NULL,
+                description ${types.text},
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (from_account_id) REFERENCES accounts(id),
+                FOREIGN KEY (to_account_id) REFERENCES accounts(id)
+            )
+        `);
+        await execute('CREATE INDEX idx_transfers_user ON transfers (user_id)');
+
+        for (const table of ACCOUNT_TABLES) {
+            await execute(`ALTER TABLE ${table} ADD COLUMN account_id INTEGER`);
+        }
+        await execute('CREATE INDEX idx_expenses_account ON expenses (account_id)');
+    },
+
+    async down({ execute, type }) {
+        if (type === 'mysql') {
+            await execute('DROP INDEX idx_expenses_account ON expenses');
+        } else {
+            await execute('DROP INDEX IF EXISTS idx_expenses_account');
+        }
+        for (const table of ACCOUNT_TABLES) {
+            await execute(`ALTER TABLE ${table} DROP COLUMN account_id`);
+        }
+        await execute('DROP TABLE IF EXISTS transfers');
+        await execute('DROP TABLE IF EXISTS accounts');
+    }
+};
@@ -0,0 +1,27 @@
+// Receipt images (or PDFs) attached to expenses. The files themselves live on
+// disk under ATTACHMENTS_DIR as storage_key; this table keeps who owns them,
+// the original file name and type, and the text OCR read from the image.
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id ${types.id},
+                user_id INTEGER,
+                expense_id INTEGER NOT NULL,
+                file_name ${types.string} NOT NULL,
+                storage_key ${types.string} NOT NULL,
+                mime_type ${types.string} NOT NULL,
+                size INTEGER NOT NULL,
+                ocr_text ${types.text},
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE CASCADE
+            )
+        `);
+        await execute('CREATE INDEX idx_attachments_expense ON attachments (expense_id)');
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS attachments');
+    }
+};
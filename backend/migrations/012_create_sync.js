@@ -0,0 +1,52 @@
+// Cloud sync bookkeeping (see services/cloudSync.js). sync_records holds the
+// sync state of each of a user's expenses: its sync_id (the same on every
+// device), a version and the JSON state with per-field change stamps; it
+// outlives a deleted expense (record_id NULL) so the deletion can be synced.
+// sync_outbox queues records changed since the last push, and sync_state
+// keeps this device's id and the pull position per user.
+module.exports = {
+    async up({ execute, types }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS sync_records (
+                id ${types.id},
+                user_id INTEGER NOT NULL,
+                entity ${types.string} NOT NULL,
+                sync_id ${types.string} NOT NULL,
+                record_id INTEGER,
+                version INTEGER NOT NULL DEFAULT 0,
+                state ${types.text} NOT NULL,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await execute('CREATE UNIQUE INDEX idx_sync_records_sync_id ON sync_records (user_id, entity, sync_id)');
+        await execute('CREATE INDEX idx_sync_records_record ON sync_records (entity, record_id)');
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS sync_outbox (
+                id ${types.id},
+                user_id INTEGER NOT NULL,
+                sync_record_id INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                created_at ${types.timestamp},
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (sync_record_id) REFERENCES sync_records(id) ON DELETE CASCADE
+            )
+        `);
+        await execute('CREATE INDEX idx_sync_outbox_record ON sync_outbox (sync_record_id)');
+
+        await execute(`
+            CREATE TABLE IF NOT EXISTS sync_state (
+                name ${types.string} PRIMARY KEY,
+                value ${types.text},
+                updated_at ${types.timestamp}
+            )
+        `);
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS sync_state');
+        await execute('DROP TABLE IF EXISTS sync_outbox');
+        await execute('DROP TABLE IF EXISTS sync_records');
+    }
+};
@@ -0,0 +1,30 @@
+// One budget per user and category. The overall budget has a NULL category,
+// and NULLs never clash in a unique index, so the index is on
+// COALESCE(category, '') instead. Duplicates saved before the index existed
+// are dropped first, keeping the newest.
+//
+// Indexing an expression needs MySQL 8.0.13 or later. A stored generated
+// column would work on older versions, but database copies and backup
+// restores insert every column, and MySQL refuses values for those.
+module.exports = {
+    async up({ execute }) {
+        // The ids are read through a derived table: MySQL cannot select from
+        // the table it is deleting from
+        await execute(`
+            DELETE FROM budgets WHERE id NOT IN (
+                SELECT id FROM (
+                    SELECT MAX(id) AS id FROM budgets GROUP BY user_id, COALESCE(category, '')
+                ) AS newest
+            )
+        `);
+        await execute("CREATE UNIQUE INDEX idx_budgets_user_category ON budgets (user_id, (COALESCE(category, '')))");
+    },
+
+    async down({ execute, type }) {
+        if (type === 'mysql') {
+            await execute('DROP INDEX idx_budgets_user_category ON budgets');
+        } else {
+            await execute('DROP INDEX IF EXISTS idx_budgets_user_category');
+        }
+    }
+};
@@ -0,0 +1,92 @@
+// Database copy CLI: moves every table from one configured backend to another
+//   npm run db:copy -- --from sqlite --to postgresql
+//   npm run db:copy -- --from mysql --to postgresql --batch-size 1000
+//   npm run db:copy -- --from sqlite --to mysql --replace
+//
+// Each side is configured as for the server (see env.example): SQLITE_PATH,
+// MYSQL_* or PG_*. The target is migrated to the current schema and must be
+// empty unless --replace is given, which deletes its rows first. Stop the
+// server while copying so the source does not change underneath the copy.
+
+const { DatabaseManager } = require('../config/database');
+const { DEFAULT_BATCH_SIZE, copyDatabase } = require('../services/databaseCopy');
+
+const DATABASE_TYPES = ['sqlite', 'mysql', 'postgresql'];
+
+function parseArgs(args) {
+    const options = { batchSize: DEFAULT_BATCH_SIZE, replace: false };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--from':
+                options.from = args[++i];
+                break;
+            case '--to':
+                options.to = args[++i];
+                break;
+            case '--batch-size':
+                options.batchSize = Number(args[++i]);
+                break;
+            case '--replace':
+                options.replace = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    for (const side of ['from', 'to']) {
+        if (!DATABASE_TYPES.includes(options[side])) {
+            throw new Error(`--${side} must be one of ${DATABASE_TYPES.join(', ')}`);
+        }
+    }
+    if (options.from === options.to) {
+        throw new Error('--from and --to must be different databases');
+    }
+    return options;
+}
+
+// Never falls back to SQLite: a copy into the wrong database is worse than none.
+// MySQL timestamps are read and written as UTC (see copyDatabase).
+function openDatabase(type) {
+    return new DatabaseManager({ type, autoMigrate: false, fallbackToSQLite: false, timeZone: '+00:00' });
+}
+
+let source = null;
+let target = null;
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    source = openDatabase(options.from);
+    await source.ready;
+    target = openDatabase(options.to);
+    await target.ready;
+
+    console.log(`📦 Copying ${options.from} → ${options.to} in batches of ${options.batchSize}`);
+    const results = await copyDatabase(source, target, {
+        batchSize: options.batchSize,
+        replace: options.replace,
+        onProgress: (table, copied) => console.log(`   ${table}: ${copied} rows`)
+    });
+
+    console.log('\nVerification:');
+    results.forEach(result => {
+        console.log(`${result.matches ? '✅' : '❌'} ${result.table}: ${result.rows}/${result.sourceRows} rows, ` +
+            `checksum ${result.targetChecksum.slice(0, 12)}${result.matches ? '' : ` (expected ${result.sourceChecksum.slice(0, 12)})`}`);
+    });
+
+    const mismatched = results.filter(result => !result.matches);
+    if (mismatched.length > 0) {
+        throw new Error(`${mismatched.length} table(s) differ between ${options.from} and ${options.to}`);
+    }
+    console.log(`✅ Copied ${results.reduce((sum, result) => sum + result.rows, 0)} rows in ${results.length} tables`);
+}
+
+main()
+    .catch(error => {
+        console.error('❌ Copy failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        if (source) await source.close();
+        if (target) await target.close();
+    });
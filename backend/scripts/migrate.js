@@ -0,0 +1,44 @@
+// Schema migration CLI
+//   npm run migrate:up              apply all pending migrations
+//   npm run migrate:down [-- N]     revert the last N migrations (default 1)
+//   npm run migrate:status          list migrations and whether they are applied
+
+// Keep the database module from migrating on its own when it connects
+process.env.DB_AUTO_MIGRATE = 'false';
+
+const { dbManager } = require('../config/database');
+const Migrator = require('../services/migrator');
+
+async function main() {
+    const [command = 'up', stepsArg] = process.argv.slice(2);
+    await dbManager.ready;
+    const migrator = new Migrator(dbManager);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrator.up();
+            console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+            break;
+        }
+        case 'down': {
+            const steps = Math.max(parseInt(stepsArg) || 1, 1);
+            const reverted = await migrator.down(steps);
+            console.log(`✅ Reverted ${reverted.length} migration(s)`);
+            break;
+        }
+        case 'status': {
+            const migrations = await migrator.status();
+            migrations.forEach(m => console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`));
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => dbManager.close());
@@ -1,135 +1,2207 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { dbOperations } = require('./config/database');
+const multer = require('multer');
+const { dbManager, dbOperations, isUniqueViolation } = require('./config/database');
+const importer = require('./services/importer');
+const exporter = require('./services/exporter');
+const auth = require('./services/auth');
+const splits = require('./services/splits');
+const recurrence = require('./services/recurrence');
+const periods = require('./services/periods');
+const currency = require('./services/currency');
+const categories = require('./services/categories');
+const accounts = require('./services/accounts');
+const receipts = require('./services/receipts');
+const { MAX_CATCH_UP, RecurringScheduler, exceedsCatchUp } = require('./services/scheduler');
+const { CloudSyncService } = require('./services/cloudSync');
+const { BackupService, BackupError } = require('./services/backups');
+const { CategorySuggester } = require('./services/classifier');
+const forecasting = require('./services/forecast');
+const anomalyDetection = require('./services/anomalies');
+const { InsightEngine, createContext } = require('./services/insights');
 const app = express();
 const PORT = process.env.PORT || 3000;
-app.use(cors());
+
+// Suggests categories from each user's own expense history (see POST /categorize)
+const suggester = new CategorySuggester(dbOperations.getCategoryExamples);
+
+// Recommendation and trend rules for /ai-insights
+const insightEngine = new InsightEngine();
+
+// Posts due recurring expenses; checks every SCHEDULER_INTERVAL_MINUTES (default hourly)
+const scheduler = new RecurringScheduler(
+    dbOperations,
+    (parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    (expense, userId) => suggester.learn(userId, expense)
+);
+const CATCH_UP_ERROR = `startDate is too far in the past: at most ${MAX_CATCH_UP} missed occurrences can be posted`;
+
+// Two-way sync of expenses with other devices (CLOUD_SYNC_* settings)
+const cloudSync = new CloudSyncService(dbOperations);
+
+// Encrypted database backups (BACKUP_* settings); category models are
+// retrained from the restored expenses
+const backups = new BackupService(dbOperations, { onRestore: () => suggester.resetAll() });
+
+// Whole-database operations are for administrators: the accounts listed in
+// ADMIN_EMAILS, or the first account created when it is not set
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// Only the configured frontend origins may call the API from a browser
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:8000,http://127.0.0.1:8000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(bodyParser.json());
-// Simple AI prediction function
-function predictNextMonth(monthlyTotals) {
-    if (monthlyTotals.length < 2) return 0;
-    
-    const recent = monthlyTotals[0].total;
-    const previous = monthlyTotals[1].total;
-    const trend = recent - previous;
-    return Math.max(0, recent + trend);
-}
-// Generate AI insights
-function generateInsights(expenses, categoryTotals, monthlyTotals) {
-    const insights = {
-        predictions: { nextMonth: predictNextMonth(monthlyTotals) },
-        recommendations: [],
-        anomalies: []
+
+// Uploaded statements are parsed in memory and never written to disk
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Receipts attached to expenses are kept on disk (see services/receipts.js);
+// receipts scanned to pre-fill a new expense are only held in memory
+const receiptUpload = multer({
+    storage: receipts.storage,
+    limits: { fileSize: receipts.MAX_RECEIPT_SIZE },
+    fileFilter: receipts.fileFilter
+});
+const scanUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: receipts.MAX_RECEIPT_SIZE },
+    fileFilter: receipts.imageFilter
+});
+
+// Wrap a multer middleware so upload errors become JSON 400 responses
+function handleUpload(middleware) {
+    return (req, res, next) => {
+        middleware(req, res, (err) => {
+            if (err) return res.status(400).json({ error: err.message });
+            next();
+        });
     };
-    // Category recommendations
-    if (categoryTotals.length > 0) {
-        const total = categoryTotals.reduce((sum, cat) => sum + cat.total, 0);
-        const highest = categoryTotals[0];
-        const percentage = (highest.total / total) * 100;
+}
+// Forecast this month and the next `horizon` months for a user (see services/forecast.js)
+async function loadForecast(userId, horizon, today = recurrence.today()) {
+    const [monthlyRows, dailyRows] = await Promise.all([
+        dbOperations.getMonthlyCategoryTotals(userId),
+        dbOperations.getDailyTotals(forecasting.dailyWindowStart(today), userId)
+    ]);
+    return forecasting.buildForecast({ monthlyRows, dailyRows, today, horizon });
+}
+
+// Anomalies among the user's expenses dated from..to (YYYY-MM-DD), judged
+// against the history before them (see services/anomalies.js)
+async function loadAnomalies(user, from, to, options = {}) {
+    const settings = { ...anomalyDetection.DEFAULT_OPTIONS, ...options, currency: user.base_currency };
+    const [history, feedback] = await Promise.all([
+        dbOperations.getExpensesInRange(recurrence.addDays(from, -settings.windowDays), to, user.id),
+        dbOperations.getAnomalyFeedback(user.id)
+    ]);
+    return anomalyDetection.detectAnomalies({ history, from, to, feedback, options: settings });
+}
+
+// Generate AI insights: forecasts, rule-based recommendations and trends
+// (see services/insights.js) and anomalies
+function generateInsights(forecast, anomalies, context) {
+    const [nextMonth] = forecast.overall.forecasts;
+    const { recommendations, trends } = insightEngine.run(context);
+
+    return {
+        predictions: {
+            nextMonth: nextMonth.value,
+            nextMonthRange: { lower: nextMonth.lower, upper: nextMonth.upper },
+            currentMonth: forecast.overall.currentMonth,
+            model: forecast.overall.model,
+            categories: forecast.categories.slice(0, 5).map(entry => ({
+                category: entry.category,
+                nextMonth: entry.forecasts[0].value
+            }))
+        },
+        recommendations,
+        trends,
+        anomalies
+    };
+}
+
+// Compare this month's spending against the configured budgets
+function buildBudgetReport(totalSpending, categoryTotals, budgets) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const overall = budgets.find(budget => !budget.category);
+    const categoryBudgets = budgets.filter(budget => budget.category);
+    const categories = new Set([
+        ...categoryTotals.map(cat => cat.category),
+        ...categoryBudgets.map(budget => budget.category)
+    ]);
+
+    const categoryUtilisation = [...categories].map(category => {
+        // A parent category's budget covers its subcategories too
+        const spent = categoryTotals
+            .filter(cat => cat.category === category || cat.parent === category)
+            .reduce((sum, cat) => sum + Number(cat.total), 0);
+        const budget = categoryBudgets.find(b => b.category === category);
+        return {
+            category,
+            spent: round(spent),
+            budget: budget ? budget.amount : null,
+            utilisation: budget ? round((spent / budget.amount) * 100) : null,
+            isOverBudget: budget ? spent > budget.amount : false
+        };
+    });
+
+    return {
+        budgetLimit: overall ? overall.amount : null,
+        budgetUtilisation: overall ? round((totalSpending / overall.amount) * 100) : null,
+        isOverBudget: overall ? totalSpending > overall.amount : false,
+        categoryUtilisation,
+        overBudgetCategories: categoryUtilisation
+            .filter(cat => cat.isOverBudget)
+            .map(cat => cat.category)
+    };
+}
+
+// Net cash flow and savings rate (percent of income kept) for one period;
+// the savings rate is null when there was no income
+function summarizeCashFlow(income, expenses) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const net = income - expenses;
+    return {
+        income: round(income),
+        expenses: round(expenses),
+        netCashFlow: round(net),
+        savingsRate: income > 0 ? round((net / income) * 100) : null
+    };
+}
+
+// Month-by-month income against expenses for the `months` months up to and
+// including `currentMonth` (YYYY-MM); months without entries count as zero
+function buildCashFlow(monthlyExpenses, monthlyIncome, currentMonth, months = 6) {
+    const totalFor = (rows, month) => rows
+        .filter(row => row.month === month)
+        .reduce((sum, row) => sum + Number(row.total), 0);
+
+    const series = [];
+    for (let offset = months - 1; offset >= 0; offset--) {
+        const month = recurrence.addMonths(`${currentMonth}-01`, -offset).slice(0, 7);
+        series.push({ month, ...summarizeCashFlow(totalFor(monthlyIncome, month), totalFor(monthlyExpenses, month)) });
+    }
+    return series;
+}
+
+// Days of spending shown on the dashboard heatmap (26 weeks)
+const HEATMAP_DAYS = 182;
+
+// Per-day totals across categories from getDailyTotals rows
+function sumByDate(rows) {
+    const totals = new Map();
+    rows.forEach(row => totals.set(row.date, (totals.get(row.date) || 0) + row.total));
+    return [...totals].map(([date, total]) => ({ date, total: Math.round(total * 100) / 100 }));
+}
+
+function isValidBudget({ amount }) {
+    return Boolean(amount && parseFloat(amount) > 0);
+}
+
+// Validate expense fields shared by create and update; currency is optional
+function isValidExpense({ date, category, amount, currency: code }) {
+    return Boolean(recurrence.isValidDate(date) && category && amount && parseFloat(amount) > 0 && (!code || currency.normalizeCurrency(code)));
+}
+
+// Validate income fields shared by create and update; currency is optional
+function isValidIncome({ date, source, amount, currency: code }) {
+    return Boolean(recurrence.isValidDate(date) && typeof source === 'string' && source.trim() && source.trim().length <= 100 &&
+        amount && parseFloat(amount) > 0 && (!code || currency.normalizeCurrency(code)));
+}
+
+// Canonical name of one of the user's categories, or null when it doesn't exist
+async function resolveCategory(name, userId) {
+    const category = name ? await dbOperations.getCategoryByName(name, userId) : null;
+    return category ? category.name : null;
+}
+
+// The id of one of the user's accounts given in a request; null when no
+// account was given and undefined when the value isn't one of their accounts
+async function resolveAccount(value, userId) {
+    if (value === undefined || value === null || value === '') return null;
+    if (!Number.isInteger(Number(value))) return undefined;
+    const account = await dbOperations.getAccountById(Number(value), userId);
+    return account ? account.id : undefined;
+}
+
+// Account of a create or PUT body (accountId), or of a PATCH merged with the stored row (account_id)
+function requestedAccount(fields) {
+    return fields.accountId !== undefined ? fields.accountId : fields.account_id;
+}
+
+// Rejects requests without a valid "Authorization: Bearer <token>" header
+// and exposes the signed-in user as req.user
+async function requireAuth(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const payload = scheme === 'Bearer' ? auth.verifyToken(token) : null;
+    if (!payload) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const user = await dbOperations.getUserById(payload.sub);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+}
+
+async function isAdmin(user) {
+    return ADMIN_EMAILS.length > 0
+        ? ADMIN_EMAILS.includes(user.email)
+        : (await dbOperations.getFirstUserId()) === user.id;
+}
+
+// Only lets administrators (see ADMIN_EMAILS) through; use after requireAuth
+async function requireAdmin(req, res, next) {
+    try {
+        if (!(await isAdmin(req.user))) {
+            return res.status(403).json({ error: 'Requires an administrator' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+}
+
+function isValidCredentials({ email, password }) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) &&
+        typeof password === 'string' && password.length >= 8;
+}
+
+function toPublicUser(user) {
+    return { id: user.id, email: user.email, name: user.name, baseCurrency: user.base_currency };
+}
+
+// Public routes
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'OK',
+        message: 'Smart Expense Tracker API running',
+        database: dbManager.type,
+        // True when DB_FALLBACK_TO_SQLITE replaced an unreachable database
+        databaseFallback: dbManager.fellBack
+    });
+});
+
+app.post('/auth/register', async (req, res) => {
+    try {
+        if (!isValidCredentials(req.body)) {
+            return res.status(400).json({ error: 'A valid email and a password of at least 8 characters are required' });
+        }
+        const baseCurrency = req.body.baseCurrency ? currency.normalizeCurrency(req.body.baseCurrency) : currency.DEFAULT_CURRENCY;
+        if (!baseCurrency) {
+            return res.status(400).json({ error: 'baseCurrency must be an ISO 4217 currency code' });
+        }
+
+        const email = req.body.email.trim().toLowerCase();
+        if (await dbOperations.getUserByEmail(email)) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        const isFirstUser = (await dbOperations.getUserCount()) === 0;
+        const user = await dbOperations.createUser({
+            email,
+            passwordHash: await auth.hashPassword(req.body.password),
+            name: req.body.name ? String(req.body.name).trim() : null,
+            baseCurrency
+        });
+
+        // Data recorded before accounts existed belongs to the first account
+        if (isFirstUser) {
+            await dbOperations.claimUnownedData(user.id);
+        }
+        await dbOperations.addMissingCategories(user.id);
+
+        res.status(201).json({ token: auth.signToken(user), user: toPublicUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to register' });
+    }
+});
+
+app.post('/auth/login', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const user = await dbOperations.getUserByEmail(email);
+
+        if (!user || !(await auth.verifyPassword(String(req.body.password || ''), user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.json({ token: auth.signToken(user), user: toPublicUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Everything below requires a signed-in user
+app.use(requireAuth);
+
+app.get('/auth/me', (req, res) => {
+    res.json({ user: toPublicUser(req.user) });
+});
+
+// Changing baseCurrency re-converts the user's expenses and budgets
+app.patch('/auth/me', async (req, res) => {
+    try {
+        if (req.body.baseCurrency !== undefined) {
+            const baseCurrency = currency.normalizeCurrency(req.body.baseCurrency);
+            if (!baseCurrency) {
+                return res.status(400).json({ error: 'baseCurrency must be an ISO 4217 currency code' });
+            }
+            await dbOperations.setBaseCurrency(req.user.id, baseCurrency);
+        }
+
+        const user = await dbOperations.getUserById(req.user.id);
+        res.json({ message: 'Account updated', user: toPublicUser(user) });
+    } catch (error) {
+        if (error instanceof currency.CurrencyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update account' });
+    }
+});
+
+// Latest rate per currency pair from the local exchange-rate table
+app.get('/exchange-rates', async (req, res) => {
+    try {
+        const rates = await dbOperations.getLatestExchangeRates();
+        res.json(rates);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch exchange rates' });
+    }
+});
+
+// Adds one rate (JSON body: date, base, quote, rate) or a CSV/JSON rate file
+// uploaded as `file`. Existing rates for the same pair and date are replaced.
+app.post('/exchange-rates', handleUpload(upload.single('file')), async (req, res) => {
+    try {
+        let rates;
+        try {
+            rates = req.file
+                ? currency.parseRates(req.file.buffer.toString('utf8'), req.body.format)
+                : currency.parseRates(JSON.stringify([req.body]), 'json');
+        } catch (error) {
+            if (error instanceof currency.CurrencyError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        const imported = await dbOperations.importExchangeRates(rates);
+        res.status(201).json({ message: `Imported ${imported} exchange rates`, imported });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to import exchange rates' });
+    }
+});
+
+// API Routes
+app.post('/add-expense', async (req, res) => {
+    try {
+        const { date, category, amount, description } = req.body;
         
-        if (percentage > 50) {
-            insights.recommendations.push(
-                `Consider reducing ${highest.category} spending (${percentage.toFixed(1)}% of total)`
+        if (!isValidExpense(req.body)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+        const categoryName = await resolveCategory(category, req.user.id);
+        if (!categoryName) {
+            return res.status(400).json({ error: `Unknown category: ${category}` });
+        }
+        const accountId = await resolveAccount(req.body.accountId, req.user.id);
+        if (accountId === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${req.body.accountId}` });
+        }
+
+        const expense = await dbOperations.addExpense({
+            date,
+            category: categoryName,
+            amount: parseFloat(amount),
+            description: description || '',
+            currency: currency.normalizeCurrency(req.body.currency) || undefined,
+            accountId
+        }, req.user.id);
+        suggester.learn(req.user.id, expense);
+
+        res.status(201).json({ message: 'Expense added', expense });
+    } catch (error) {
+        if (error instanceof currency.CurrencyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to add expense' });
+    }
+});
+
+// Parse the shared expense filters (date range, categories, amounts, search,
+// ?account=<id>) from a query string
+function parseExpenseFilters(query) {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const toNumber = (value) => (value === undefined || value === '' || isNaN(value) ? undefined : parseFloat(value));
+
+    return {
+        from: isDate(query.from) ? query.from : undefined,
+        to: isDate(query.to) ? query.to : undefined,
+        categories: query.category
+            ? String(query.category).split(',').map(c => c.trim()).filter(Boolean)
+            : [],
+        minAmount: toNumber(query.minAmount),
+        maxAmount: toNumber(query.maxAmount),
+        search: query.search ? String(query.search).trim() : undefined,
+        accountId: Number.isInteger(Number(query.account)) && query.account !== '' && query.account !== undefined
+            ? Number(query.account)
+            : undefined
+    };
+}
+
+// Supports filtering plus ?sort=date|amount|category|description|created_at,
+// ?order=asc|desc and ?limit=&offset= pagination
+app.get('/expenses', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const { expenses, total } = await dbOperations.findExpenses({
+            ...parseExpenseFilters(req.query),
+            sort: req.query.sort,
+            order: req.query.order,
+            limit,
+            offset,
+            userId: req.user.id
+        });
+
+        res.json({ expenses, total, limit, offset });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch expenses' });
+    }
+});
+
+async function updateExpense(req, res, partial) {
+    try {
+        const existing = await dbOperations.getExpenseById(req.params.id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        // PATCH keeps fields that were not sent, PUT replaces the whole record.
+        // Amounts in the request are in the expense's own currency.
+        const current = {
+            ...existing,
+            amount: existing.original_amount !== null ? existing.original_amount : existing.amount
+        };
+        const fields = partial ? { ...current, ...req.body } : req.body;
+        if (!isValidExpense(fields)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+        const categoryName = await resolveCategory(fields.category, req.user.id);
+        if (!categoryName) {
+            return res.status(400).json({ error: `Unknown category: ${fields.category}` });
+        }
+        const accountId = await resolveAccount(requestedAccount(fields), req.user.id);
+        if (accountId === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${requestedAccount(fields)}` });
+        }
+
+        const expense = await dbOperations.updateExpense(req.params.id, {
+            date: fields.date,
+            category: categoryName,
+            amount: parseFloat(fields.amount),
+            description: fields.description || '',
+            currency: currency.normalizeCurrency(fields.currency) || undefined,
+            accountId
+        }, req.user.id);
+        if (expense) {
+            suggester.forget(req.user.id, existing);
+            suggester.learn(req.user.id, expense);
+        }
+
+        res.json({ message: 'Expense updated', expense });
+    } catch (error) {
+        if (error instanceof currency.CurrencyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update expense' });
+    }
+}
+
+app.put('/expenses/:id', (req, res) => updateExpense(req, res, false));
+app.patch('/expenses/:id', (req, res) => updateExpense(req, res, true));
+
+app.delete('/expenses/:id', async (req, res) => {
+    try {
+        const existing = await dbOperations.getExpenseById(req.params.id, req.user.id);
+        const attachments = existing ? await dbOperations.getAttachments(existing.id, req.user.id) : [];
+        const deleted = existing && await dbOperations.deleteExpense(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        suggester.forget(req.user.id, existing);
+        // The attachment rows go with the expense; their files are removed here
+        await receipts.removeFiles(attachments.map(attachment => attachment.storage_key));
+        res.json({ message: 'Expense deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete expense' });
+    }
+});
+
+// Receipts attached to an expense. POST takes a multipart `file` (JPEG, PNG,
+// WebP or PDF); with scan=true an image is also read by OCR and the fields
+// found on it are returned as `receipt` ({ merchant, date, total, confidence }).
+app.get('/expenses/:id/attachments', async (req, res) => {
+    try {
+        const expense = await dbOperations.getExpenseById(req.params.id, req.user.id);
+        if (!expense) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        res.json(await dbOperations.getAttachments(expense.id, req.user.id));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch attachments' });
+    }
+});
+
+app.post('/expenses/:id/attachments', handleUpload(receiptUpload.single('file')), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        const expense = await dbOperations.getExpenseById(req.params.id, req.user.id);
+        if (!expense) {
+            await receipts.removeFiles([req.file.filename]);
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        const record = receipts.toAttachmentRecord(req.file, expense.id);
+        let receipt = null;
+        if (String(req.body.scan) === 'true' && receipts.canScan(req.file.mimetype)) {
+            try {
+                const { text, ...fields } = await receipts.scanReceipt(req.file.path);
+                record.ocr_text = text;
+                receipt = fields;
+            } catch (error) {
+                // The receipt is still attached when OCR is unavailable
+                console.error('Receipt OCR failed:', error.message);
+            }
+        }
+
+        const attachment = await dbOperations.addAttachment(record, req.user.id);
+        res.status(201).json({ message: 'Attachment added', attachment, receipt });
+    } catch (error) {
+        await receipts.removeFiles([req.file.filename]);
+        res.status(500).json({ error: 'Failed to add attachment' });
+    }
+});
+
+// The original file, for viewing in the browser
+app.get('/attachments/:id', async (req, res) => {
+    try {
+        const attachment = await dbOperations.getAttachmentById(req.params.id, req.user.id);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        res.setHeader('Content-Type', attachment.mime_type);
+        res.setHeader('Content-Disposition', `inline; filename="${attachment.file_name.replace(/[^\w.\- ]/g, '_')}"`);
+        res.sendFile(receipts.attachmentPath(attachment.storage_key), (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'Attachment file is missing' });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch attachment' });
+    }
+});
+
+app.delete('/attachments/:id', async (req, res) => {
+    try {
+        const attachment = await dbOperations.getAttachmentById(req.params.id, req.user.id);
+        const deleted = attachment && await dbOperations.deleteAttachment(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        await receipts.removeFiles([attachment.storage_key]);
+        res.json({ message: 'Attachment deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+});
+
+// Read a receipt image (multipart `file`) without storing it, to pre-fill a
+// new expense. Answers { merchant, date, total, confidence }; fields that
+// could not be read are null.
+app.post('/receipts/scan', handleUpload(scanUpload.single('file')), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { text, ...fields } = await receipts.scanReceipt(req.file.buffer);
+        res.json(fields);
+    } catch (error) {
+        console.error('Receipt OCR failed:', error.message);
+        res.status(500).json({ error: 'Failed to read receipt' });
+    }
+});
+
+// Suggest a category for a description using a naive Bayes classifier
+// trained on the user's own expenses. Answers { category, confidence,
+// alternatives }; category is null when nothing in the history matches.
+app.post('/categorize', async (req, res) => {
+    try {
+        const description = String(req.body.description || '').trim();
+        if (!description) {
+            return res.status(400).json({ error: 'description is required' });
+        }
+
+        res.json(await suggester.suggest(req.user.id, description));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to suggest a category' });
+    }
+});
+
+// Parses a CSV, OFX or QIF statement and returns a per-row preview.
+// Send commit=true to insert the valid rows (duplicates only with includeDuplicates=true).
+app.post('/import', handleUpload(upload.single('file')), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const content = req.file.buffer.toString('utf8');
+        const format = (req.body.format || importer.detectFormat(req.file.originalname, content)).toLowerCase();
+        const statementCurrency = req.body.currency
+            ? currency.normalizeCurrency(req.body.currency)
+            : req.user.base_currency;
+        if (!statementCurrency) {
+            return res.status(400).json({ error: 'currency must be an ISO 4217 currency code' });
+        }
+
+        // Categories the user doesn't have fall back to the default category
+        const userCategories = await dbOperations.getCategories(req.user.id);
+        const findCategory = (name) => userCategories.find(c =>
+            c.name.toLowerCase() === String(name || '').trim().toLowerCase());
+        const defaultCategory = findCategory(req.body.defaultCategory || 'Other');
+        if (!defaultCategory) {
+            return res.status(400).json({ error: `Unknown category: ${req.body.defaultCategory || 'Other'}` });
+        }
+        // Every imported row is linked to the statement's account, if given
+        const accountId = await resolveAccount(req.body.accountId, req.user.id);
+        if (accountId === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${req.body.accountId}` });
+        }
+
+        let rows;
+        try {
+            rows = importer.parseStatement(content, format, {
+                mapping: req.body.mapping ? JSON.parse(req.body.mapping) : {},
+                dateFormat: req.body.dateFormat,
+                amountSign: req.body.amountSign,
+                defaultCategory: defaultCategory.name
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Compare against existing expenses in the statement's date range
+        const dates = rows.map(row => row.date).filter(Boolean).sort();
+        const existing = dates.length > 0
+            ? await dbOperations.getExpensesInRange(dates[0], dates[dates.length - 1], req.user.id)
+            : [];
+        const seen = new Set(existing.map(importer.duplicateKey));
+
+        const preview = rows.map(row => {
+            const expense = {
+                date: row.date,
+                category: (findCategory(row.category) || defaultCategory).name,
+                amount: row.amount,
+                description: row.description || '',
+                currency: statementCurrency,
+                accountId
+            };
+            let status = 'ok';
+
+            if (row.skip) {
+                status = 'skipped';
+            } else if (!isValidExpense(expense)) {
+                status = 'invalid';
+            } else {
+                const key = importer.duplicateKey(expense);
+                if (seen.has(key)) status = 'duplicate';
+                seen.add(key);
+            }
+
+            return { row: row.row, status, reason: row.skip || null, expense };
+        });
+
+        const includeDuplicates = req.body.includeDuplicates === 'true';
+        const toImport = preview.filter(row =>
+            row.status === 'ok' || (includeDuplicates && row.status === 'duplicate'));
+        const summary = preview.reduce((counts, row) => {
+            counts[row.status] = (counts[row.status] || 0) + 1;
+            return counts;
+        }, { total: preview.length, importable: toImport.length });
+
+        if (req.body.commit !== 'true') {
+            return res.json({ format, committed: false, summary, rows: preview });
+        }
+
+        let expenses;
+        try {
+            expenses = await dbOperations.addExpenses(toImport.map(row => row.expense), req.user.id);
+        } catch (error) {
+            if (error instanceof currency.CurrencyError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+        expenses.forEach(expense => suggester.learn(req.user.id, expense));
+
+        res.status(201).json({
+            message: `Imported ${expenses.length} expenses`,
+            format,
+            committed: true,
+            summary,
+            rows: preview
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to import statement' });
+    }
+});
+
+// Streams expenses as csv, json or xlsx using the same filters as GET /expenses,
+// or a printable pdf report for ?month=YYYY-MM (defaults to the current month)
+app.get('/export', async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!exporter.EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${exporter.EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const contentTypes = {
+            csv: 'text/csv; charset=utf-8',
+            json: 'application/json; charset=utf-8',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            pdf: 'application/pdf'
+        };
+        let today;
+        try {
+            today = periods.todayIn(req.query.tz);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (format === 'pdf') {
+            // Default: the current month in the client's ?tz=
+            const month = /^\d{4}-\d{2}$/.test(req.query.month) ? req.query.month : today.slice(0, 7);
+            const [year, monthNumber] = month.split('-').map(Number);
+
+            const { accountId } = parseExpenseFilters(req.query);
+            // The trend covers the six months up to the report's month
+            const monthEnd = recurrence.addDays(recurrence.addMonths(`${month}-01`, 1), -1);
+
+            const [expenses, categoryTotals, monthlyTotals] = await Promise.all([
+                dbOperations.getExpensesByMonth(year, monthNumber, req.user.id, { accountId }),
+                dbOperations.getCategoryTotals(year, monthNumber, req.user.id, { accountId }),
+                dbOperations.getMonthlyTotals(req.user.id, { accountId, from: recurrence.addMonths(`${month}-01`, -5), to: monthEnd })
+            ]);
+
+            res.setHeader('Content-Type', contentTypes.pdf);
+            res.setHeader('Content-Disposition', `attachment; filename="expense-report-${month}.pdf"`);
+            return exporter.writePDFReport(res, {
+                month,
+                currency: req.user.base_currency,
+                expenses,
+                categoryTotals,
+                monthlyTotals
+            });
+        }
+
+        const expenses = await dbOperations.getFilteredExpenses({
+            ...parseExpenseFilters(req.query),
+            userId: req.user.id
+        });
+
+        res.setHeader('Content-Type', contentTypes[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="expenses-${today}.${format}"`);
+
+        if (format === 'csv') exporter.writeCSV(res, expenses);
+        if (format === 'json') exporter.writeJSON(res, expenses);
+        if (format === 'xlsx') await exporter.writeXLSX(res, expenses);
+    } catch (error) {
+        // Once streaming has started the status can no longer change
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to export expenses' });
+    }
+});
+
+// Categories. Body fields: name, parentId (makes it a subcategory), color (#rrggbb)
+// and icon (Font Awesome name such as fa-utensils).
+app.get('/categories', async (req, res) => {
+    try {
+        const list = await dbOperations.getCategories(req.user.id);
+        res.json(list);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
+app.post('/categories', async (req, res) => {
+    try {
+        let category;
+        try {
+            category = categories.normalizeCategory(req.body, await dbOperations.getCategories(req.user.id));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const created = await dbOperations.createCategory(category, req.user.id);
+        res.status(201).json({ message: 'Category added', category: created });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add category' });
+    }
+});
+
+// PUT replaces the category, PATCH merges the given fields into it.
+// Renaming also renames the category on existing expenses and budgets.
+async function updateCategory(req, res, partial) {
+    try {
+        const id = Number(req.params.id);
+        const existing = await dbOperations.getCategoryById(id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        const current = {
+            name: existing.name,
+            parentId: existing.parent_id,
+            color: existing.color,
+            icon: existing.icon
+        };
+
+        let category;
+        try {
+            category = categories.normalizeCategory(
+                partial ? { ...current, ...req.body } : req.body,
+                await dbOperations.getCategories(req.user.id),
+                id
+            );
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const updated = await dbOperations.updateCategory(id, category, req.user.id);
+        suggester.reset(req.user.id);
+        res.json({ message: 'Category updated', category: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+}
+
+app.put('/categories/:id', (req, res) => updateCategory(req, res, false));
+app.patch('/categories/:id', (req, res) => updateCategory(req, res, true));
+
+// Categories still in use have to be merged into another one instead
+app.delete('/categories/:id', async (req, res) => {
+    try {
+        const category = await dbOperations.getCategoryById(req.params.id, req.user.id);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        if (await dbOperations.getCategoryUsage(category.name, req.user.id) > 0) {
+            return res.status(409).json({ error: 'Category is in use; merge it into another category instead' });
+        }
+
+        await dbOperations.deleteCategory(category.id, req.user.id);
+        res.json({ message: 'Category deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete category' });
+    }
+});
+
+// Body: { into: <category id> }. Reassigns expenses, budgets, recurring
+// expenses and subcategories of :id to the target, then deletes :id.
+app.post('/categories/:id/merge', async (req, res) => {
+    try {
+        const [source, target] = await Promise.all([
+            dbOperations.getCategoryById(req.params.id, req.user.id),
+            dbOperations.getCategoryById(req.body.into, req.user.id)
+        ]);
+        if (!source || !target) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        if (source.id === target.id || target.parent_id === source.id) {
+            return res.status(400).json({ error: 'Cannot merge a category into itself or one of its subcategories' });
+        }
+
+        await dbOperations.mergeCategory(source, target, req.user.id);
+        suggester.reset(req.user.id);
+        res.json({ message: `Merged ${source.name} into ${target.name}`, category: target });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to merge categories' });
+    }
+});
+
+app.get('/budgets', async (req, res) => {
+    try {
+        const budgets = await dbOperations.getBudgets(req.user.id);
+        res.json(budgets);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch budgets' });
+    }
+});
+
+// Creates or replaces the budget for a category; omit category for the overall budget
+app.post('/budgets', async (req, res) => {
+    try {
+        if (!isValidBudget(req.body)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+        const category = await resolveCategory(req.body.category, req.user.id);
+        if (req.body.category && !category) {
+            return res.status(400).json({ error: `Unknown category: ${req.body.category}` });
+        }
+
+        const budget = await dbOperations.setBudget({
+            category,
+            amount: parseFloat(req.body.amount)
+        }, req.user.id);
+
+        res.status(201).json({ message: 'Budget saved', budget });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to save budget' });
+    }
+});
+
+app.put('/budgets/:id', async (req, res) => {
+    try {
+        if (!isValidBudget(req.body)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+
+        const category = await resolveCategory(req.body.category, req.user.id);
+        if (req.body.category && !category) {
+            return res.status(400).json({ error: `Unknown category: ${req.body.category}` });
+        }
+
+        const conflicting = await dbOperations.getBudgetByCategory(category, req.user.id);
+        if (conflicting && String(conflicting.id) !== String(req.params.id)) {
+            return res.status(409).json({ error: 'A budget already exists for this category' });
+        }
+
+        const budget = await dbOperations.updateBudget(req.params.id, {
+            category,
+            amount: parseFloat(req.body.amount)
+        }, req.user.id);
+        if (!budget) {
+            return res.status(404).json({ error: 'Budget not found' });
+        }
+
+        res.json({ message: 'Budget updated', budget });
+    } catch (error) {
+        // Another request saved a budget for the category in the meantime
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'A budget already exists for this category' });
+        }
+        res.status(500).json({ error: 'Failed to update budget' });
+    }
+});
+
+app.delete('/budgets/:id', async (req, res) => {
+    try {
+        const deleted = await dbOperations.deleteBudget(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Budget not found' });
+        }
+        res.json({ message: 'Budget deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete budget' });
+    }
+});
+
+// Recurring expenses. Body fields: category, amount, description, frequency
+// (daily | weekly | monthly | yearly | cron), interval (every N units), cron,
+// startDate and endDate (YYYY-MM-DD).
+app.get('/recurring-expenses', async (req, res) => {
+    try {
+        const schedules = await dbOperations.getRecurringExpenses(req.user.id);
+        res.json(schedules);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch recurring expenses' });
+    }
+});
+
+// Occurrences of active schedules over the next `days` days (default 30)
+app.get('/recurring-expenses/upcoming', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+        const from = recurrence.today();
+        const to = recurrence.addDays(from, days);
+        const schedules = await dbOperations.getRecurringExpenses(req.user.id);
+
+        const upcoming = schedules
+            .filter(schedule => !schedule.paused && schedule.next_run)
+            .flatMap(schedule => recurrence.occurrencesBetween(schedule, schedule.next_run, to).map(date => ({
+                recurringId: schedule.id,
+                date,
+                category: schedule.category,
+                amount: schedule.amount,
+                currency: schedule.currency,
+                description: schedule.description
+            })))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        res.json(upcoming);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch upcoming expenses' });
+    }
+});
+
+// Occurrences from startDate up to today are posted straight away, so
+// startDate may be at most MAX_CATCH_UP occurrences in the past
+app.post('/recurring-expenses', async (req, res) => {
+    try {
+        let schedule;
+        try {
+            schedule = recurrence.normalizeSchedule(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        schedule.category = await resolveCategory(schedule.category, req.user.id);
+        if (!schedule.category) {
+            return res.status(400).json({ error: `Unknown category: ${req.body.category}` });
+        }
+        schedule.account_id = await resolveAccount(req.body.accountId, req.user.id);
+        if (schedule.account_id === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${req.body.accountId}` });
+        }
+
+        schedule.next_run = recurrence.nextOccurrence(schedule, schedule.start_date);
+        if (exceedsCatchUp(schedule)) {
+            return res.status(400).json({ error: CATCH_UP_ERROR });
+        }
+        const created = await dbOperations.addRecurringExpense(schedule, req.user.id);
+        await scheduler.postExpenseSchedules([created]);
+
+        const recurringExpense = await dbOperations.getRecurringExpenseById(created.id, req.user.id);
+        res.status(201).json({ message: 'Recurring expense added', recurringExpense });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add recurring expense' });
+    }
+});
+
+// PUT replaces the schedule, PATCH merges the given fields into it.
+// next_run is recalculated from the last posted occurrence, so editing never
+// re-posts expenses that already exist.
+async function updateRecurringExpense(req, res, partial) {
+    try {
+        const existing = await dbOperations.getRecurringExpenseById(req.params.id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Recurring expense not found' });
+        }
+
+        const current = {
+            category: existing.category,
+            amount: existing.amount,
+            description: existing.description,
+            frequency: existing.frequency,
+            interval: existing.interval_count,
+            cron: existing.cron,
+            startDate: recurrence.toDateString(existing.start_date),
+            endDate: recurrence.toDateString(existing.end_date),
+            currency: existing.currency,
+            accountId: existing.account_id
+        };
+
+        const fields = partial ? { ...current, ...req.body } : req.body;
+        let schedule;
+        try {
+            schedule = recurrence.normalizeSchedule(fields);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const categoryName = await resolveCategory(schedule.category, req.user.id);
+        if (!categoryName) {
+            return res.status(400).json({ error: `Unknown category: ${schedule.category}` });
+        }
+        schedule.category = categoryName;
+        schedule.account_id = await resolveAccount(fields.accountId, req.user.id);
+        if (schedule.account_id === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${fields.accountId}` });
+        }
+
+        const lastRun = recurrence.toDateString(existing.last_run);
+        schedule.next_run = recurrence.nextOccurrence(
+            schedule,
+            lastRun ? recurrence.addDays(lastRun, 1) : schedule.start_date
+        );
+        if (!existing.paused && exceedsCatchUp(schedule)) {
+            return res.status(400).json({ error: CATCH_UP_ERROR });
+        }
+
+        let recurringExpense = await dbOperations.updateRecurringExpense(req.params.id, schedule, req.user.id);
+        if (!existing.paused && await scheduler.postExpenseSchedules([recurringExpense]) > 0) {
+            recurringExpense = await dbOperations.getRecurringExpenseById(req.params.id, req.user.id);
+        }
+        res.json({ message: 'Recurring expense updated', recurringExpense });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update recurring expense' });
+    }
+}
+
+app.put('/recurring-expenses/:id', (req, res) => updateRecurringExpense(req, res, false));
+app.patch('/recurring-expenses/:id', (req, res) => updateRecurringExpense(req, res, true));
+
+app.post('/recurring-expenses/:id/pause', async (req, res) => {
+    try {
+        const recurringExpense = await dbOperations.updateRecurringExpense(req.params.id, { paused: 1 }, req.user.id);
+        if (!recurringExpense) {
+            return res.status(404).json({ error: 'Recurring expense not found' });
+        }
+        res.json({ message: 'Recurring expense paused', recurringExpense });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to pause recurring expense' });
+    }
+});
+
+// Occurrences that fell while the schedule was paused are skipped
+app.post('/recurring-expenses/:id/resume', async (req, res) => {
+    try {
+        const existing = await dbOperations.getRecurringExpenseById(req.params.id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Recurring expense not found' });
+        }
+
+        let recurringExpense = await dbOperations.updateRecurringExpense(req.params.id, {
+            paused: 0,
+            next_run: recurrence.nextOccurrence(existing, recurrence.today())
+        }, req.user.id);
+        if (await scheduler.postExpenseSchedules([recurringExpense]) > 0) {
+            recurringExpense = await dbOperations.getRecurringExpenseById(req.params.id, req.user.id);
+        }
+        res.json({ message: 'Recurring expense resumed', recurringExpense });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to resume recurring expense' });
+    }
+});
+
+app.delete('/recurring-expenses/:id', async (req, res) => {
+    try {
+        const deleted = await dbOperations.deleteRecurringExpense(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Recurring expense not found' });
+        }
+        res.json({ message: 'Recurring expense deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete recurring expense' });
+    }
+});
+
+// Income. Body fields: date, source (e.g. Salary), amount, description,
+// currency (defaults to the base currency) and accountId.
+// ?from=&to=&source=&account= filter the list.
+app.get('/income', async (req, res) => {
+    try {
+        const { from, to, accountId } = parseExpenseFilters(req.query);
+        const income = await dbOperations.getIncome({
+            from,
+            to,
+            accountId,
+            source: req.query.source ? String(req.query.source).trim() : undefined,
+            userId: req.user.id
+        });
+        res.json(income);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch income' });
+    }
+});
+
+app.post('/income', async (req, res) => {
+    try {
+        if (!isValidIncome(req.body)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+        const accountId = await resolveAccount(req.body.accountId, req.user.id);
+        if (accountId === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${req.body.accountId}` });
+        }
+
+        const income = await dbOperations.addIncome({
+            date: req.body.date,
+            source: req.body.source.trim(),
+            amount: parseFloat(req.body.amount),
+            description: req.body.description || '',
+            currency: currency.normalizeCurrency(req.body.currency) || undefined,
+            accountId
+        }, req.user.id);
+
+        res.status(201).json({ message: 'Income added', income });
+    } catch (error) {
+        if (error instanceof currency.CurrencyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to add income' });
+    }
+});
+
+// PATCH keeps fields that were not sent, PUT replaces the whole entry.
+// Amounts in the request are in the entry's own currency.
+async function updateIncome(req, res, partial) {
+    try {
+        const existing = await dbOperations.getIncomeById(req.params.id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Income not found' });
+        }
+
+        const current = {
+            ...existing,
+            amount: existing.original_amount !== null ? existing.original_amount : existing.amount
+        };
+        const fields = partial ? { ...current, ...req.body } : req.body;
+        if (!isValidIncome(fields)) {
+            return res.status(400).json({ error: 'Invalid data' });
+        }
+        const accountId = await resolveAccount(requestedAccount(fields), req.user.id);
+        if (accountId === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${requestedAccount(fields)}` });
+        }
+
+        const income = await dbOperations.updateIncome(req.params.id, {
+            date: fields.date,
+            source: fields.source.trim(),
+            amount: parseFloat(fields.amount),
+            description: fields.description || '',
+            currency: currency.normalizeCurrency(fields.currency) || undefined,
+            accountId
+        }, req.user.id);
+
+        res.json({ message: 'Income updated', income });
+    } catch (error) {
+        if (error instanceof currency.CurrencyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update income' });
+    }
+}
+
+app.put('/income/:id', (req, res) => updateIncome(req, res, false));
+app.patch('/income/:id', (req, res) => updateIncome(req, res, true));
+
+app.delete('/income/:id', async (req, res) => {
+    try {
+        const deleted = await dbOperations.deleteIncome(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Income not found' });
+        }
+        res.json({ message: 'Income deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete income' });
+    }
+});
+
+// Recurring income (salary, rent received, ...). Same body fields as
+// recurring expenses with a source instead of a category; occurrences are
+// posted as income entries by the scheduler.
+app.get('/recurring-income', async (req, res) => {
+    try {
+        const schedules = await dbOperations.getRecurringIncome(req.user.id);
+        res.json(schedules);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch recurring income' });
+    }
+});
+
+// Occurrences from startDate up to today are posted straight away, as for
+// recurring expenses
+app.post('/recurring-income', async (req, res) => {
+    try {
+        let schedule;
+        try {
+            schedule = recurrence.normalizeSchedule(req.body, 'source');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        schedule.source = String(schedule.source).trim().slice(0, 100);
+        schedule.account_id = await resolveAccount(req.body.accountId, req.user.id);
+        if (schedule.account_id === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${req.body.accountId}` });
+        }
+
+        schedule.next_run = recurrence.nextOccurrence(schedule, schedule.start_date);
+        if (exceedsCatchUp(schedule)) {
+            return res.status(400).json({ error: CATCH_UP_ERROR });
+        }
+        const created = await dbOperations.addRecurringIncome(schedule, req.user.id);
+        await scheduler.postIncomeSchedules([created]);
+
+        const recurringIncome = await dbOperations.getRecurringIncomeById(created.id, req.user.id);
+        res.status(201).json({ message: 'Recurring income added', recurringIncome });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add recurring income' });
+    }
+});
+
+// Like recurring expenses, next_run is recalculated from the last posted occurrence
+async function updateRecurringIncome(req, res, partial) {
+    try {
+        const existing = await dbOperations.getRecurringIncomeById(req.params.id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Recurring income not found' });
+        }
+
+        const current = {
+            source: existing.source,
+            amount: existing.amount,
+            description: existing.description,
+            frequency: existing.frequency,
+            interval: existing.interval_count,
+            cron: existing.cron,
+            startDate: recurrence.toDateString(existing.start_date),
+            endDate: recurrence.toDateString(existing.end_date),
+            currency: existing.currency,
+            accountId: existing.account_id
+        };
+
+        const fields = partial ? { ...current, ...req.body } : req.body;
+        let schedule;
+        try {
+            schedule = recurrence.normalizeSchedule(fields, 'source');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        schedule.source = String(schedule.source).trim().slice(0, 100);
+        schedule.account_id = await resolveAccount(fields.accountId, req.user.id);
+        if (schedule.account_id === undefined) {
+            return res.status(400).json({ error: `Unknown account: ${fields.accountId}` });
+        }
+
+        const lastRun = recurrence.toDateString(existing.last_run);
+        schedule.next_run = recurrence.nextOccurrence(
+            schedule,
+            lastRun ? recurrence.addDays(lastRun, 1) : schedule.start_date
+        );
+        if (!existing.paused && exceedsCatchUp(schedule)) {
+            return res.status(400).json({ error: CATCH_UP_ERROR });
+        }
+
+        let recurringIncome = await dbOperations.updateRecurringIncome(req.params.id, schedule, req.user.id);
+        if (!existing.paused && await scheduler.postIncomeSchedules([recurringIncome]) > 0) {
+            recurringIncome = await dbOperations.getRecurringIncomeById(req.params.id, req.user.id);
+        }
+        res.json({ message: 'Recurring income updated', recurringIncome });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update recurring income' });
+    }
+}
+
+app.put('/recurring-income/:id', (req, res) => updateRecurringIncome(req, res, false));
+app.patch('/recurring-income/:id', (req, res) => updateRecurringIncome(req, res, true));
+
+// Income already posted by the schedule is kept
+app.delete('/recurring-income/:id', async (req, res) => {
+    try {
+        const deleted = await dbOperations.deleteRecurringIncome(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Recurring income not found' });
+        }
+        res.json({ message: 'Recurring income deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete recurring income' });
+    }
+});
+
+// Accounts and wallets. Body fields: name, type (cash | bank | credit_card |
+// wallet | savings), openingBalance (base currency) on openingDate, archived.
+app.get('/accounts', async (req, res) => {
+    try {
+        const list = await dbOperations.getAccounts(req.user.id);
+        res.json(list);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch accounts' });
+    }
+});
+
+app.post('/accounts', async (req, res) => {
+    try {
+        let account;
+        try {
+            account = accounts.normalizeAccount(req.body, await dbOperations.getAccounts(req.user.id));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const created = await dbOperations.createAccount(account, req.user.id);
+        res.status(201).json({ message: 'Account added', account: created });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add account' });
+    }
+});
+
+// Balances of every account on ?to (default today) with month-end balances
+// since each account was opened
+app.get('/accounts/balances', async (req, res) => {
+    try {
+        const to = parseExpenseFilters(req.query).to || recurrence.today();
+        const [list, expenses, income, transfers] = await Promise.all([
+            dbOperations.getAccounts(req.user.id),
+            dbOperations.getFilteredExpenses({ to, userId: req.user.id }),
+            dbOperations.getIncome({ to, userId: req.user.id }),
+            dbOperations.getTransfers(req.user.id)
+        ]);
+
+        const movements = accounts.toMovements({ expenses, income, transfers });
+        res.json({ baseCurrency: req.user.base_currency, to, accounts: accounts.buildBalances(list, movements, to) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to compute balances' });
+    }
+});
+
+// Statement of one account over ?from..?to: every expense, income entry and
+// transfer with the running balance after it
+app.get('/accounts/:id/statement', async (req, res) => {
+    try {
+        const account = await dbOperations.getAccountById(req.params.id, req.user.id);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const { from, to = recurrence.today() } = parseExpenseFilters(req.query);
+        const [expenses, income, transfers] = await Promise.all([
+            dbOperations.getFilteredExpenses({ to, accountId: account.id, userId: req.user.id }),
+            dbOperations.getIncome({ to, accountId: account.id, userId: req.user.id }),
+            dbOperations.getTransfers(req.user.id, account.id)
+        ]);
+
+        const movements = accounts.toMovements({ expenses, income, transfers });
+        res.json({ baseCurrency: req.user.base_currency, ...accounts.buildStatement(account, movements, from, to) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to build statement' });
+    }
+});
+
+// PUT replaces the account, PATCH merges the given fields into it
+async function updateAccount(req, res, partial) {
+    try {
+        const id = Number(req.params.id);
+        const existing = await dbOperations.getAccountById(id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const current = {
+            name: existing.name,
+            type: existing.type,
+            openingBalance: existing.opening_balance,
+            openingDate: recurrence.toDateString(existing.opening_date),
+            archived: existing.archived
+        };
+
+        let account;
+        try {
+            account = accounts.normalizeAccount(
+                partial ? { ...current, ...req.body } : req.body,
+                await dbOperations.getAccounts(req.user.id),
+                id
             );
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
+
+        const updated = await dbOperations.updateAccount(id, account, req.user.id);
+        res.json({ message: 'Account updated', account: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update account' });
     }
+}
 
-    // Anomaly detection
-    if (expenses.length > 0) {
-        const amounts = expenses.map(exp => exp.amount);
-        const avg = amounts.reduce((sum, amt) => sum + amt, 0) / amounts.length;
-        const threshold = avg * 2;
-        
-        const anomalies = expenses.filter(exp => exp.amount > threshold);
-        insights.anomalies = anomalies.map(exp => ({
-            date: exp.date,
-            amount: exp.amount,
-            description: exp.description
-        }));
+app.put('/accounts/:id', (req, res) => updateAccount(req, res, false));
+app.patch('/accounts/:id', (req, res) => updateAccount(req, res, true));
+
+// Accounts with history have to be archived instead
+app.delete('/accounts/:id', async (req, res) => {
+    try {
+        const account = await dbOperations.getAccountById(req.params.id, req.user.id);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        if (await dbOperations.getAccountUsage(account.id, req.user.id) > 0) {
+            return res.status(409).json({ error: 'Account is in use; archive it instead' });
+        }
+
+        await dbOperations.deleteAccount(account.id, req.user.id);
+        res.json({ message: 'Account deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
+// Transfers move money between two accounts (e.g. paying off a credit card)
+// and are not counted as spending or income. Body: date, fromAccountId,
+// toAccountId, amount (base currency), description. ?account= filters the list.
+app.get('/transfers', async (req, res) => {
+    try {
+        const transfers = await dbOperations.getTransfers(req.user.id, parseExpenseFilters(req.query).accountId);
+        res.json(transfers);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch transfers' });
+    }
+});
+
+app.post('/transfers', async (req, res) => {
+    try {
+        let transfer;
+        try {
+            transfer = accounts.normalizeTransfer(req.body, await dbOperations.getAccounts(req.user.id));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const created = await dbOperations.addTransfer(transfer, req.user.id);
+        res.status(201).json({ message: 'Transfer added', transfer: created });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add transfer' });
+    }
+});
+
+app.delete('/transfers/:id', async (req, res) => {
+    try {
+        const deleted = await dbOperations.deleteTransfer(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Transfer not found' });
+        }
+        res.json({ message: 'Transfer deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete transfer' });
     }
+});
 
-    return insights;
+// Shared ledgers. Owners manage members, owners and editors record expenses,
+// viewers can only read.
+const LEDGER_ROLES = ['owner', 'editor', 'viewer'];
+
+// Loads the caller's role in :id into req.ledgerRole and rejects
+// non-members (404) and members without one of `roles` (403)
+function requireLedgerRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const role = await dbOperations.getLedgerRole(req.params.id, req.user.id);
+            if (!role) {
+                return res.status(404).json({ error: 'Ledger not found' });
+            }
+            if (!roles.includes(role)) {
+                return res.status(403).json({ error: `Requires one of these roles: ${roles.join(', ')}` });
+            }
+            req.ledgerRole = role;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to check ledger access' });
+        }
+    };
 }
 
-// API Routes
-app.post('/add-expense', async (req, res) => {
+app.get('/ledgers', async (req, res) => {
     try {
-        const { date, category, amount, description } = req.body;
-        
-        if (!date || !category || !amount || amount <= 0) {
+        const ledgers = await dbOperations.getLedgersForUser(req.user.id);
+        res.json(ledgers);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch ledgers' });
+    }
+});
+
+app.post('/ledgers', async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Ledger name is required' });
+        }
+
+        const ledger = await dbOperations.createLedger(name, req.user.id);
+        res.status(201).json({ message: 'Ledger created', ledger });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create ledger' });
+    }
+});
+
+app.get('/ledgers/:id', requireLedgerRole(...LEDGER_ROLES), async (req, res) => {
+    try {
+        const [ledger, members] = await Promise.all([
+            dbOperations.getLedgerById(req.params.id),
+            dbOperations.getLedgerMembers(req.params.id)
+        ]);
+        res.json({ ...ledger, role: req.ledgerRole, members });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch ledger' });
+    }
+});
+
+app.delete('/ledgers/:id', requireLedgerRole('owner'), async (req, res) => {
+    try {
+        await dbOperations.deleteLedger(req.params.id);
+        res.json({ message: 'Ledger deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete ledger' });
+    }
+});
+
+// Adds an existing user to the ledger by email
+app.post('/ledgers/:id/members', requireLedgerRole('owner'), async (req, res) => {
+    try {
+        const role = req.body.role || 'editor';
+        if (!LEDGER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${LEDGER_ROLES.join(', ')}` });
+        }
+
+        const user = await dbOperations.getUserByEmail(String(req.body.email || '').trim().toLowerCase());
+        if (!user) {
+            return res.status(404).json({ error: 'No user with this email' });
+        }
+        if (await dbOperations.getLedgerRole(req.params.id, user.id)) {
+            return res.status(409).json({ error: 'User is already a member' });
+        }
+
+        await dbOperations.addLedgerMember(req.params.id, user.id, role);
+        res.status(201).json({ message: 'Member added', member: { user_id: user.id, email: user.email, name: user.name, role } });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add member' });
+    }
+});
+
+// A ledger must always keep at least one owner
+async function isLastOwner(ledgerId, userId) {
+    const members = await dbOperations.getLedgerMembers(ledgerId);
+    const owners = members.filter(member => member.role === 'owner');
+    return owners.length === 1 && String(owners[0].user_id) === String(userId);
+}
+
+app.patch('/ledgers/:id/members/:userId', requireLedgerRole('owner'), async (req, res) => {
+    try {
+        if (!LEDGER_ROLES.includes(req.body.role)) {
+            return res.status(400).json({ error: `Role must be one of: ${LEDGER_ROLES.join(', ')}` });
+        }
+        if (req.body.role !== 'owner' && await isLastOwner(req.params.id, req.params.userId)) {
+            return res.status(400).json({ error: 'A ledger needs at least one owner' });
+        }
+
+        const updated = await dbOperations.updateLedgerMemberRole(req.params.id, req.params.userId, req.body.role);
+        if (!updated) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        res.json({ message: 'Member updated' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update member' });
+    }
+});
+
+// Owners can remove anyone; other members can only remove themselves (leave)
+app.delete('/ledgers/:id/members/:userId', requireLedgerRole(...LEDGER_ROLES), async (req, res) => {
+    try {
+        const isSelf = String(req.params.userId) === String(req.user.id);
+        if (req.ledgerRole !== 'owner' && !isSelf) {
+            return res.status(403).json({ error: 'Requires one of these roles: owner' });
+        }
+        if (await isLastOwner(req.params.id, req.params.userId)) {
+            return res.status(400).json({ error: 'A ledger needs at least one owner' });
+        }
+
+        const removed = await dbOperations.removeLedgerMember(req.params.id, req.params.userId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        res.json({ message: 'Member removed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+app.get('/ledgers/:id/expenses', requireLedgerRole(...LEDGER_ROLES), async (req, res) => {
+    try {
+        const expenses = await dbOperations.getLedgerExpenses(req.params.id);
+        res.json(expenses);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch ledger expenses' });
+    }
+});
+
+// Body: the usual expense fields plus optional paidBy (defaults to the caller) and
+// split: { type: 'equal' | 'percentage' | 'exact', shares: [{ userId, value }] }
+app.post('/ledgers/:id/expenses', requireLedgerRole('owner', 'editor'), async (req, res) => {
+    try {
+        if (!isValidExpense(req.body)) {
             return res.status(400).json({ error: 'Invalid data' });
         }
+        // Members can have different base currencies, so a shared expense is
+        // recorded as entered rather than converted into one of them
+        if (req.body.currency) {
+            return res.status(400).json({ error: 'Ledger expenses cannot have a currency' });
+        }
+        const categoryName = await resolveCategory(req.body.category, req.user.id);
+        if (!categoryName) {
+            return res.status(400).json({ error: `Unknown category: ${req.body.category}` });
+        }
 
-        const expense = await dbOperations.addExpense({
-            date, category, amount: parseFloat(amount), description: description || ''
-        });
+        const members = await dbOperations.getLedgerMembers(req.params.id);
+        const memberIds = members.map(member => Number(member.user_id));
+        const paidBy = Number(req.body.paidBy || req.user.id);
+        if (!memberIds.includes(paidBy)) {
+            return res.status(400).json({ error: 'The payer must be a member of this ledger' });
+        }
+
+        const amount = parseFloat(req.body.amount);
+        const split = req.body.split || { type: 'equal' };
+        let expenseSplits;
+        try {
+            expenseSplits = splits.computeSplits(amount, split, memberIds);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const expense = await dbOperations.addLedgerExpense(req.params.id, {
+            date: req.body.date,
+            category: categoryName,
+            amount,
+            description: req.body.description || '',
+            paidBy,
+            splitType: split.type || 'equal'
+        }, expenseSplits, req.user.id);
 
         res.status(201).json({ message: 'Expense added', expense });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to add expense' });
+        res.status(500).json({ error: 'Failed to add ledger expense' });
     }
 });
 
-app.get('/expenses', async (req, res) => {
+app.delete('/ledgers/:id/expenses/:expenseId', requireLedgerRole('owner', 'editor'), async (req, res) => {
     try {
-        const expenses = await dbOperations.getAllExpenses();
-        res.json(expenses);
+        const deleted = await dbOperations.deleteLedgerExpense(req.params.id, req.params.expenseId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        res.json({ message: 'Expense deleted' });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch expenses' });
+        res.status(500).json({ error: 'Failed to delete ledger expense' });
+    }
+});
+
+// Net balance per member and the fewest transfers that settle everyone up
+app.get('/ledgers/:id/balances', requireLedgerRole(...LEDGER_ROLES), async (req, res) => {
+    try {
+        const [members, expenses, expenseSplits] = await Promise.all([
+            dbOperations.getLedgerMembers(req.params.id),
+            dbOperations.getLedgerExpenses(req.params.id),
+            dbOperations.getLedgerSplits(req.params.id)
+        ]);
+
+        const memberIds = members.map(member => Number(member.user_id));
+        const balances = splits.computeBalances(expenses, expenseSplits, memberIds);
+        const describe = (userId) => {
+            const member = members.find(m => Number(m.user_id) === Number(userId));
+            return member ? (member.name || member.email) : `User ${userId}`;
+        };
+
+        res.json({
+            balances: balances.map(b => ({ ...b, member: describe(b.userId) })),
+            settleUp: splits.simplifyDebts(balances).map(t => ({
+                ...t,
+                fromMember: describe(t.from),
+                toMember: describe(t.to)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to compute balances' });
     }
 });
 
+// Read the reporting period from ?year=&month=, ?year= or ?from=&to= (default:
+// the current month) and "today" in the client's ?tz=. Responds 400 and
+// returns null when they are invalid.
+function parsePeriod(req, res) {
+    try {
+        const today = periods.todayIn(req.query.tz);
+        const period = periods.resolvePeriod(req.query, today);
+        return {
+            today,
+            period: { ...period, timezone: req.query.tz || null, isCurrent: periods.isCurrent(period, today) },
+            previousPeriod: periods.previousPeriod(period, today)
+        };
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+}
+
+// Spending, income and net cash flow in a period against the period before
+// it; `change` is the percent change (null when the previous value was zero)
+function comparePeriods(current, previous) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const measure = (now, before) => ({
+        current: round(now),
+        previous: round(before),
+        change: periods.percentChange(round(now), round(before))
+    });
+    return {
+        spending: measure(current.spending, previous.spending),
+        income: measure(current.income, previous.income),
+        netCashFlow: measure(current.income - current.spending, previous.income - previous.spending)
+    };
+}
+
+// Per-category totals against the previous period's, largest first
+function compareCategories(categoryTotals, previousTotals) {
+    const totalOf = (rows, category) => rows
+        .filter(row => row.category === category)
+        .reduce((sum, row) => sum + Number(row.total), 0);
+    const names = new Set([...categoryTotals, ...previousTotals].map(row => row.category));
+
+    return [...names]
+        .map(category => {
+            const total = Math.round(totalOf(categoryTotals, category) * 100) / 100;
+            const previous = Math.round(totalOf(previousTotals, category) * 100) / 100;
+            return { category, total, previous, change: periods.percentChange(total, previous) };
+        })
+        .sort((a, b) => b.total - a.total || b.previous - a.previous);
+}
+
+// Budgets are monthly; a year or custom period is measured against the
+// equivalent number of months
+function scaleBudgets(budgets, period) {
+    if (period.type === 'month') return budgets;
+    const months = period.type === 'year'
+        ? 12
+        : (recurrence.daysBetween(period.from, period.to) + 1) / (365.25 / 12);
+    return budgets.map(budget => ({ ...budget, amount: Math.round(budget.amount * months * 100) / 100 }));
+}
+
+function sumAmounts(entries) {
+    return entries.reduce((sum, entry) => sum + Number(entry.amount), 0);
+}
+
+// Report for a period (see parsePeriod), compared with the period before it.
+// ?months=1-36 sets how many months the trend and cash-flow series cover,
+// ending with the period's last month (default: the period's months, at
+// least 6). ?account=<id> limits the report to one account.
 app.get('/report', async (req, res) => {
     try {
-        const currentYear = new Date().getFullYear();
-        const currentMonth = new Date().getMonth() + 1;
+        const parsed = parsePeriod(req, res);
+        if (!parsed) return;
+        const { today, period, previousPeriod } = parsed;
 
-        const [expenses, categoryTotals, monthlyTotals] = await Promise.all([
-            dbOperations.getExpensesByMonth(currentYear, currentMonth),
-            dbOperations.getCategoryTotals(currentYear, currentMonth),
-            dbOperations.getMonthlyTotals()
+        const { accountId } = parseExpenseFilters(req.query);
+        const userId = req.user.id;
+        const months = req.query.months !== undefined
+            ? Math.min(Math.max(parseInt(req.query.months) || 6, 1), 36)
+            : Math.min(Math.max(periods.monthsBetween(period.from, period.to).length, 6), 36);
+        const lastMonth = period.to.slice(0, 7);
+        const seriesFrom = recurrence.addMonths(`${lastMonth}-01`, -(months - 1));
+        const heatmapTo = periods.lastDay(period, today);
+
+        const [expenses, categoryTotals, previousCategoryTotals, monthlyTotals, budgets, income, previousIncome, monthlyIncome, dailyRows] = await Promise.all([
+            dbOperations.getFilteredExpenses({ from: period.from, to: period.to, accountId, userId }),
+            dbOperations.getCategoryTotalsBetween(period.from, period.to, userId, { accountId }),
+            dbOperations.getCategoryTotalsBetween(previousPeriod.from, previousPeriod.to, userId, { accountId }),
+            dbOperations.getMonthlyTotals(userId, { accountId, from: seriesFrom, to: period.to }),
+            dbOperations.getBudgets(userId),
+            dbOperations.getIncome({ from: period.from, to: period.to, accountId, userId }),
+            dbOperations.getIncome({ from: previousPeriod.from, to: previousPeriod.to, accountId, userId }),
+            dbOperations.getMonthlyIncomeTotals(userId, { accountId, from: seriesFrom, to: period.to }),
+            dbOperations.getDailyTotals(recurrence.addDays(heatmapTo, -HEATMAP_DAYS), userId, { accountId, to: heatmapTo })
         ]);
 
-        const totalSpending = expenses.reduce((sum, exp) => sum + exp.amount, 0);
+        const totalSpending = sumAmounts(expenses);
+        const cashFlow = summarizeCashFlow(sumAmounts(income), totalSpending);
+        const previousSpending = previousCategoryTotals.reduce((sum, cat) => sum + Number(cat.total), 0);
+
+        // ?rollup=true folds subcategory totals into their parent category
+        let rollup = null;
+        let previousRollup = null;
+        if (req.query.rollup === 'true') {
+            const userCategories = await dbOperations.getCategories(userId);
+            rollup = categories.rollUpTotals(categoryTotals, userCategories);
+            previousRollup = categories.rollUpTotals(previousCategoryTotals, userCategories);
+        }
 
         res.json({
-            expenses,
-            categoryTotals,
+            baseCurrency: req.user.base_currency,
+            accountId: accountId || null,
+            period,
+            previousPeriod,
+            // Newest first
+            expenses: expenses.reverse(),
+            categoryTotals: rollup || categoryTotals,
             monthlyTotals,
             totalSpending: Math.round(totalSpending * 100) / 100,
-            isOverBudget: totalSpending > 5000,
-            budgetLimit: 5000
+            income,
+            totalIncome: cashFlow.income,
+            netCashFlow: cashFlow.netCashFlow,
+            savingsRate: cashFlow.savingsRate,
+            cashFlow: buildCashFlow(monthlyTotals, monthlyIncome, lastMonth, months),
+            dailyTotals: sumByDate(dailyRows),
+            comparison: {
+                ...comparePeriods(
+                    { spending: totalSpending, income: cashFlow.income },
+                    { spending: previousSpending, income: sumAmounts(previousIncome) }
+                ),
+                categories: compareCategories(rollup || categoryTotals, previousRollup || previousCategoryTotals)
+            },
+            ...buildBudgetReport(totalSpending, categoryTotals, scaleBudgets(budgets, period))
         });
     } catch (error) {
         res.status(500).json({ error: 'Failed to generate report' });
     }
 });
 
+// Insights for a period (see parsePeriod). Rules look at the month the period
+// ends in, as of its last day so far; anomalies cover the period, and the
+// forecast always starts from today.
 app.get('/ai-insights', async (req, res) => {
     try {
-        const currentYear = new Date().getFullYear();
-        const currentMonth = new Date().getMonth() + 1;
+        const parsed = parsePeriod(req, res);
+        if (!parsed) return;
+        const { today, period, previousPeriod } = parsed;
 
-        const [expenses, categoryTotals, monthlyTotals] = await Promise.all([
-            dbOperations.getExpensesByMonth(currentYear, currentMonth),
-            dbOperations.getCategoryTotals(currentYear, currentMonth),
-            dbOperations.getMonthlyTotals()
+        const asOf = periods.lastDay(period, today);
+        const monthStart = `${asOf.slice(0, 7)}-01`;
+
+        // Rules compare the period's month with the three before it; the
+        // same history covers the previous period for the comparison
+        const from = [recurrence.addMonths(monthStart, -3), previousPeriod.from].sort()[0];
+        const [expenses, income, budgets, recurring, forecast, anomalies] = await Promise.all([
+            dbOperations.getExpensesInRange(from, asOf, req.user.id),
+            dbOperations.getIncome({ from, to: asOf, userId: req.user.id }),
+            dbOperations.getBudgets(req.user.id),
+            dbOperations.getRecurringExpenses(req.user.id),
+            loadForecast(req.user.id, 1, today),
+            loadAnomalies(req.user, period.from, asOf)
         ]);
 
-        const insights = generateInsights(expenses, categoryTotals, monthlyTotals);
+        const context = createContext({
+            today: asOf,
+            currency: req.user.base_currency,
+            expenses,
+            income,
+            budgets,
+            recurring,
+            forecast
+        });
+        const insights = generateInsights(forecast, anomalies, context);
+
+        const totalIn = (entries, range) => sumAmounts(entries.filter(entry => {
+            const date = recurrence.toDateString(entry.date);
+            return date >= range.from && date <= range.to;
+        }));
 
-        res.json({ insights });
+        res.json({
+            baseCurrency: req.user.base_currency,
+            period,
+            previousPeriod,
+            comparison: comparePeriods(
+                { spending: totalIn(expenses, period), income: totalIn(income, period) },
+                { spending: totalIn(expenses, previousPeriod), income: totalIn(income, previousPeriod) }
+            ),
+            insights
+        });
     } catch (error) {
         res.status(500).json({ error: 'Failed to generate insights' });
     }
 });
 
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', message: 'Smart Expense Tracker API running' });
+// Anomalies dated ?from..?to (default: this month in the client's ?tz=).
+// ?window sets the baseline length in days (7-365, default 90), ?threshold the
+// score needed to flag an amount or frequency (default 3.5);
+// ?includeDismissed=true keeps dismissed ones.
+app.get('/anomalies', async (req, res) => {
+    try {
+        let today;
+        try {
+            today = periods.todayIn(req.query.tz);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const filters = parseExpenseFilters(req.query);
+        const from = filters.from || `${today.slice(0, 7)}-01`;
+        const to = filters.to || today;
+
+        const options = { includeDismissed: req.query.includeDismissed === 'true' };
+        if (req.query.window !== undefined) {
+            options.windowDays = Math.min(Math.max(parseInt(req.query.window) || 90, 7), 365);
+        }
+        if (req.query.threshold !== undefined) {
+            const threshold = parseFloat(req.query.threshold);
+            if (!(threshold > 0)) {
+                return res.status(400).json({ error: 'threshold must be a positive number' });
+            }
+            options.threshold = threshold;
+        }
+
+        const anomalies = await loadAnomalies(req.user, from, to, options);
+        res.json({ baseCurrency: req.user.base_currency, from, to, anomalies });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to detect anomalies' });
+    }
+});
+
+app.get('/anomalies/feedback', async (req, res) => {
+    try {
+        const feedback = await dbOperations.getAnomalyFeedback(req.user.id);
+        res.json(feedback);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch anomaly feedback' });
+    }
+});
+
+// Body: { key, status: 'dismissed' | 'confirmed', expenseId }. Dismissed
+// patterns are no longer reported; confirmed ones stay, marked as confirmed.
+app.post('/anomalies/feedback', async (req, res) => {
+    try {
+        const { key, status, expenseId } = req.body;
+        if (!key || typeof key !== 'string' || !['dismissed', 'confirmed'].includes(status)) {
+            return res.status(400).json({ error: 'key and a status of dismissed or confirmed are required' });
+        }
+
+        const feedback = await dbOperations.setAnomalyFeedback({ key, status, expenseId }, req.user.id);
+        res.status(201).json({ message: 'Feedback saved', feedback });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to save feedback' });
+    }
+});
+
+// Forget feedback so the pattern is reported again
+app.delete('/anomalies/feedback/:id', async (req, res) => {
+    try {
+        const deleted = await dbOperations.deleteAnomalyFeedback(req.params.id, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Feedback not found' });
+        }
+        res.json({ message: 'Feedback deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete feedback' });
+    }
+});
+
+// Spending forecast for the rest of this month and the next ?months=1-12
+// months (default 3), overall and per category, with 95% intervals
+app.get('/forecast', async (req, res) => {
+    try {
+        const horizon = Math.min(Math.max(parseInt(req.query.months) || 3, 1), 12);
+        const forecast = await loadForecast(req.user.id, horizon);
+        res.json({ baseCurrency: req.user.base_currency, ...forecast });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to generate forecast' });
+    }
+});
+
+// Forecast error on the last ?months=1-24 complete months (default 6)
+app.get('/forecast/backtest', async (req, res) => {
+    try {
+        const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+        const monthlyRows = await dbOperations.getMonthlyCategoryTotals(req.user.id);
+        const result = forecasting.backtest({ monthlyRows, today: recurrence.today(), months });
+        res.json({ baseCurrency: req.user.base_currency, ...result });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to run backtest' });
+    }
+});
+
+// Cloud sync state, with the caller's changes still waiting to be pushed.
+// Syncing covers every account, so only administrators can start one or see
+// the storage provider's error messages.
+app.get('/sync/status', async (req, res) => {
+    try {
+        const pending = await dbOperations.getSyncOutboxSize(req.user.id);
+        const canSync = await isAdmin(req.user);
+        const status = cloudSync.getSyncStatus();
+        if (!canSync && status.lastError) {
+            status.lastError = 'The storage provider could not be reached';
+        }
+        res.json({ ...status, pending, canSync });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch sync status' });
+    }
+});
+
+// Syncs straight away instead of waiting for the next scheduled sync
+app.post('/sync/now', requireAdmin, async (req, res) => {
+    if (!cloudSync.enabled) {
+        return res.status(400).json({ error: 'Cloud sync is disabled' });
+    }
+    try {
+        const result = await cloudSync.sync();
+        res.json({ message: 'Sync complete', ...result, status: cloudSync.getSyncStatus() });
+    } catch (error) {
+        res.status(502).json({ error: `Sync failed: ${error.message}`, status: cloudSync.getSyncStatus() });
+    }
+});
+
+// Checks that the storage provider can be written, read and listed
+app.post('/sync/test', requireAdmin, async (req, res) => {
+    if (!cloudSync.enabled) {
+        return res.status(400).json({ error: 'Cloud sync is disabled' });
+    }
+    const result = await cloudSync.testConnection();
+    if (!result.success) {
+        return res.status(502).json({ error: `Connection test failed: ${result.error}` });
+    }
+    res.json({ message: 'Connection OK', provider: cloudSync.provider });
+});
+
+// Backups, newest first
+app.get('/backups', requireAdmin, async (req, res) => {
+    try {
+        res.json({ enabled: backups.enabled, backups: await backups.listBackups() });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch backups' });
+    }
+});
+
+app.post('/backups', requireAdmin, async (req, res) => {
+    try {
+        const backup = await backups.createBackup('manual');
+        res.status(201).json({ message: 'Backup created', backup });
+    } catch (error) {
+        if (error instanceof BackupError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Backup failed:', error.message);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+// Replaces the whole database with a backup once it has been decrypted and
+// checked; the data it replaces is backed up first
+app.post('/backups/:id/restore', requireAdmin, async (req, res) => {
+    try {
+        if (!(await backups.getBackup(req.params.id))) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+        const result = await backups.restoreBackup(req.params.id);
+        res.json({ message: 'Backup restored', ...result });
+    } catch (error) {
+        if (error instanceof BackupError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Restore failed:', error.message);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📊 Health: http://localhost:${PORT}/health`);
+// Start listening once the database is connected and migrated
+dbManager.ready.then(() => {
+    scheduler.start();
+    cloudSync.start();
+    backups.start();
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`📊 Health: http://localhost:${PORT}/health`);
+    });
+}).catch(error => {
+    // The database could not be reached (see DB_FALLBACK_TO_SQLITE) or migrated
+    console.error('❌ Server not started, the database is unavailable:', error.message);
+    process.exit(1);
 });
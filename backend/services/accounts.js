@@ -0,0 +1,199 @@
+const { toDateString, today, addMonths } = require('./recurrence');
+
+// Accounts and wallets (cash, bank accounts, credit cards) and the balances
+// that follow from them: the opening balance plus the expenses and income
+// linked to the account and transfers in and out of it. Balances are in the
+// owner's base currency, like expense and income amounts.
+
+const ACCOUNT_TYPES = ['cash', 'bank', 'credit_card', 'wallet', 'savings'];
+
+// Order of same-day movements in a statement
+const KIND_ORDER = { income: 0, transfer: 1, expense: 2 };
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Validate a create/update request body (merged with the existing account
+// for updates) and turn it into column values. `accounts` is the user's
+// current list, used for duplicate names. Throws an Error with a
+// user-facing message when something is wrong.
+function normalizeAccount(input, accounts, id = null) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 100) {
+        throw new Error('Account name is required (at most 100 characters)');
+    }
+    const duplicate = accounts.find(a => a.name.toLowerCase() === name.toLowerCase() && a.id !== id);
+    if (duplicate) {
+        throw new Error(`An account named ${duplicate.name} already exists`);
+    }
+
+    const type = input.type || 'bank';
+    if (!ACCOUNT_TYPES.includes(type)) {
+        throw new Error(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+    }
+
+    // Credit cards usually open with a negative balance (money owed)
+    const openingBalance = input.openingBalance === undefined || input.openingBalance === null || input.openingBalance === ''
+        ? 0
+        : Number(input.openingBalance);
+    if (!Number.isFinite(openingBalance)) {
+        throw new Error('openingBalance must be a number');
+    }
+
+    const openingDate = input.openingDate || today();
+    if (!isDate(openingDate)) {
+        throw new Error('openingDate must be a YYYY-MM-DD date');
+    }
+
+    return {
+        name,
+        type,
+        opening_balance: round(openingBalance),
+        opening_date: openingDate,
+        archived: input.archived === true || input.archived === 'true' || Number(input.archived) === 1 ? 1 : 0
+    };
+}
+
+// Validate a transfer between two of the user's `accounts`
+function normalizeTransfer(input, accounts) {
+    const amount = parseFloat(input.amount);
+    if (isNaN(amount) || amount <= 0) {
+        throw new Error('A positive amount is required');
+    }
+
+    const date = input.date || today();
+    if (!isDate(date)) {
+        throw new Error('date must be a YYYY-MM-DD date');
+    }
+
+    const from = accounts.find(a => a.id === Number(input.fromAccountId));
+    const to = accounts.find(a => a.id === Number(input.toAccountId));
+    if (!from || !to) {
+        throw new Error('fromAccountId and toAccountId must be two of your accounts');
+    }
+    if (from.id === to.id) {
+        throw new Error('Cannot transfer to the same account');
+    }
+
+    return {
+        date,
+        from_account_id: from.id,
+        to_account_id: to.id,
+        amount: round(amount),
+        description: input.description || ''
+    };
+}
+
+// Signed movements per account: expenses out, income in, and each transfer
+// out of one account and into the other. Entries without an account are left out.
+function toMovements({ expenses = [], income = [], transfers = [] }) {
+    const movement = (accountId, kind, entry, amount, description) => ({
+        accountId: Number(accountId),
+        kind,
+        id: entry.id,
+        date: toDateString(entry.date),
+        description,
+        amount: round(amount)
+    });
+
+    return [
+        ...expenses
+            .filter(exp => exp.account_id)
+            .map(exp => movement(exp.account_id, 'expense', exp, -Number(exp.amount), exp.description || exp.category)),
+        ...income
+            .filter(entry => entry.account_id)
+            .map(entry => movement(entry.account_id, 'income', entry, Number(entry.amount), entry.description || entry.source)),
+        ...transfers.flatMap(transfer => [
+            movement(transfer.from_account_id, 'transfer', transfer, -Number(transfer.amount), transfer.description || 'Transfer out'),
+            movement(transfer.to_account_id, 'transfer', transfer, Number(transfer.amount), transfer.description || 'Transfer in')
+        ])
+    ];
+}
+
+// The account's movements that count towards its balance, oldest first.
+// Movements before the opening date are already part of the opening balance.
+function movementsOf(account, movements, to) {
+    const openingDate = toDateString(account.opening_date);
+    return movements
+        .filter(m => m.accountId === account.id && m.date >= openingDate && m.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date) || KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.id - b.id);
+}
+
+function describeAccount(account) {
+    return {
+        id: account.id,
+        name: account.name,
+        type: account.type,
+        archived: Boolean(Number(account.archived)),
+        openingBalance: Number(account.opening_balance),
+        openingDate: toDateString(account.opening_date)
+    };
+}
+
+// Balance of every account on `to`, with its inflow, outflow and the
+// balance at the end of each month since it was opened, for reconciling
+// against bank and card statements
+function buildBalances(accounts, movements, to = today()) {
+    return accounts.map(account => {
+        const own = movementsOf(account, movements, to);
+        const months = [];
+        let balance = Number(account.opening_balance);
+
+        for (let month = toDateString(account.opening_date).slice(0, 7); month <= to.slice(0, 7);
+            month = addMonths(`${month}-01`, 1).slice(0, 7)) {
+            const inMonth = own.filter(m => m.date.startsWith(month));
+            const inflow = inMonth.filter(m => m.amount > 0).reduce((sum, m) => sum + m.amount, 0);
+            const outflow = inMonth.filter(m => m.amount < 0).reduce((sum, m) => sum - m.amount, 0);
+            balance += inflow - outflow;
+            months.push({ month, inflow: round(inflow), outflow: round(outflow), balance: round(balance) });
+        }
+
+        return {
+            ...describeAccount(account),
+            inflow: round(months.reduce((sum, m) => sum + m.inflow, 0)),
+            outflow: round(months.reduce((sum, m) => sum + m.outflow, 0)),
+            balance: round(balance),
+            months
+        };
+    });
+}
+
+// One account's movements dated from..to with the running balance after
+// each, starting from the balance carried into `from`
+function buildStatement(account, movements, from, to = today()) {
+    let balance = Number(account.opening_balance);
+    let openingBalance = balance;
+    const entries = [];
+
+    movementsOf(account, movements, to).forEach(m => {
+        balance += m.amount;
+        if (from && m.date < from) {
+            openingBalance = balance;
+            return;
+        }
+        entries.push({ ...m, balance: round(balance) });
+    });
+
+    return {
+        account: describeAccount(account),
+        from: from || toDateString(account.opening_date),
+        to,
+        openingBalance: round(openingBalance),
+        closingBalance: round(balance),
+        entries
+    };
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    normalizeAccount,
+    normalizeTransfer,
+    toMovements,
+    buildBalances,
+    buildStatement
+};
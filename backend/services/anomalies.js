@@ -0,0 +1,202 @@
+const { toDateString, addDays } = require('./recurrence');
+const { formatMoney } = require('./currency');
+
+// Anomaly detection over a user's expenses. Every expense is judged against a
+// rolling baseline of the same category's history rather than the month it
+// falls in, so regular large payments (rent) are not flagged and sparse
+// months still get checked. Three kinds of anomaly are reported:
+//   amount     - far above the category's usual amounts (median/MAD, or z-score)
+//   duplicate  - same amount, currency, category and description shortly after another
+//   frequency  - unusually many expenses in one category on one day
+// Each anomaly has a `key` naming its pattern; feedback is stored per key.
+
+const DEFAULT_OPTIONS = {
+    windowDays: 90,     // length of the rolling baseline
+    threshold: 3.5,     // score above which something is unusual
+    minSamples: 5,      // baseline expenses needed before amounts are judged
+    duplicateDays: 2,   // identical charges this many days apart look like duplicates
+    minDailyCount: 3    // fewest same-category expenses in a day worth flagging
+};
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function standardDeviation(values) {
+    const average = mean(values);
+    return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+function normalizeText(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 100);
+}
+
+function severityFor(score, threshold) {
+    if (score >= threshold * 2) return 'high';
+    if (score >= threshold * 1.5) return 'medium';
+    return 'low';
+}
+
+// How far `value` sits above `baseline`: the modified z-score around the
+// median, or the ordinary z-score when more than half the baseline is
+// identical (MAD of zero). Null when the baseline has no spread at all.
+function robustScore(value, baseline) {
+    const center = median(baseline);
+    const mad = median(baseline.map(amount => Math.abs(amount - center)));
+    if (mad > 0) {
+        return { score: 0.6745 * (value - center) / mad, center, method: 'modified z-score' };
+    }
+
+    const deviation = standardDeviation(baseline);
+    return deviation > 0
+        ? { score: (value - mean(baseline)) / deviation, center, method: 'z-score' }
+        : null;
+}
+
+// Same-category history in the `windowDays` before `date`
+function baselineFor(history, category, date, windowDays) {
+    const start = addDays(date, -windowDays);
+    return history.filter(exp => exp.category === category && exp.date >= start && exp.date < date);
+}
+
+function detectAmounts(expenses, history, options) {
+    return expenses.flatMap(expense => {
+        const baseline = baselineFor(history, expense.category, expense.date, options.windowDays)
+            .map(exp => exp.amount);
+        if (baseline.length < options.minSamples) return [];
+
+        const result = robustScore(expense.amount, baseline);
+        if (!result || result.score < options.threshold) return [];
+
+        return [{
+            key: `amount:${expense.category}:${normalizeText(expense.description)}`,
+            type: 'amount',
+            severity: severityFor(result.score, options.threshold),
+            score: Math.round(result.score * 10) / 10,
+            reason: `${formatMoney(expense.amount, options.currency)} is far above the typical ${expense.category} ` +
+                `expense of ${formatMoney(result.center, options.currency)} ` +
+                `(${result.method} ${result.score.toFixed(1)} over the last ${options.windowDays} days)`,
+            expenseIds: [expense.id],
+            ...expense
+        }];
+    });
+}
+
+function detectDuplicates(expenses, history, options) {
+    const signature = (exp) => [
+        exp.category,
+        normalizeText(exp.description),
+        exp.currency || '',
+        Number(exp.original_amount !== null && exp.original_amount !== undefined ? exp.original_amount : exp.amount)
+    ].join('|');
+
+    return expenses.flatMap(expense => {
+        const start = addDays(expense.date, -options.duplicateDays);
+        const original = history.find(exp =>
+            exp.id !== expense.id &&
+            exp.date >= start &&
+            (exp.date < expense.date || (exp.date === expense.date && exp.id < expense.id)) &&
+            signature(exp) === signature(expense));
+        if (!original) return [];
+
+        const sameDay = original.date === expense.date;
+        return [{
+            key: `duplicate:${expense.category}:${normalizeText(expense.description)}:${expense.amount}`,
+            type: 'duplicate',
+            severity: sameDay ? 'high' : 'medium',
+            score: null,
+            reason: `Same amount, category and description as the expense on ${original.date}` +
+                (sameDay ? ' (same day)' : ''),
+            expenseIds: [original.id, expense.id],
+            ...expense
+        }];
+    });
+}
+
+function detectFrequency(expenses, history, options) {
+    const days = new Map();
+    expenses.forEach(expense => {
+        const group = `${expense.category}|${expense.date}`;
+        if (!days.has(group)) days.set(group, []);
+        days.get(group).push(expense);
+    });
+
+    return [...days.values()].flatMap(group => {
+        if (group.length < options.minDailyCount) return [];
+
+        const { category, date } = group[0];
+        const counts = new Map();
+        baselineFor(history, category, date, options.windowDays).forEach(exp => {
+            counts.set(exp.date, (counts.get(exp.date) || 0) + 1);
+        });
+        // Every day in the window counts, including days without expenses
+        const daily = [];
+        for (let day = addDays(date, -options.windowDays); day < date; day = addDays(day, 1)) {
+            daily.push(counts.get(day) || 0);
+        }
+
+        // The floor on the deviation keeps a first busy day in a quiet category finite
+        const usual = mean(daily);
+        const score = (group.length - usual) / Math.max(standardDeviation(daily), 0.5);
+        if (score < options.threshold) return [];
+
+        const last = group[group.length - 1];
+        return [{
+            key: `frequency:${category}`,
+            type: 'frequency',
+            severity: severityFor(score, options.threshold),
+            score: Math.round(score * 10) / 10,
+            reason: `${group.length} ${category} expenses on ${date}; usually ${usual.toFixed(1)} a day`,
+            expenseIds: group.map(exp => exp.id),
+            ...last,
+            amount: Math.round(group.reduce((sum, exp) => sum + exp.amount, 0) * 100) / 100,
+            description: group.map(exp => exp.description).filter(Boolean).join(', ')
+        }];
+    });
+}
+
+// Anomalies among expenses dated `from`..`to`. `history` must hold the
+// user's expenses from `windowDays` before `from` up to `to`. Feedback rows
+// ({ anomaly_key, status }) mark anomalies as confirmed or drop dismissed
+// ones (kept with `includeDismissed`).
+function detectAnomalies({ history, from, to, feedback = [], options = {} }) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const rows = history
+        .map(exp => ({
+            id: exp.id,
+            date: toDateString(exp.date),
+            category: exp.category,
+            amount: Number(exp.amount),
+            original_amount: exp.original_amount === null || exp.original_amount === undefined
+                ? null
+                : Number(exp.original_amount),
+            currency: exp.currency || null,
+            description: exp.description || ''
+        }))
+        .sort((a, b) => (a.date === b.date ? a.id - b.id : (a.date < b.date ? -1 : 1)));
+    const inRange = rows.filter(exp => exp.date >= from && exp.date <= to);
+    const statuses = new Map(feedback.map(row => [row.anomaly_key, row.status]));
+
+    return [
+        ...detectAmounts(inRange, rows, settings),
+        ...detectDuplicates(inRange, rows, settings),
+        ...detectFrequency(inRange, rows, settings)
+    ]
+        .map(anomaly => ({ ...anomaly, status: statuses.get(anomaly.key) || 'open' }))
+        .filter(anomaly => settings.includeDismissed || anomaly.status !== 'dismissed')
+        .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] || (a.date < b.date ? 1 : -1));
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    robustScore,
+    detectAnomalies
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Password hashing (scrypt) and JWT session tokens
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+const SCRYPT_KEY_LENGTH = 64;
+
+let tokenSecret = process.env.JWT_SECRET;
+if (!tokenSecret) {
+    // Tokens signed with a throwaway secret stop working when the server restarts
+    console.warn('⚠️  JWT_SECRET is not set; using a random secret for this process');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const key = await scrypt(password, salt);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+function signToken(user) {
+    return jwt.sign({ sub: user.id, email: user.email }, tokenSecret, { expiresIn: TOKEN_TTL });
+}
+
+// Returns the token payload, or null when the token is missing, invalid or expired
+function verifyToken(token) {
+    try {
+        return jwt.verify(token, tokenSecret);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken
+};
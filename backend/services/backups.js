@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+require('dotenv').config();
+
+// Encrypted backups of the whole database, taken on a schedule or on request
+// and kept under BACKUP_DIR (default data/backups) as
+//   <id>.backup   where the id is the creation time plus a random suffix.
+//
+// DatabaseManager takes the snapshot (createSnapshot): a copy of the SQLite
+// file made with the online backup API, or a JSON dump of every table for
+// MySQL and PostgreSQL. Here it is gzipped and encrypted with AES-256-GCM
+// under a key derived from BACKUP_PASSPHRASE with scrypt. A file is
+//   "EXPBAK01" | header length (uint32 BE) | JSON header | ciphertext | GCM tag
+// The header (id, creation time, trigger, dialect, kind, salt, iv) is readable
+// without the passphrase so backups can be listed, and is authenticated along
+// with the ciphertext, so any change to the file is caught before a restore.
+
+const BACKUP_DIR = path.join(__dirname, '../../data/backups');
+const MAGIC = Buffer.from('EXPBAK01');
+const FORMAT = 1;
+const FILE_EXTENSION = '.backup';
+const ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{8}$/;
+
+// scrypt cost: about 32 MB and a tenth of a second per backup
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KDF_MAXMEM = 64 * 1024 * 1024;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const scrypt = promisify(crypto.scrypt);
+
+// A backup that cannot be made or restored as asked: wrong passphrase,
+// damaged file, different database, backups turned off
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function deriveKey(passphrase, salt, params) {
+    return scrypt(passphrase, salt, 32, { N: params.N, r: params.r, p: params.p, maxmem: KDF_MAXMEM });
+}
+
+// The backup file for `payload`, described by `meta`
+async function seal(payload, passphrase, meta) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(passphrase, salt, KDF_PARAMS);
+    const header = Buffer.from(JSON.stringify({
+        ...meta,
+        format: FORMAT,
+        compression: 'gzip',
+        cipher: 'aes-256-gcm',
+        kdf: { name: 'scrypt', ...KDF_PARAMS, salt: salt.toString('base64') },
+        iv: iv.toString('base64')
+    }));
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+    const body = Buffer.concat([cipher.update(await gzip(payload)), cipher.final()]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length);
+    return Buffer.concat([MAGIC, length, header, body, cipher.getAuthTag()]);
+}
+
+// The header of a backup file, from at least its first bytes
+function parseHeader(buffer) {
+    if (buffer.length < MAGIC.length + 4 || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new BackupError('Not a backup file');
+    }
+    const length = buffer.readUInt32BE(MAGIC.length);
+    const start = MAGIC.length + 4;
+    if (buffer.length < start + length) {
+        throw new BackupError('The backup file is truncated');
+    }
+    const bytes = buffer.subarray(start, start + length);
+    let header;
+    try {
+        header = JSON.parse(bytes.toString('utf8'));
+    } catch (error) {
+        throw new BackupError('The backup header is damaged');
+    }
+    if (header.format !== FORMAT) {
+        throw new BackupError(`Unsupported backup format ${header.format}`);
+    }
+    return { header, bytes, end: start + length };
+}
+
+// Decrypts and decompresses a backup file. The GCM tag fails if the
+// passphrase is wrong or any byte of the file changed.
+async function unseal(buffer, passphrase) {
+    const { header, bytes, end } = parseHeader(buffer);
+    if (buffer.length < end + 16) {
+        throw new BackupError('The backup file is truncated');
+    }
+
+    const key = await deriveKey(passphrase, Buffer.from(header.kdf.salt, 'base64'), header.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.iv, 'base64'));
+    decipher.setAAD(bytes);
+    decipher.setAuthTag(buffer.subarray(buffer.length - 16));
+    let compressed;
+    try {
+        compressed = Buffer.concat([decipher.update(buffer.subarray(end, buffer.length - 16)), decipher.final()]);
+    } catch (error) {
+        throw new BackupError('The backup cannot be decrypted: wrong passphrase or damaged file');
+    }
+
+    const payload = await gunzip(compressed);
+    if (payload.length !== header.size) {
+        throw new BackupError('The backup is incomplete');
+    }
+    return { header, payload };
+}
+
+// Monday of the UTC week `timestamp` falls in
+function weekOf(timestamp) {
+    const date = new Date(`${timestamp.slice(0, 10)}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return date.toISOString().slice(0, 10);
+}
+
+// Backups the retention rules no longer keep. Kept are the newest `last`
+// backups plus the newest backup of each of the latest `daily` days, `weekly`
+// weeks and `monthly` months that have one. The newest backup is always kept.
+function expiredBackups(backups, rules) {
+    const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const keep = new Set(newestFirst.slice(0, Math.max(rules.last, 1)).map(backup => backup.id));
+
+    const keepNewestPer = (count, periodOf) => {
+        const periods = new Set();
+        for (const backup of newestFirst) {
+            if (periods.size >= count) break;
+            const period = periodOf(backup.createdAt);
+            if (!periods.has(period)) {
+                periods.add(period);
+                keep.add(backup.id);
+            }
+        }
+    };
+    keepNewestPer(rules.daily, timestamp => timestamp.slice(0, 10));
+    keepNewestPer(rules.weekly, weekOf);
+    keepNewestPer(rules.monthly, timestamp => timestamp.slice(0, 7));
+
+    return newestFirst.filter(backup => !keep.has(backup.id));
+}
+
+// What GET /backups shows of a backup
+function describe(header, fileSize) {
+    return {
+        id: header.id,
+        createdAt: header.createdAt,
+        trigger: header.trigger,
+        dialect: header.dialect,
+        kind: header.kind,
+        size: header.size,
+        fileSize
+    };
+}
+
+// Takes, lists, prunes and restores backups through dbOperations
+// (createSnapshot, verifySnapshot, restoreSnapshot). Backups are off until
+// BACKUP_PASSPHRASE is set. Once started, a backup is taken whenever the newest
+// one is more than BACKUP_INTERVAL_HOURS old (default 24, 0 turns the schedule
+// off); `onRestore()` is called after a restore.
+class BackupService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.passphrase = options.passphrase !== undefined ? options.passphrase : process.env.BACKUP_PASSPHRASE;
+        this.enabled = Boolean(this.passphrase);
+        this.directory = path.resolve(options.directory || process.env.BACKUP_DIR || BACKUP_DIR);
+        this.intervalMs = options.intervalMs !== undefined
+            ? options.intervalMs
+            : envInt('BACKUP_INTERVAL_HOURS', 24) * 60 * 60 * 1000;
+        this.retention = options.retention || {
+            last: envInt('BACKUP_KEEP_LAST', 7),
+            daily: envInt('BACKUP_KEEP_DAILY', 7),
+            weekly: envInt('BACKUP_KEEP_WEEKLY', 4),
+            monthly: envInt('BACKUP_KEEP_MONTHLY', 6)
+        };
+        this.onRestore = options.onRestore || (() => {});
+        this.timer = null;
+        this.queue = Promise.resolve();
+    }
+
+    start() {
+        if (!this.enabled || this.intervalMs <= 0) return;
+        this.backupIfDue();
+        // Checked at least hourly so a long interval still survives restarts
+        this.timer = setInterval(() => this.backupIfDue(), Math.min(this.intervalMs, 60 * 60 * 1000));
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async backupIfDue() {
+        try {
+            const [newest] = await this.listBackups();
+            if (!newest || Date.now() - new Date(newest.createdAt).getTime() >= this.intervalMs) {
+                const backup = await this.createBackup('scheduled');
+                console.log(`💾 Backup ${backup.id} written`);
+            }
+        } catch (error) {
+            console.error('❌ Scheduled backup failed:', error.message);
+        }
+    }
+
+    assertEnabled() {
+        if (!this.enabled) {
+            throw new BackupError('Backups are disabled: set BACKUP_PASSPHRASE');
+        }
+    }
+
+    // Backups and restores run one at a time
+    exclusive(work) {
+        const result = this.queue.then(work);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    filePath(id) {
+        return path.join(this.directory, `${id}${FILE_EXTENSION}`);
+    }
+
+    // Takes a backup now (`trigger`: manual, scheduled or pre-restore), then
+    // applies the retention rules
+    async createBackup(trigger = 'manual') {
+        this.assertEnabled();
+        return this.exclusive(() => this.writeBackup(trigger));
+    }
+
+    async writeBackup(trigger) {
+        const createdAt = new Date();
+        const id = `${createdAt.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}-${crypto.randomBytes(4).toString('hex')}`;
+        const snapshot = await this.db.createSnapshot();
+        const meta = {
+            id,
+            createdAt: createdAt.toISOString(),
+            trigger,
+            dialect: snapshot.dialect,
+            kind: snapshot.kind,
+            size: snapshot.data.length
+        };
+        const file = await seal(snapshot.data, this.passphrase, meta);
+
+        // Written under a temporary name so a listing never shows half a backup
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const temp = `${this.filePath(id)}.tmp`;
+        await fs.promises.writeFile(temp, file, { mode: 0o600 });
+        await fs.promises.rename(temp, this.filePath(id));
+
+        // Pruning waits for the next backup after a restore, so the backup
+        // being restored stays in the list
+        if (trigger !== 'pre-restore') await this.prune();
+        return describe(meta, file.length);
+    }
+
+    // Every backup in the directory, newest first. Files that are not backups
+    // are left out.
+    async listBackups() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const backups = [];
+        for (const name of names) {
+            const id = name.slice(0, -FILE_EXTENSION.length);
+            if (!name.endsWith(FILE_EXTENSION) || !ID_PATTERN.test(id)) continue;
+            try {
+                const backup = await this.readSummary(id);
+                if (backup.id === id) backups.push(backup);
+            } catch (error) {
+                console.warn(`Skipping ${name}: ${error.message}`);
+            }
+        }
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Reads only as much of the file as the header needs
+    async readSummary(id) {
+        const handle = await fs.promises.open(this.filePath(id), 'r');
+        try {
+            const { size } = await handle.stat();
+            const prefix = Buffer.alloc(MAGIC.length + 4);
+            await handle.read(prefix, 0, prefix.length, 0);
+            const length = prefix.subarray(0, MAGIC.length).equals(MAGIC) ? prefix.readUInt32BE(MAGIC.length) : 0;
+            const start = Buffer.alloc(Math.min(prefix.length + length, size));
+            await handle.read(start, 0, start.length, 0);
+            return describe(parseHeader(start).header, size);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // The backup with this id, or null when there is none
+    async getBackup(id) {
+        if (!ID_PATTERN.test(String(id))) return null;
+        try {
+            return await this.readSummary(id);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async prune() {
+        for (const backup of expiredBackups(await this.listBackups(), this.retention)) {
+            await fs.promises.rm(this.filePath(backup.id), { force: true });
+            console.log(`🗑️  Backup ${backup.id} removed by retention rules`);
+        }
+    }
+
+    // Decrypts the backup and has the database check it can be restored
+    async verifyBackup(id) {
+        const { header, payload } = await unseal(await fs.promises.readFile(this.filePath(id)), this.passphrase);
+        await this.db.verifySnapshot(header, payload);
+        return { header, payload };
+    }
+
+    // Replaces the whole database with the backup's contents once the backup
+    // has passed verification. A pre-restore backup of the current data is
+    // taken first, so a restore can itself be undone.
+    async restoreBackup(id) {
+        this.assertEnabled();
+        return this.exclusive(async () => {
+            const backup = await this.readSummary(id);
+            const { header, payload } = await this.verifyBackup(id);
+            const safetyBackup = await this.writeBackup('pre-restore');
+            await this.db.restoreSnapshot(header, payload);
+            this.onRestore();
+            console.log(`♻️  Restored backup ${id} (previous data saved as ${safetyBackup.id})`);
+            return { backup, safetyBackup };
+        });
+    }
+}
+
+module.exports = {
+    BackupError,
+    BackupService,
+    expiredBackups,
+    seal,
+    unseal
+};
@@ -0,0 +1,107 @@
+// Category validation and category-total roll-ups.
+// Categories form a two-level tree: top-level categories and their subcategories.
+
+const DEFAULT_CATEGORIES = [
+    { name: 'Food', color: '#ff9500', icon: 'fa-utensils' },
+    { name: 'Travel', color: '#007aff', icon: 'fa-plane' },
+    { name: 'Shopping', color: '#af52de', icon: 'fa-shopping-bag' },
+    { name: 'Other', color: '#8e8e93', icon: 'fa-tag' }
+];
+
+const DEFAULT_COLOR = '#8e8e93';
+const DEFAULT_ICON = 'fa-tag';
+
+// Validate a create/update request body (merged with the existing category
+// for updates) and turn it into column values. `categories` is the user's
+// current list, used for duplicate names and parent checks. Throws an Error
+// with a user-facing message when something is wrong.
+function normalizeCategory(input, categories, id = null) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 100) {
+        throw new Error('Category name is required (at most 100 characters)');
+    }
+    const duplicate = categories.find(c => c.name.toLowerCase() === name.toLowerCase() && c.id !== id);
+    if (duplicate) {
+        throw new Error(`A category named ${duplicate.name} already exists`);
+    }
+
+    const parentId = input.parentId === undefined || input.parentId === null || input.parentId === ''
+        ? null
+        : Number(input.parentId);
+    if (parentId !== null) {
+        const parent = categories.find(c => c.id === parentId);
+        if (!parent || parent.id === id) {
+            throw new Error('Parent category not found');
+        }
+        if (parent.parent_id) {
+            throw new Error('Subcategories cannot have subcategories of their own');
+        }
+        if (id !== null && categories.some(c => c.parent_id === id)) {
+            throw new Error('A category with subcategories cannot become a subcategory');
+        }
+    }
+
+    const color = input.color || DEFAULT_COLOR;
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+        throw new Error('Colour must be a hex value such as #ff9500');
+    }
+    const icon = input.icon || DEFAULT_ICON;
+    if (!/^fa-[a-z0-9-]+$/.test(icon)) {
+        throw new Error('Icon must be a Font Awesome icon name such as fa-utensils');
+    }
+
+    return { name, parent_id: parentId, color, icon };
+}
+
+// Add colour, icon and parent name to per-category totals. Totals for names
+// that are no longer in the table (e.g. old data) are passed through as-is.
+function annotateTotals(totals, categories) {
+    return totals.map(row => {
+        const category = categories.find(c => c.name === row.category);
+        const parent = category && category.parent_id
+            ? categories.find(c => c.id === category.parent_id)
+            : null;
+
+        return {
+            ...row,
+            color: category ? category.color : DEFAULT_COLOR,
+            icon: category ? category.icon : DEFAULT_ICON,
+            parent: parent ? parent.name : null
+        };
+    });
+}
+
+// Fold subcategory totals into their parent. Each parent row keeps its own
+// spending in the total and lists the contributing subcategories.
+function rollUpTotals(totals, categories) {
+    const groups = new Map();
+
+    annotateTotals(totals, categories).forEach(row => {
+        const name = row.parent || row.category;
+        if (!groups.has(name)) {
+            const category = categories.find(c => c.name === name);
+            groups.set(name, {
+                category: name,
+                total: 0,
+                color: category ? category.color : row.color,
+                icon: category ? category.icon : row.icon,
+                subcategories: []
+            });
+        }
+
+        const group = groups.get(name);
+        group.total = Math.round((group.total + Number(row.total)) * 100) / 100;
+        if (row.parent) {
+            group.subcategories.push({ category: row.category, total: Number(row.total) });
+        }
+    });
+
+    return [...groups.values()].sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    normalizeCategory,
+    annotateTotals,
+    rollUpTotals
+};
@@ -0,0 +1,156 @@
+// Offline category suggestions: a multinomial naive Bayes classifier trained
+// on each user's own description → category history. Nothing leaves the server.
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Lower-cased words of a description, without accents, numbers and stop words
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+}
+
+class NaiveBayesClassifier {
+    constructor() {
+        this.documents = new Map();   // category → descriptions learned
+        this.tokenCounts = new Map(); // category → Map(token → occurrences)
+        this.tokenTotals = new Map(); // category → tokens learned
+        this.vocabulary = new Map();  // token → occurrences in any category
+        this.size = 0;
+    }
+
+    learn(text, category) {
+        this.update(text, category, 1);
+    }
+
+    // Undo an earlier learn(), e.g. when an expense is edited or deleted
+    forget(text, category) {
+        this.update(text, category, -1);
+    }
+
+    update(text, category, weight) {
+        const tokens = tokenize(text);
+        if (tokens.length === 0 || !category) return;
+        if (weight < 0 && !this.documents.has(category)) return;
+
+        const counts = this.tokenCounts.get(category) || new Map();
+        this.tokenCounts.set(category, counts);
+        this.documents.set(category, (this.documents.get(category) || 0) + weight);
+        this.tokenTotals.set(category, (this.tokenTotals.get(category) || 0) + weight * tokens.length);
+        this.size += weight;
+
+        tokens.forEach(token => {
+            counts.set(token, (counts.get(token) || 0) + weight);
+            this.vocabulary.set(token, (this.vocabulary.get(token) || 0) + weight);
+            if (counts.get(token) <= 0) counts.delete(token);
+            if (this.vocabulary.get(token) <= 0) this.vocabulary.delete(token);
+        });
+
+        if (this.documents.get(category) <= 0) {
+            this.documents.delete(category);
+            this.tokenCounts.delete(category);
+            this.tokenTotals.delete(category);
+        }
+    }
+
+    // Categories ranked by posterior probability (Laplace smoothing). Empty
+    // when none of the words in `text` has been seen before, so a suggestion
+    // is never based on the category priors alone.
+    classify(text) {
+        const tokens = tokenize(text).filter(token => this.vocabulary.has(token));
+        if (tokens.length === 0) return [];
+
+        const vocabularySize = this.vocabulary.size;
+        const scores = [...this.documents.keys()].map(category => {
+            const counts = this.tokenCounts.get(category);
+            const denominator = this.tokenTotals.get(category) + vocabularySize;
+            const score = tokens.reduce(
+                (sum, token) => sum + Math.log(((counts.get(token) || 0) + 1) / denominator),
+                Math.log(this.documents.get(category) / this.size)
+            );
+            return { category, score };
+        });
+
+        // Normalise the log scores into probabilities
+        const max = Math.max(...scores.map(entry => entry.score));
+        const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - max), 0);
+        return scores
+            .map(entry => ({ category: entry.category, probability: Math.exp(entry.score - max) / total }))
+            .sort((a, b) => b.probability - a.probability);
+    }
+}
+
+// Per-user classifiers. A user's model is trained from `loadExamples(userId)`
+// ([{ description, category }]) on first use and then kept current with
+// learn()/forget() as expenses change.
+class CategorySuggester {
+    constructor(loadExamples) {
+        this.loadExamples = loadExamples;
+        this.models = new Map();
+    }
+
+    getModel(userId) {
+        if (!this.models.has(userId)) {
+            const model = this.loadExamples(userId).then(examples => {
+                const classifier = new NaiveBayesClassifier();
+                examples.forEach(example => classifier.learn(example.description, example.category));
+                return classifier;
+            });
+            // A failed load is retried on the next request
+            model.catch(() => this.models.delete(userId));
+            this.models.set(userId, model);
+        }
+        return this.models.get(userId);
+    }
+
+    // { category, confidence (0-1), alternatives }; category is null when
+    // the description has nothing in common with the user's history
+    async suggest(userId, description) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const ranked = (await this.getModel(userId)).classify(description);
+
+        return {
+            category: ranked.length > 0 ? ranked[0].category : null,
+            confidence: ranked.length > 0 ? round(ranked[0].probability) : 0,
+            alternatives: ranked.slice(1, 3).map(entry => ({
+                category: entry.category,
+                confidence: round(entry.probability)
+            }))
+        };
+    }
+
+    // Incremental updates only touch models already in memory; any other
+    // model is trained from the database, changes included, when first used
+    learn(userId, expense) {
+        this.apply(userId, classifier => classifier.learn(expense.description, expense.category));
+    }
+
+    forget(userId, expense) {
+        this.apply(userId, classifier => classifier.forget(expense.description, expense.category));
+    }
+
+    apply(userId, change) {
+        const model = this.models.get(userId);
+        if (model) model.then(change).catch(() => {});
+    }
+
+    // Drop a model after bulk changes (category renames and merges); it is
+    // retrained on next use
+    reset(userId) {
+        this.models.delete(userId);
+    }
+
+    // Drop every model, e.g. after the database was restored from a backup
+    resetAll() {
+        this.models.clear();
+    }
+}
+
+module.exports = {
+    tokenize,
+    NaiveBayesClassifier,
+    CategorySuggester
+};
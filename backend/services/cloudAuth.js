@@ -0,0 +1,168 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Request signing and sign-in for the cloud sync providers (see
+// services/syncStorage.js): AWS Signature Version 4 for S3, and the OAuth 2.0
+// JWT-bearer grant that Google service accounts use for Cloud Storage and
+// Firestore.
+
+const GOOGLE_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+
+// Access tokens are renewed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Percent-encoding as SigV4 (and RFC 3986) expects: everything but A-Z a-z 0-9 - _ . ~
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Sorted, encoded query string; the same string must be sent and signed
+function canonicalQuery(params = {}) {
+    return Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(params[key]))}`)
+        .join('&');
+}
+
+// Headers for an AWS SigV4-signed request. `url` must already be encoded the
+// canonical way (see encodeRfc3986); `headers` are signed along with host and
+// the x-amz-* headers added here. `date` is for tests.
+function signAwsRequest({ method, url, headers = {}, body = '', region, service = 's3', credentials, date = new Date() }) {
+    const { host, pathname, search } = new URL(url);
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+
+    const signed = {
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+        host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    if (credentials.sessionToken) signed['x-amz-security-token'] = credentials.sessionToken;
+
+    const names = Object.keys(signed).sort();
+    const query = search.slice(1).split('&').filter(Boolean).sort().join('&');
+    const canonicalRequest = [
+        method.toUpperCase(),
+        pathname || '/',
+        query,
+        names.map(name => `${name}:${signed[name]}\n`).join(''),
+        names.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region), service), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+            `SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+}
+
+function base64url(data) {
+    return Buffer.from(data).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// A Google service account's key file (GOOGLE_APPLICATION_CREDENTIALS)
+function loadServiceAccount(file) {
+    let account;
+    try {
+        account = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read Google credentials from ${file}: ${error.message}`);
+    }
+    if (!account.client_email || !account.private_key) {
+        throw new Error(`${file} is not a service account key (client_email and private_key are required)`);
+    }
+    return account;
+}
+
+// OAuth access tokens for a Google service account: a JWT signed with the
+// account's private key is exchanged at the token endpoint, and the token is
+// reused until shortly before it expires
+class GoogleTokenProvider {
+    constructor({ clientEmail, privateKey, scopes, tokenUri }) {
+        if (!clientEmail || !privateKey) {
+            throw new Error('A service account email and private key are required');
+        }
+        this.clientEmail = clientEmail;
+        // Keys pasted into .env usually carry their line breaks as "\n"
+        this.privateKey = privateKey.replace(/\\n/g, '\n');
+        this.scopes = scopes;
+        this.tokenUri = tokenUri || GOOGLE_TOKEN_URI;
+        this.token = null;
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    assertion(now = Date.now()) {
+        const issuedAt = Math.floor(now / 1000);
+        const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+        const claims = base64url(JSON.stringify({
+            iss: this.clientEmail,
+            scope: this.scopes.join(' '),
+            aud: this.tokenUri,
+            iat: issuedAt,
+            exp: issuedAt + 3600
+        }));
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${claims}`), this.privateKey);
+        return `${header}.${claims}.${base64url(signature)}`;
+    }
+
+    async getToken() {
+        if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+            return this.token;
+        }
+        // Concurrent requests share one exchange
+        if (!this.pending) {
+            this.pending = this.exchange().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async exchange() {
+        let response;
+        try {
+            response = await axios.post(this.tokenUri, new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion: this.assertion()
+            }).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+        } catch (error) {
+            const data = error.response && error.response.data;
+            const reason = data && (data.error_description || data.error);
+            throw new Error(`Google sign-in failed: ${reason || error.message}`);
+        }
+
+        this.token = response.data.access_token;
+        this.expiresAt = Date.now() + (Number(response.data.expires_in) || 3600) * 1000;
+        return this.token;
+    }
+}
+
+module.exports = {
+    GOOGLE_TOKEN_URI,
+    encodeRfc3986,
+    canonicalQuery,
+    signAwsRequest,
+    loadServiceAccount,
+    GoogleTokenProvider
+};
@@ -1,300 +1,275 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { createStorage } = require('./syncStorage');
+const receipts = require('./receipts');
 require('dotenv').config();
 
+// Two-way sync of every user's expenses through a storage adapter (see
+// services/syncStorage.js), so the same account on several devices ends up
+// with the same expenses.
+//
+// Changes are recorded as they happen (DatabaseManager.trackExpenseChanges
+// keeps each expense's state and queues it in the outbox). A sync pushes the
+// queued states as one batch object per user, then pulls the batches other
+// devices wrote since the last pull and merges them field by field (see
+// services/syncRecords.js). Remote layout, per user:
+//   <prefix>/<user key>/changes/<15-digit ms>-<device id>-<random>.json
+// where the user key is a hash of the email address. A batch is
+// { format, device, createdAt, records: [{ entity, syncId, state }] }.
+//
+// Once started, a sync runs right away, then every CLOUD_SYNC_INTERVAL_MINUTES
+// and shortly after local changes are queued; failed syncs are retried with
+// exponential backoff.
+
+const BATCH_FORMAT = 1;
+
+// Most queued changes pushed in one batch
+const PUSH_LIMIT = 500;
+
+// Batches are re-read from this long before the newest one pulled, in case
+// another device's clock was behind when it wrote them. Merging a batch
+// again changes nothing.
+const CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+// A local change is synced this long after it is made, so a burst of edits
+// goes out in one batch
+const CHANGE_DELAY_MS = 5 * 1000;
+
+// Failed syncs are retried after 30 seconds, doubling with every further
+// failure up to the sync interval
+const RETRY_BASE_MS = 30 * 1000;
+
 class CloudSyncService {
-    constructor() {
-        this.enabled = process.env.CLOUD_SYNC_ENABLED === 'true';
-        this.provider = process.env.CLOUD_SYNC_PROVIDER || 'firebase';
+    constructor(db, options = {}) {
+        this.db = db;
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.CLOUD_SYNC_ENABLED === 'true';
+        this.provider = options.provider || process.env.CLOUD_SYNC_PROVIDER || 'filesystem';
+        this.prefix = options.prefix || process.env.CLOUD_SYNC_PREFIX || 'expense-sync';
+        this.syncInterval = options.intervalMs || (parseInt(process.env.CLOUD_SYNC_INTERVAL_MINUTES) || 5) * 60 * 1000;
+        this.storage = null;
         this.lastSyncTime = null;
-        this.syncInterval = 5 * 60 * 1000; // 5 minutes
-        this.isOnline = true;
-        
-        if (this.enabled) {
-            this.initializeProvider();
-            this.startPeriodicSync();
-        }
-    }
+        this.lastResult = null;
+        this.lastError = null;
+        this.failures = 0;
+        this.started = false;
+        this.timer = null;
+        this.nextSyncAt = null;
+        this.running = null;
 
-    initializeProvider() {
-        switch (this.provider) {
-            case 'firebase':
-                this.initializeFirebase();
-                break;
-            case 'aws':
-                this.initializeAWS();
-                break;
-            case 'google':
-                this.initializeGoogleCloud();
-                break;
-            default:
-                console.warn(`Unknown cloud provider: ${this.provider}`);
+        if (this.enabled) {
+            try {
+                this.storage = options.storage || createStorage(this.provider);
+            } catch (error) {
+                console.warn(`${error.message}. Cloud sync disabled.`);
                 this.enabled = false;
+            }
         }
     }
 
-    initializeFirebase() {
-        // Firebase configuration
-        this.config = {
-            projectId: process.env.FIREBASE_PROJECT_ID,
-            privateKey: process.env.FIREBASE_PRIVATE_KEY,
-            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-            baseUrl: `https://firestore.googleapis.com/v1/projects/${process.env.FIREBASE_PROJECT_ID}/databases/(default)/documents`
-        };
-        
-        if (!this.config.projectId) {
-            console.warn('Firebase configuration incomplete. Cloud sync disabled.');
-            this.enabled = false;
-        }
-    }
-
-    initializeAWS() {
-        // AWS S3 configuration
-        this.config = {
-            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-            region: process.env.AWS_REGION || 'us-east-1',
-            bucket: process.env.AWS_S3_BUCKET
-        };
-        
-        if (!this.config.accessKeyId || !this.config.secretAccessKey) {
-            console.warn('AWS configuration incomplete. Cloud sync disabled.');
-            this.enabled = false;
-        }
-    }
-
-    initializeGoogleCloud() {
-        // Google Cloud Storage configuration
-        this.config = {
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-            credentialsPath: process.env.GOOGLE_APPLICATION_CREDENTIALS
-        };
-        
-        if (!this.config.projectId) {
-            console.warn('Google Cloud configuration incomplete. Cloud sync disabled.');
-            this.enabled = false;
-        }
+    start() {
+        if (!this.enabled) return;
+        this.started = true;
+        this.db.onSyncQueued(() => this.requestSync());
+        this.scheduleSync(0);
     }
 
-    async syncToCloud(data, operation = 'update') {
-        if (!this.enabled || !this.isOnline) {
-            return { success: false, message: 'Cloud sync disabled or offline' };
-        }
-
-        try {
-            const syncData = {
-                timestamp: new Date().toISOString(),
-                operation,
-                data,
-                version: '1.0'
-            };
-
-            let result;
-            switch (this.provider) {
-                case 'firebase':
-                    result = await this.syncToFirebase(syncData);
-                    break;
-                case 'aws':
-                    result = await this.syncToAWS(syncData);
-                    break;
-                case 'google':
-                    result = await this.syncToGoogleCloud(syncData);
-                    break;
-                default:
-                    throw new Error(`Unsupported provider: ${this.provider}`);
-            }
-
-            this.lastSyncTime = new Date();
-            console.log(`✅ Cloud sync successful: ${operation}`);
-            return { success: true, result };
-
-        } catch (error) {
-            console.error('❌ Cloud sync failed:', error.message);
-            this.isOnline = false;
-            return { success: false, error: error.message };
-        }
+    stop() {
+        this.started = false;
+        this.clearSchedule();
     }
 
-    async syncToFirebase(syncData) {
-        const documentId = `expense_sync_${Date.now()}`;
-        const url = `${this.config.baseUrl}/expense_sync/${documentId}`;
-        
-        const firestoreData = {
-            fields: {
-                timestamp: { stringValue: syncData.timestamp },
-                operation: { stringValue: syncData.operation },
-                data: { stringValue: JSON.stringify(syncData.data) },
-                version: { stringValue: syncData.version }
-            }
-        };
-
-        const response = await axios.patch(url, firestoreData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${await this.getFirebaseToken()}`
-            }
-        });
-
-        return response.data;
+    clearSchedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextSyncAt = null;
     }
 
-    async syncToAWS(syncData) {
-        const key = `expense-sync/${Date.now()}.json`;
-        const url = `https://${this.config.bucket}.s3.${this.config.region}.amazonaws.com/${key}`;
-        
-        const response = await axios.put(url, JSON.stringify(syncData), {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-amz-acl': 'private'
-            },
-            auth: {
-                username: this.config.accessKeyId,
-                password: this.config.secretAccessKey
-            }
-        });
-
-        return response.data;
+    // Runs a sync `delay` ms from now, unless one is already due sooner
+    scheduleSync(delay) {
+        if (!this.started) return;
+        const at = Date.now() + delay;
+        if (this.timer && this.nextSyncAt <= at) return;
+
+        this.clearSchedule();
+        this.nextSyncAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.nextSyncAt = null;
+            this.sync().catch(() => {});
+        }, delay);
+        this.timer.unref();
     }
 
-    async syncToGoogleCloud(syncData) {
-        // Simplified Google Cloud implementation
-        const bucketName = `${this.config.projectId}-expense-sync`;
-        const fileName = `expense-sync-${Date.now()}.json`;
-        
-        // This would require Google Cloud Storage client library
-        // For now, we'll simulate the sync
-        console.log(`Would sync to Google Cloud: ${bucketName}/${fileName}`);
-        return { success: true, message: 'Google Cloud sync simulated' };
+    // Called when local changes are queued. While retrying after a failure the
+    // changes wait for the next retry.
+    requestSync() {
+        if (this.failures === 0) this.scheduleSync(CHANGE_DELAY_MS);
     }
 
-    async getFirebaseToken() {
-        // In a real implementation, you would get a Firebase service account token
-        // For now, we'll return a placeholder
-        return 'firebase-token-placeholder';
+    retryDelay() {
+        return Math.min(RETRY_BASE_MS * 2 ** (this.failures - 1), Math.max(this.syncInterval, RETRY_BASE_MS));
     }
 
-    async syncFromCloud() {
-        if (!this.enabled || !this.isOnline) {
-            return { success: false, message: 'Cloud sync disabled or offline' };
+    // Push, then pull. Overlapping calls share the sync in progress.
+    // Resolves to { pushed, pulled } (records sent and expenses changed).
+    sync() {
+        if (!this.enabled) {
+            return Promise.reject(new Error('Cloud sync is disabled'));
         }
-
-        try {
-            let cloudData;
-            switch (this.provider) {
-                case 'firebase':
-                    cloudData = await this.syncFromFirebase();
-                    break;
-                case 'aws':
-                    cloudData = await this.syncFromAWS();
-                    break;
-                case 'google':
-                    cloudData = await this.syncFromGoogleCloud();
-                    break;
-                default:
-                    throw new Error(`Unsupported provider: ${this.provider}`);
-            }
-
-            console.log('✅ Cloud data retrieved successfully');
-            return { success: true, data: cloudData };
-
-        } catch (error) {
-            console.error('❌ Cloud sync from failed:', error.message);
-            return { success: false, error: error.message };
+        if (!this.running) {
+            this.running = this.runSync()
+                .then(result => {
+                    this.lastSyncTime = new Date();
+                    this.lastResult = result;
+                    this.lastError = null;
+                    this.failures = 0;
+                    if (result.pushed > 0 || result.pulled > 0) {
+                        console.log(`✅ Cloud sync: pushed ${result.pushed}, merged ${result.pulled}`);
+                    }
+                    this.scheduleSync(this.syncInterval);
+                    return result;
+                })
+                .catch(error => {
+                    this.lastError = error.message;
+                    this.failures++;
+                    // The retry replaces any sync scheduled sooner
+                    this.clearSchedule();
+                    this.scheduleSync(this.retryDelay());
+                    console.error(`❌ Cloud sync failed (retrying in ${Math.round(this.retryDelay() / 1000)}s):`, error.message);
+                    throw error;
+                })
+                .finally(() => {
+                    this.running = null;
+                });
         }
+        return this.running;
     }
 
-    async syncFromFirebase() {
-        const url = `${this.config.baseUrl}/expense_sync`;
-        
-        const response = await axios.get(url, {
-            headers: {
-                'Authorization': `Bearer ${await this.getFirebaseToken()}`
-            }
-        });
+    async runSync() {
+        const users = await this.db.getSyncUsers();
+        // Picks up expenses recorded before sync was turned on, and any
+        // change made outside the database module
+        for (const user of users) {
+            await this.db.trackExpenseChanges(user.id);
+        }
+        const pushed = await this.push();
+        const pulled = await this.pull(users);
+        return { pushed, pulled };
+    }
 
-        return response.data.documents || [];
+    userPrefix(email) {
+        const userKey = crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex').slice(0, 32);
+        return `${this.prefix}/${userKey}/changes/`;
     }
 
-    async syncFromAWS() {
-        // List objects in S3 bucket
-        const url = `https://${this.config.bucket}.s3.${this.config.region}.amazonaws.com/`;
-        
-        const response = await axios.get(url, {
-            auth: {
-                username: this.config.accessKeyId,
-                password: this.config.secretAccessKey
+    // Sends the outbox as one batch per user; entries leave the outbox once
+    // their batch is stored
+    async push() {
+        const deviceId = await this.db.getDeviceId();
+        let pushed = 0;
+
+        for (;;) {
+            const entries = await this.db.getSyncOutbox(PUSH_LIMIT);
+            const byUser = new Map();
+            entries.forEach(entry => {
+                if (!byUser.has(entry.user_id)) byUser.set(entry.user_id, []);
+                byUser.get(entry.user_id).push(entry);
+            });
+
+            for (const userEntries of byUser.values()) {
+                const name = `${String(Date.now()).padStart(15, '0')}-${deviceId}-${crypto.randomBytes(4).toString('hex')}.json`;
+                const batch = {
+                    format: BATCH_FORMAT,
+                    device: deviceId,
+                    createdAt: new Date().toISOString(),
+                    records: userEntries.map(entry => ({
+                        entity: entry.entity,
+                        syncId: entry.sync_id,
+                        state: JSON.parse(entry.state)
+                    }))
+                };
+                await this.storage.put(this.userPrefix(userEntries[0].email) + name, JSON.stringify(batch));
+                await this.db.clearSyncOutbox(userEntries.map(entry => entry.id));
+                pushed += userEntries.length;
             }
-        });
-
-        return response.data;
-    }
 
-    async syncFromGoogleCloud() {
-        // Simplified Google Cloud implementation
-        console.log('Would retrieve from Google Cloud');
-        return [];
+            if (entries.length < PUSH_LIMIT) return pushed;
+        }
     }
 
-    startPeriodicSync() {
-        if (!this.enabled) return;
-
-        setInterval(async () => {
-            if (this.isOnline) {
-                try {
-                    // Sync any pending local changes
-                    await this.syncPendingChanges();
-                } catch (error) {
-                    console.error('Periodic sync error:', error.message);
+    // Merges every batch another device wrote since the last pull. The
+    // position is kept per user as the name of the newest batch seen.
+    async pull(users) {
+        const deviceId = await this.db.getDeviceId();
+        let pulled = 0;
+
+        for (const user of users) {
+            const prefix = this.userPrefix(user.email);
+            const cursorName = `pull_cursor:${user.id}`;
+            const cursor = await this.db.getSyncValue(cursorName);
+            const startAfter = cursor
+                ? prefix + String(Math.max(Number(cursor.slice(0, 15)) - CLOCK_SKEW_MS, 0)).padStart(15, '0')
+                : null;
+
+            const keys = await this.storage.list(prefix, startAfter);
+            for (const key of keys) {
+                if (key.slice(prefix.length).includes(`-${deviceId}-`)) continue;
+
+                const body = await this.storage.get(key);
+                if (!body) continue;
+                const batch = JSON.parse(body);
+                if (batch.format !== BATCH_FORMAT) {
+                    throw new Error(`Unsupported sync batch format ${batch.format} in ${key}`);
                 }
-            } else {
-                // Try to reconnect
-                this.isOnline = true;
-            }
-        }, this.syncInterval);
-    }
-
-    async syncPendingChanges() {
-        // This would sync any local changes that haven't been synced yet
-        console.log('🔄 Syncing pending changes...');
-    }
 
-    async syncExpense(expense, operation = 'create') {
-        return await this.syncToCloud(expense, operation);
-    }
+                const records = batch.records.filter(record => record.entity === 'expense');
+                const { changed, removedFiles } = await this.db.mergeSyncedExpenses(user.id, records);
+                await receipts.removeFiles(removedFiles);
+                pulled += changed;
+            }
 
-    async syncAllExpenses(expenses) {
-        return await this.syncToCloud(expenses, 'bulk_update');
+            const newest = keys.length > 0 ? keys[keys.length - 1].slice(prefix.length) : null;
+            if (newest && (!cursor || newest > cursor)) {
+                await this.db.setSyncValue(cursorName, newest);
+            }
+        }
+        return pulled;
     }
 
     getSyncStatus() {
         return {
             enabled: this.enabled,
             provider: this.provider,
-            isOnline: this.isOnline,
+            syncing: Boolean(this.running),
             lastSyncTime: this.lastSyncTime,
-            nextSyncIn: this.lastSyncTime ? 
-                this.syncInterval - (Date.now() - this.lastSyncTime.getTime()) : 
-                this.syncInterval
+            lastResult: this.lastResult,
+            lastError: this.lastError,
+            failures: this.failures,
+            nextSyncIn: this.nextSyncAt ? Math.max(this.nextSyncAt - Date.now(), 0) : null
         };
     }
 
+    // Writes, reads back and lists a test object
     async testConnection() {
         if (!this.enabled) {
             return { success: false, message: 'Cloud sync is disabled' };
         }
 
         try {
-            const testData = { test: true, timestamp: new Date().toISOString() };
-            const result = await this.syncToCloud(testData, 'test');
-            this.isOnline = true;
-            return { success: true, result };
+            const deviceId = await this.db.getDeviceId();
+            const key = `${this.prefix}/connection-test/${deviceId}.json`;
+            const body = JSON.stringify({ test: true, timestamp: new Date().toISOString() });
+            await this.storage.put(key, body);
+            if (await this.storage.get(key) !== body) {
+                throw new Error('Test object could not be read back');
+            }
+            if (!(await this.storage.list(`${this.prefix}/connection-test/`)).includes(key)) {
+                throw new Error('Test object is missing from the listing');
+            }
+            return { success: true };
         } catch (error) {
-            this.isOnline = false;
             return { success: false, error: error.message };
         }
     }
 }
 
-// Create singleton instance
-const cloudSyncService = new CloudSyncService();
-
-module.exports = cloudSyncService;
+module.exports = { CloudSyncService };
@@ -0,0 +1,145 @@
+const { toDateString } = require('./recurrence');
+const { parseCSVRows } = require('./importer');
+
+// Currency codes, exchange-rate lookup and rate-file parsing.
+
+const DEFAULT_CURRENCY = 'INR';
+
+// Raised when an amount cannot be converted; routes answer these with a 400
+class CurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CurrencyError';
+    }
+}
+
+const KNOWN_CURRENCIES = typeof Intl.supportedValuesOf === 'function'
+    ? new Set(Intl.supportedValuesOf('currency'))
+    : null;
+
+// Upper-cased ISO 4217 code, or null when `code` isn't one
+function normalizeCurrency(code) {
+    const value = String(code || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(value)) return null;
+    return !KNOWN_CURRENCIES || KNOWN_CURRENCIES.has(value) ? value : null;
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Uses the currency code rather than a symbol so the output works in any font (e.g. PDFs)
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        currencyDisplay: 'code'
+    }).format(Number(amount) || 0);
+}
+
+// Pick the rate to use for `date` from exchange_rates rows.
+// The latest rate on or before the date wins; when the table only has later
+// rates the earliest of those is used. Pairs can be read in either direction,
+// and currencies without a direct rate are converted through a common one.
+// Returns null when no path exists.
+function findRate(rates, from, to, date) {
+    if (from === to) return 1;
+    const day = toDateString(date);
+    const best = new Map();
+
+    rates.forEach(row => {
+        const key = `${row.base_currency}>${row.quote_currency}`;
+        const rowDate = toDateString(row.date);
+        const current = best.get(key);
+        const isBefore = rowDate <= day;
+
+        const better = !current
+            || (isBefore && (!current.isBefore || rowDate > current.date))
+            || (!isBefore && !current.isBefore && rowDate < current.date);
+        if (better) best.set(key, { rate: Number(row.rate), date: rowDate, isBefore });
+    });
+
+    const direct = (a, b) => {
+        if (a === b) return 1;
+        if (best.has(`${a}>${b}`)) return best.get(`${a}>${b}`).rate;
+        if (best.has(`${b}>${a}`)) return 1 / best.get(`${b}>${a}`).rate;
+        return null;
+    };
+
+    const rate = direct(from, to);
+    if (rate) return rate;
+
+    const currencies = new Set(rates.flatMap(row => [row.base_currency, row.quote_currency]));
+    for (const pivot of currencies) {
+        const first = direct(from, pivot);
+        const second = first && direct(pivot, to);
+        if (second) return first * second;
+    }
+    return null;
+}
+
+// Validate one parsed rate, throwing with the row number when it is unusable
+function toRate(input, row) {
+    const date = toDateString(input.date);
+    const base = normalizeCurrency(input.base);
+    const quote = normalizeCurrency(input.quote);
+    const rate = parseFloat(input.rate);
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !base || !quote || base === quote || !(rate > 0)) {
+        throw new CurrencyError(`Invalid exchange rate on row ${row}`);
+    }
+    return { date, base_currency: base, quote_currency: quote, rate };
+}
+
+// Parse an exchange-rate file. Supported layouts:
+//   CSV with date, base, quote and rate columns (from/to also accepted)
+//   JSON array of { date, base, quote, rate }
+//   JSON { base, date, rates: { USD: 0.012, ... } } (or an array of these)
+function parseRates(content, format) {
+    const text = content.replace(/^﻿/, '').trim();
+
+    if (format === 'json' || (!format && /^[[{]/.test(text))) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new CurrencyError('Exchange-rate file is not valid JSON');
+        }
+
+        const entries = (Array.isArray(data) ? data : [data]).flatMap(entry => (entry && entry.rates
+            ? Object.entries(entry.rates).map(([quote, rate]) => ({ date: entry.date, base: entry.base, quote, rate }))
+            : [entry]));
+        return entries.map((entry, i) => toRate(entry || {}, i + 1));
+    }
+
+    const [header = [], ...rows] = parseCSVRows(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+    const index = (...names) => columns.findIndex(name => names.includes(name));
+    const indexes = {
+        date: index('date'),
+        base: index('base', 'from', 'base_currency'),
+        quote: index('quote', 'to', 'quote_currency', 'currency'),
+        rate: index('rate')
+    };
+
+    if (Object.values(indexes).includes(-1)) {
+        throw new CurrencyError('Exchange-rate CSV needs date, base, quote and rate columns');
+    }
+
+    return rows.map((cells, i) => toRate({
+        date: cells[indexes.date],
+        base: cells[indexes.base],
+        quote: cells[indexes.quote],
+        rate: cells[indexes.rate]
+    }, i + 2));
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CurrencyError,
+    normalizeCurrency,
+    roundMoney,
+    formatMoney,
+    findRate,
+    parseRates
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Migrator = require('./migrator');
+
+// Copies the whole expense tracker database from one backend to another
+// (SQLite, MySQL or PostgreSQL; see scripts/copy-database.js).
+//
+// Both sides must be at the same schema version: the target is migrated up
+// first, and the source must have no pending migrations. Tables are copied
+// parents first, a batch of rows at a time, ids and timestamps included, in
+// one transaction on the target. Afterwards each table's row count and
+// checksum are compared between the two databases.
+//
+// A table's checksum is the sum (mod 2^256) of the SHA-256 of each of its rows,
+// so it does not depend on the order the database returns rows in. Rows are
+// hashed in a dialect-neutral form: timestamps as "YYYY-MM-DD HH:MM:SS" and
+// numbers to 8 decimal places (the precision of the `rate` columns).
+
+const DEFAULT_BATCH_SIZE = 500;
+const CHECKSUM_MODULUS = 2n ** 256n;
+
+// A copy that cannot be made: schemas that differ, a target that has data
+class CopyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CopyError';
+    }
+}
+
+function isTimestampColumn(column) {
+    return /timestamp|datetime/i.test(column.type);
+}
+
+// Timestamps are read back as "YYYY-MM-DD HH:MM:SS" (SQLite, MySQL) or
+// "YYYY-MM-DDTHH:MM:SS.ffffff" (PostgreSQL); all three accept the first form
+function normalizeTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    return String(value).replace('T', ' ').slice(0, 19);
+}
+
+function canonicalValue(value, timestamp) {
+    if (value === null || value === undefined) return null;
+    if (timestamp) return normalizeTimestamp(value);
+    if (typeof value === 'number') return Number(value.toFixed(8));
+    return value;
+}
+
+function rowChecksum(row, columns) {
+    const values = columns
+        .map(column => [column.name, canonicalValue(row[column.name], isTimestampColumn(column))])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return BigInt(`0x${crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex')}`);
+}
+
+function formatChecksum(sum) {
+    return sum.toString(16).padStart(64, '0');
+}
+
+// Calls `visit(rows)` with each batch of a table's rows, in primary key order
+async function readBatches(db, table, columns, batchSize, visit, client = db.db) {
+    const orderBy = columns.some(column => column.name === 'id') ? 'id' : columns[0].name;
+    for (let offset = 0; ; offset += batchSize) {
+        const rows = await db.dumpTableRows(table, client, { orderBy, limit: batchSize, offset });
+        if (rows.length > 0) await visit(rows);
+        if (rows.length < batchSize) return;
+    }
+}
+
+async function countRows(db, table, client = db.db) {
+    const [{ count }] = await db.query(`SELECT COUNT(*) as count FROM ${table}`, [], client);
+    return Number(count);
+}
+
+// Row count and checksum of a table, read in batches
+async function summarizeTable(db, table, batchSize) {
+    const columns = await db.getTableColumns(table);
+    let checksum = 0n;
+    await readBatches(db, table, columns, batchSize, async (rows) => {
+        rows.forEach(row => {
+            checksum = (checksum + rowChecksum(row, columns)) % CHECKSUM_MODULUS;
+        });
+    });
+    return { count: await countRows(db, table), checksum: formatChecksum(checksum) };
+}
+
+// Brings the target to the source's schema version and returns the tables to
+// copy, in the order they can be inserted
+async function prepareSchemas(source, target) {
+    const sourceMigrator = new Migrator(source);
+    const known = sourceMigrator.loadMigrations().map(migration => migration.version);
+    const applied = await sourceMigrator.getAppliedVersions();
+    const unknown = applied.filter(version => !known.includes(version));
+    if (unknown.length > 0) {
+        throw new CopyError(`The ${source.type} database was migrated by a newer version of the app (migration ${unknown[0]})`);
+    }
+    if (applied.length < known.length) {
+        throw new CopyError(`The ${source.type} database has pending migrations; run \`npm run migrate:up\` against it first`);
+    }
+
+    await new Migrator(target).up();
+
+    const sourceOrder = await source.getTableOrder();
+    const targetOrder = await target.getTableOrder();
+    const missing = sourceOrder.tables.find(table => !targetOrder.tables.includes(table));
+    if (missing) {
+        throw new CopyError(`The ${target.type} database has no ${missing} table`);
+    }
+    return {
+        tables: targetOrder.tables.filter(table => sourceOrder.tables.includes(table)),
+        selfReferences: targetOrder.selfReferences
+    };
+}
+
+// Copies every row of `source` into `target` (two connected DatabaseManagers
+// of different databases) and verifies the result. A target that already has
+// rows is refused unless `replace` is set, in which case they are deleted.
+// MySQL converts TIMESTAMP values to and from the session's time zone, so open
+// MySQL databases with `timeZone: '+00:00'` to read and write them as UTC,
+// which is what SQLite's CURRENT_TIMESTAMP stores.
+// `onProgress(table, copied)` is called after each batch. Returns one
+// { table, rows, sourceChecksum, targetChecksum, matches } per table.
+async function copyDatabase(source, target, { batchSize = DEFAULT_BATCH_SIZE, replace = false, onProgress = () => {} } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new CopyError('The batch size must be a positive whole number');
+    }
+    const { tables, selfReferences } = await prepareSchemas(source, target);
+
+    if (!replace) {
+        for (const table of tables) {
+            if (await countRows(target, table) > 0) {
+                throw new CopyError(`The ${target.type} database already has data (in ${table}); use --replace to overwrite it`);
+            }
+        }
+    }
+
+    const expected = new Map();
+    await target.transaction(async (client) => {
+        // Children before parents when deleting, parents first when inserting
+        if (replace) {
+            for (const table of [...tables].reverse()) {
+                await target.execute(`DELETE FROM ${table}`, [], client);
+            }
+        }
+
+        for (const table of tables) {
+            const columns = await target.getTableColumns(table, client);
+            const timestamps = columns.filter(isTimestampColumn).map(column => column.name);
+            // A row can point at a row of its own table that comes in a later
+            // batch, so those links are set once the whole table is in
+            const selfReference = selfReferences[table];
+            const links = [];
+            let checksum = 0n;
+            let copied = 0;
+
+            await readBatches(source, table, columns, batchSize, async (rows) => {
+                const copies = rows.map(row => {
+                    checksum = (checksum + rowChecksum(row, columns)) % CHECKSUM_MODULUS;
+                    const copy = {};
+                    columns.forEach(({ name }) => {
+                        copy[name] = timestamps.includes(name) ? normalizeTimestamp(row[name]) : row[name];
+                    });
+                    if (selfReference && copy[selfReference] !== null && copy[selfReference] !== undefined) {
+                        links.push([copy[selfReference], copy.id]);
+                        copy[selfReference] = null;
+                    }
+                    return copy;
+                });
+                await target.insertRows(table, copies, client);
+                copied += copies.length;
+                onProgress(table, copied);
+            });
+
+            for (const [referenced, id] of links) {
+                await target.execute(`UPDATE ${table} SET ${selfReference} = ? WHERE id = ?`, [referenced, id], client);
+            }
+            expected.set(table, { count: copied, checksum: formatChecksum(checksum) });
+        }
+
+        await target.resetSequences(client);
+    });
+
+    const results = [];
+    for (const table of tables) {
+        const sourceCount = await countRows(source, table);
+        const copied = await summarizeTable(target, table, batchSize);
+        const { checksum } = expected.get(table);
+        results.push({
+            table,
+            rows: copied.count,
+            sourceRows: sourceCount,
+            sourceChecksum: checksum,
+            targetChecksum: copied.checksum,
+            matches: sourceCount === expected.get(table).count &&
+                copied.count === sourceCount &&
+                copied.checksum === checksum
+        });
+    }
+    return results;
+}
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    CopyError,
+    copyDatabase,
+    summarizeTable
+};
@@ -0,0 +1,132 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./currency');
+
+// Writers for GET /export. Each one streams straight into the HTTP response.
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx', 'pdf'];
+// amount is in the user's base currency; original_amount is in `currency`
+const COLUMNS = ['id', 'date', 'category', 'amount', 'description', 'currency', 'original_amount'];
+
+function formatDate(value) {
+    if (value instanceof Date) {
+        return [
+            value.getFullYear(),
+            String(value.getMonth() + 1).padStart(2, '0'),
+            String(value.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+    return String(value).split('T')[0];
+}
+
+// Quote a CSV field when it contains separators, quotes or newlines.
+// Leading =, +, - or @ is prefixed so spreadsheets don't evaluate it as a formula.
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toRow(expense) {
+    return {
+        id: expense.id,
+        date: formatDate(expense.date),
+        category: expense.category,
+        amount: Number(expense.amount),
+        description: expense.description || '',
+        currency: expense.currency || '',
+        original_amount: expense.original_amount === null || expense.original_amount === undefined
+            ? ''
+            : Number(expense.original_amount)
+    };
+}
+
+function writeCSV(res, expenses) {
+    res.write(COLUMNS.join(',') + '\r\n');
+    expenses.forEach(expense => {
+        const row = toRow(expense);
+        res.write(COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n');
+    });
+    res.end();
+}
+
+function writeJSON(res, expenses) {
+    res.write('[');
+    expenses.forEach((expense, i) => {
+        res.write((i > 0 ? ',\n' : '\n') + JSON.stringify(toRow(expense)));
+    });
+    res.end('\n]\n');
+}
+
+async function writeXLSX(res, expenses) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet('Expenses');
+
+    sheet.columns = [
+        { header: 'ID', key: 'id', width: 8 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Category', key: 'category', width: 16 },
+        { header: 'Amount', key: 'amount', width: 12, style: { numFmt: '#,##0.00' } },
+        { header: 'Description', key: 'description', width: 40 },
+        { header: 'Currency', key: 'currency', width: 10 },
+        { header: 'Original Amount', key: 'original_amount', width: 16, style: { numFmt: '#,##0.00' } }
+    ];
+
+    expenses.forEach(expense => sheet.addRow(toRow(expense)).commit());
+    sheet.commit();
+    await workbook.commit();
+}
+
+// Printable monthly report: category totals, recent monthly totals and the month's expenses
+function writePDFReport(res, report) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const money = (value) => formatMoney(value, report.currency);
+    doc.pipe(res);
+
+    doc.fontSize(20).text('Smart Expense Tracker', { align: 'center' });
+    doc.fontSize(14).text(`Monthly Report - ${report.month}`, { align: 'center' });
+    doc.moveDown(1.5);
+
+    const total = report.categoryTotals.reduce((sum, cat) => sum + Number(cat.total), 0);
+    doc.fontSize(12).text(`Total spending: ${money(total)}`);
+    doc.text(`Number of expenses: ${report.expenses.length}`);
+    doc.moveDown();
+
+    const table = (title, rows) => {
+        doc.fontSize(14).text(title, { underline: true });
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+        if (rows.length === 0) {
+            doc.text('No data');
+        }
+        rows.forEach(([label, value]) => {
+            const y = doc.y;
+            doc.text(label, 50, y, { width: 350 });
+            doc.text(value, 400, y, { width: 145, align: 'right' });
+        });
+        doc.moveDown();
+        doc.x = 50;
+    };
+
+    table('Category Totals', report.categoryTotals.map(cat => [
+        `${cat.category} (${total > 0 ? ((Number(cat.total) / total) * 100).toFixed(1) : 0}%)`,
+        money(cat.total)
+    ]));
+
+    table('Monthly Totals', report.monthlyTotals.map(month => [month.month, money(month.total)]));
+
+    table('Expenses', report.expenses.map(expense => [
+        `${formatDate(expense.date)}  ${expense.category}  ${expense.description || ''}`,
+        money(expense.amount)
+    ]));
+
+    doc.end();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    writeCSV,
+    writeJSON,
+    writeXLSX,
+    writePDFReport
+};
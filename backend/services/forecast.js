@@ -0,0 +1,324 @@
+const { toDateString, addDays, addMonths } = require('./recurrence');
+
+// Spending forecasts from exponential smoothing models fitted to the user's
+// monthly and daily series, overall and per category.
+//
+// Monthly series use additive Holt-Winters (yearly seasonality) once there are
+// two full years of history and damped Holt's linear trend before that; the
+// parameters are picked by grid search on one-step-ahead error. The
+// in-progress month is never treated as complete: it is projected as what has
+// been spent so far plus a daily-series forecast (weekly seasonality) for the
+// days left, and that projection stands in for the month in the monthly series.
+
+const MONTH_SEASON = 12;
+const DAY_SEASON = 7;
+// Days of history used for the daily series
+const DAILY_WINDOW = 56;
+// Two-sided 95% prediction intervals
+const Z_95 = 1.96;
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.05, 0.1, 0.3, 0.5];
+const PHIS = [0.8, 0.9, 0.98];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// One pass of additive exponential smoothing over `values` (oldest first).
+// Returns the one-step-ahead errors and a function forecasting h steps past
+// the last value. Without a `period` this is damped Holt's linear trend.
+function smooth(values, { alpha, beta, gamma, phi, period }) {
+    let level;
+    let trend;
+    let seasonal = null;
+    let start;
+
+    if (period) {
+        const first = values.slice(0, period);
+        const second = values.slice(period, 2 * period);
+        level = mean(first);
+        trend = (mean(second) - mean(first)) / period;
+        seasonal = first.map(value => value - level);
+        start = period;
+    } else {
+        level = values[0];
+        trend = values.length > 1 ? values[1] - values[0] : 0;
+        start = 1;
+    }
+
+    const errors = [];
+    for (let t = start; t < values.length; t++) {
+        const season = seasonal ? seasonal[t % period] : 0;
+        errors.push(values[t] - (level + phi * trend + season));
+
+        const previousLevel = level;
+        level = alpha * (values[t] - season) + (1 - alpha) * (level + phi * trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+        if (seasonal) {
+            seasonal[t % period] = gamma * (values[t] - level) + (1 - gamma) * season;
+        }
+    }
+
+    const forecast = (h) => {
+        let damping = 0;
+        for (let i = 1; i <= h; i++) damping += phi ** i;
+        const season = seasonal ? seasonal[(values.length + h - 1) % period] : 0;
+        return level + damping * trend + season;
+    };
+
+    return { errors, forecast };
+}
+
+function meanSquare(values) {
+    return mean(values.map(value => value * value));
+}
+
+// Fit the best model for `values` (oldest first). Returns
+// { model, forecast(h), sigma } where sigma is the one-step-ahead error
+// standard deviation used for prediction intervals.
+function fitSeries(values, period) {
+    if (values.length < 4) {
+        // Too short for a trend: the mean, with the spread of the values as error
+        const average = mean(values);
+        return {
+            model: 'mean',
+            forecast: () => average,
+            sigma: Math.sqrt(meanSquare(values.map(value => value - average)))
+        };
+    }
+
+    const candidates = [];
+    const seasonal = period && values.length >= 2 * period;
+
+    ALPHAS.forEach(alpha => BETAS.forEach(beta => PHIS.forEach(phi => {
+        candidates.push({ model: 'holt', params: { alpha, beta, phi } });
+        if (seasonal) {
+            GAMMAS.forEach(gamma => candidates.push({
+                model: 'holt-winters',
+                params: { alpha, beta, gamma, phi, period }
+            }));
+        }
+    })));
+
+    // Compare every candidate on the same trailing window of errors
+    const window = values.length - (seasonal ? period : 1);
+    let best = null;
+    candidates.forEach(candidate => {
+        const fit = smooth(values, candidate.params);
+        const score = meanSquare(fit.errors.slice(-window));
+        if (!best || score < best.score) {
+            best = { ...candidate, ...fit, score };
+        }
+    });
+
+    return { model: best.model, forecast: best.forecast, sigma: Math.sqrt(best.score) };
+}
+
+function monthOf(date) {
+    return toDateString(date).slice(0, 7);
+}
+
+function addMonthsTo(month, count) {
+    return addMonths(`${month}-01`, count).slice(0, 7);
+}
+
+function daysInMonth(month) {
+    return Number(addDays(addMonthsTo(month, 1) + '-01', -1).slice(8, 10));
+}
+
+// Months from `first` to `last` inclusive
+function monthRange(first, last) {
+    const months = [];
+    for (let month = first; month <= last; month = addMonthsTo(month, 1)) months.push(month);
+    return months;
+}
+
+// The in-progress month: spent so far plus the daily forecast for the days
+// after `today`. `daily` holds the totals of the days before today.
+function projectMonth(spentSoFar, daily, remainingDays) {
+    if (remainingDays <= 0 || daily.length === 0) {
+        return { value: round(spentSoFar), lower: round(spentSoFar), upper: round(spentSoFar) };
+    }
+
+    const fit = fitSeries(daily, DAY_SEASON);
+    let remaining = 0;
+    for (let h = 1; h <= remainingDays; h++) remaining += Math.max(0, fit.forecast(h));
+    const margin = Z_95 * fit.sigma * Math.sqrt(remainingDays);
+
+    return {
+        value: round(spentSoFar + remaining),
+        lower: round(spentSoFar + Math.max(0, remaining - margin)),
+        upper: round(spentSoFar + remaining + margin)
+    };
+}
+
+// Forecast `horizon` months after the current one for one series.
+// `history` holds the complete months, oldest first.
+function forecastMonths(history, current, currentMonth, horizon) {
+    const fit = fitSeries([...history, current.value], MONTH_SEASON);
+    const forecasts = [];
+
+    for (let h = 1; h <= horizon; h++) {
+        const value = Math.max(0, fit.forecast(h));
+        const margin = Z_95 * fit.sigma * Math.sqrt(h);
+        forecasts.push({
+            month: addMonthsTo(currentMonth, h),
+            value: round(value),
+            lower: round(Math.max(0, value - margin)),
+            upper: round(value + margin)
+        });
+    }
+
+    return { model: fit.model, currentMonth: current, forecasts };
+}
+
+// Group { month|date, category, total } rows into one series per category
+// plus the overall series, indexed by month or date
+function toSeries(rows, key) {
+    const series = new Map([[null, new Map()]]);
+    rows.forEach(row => {
+        const index = key === 'date' ? toDateString(row.date) : row.month;
+        [null, row.category].forEach(category => {
+            if (!series.has(category)) series.set(category, new Map());
+            const values = series.get(category);
+            values.set(index, (values.get(index) || 0) + Number(row.total));
+        });
+    });
+    return series;
+}
+
+// Start of the daily window used by buildForecast, for querying daily totals
+function dailyWindowStart(today) {
+    return addDays(today, -DAILY_WINDOW);
+}
+
+// Forecast the current month and the next `horizon` months, overall and per
+// category. `monthlyRows` are { month: 'YYYY-MM', category, total } over the
+// whole history; `dailyRows` are { date, category, total } since
+// dailyWindowStart(today).
+function buildForecast({ monthlyRows, dailyRows, today, horizon = 3 }) {
+    const currentMonth = monthOf(today);
+    const dayOfMonth = Number(today.slice(8, 10));
+    const remainingDays = daysInMonth(currentMonth) - dayOfMonth;
+
+    const monthly = toSeries(monthlyRows, 'month');
+    const daily = toSeries(dailyRows, 'date');
+    const months = monthlyRows.map(row => row.month).filter(month => month < currentMonth).sort();
+    const history = months.length > 0 ? monthRange(months[0], addMonthsTo(currentMonth, -1)) : [];
+
+    // Daily series run from the first day with spending in the window up to yesterday
+    const days = dailyRows.map(row => toDateString(row.date)).filter(day => day < today).sort();
+    const dayRange = [];
+    for (let day = days[0]; days.length > 0 && day < today; day = addDays(day, 1)) dayRange.push(day);
+
+    const forecastFor = (category) => {
+        const monthValues = monthly.get(category) || new Map();
+        const dayValues = daily.get(category) || new Map();
+        const spentSoFar = [...dayValues.entries()]
+            .filter(([day]) => day.startsWith(currentMonth) && day <= today)
+            .reduce((sum, [, total]) => sum + total, 0);
+
+        const current = projectMonth(spentSoFar, dayRange.map(day => dayValues.get(day) || 0), remainingDays);
+        return forecastMonths(history.map(month => monthValues.get(month) || 0), current, currentMonth, horizon);
+    };
+
+    const categories = [...monthly.keys()].filter(category => category !== null);
+
+    return {
+        month: currentMonth,
+        daysElapsed: dayOfMonth,
+        daysInMonth: daysInMonth(currentMonth),
+        historyMonths: history.length,
+        overall: forecastFor(null),
+        categories: categories
+            .map(category => ({ category, ...forecastFor(category) }))
+            .filter(entry => entry.currentMonth.value > 0 || entry.forecasts.some(f => f.value > 0))
+            .sort((a, b) => b.forecasts[0].value - a.forecasts[0].value)
+    };
+}
+
+// Forecast error metrics for predicted/actual pairs
+function errorMetrics(results, key) {
+    const errors = results.map(result => result[key] - result.actual);
+    const nonZero = results.filter(result => result.actual > 0);
+    return {
+        mae: round(mean(errors.map(Math.abs))),
+        rmse: round(Math.sqrt(meanSquare(errors))),
+        // Months without spending are left out of the percentage error
+        mape: nonZero.length > 0
+            ? round(mean(nonZero.map(result => Math.abs(result[key] - result.actual) / result.actual)) * 100)
+            : null
+    };
+}
+
+// Replay the last `months` complete months: fit on the history before each
+// one, forecast it one month ahead and compare with what was spent. The
+// baseline is the old two-point rule (last month plus last month's change).
+function backtestSeries(values, labels, months) {
+    const results = [];
+
+    for (let t = Math.max(1, values.length - months); t < values.length; t++) {
+        const history = values.slice(0, t);
+        const fit = fitSeries(history, MONTH_SEASON);
+        const forecast = Math.max(0, fit.forecast(1));
+        const margin = Z_95 * fit.sigma;
+        const baseline = history.length >= 2
+            ? Math.max(0, 2 * history[t - 1] - history[t - 2])
+            : history[t - 1];
+
+        results.push({
+            month: labels[t],
+            actual: round(values[t]),
+            forecast: round(forecast),
+            lower: round(Math.max(0, forecast - margin)),
+            upper: round(forecast + margin),
+            baseline: round(baseline),
+            model: fit.model
+        });
+    }
+
+    if (results.length === 0) return null;
+
+    return {
+        months: results,
+        ...errorMetrics(results, 'forecast'),
+        coverage: round(results.filter(r => r.actual >= r.lower && r.actual <= r.upper).length / results.length * 100),
+        baseline: errorMetrics(results, 'baseline')
+    };
+}
+
+// Backtest overall and per-category monthly forecasts on complete months before `today`
+function backtest({ monthlyRows, today, months = 6 }) {
+    const currentMonth = monthOf(today);
+    const monthly = toSeries(monthlyRows.filter(row => row.month < currentMonth), 'month');
+    const known = monthlyRows.map(row => row.month).filter(month => month < currentMonth).sort();
+    const labels = known.length > 0 ? monthRange(known[0], addMonthsTo(currentMonth, -1)) : [];
+    const valuesFor = (category) => labels.map(month => monthly.get(category).get(month) || 0);
+
+    return {
+        months: labels.length,
+        overall: backtestSeries(valuesFor(null), labels, months),
+        categories: [...monthly.keys()]
+            .filter(category => category !== null)
+            .map(category => {
+                const result = backtestSeries(valuesFor(category), labels, months);
+                if (!result) return null;
+                const { months: details, ...metrics } = result;
+                return { category, ...metrics };
+            })
+            .filter(Boolean)
+    };
+}
+
+module.exports = {
+    fitSeries,
+    dailyWindowStart,
+    buildForecast,
+    backtest
+};
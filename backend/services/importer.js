@@ -0,0 +1,267 @@
+// Bank statement parsing for CSV, OFX and QIF files.
+// Parsers turn a file into candidate expenses; validation, duplicate
+// detection and inserting are left to the caller.
+
+const SUPPORTED_FORMATS = ['csv', 'ofx', 'qif'];
+
+// Guess the statement format from the file name or its first bytes
+function detectFormat(fileName = '', content = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'qfx') return 'ofx';
+    if (SUPPORTED_FORMATS.includes(extension)) return extension;
+
+    const head = content.slice(0, 200).toUpperCase();
+    if (head.includes('OFXHEADER') || head.includes('<OFX>')) return 'ofx';
+    if (head.startsWith('!TYPE')) return 'qif';
+    return 'csv';
+}
+
+// Normalise a date string to YYYY-MM-DD.
+// `order` says how to read ambiguous dates such as 03/04/2024: DMY, MDY or YMD.
+function normalizeDate(value, order = 'DMY') {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    // OFX style: 20240115 or 20240115120000[+5.30:IST]
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (compact && !/[-/.]/.test(text.slice(0, 10))) {
+        return `${compact[1]}-${compact[2]}-${compact[3]}`;
+    }
+
+    // QIF uses an apostrophe before two-digit years after 2000, e.g. 1/15'24
+    const parts = text.replace(/'/g, '/').split(/[-/.\s]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    let year;
+    let month;
+    let day;
+    if (parts[0].length === 4 || order === 'YMD') {
+        [year, month, day] = parts;
+    } else if (order === 'MDY') {
+        [month, day, year] = parts;
+    } else {
+        [day, month, year] = parts;
+    }
+
+    if (year.length === 2) year = `20${year}`;
+    const date = `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return isNaN(new Date(`${date}T00:00:00Z`).getTime()) ? null : date;
+}
+
+// Parse an amount like "₹1,200.50", "(300)" or "-45.00"
+function parseAmount(value) {
+    if (value === undefined || value === null) return NaN;
+    let text = String(value).trim();
+    if (text === '') return NaN;
+
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    text = text.replace(/[^0-9.]/g, '');
+    const amount = parseFloat(text);
+    return negative ? -amount : amount;
+}
+
+// RFC 4180 style CSV parsing with quoted fields and embedded newlines
+function parseCSVRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// How a single signed amount column marks expenses: 'negative' (-450.00, as
+// OFX and QIF do) or 'positive'; rows with the other sign are credits
+const AMOUNT_SIGNS = ['negative', 'positive'];
+
+// Map CSV rows to expenses. `mapping` names the header (or zero-based index) for
+// date, amount, description and category; `debit` can replace `amount` for
+// statements that keep withdrawals and deposits in separate columns.
+// `amountSign` is one of AMOUNT_SIGNS (default 'negative').
+function parseCSV(content, options = {}) {
+    const mapping = options.mapping || {};
+    const amountSign = options.amountSign || 'negative';
+    if (!AMOUNT_SIGNS.includes(amountSign)) {
+        throw new Error(`amountSign must be one of ${AMOUNT_SIGNS.join(', ')}`);
+    }
+    const [header = [], ...dataRows] = parseCSVRows(content.replace(/^﻿/, ''));
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    const columnIndex = (key) => {
+        const column = mapping[key];
+        if (column === undefined || column === null || column === '') return -1;
+        if (/^\d+$/.test(String(column))) return parseInt(column);
+        return columns.indexOf(String(column).trim().toLowerCase());
+    };
+
+    const indexes = {
+        date: columnIndex('date'),
+        amount: columnIndex('amount'),
+        debit: columnIndex('debit'),
+        description: columnIndex('description'),
+        category: columnIndex('category')
+    };
+
+    if (indexes.date === -1 || (indexes.amount === -1 && indexes.debit === -1)) {
+        throw new Error('Column mapping must include date and amount (or debit) columns');
+    }
+
+    return dataRows.map((cells, i) => {
+        const cell = (index) => (index === -1 ? '' : (cells[index] || '').trim());
+        const usesDebit = indexes.debit !== -1;
+        const amountCell = cell(usesDebit ? indexes.debit : indexes.amount);
+        const rawAmount = parseAmount(amountCell);
+        // Rows without a debit value, or signed as credits, are deposits
+        const isCredit = usesDebit
+            ? amountCell === ''
+            : (amountSign === 'negative' ? rawAmount > 0 : rawAmount < 0);
+
+        return {
+            row: i + 2,
+            date: normalizeDate(cell(indexes.date), options.dateFormat || 'DMY'),
+            amount: Math.abs(rawAmount),
+            description: cell(indexes.description),
+            category: cell(indexes.category) || options.defaultCategory,
+            skip: isCredit ? 'Not a debit' : null
+        };
+    });
+}
+
+// OFX/QFX statements; tags may or may not be closed (SGML vs XML flavours)
+function parseOFX(content, options = {}) {
+    const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    const tag = (block, name) => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : '';
+    };
+
+    return blocks.map((block, i) => {
+        const amount = parseAmount(tag(block, 'TRNAMT'));
+        const name = tag(block, 'NAME');
+        const memo = tag(block, 'MEMO');
+
+        return {
+            row: i + 1,
+            date: normalizeDate(tag(block, 'DTPOSTED')),
+            amount: Math.abs(amount),
+            description: [name, memo].filter(Boolean).join(' - '),
+            category: options.defaultCategory,
+            skip: amount > 0 ? 'Not a debit' : null
+        };
+    });
+}
+
+// QIF statements: one field per line, records terminated by "^"
+function parseQIF(content, options = {}) {
+    const records = [];
+    let current = {};
+
+    content.split(/\r?\n/).forEach(line => {
+        const code = line.charAt(0);
+        const value = line.slice(1).trim();
+
+        if (code === '!') return;
+        if (code === '^') {
+            if (Object.keys(current).length > 0) records.push(current);
+            current = {};
+            return;
+        }
+
+        if (code === 'D') current.date = value;
+        if (code === 'T' || code === 'U') current.amount = value;
+        if (code === 'P') current.payee = value;
+        if (code === 'M') current.memo = value;
+        if (code === 'L') current.category = value.replace(/^\[|\]$/g, '');
+    });
+    if (Object.keys(current).length > 0) records.push(current);
+
+    return records.map((record, i) => {
+        const amount = parseAmount(record.amount);
+
+        return {
+            row: i + 1,
+            date: normalizeDate(record.date, options.dateFormat || 'MDY'),
+            amount: Math.abs(amount),
+            description: [record.payee, record.memo].filter(Boolean).join(' - '),
+            category: record.category || options.defaultCategory,
+            skip: amount > 0 ? 'Not a debit' : null
+        };
+    });
+}
+
+function parseStatement(content, format, options = {}) {
+    const parseOptions = { defaultCategory: 'Other', ...options };
+
+    switch (format) {
+        case 'csv':
+            return parseCSV(content, parseOptions);
+        case 'ofx':
+            return parseOFX(content, parseOptions);
+        case 'qif':
+            return parseQIF(content, parseOptions);
+        default:
+            throw new Error(`Unsupported import format: ${format}`);
+    }
+}
+
+// Key used to match imported rows against existing expenses
+function duplicateKey(expense) {
+    // PostgreSQL DATE columns come back as local-midnight Date objects
+    const date = expense.date instanceof Date
+        ? [
+            expense.date.getFullYear(),
+            String(expense.date.getMonth() + 1).padStart(2, '0'),
+            String(expense.date.getDate()).padStart(2, '0')
+        ].join('-')
+        : String(expense.date).split('T')[0];
+    const description = String(expense.description || '').trim().toLowerCase();
+    // Stored expenses keep the statement amount as original_amount
+    const amount = expense.original_amount !== undefined && expense.original_amount !== null
+        ? expense.original_amount
+        : expense.amount;
+    return `${date}|${Number(amount).toFixed(2)}|${description}`;
+}
+
+module.exports = {
+    SUPPORTED_FORMATS,
+    detectFormat,
+    normalizeDate,
+    parseAmount,
+    parseCSVRows,
+    parseStatement,
+    duplicateKey
+};
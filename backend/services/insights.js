@@ -0,0 +1,441 @@
+const recurrence = require('./recurrence');
+const { formatMoney } = require('./currency');
+
+// Rule-based insights for the Insights page.
+//
+// A rule is { id, panel, evaluate(context) } where panel is 'recommendations'
+// or 'trends' and evaluate returns a list of
+// { type?, severity: 'high' | 'medium' | 'low', template, data }.
+// Templates refer to `data` fields as {name}, {name:money}, {name:percent}
+// (fractions, 0.25 → 25%) or {name:number}. New rules can be passed to
+// InsightEngine or added with register().
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Days of history compared for weekend vs weekday spending
+const WEEKDAY_WINDOW = 84;
+// Schedules started this recently count towards subscription creep
+const SUBSCRIPTION_WINDOW = 90;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function sum(expenses) {
+    return round(expenses.reduce((total, exp) => total + exp.amount, 0));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function categoriesOf(expenses) {
+    return [...new Set(expenses.map(exp => exp.category))];
+}
+
+function renderTemplate(template, data, currency) {
+    return template.replace(/\{(\w+)(?::(money|percent|number))?\}/g, (match, name, format) => {
+        const value = data[name];
+        if (value === undefined || value === null) return match;
+        if (format === 'money') return formatMoney(value, currency);
+        if (format === 'percent') return `${Math.round(Math.abs(value) * 100)}%`;
+        if (format === 'number') return Number(value).toFixed(1);
+        return String(value);
+    });
+}
+
+// Everything the rules look at. `expenses` and `income` should cover at least
+// the three months before the current one; `forecast` is services/forecast
+// buildForecast output.
+function createContext({ today, currency, expenses, income = [], budgets = [], recurring = [], forecast = null }) {
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const daysInMonth = Number(recurrence.addDays(recurrence.addMonths(monthStart, 1), -1).slice(8, 10));
+    const normalize = (entries) => entries.map(entry => ({
+        ...entry,
+        date: recurrence.toDateString(entry.date),
+        amount: Number(entry.amount)
+    }));
+    const normalized = normalize(expenses);
+    const received = normalize(income);
+    // Entries of the full month `offset` months before the current one
+    const inMonth = (entries, offset) => {
+        const start = recurrence.addMonths(monthStart, -offset);
+        const end = recurrence.addDays(recurrence.addMonths(start, 1), -1);
+        return entries.filter(entry => entry.date >= start && entry.date <= end);
+    };
+
+    return {
+        today,
+        currency,
+        monthStart,
+        daysElapsed: Number(today.slice(8, 10)),
+        daysInMonth,
+        expenses: normalized,
+        thisMonth: normalized.filter(exp => exp.date >= monthStart && exp.date <= today),
+        income: received,
+        thisMonthIncome: received.filter(entry => entry.date >= monthStart && entry.date <= today),
+        budgets,
+        recurring,
+        forecast,
+        monthExpenses: (offset) => inMonth(normalized, offset),
+        monthIncome: (offset) => inMonth(received, offset)
+    };
+}
+
+// Projected month total when spending carries on at the month-to-date pace
+function projectAtPace(spent, context) {
+    return round(spent / context.daysElapsed * context.daysInMonth);
+}
+
+const budgetPace = {
+    id: 'budget-pace',
+    panel: 'recommendations',
+    evaluate(context) {
+        return context.budgets.flatMap(budget => {
+            const label = budget.category || 'overall';
+            const spent = sum(context.thisMonth.filter(exp => !budget.category || exp.category === budget.category));
+            const data = { label, spent, budget: budget.amount, daysLeft: context.daysInMonth - context.daysElapsed };
+
+            if (spent > budget.amount) {
+                return [{
+                    type: 'budget-exceeded',
+                    severity: 'high',
+                    template: 'You have spent {spent:money} against your {label} budget of {budget:money} with {daysLeft} days to go',
+                    data
+                }];
+            }
+
+            // The first few days say little about the month's pace
+            if (context.daysElapsed < 3) return [];
+            const projected = projectAtPace(spent, context);
+            if (projected <= budget.amount) return [];
+
+            const overage = round(projected - budget.amount);
+            return [{
+                severity: projected > budget.amount * 1.25 ? 'high' : 'medium',
+                template: 'At this rate you\'ll exceed your {label} budget by {overage:money} ({projected:money} of {budget:money})',
+                data: { ...data, projected, overage }
+            }];
+        });
+    }
+};
+
+const monthOverMonth = {
+    id: 'month-over-month',
+    panel: 'trends',
+    evaluate(context) {
+        // Compare with the same number of days of last month so a partial month isn't penalised
+        const previousStart = recurrence.addMonths(context.monthStart, -1);
+        const previousEnd = recurrence.addDays(previousStart, context.daysElapsed - 1);
+        const previous = context.expenses.filter(exp =>
+            exp.date >= previousStart && exp.date <= previousEnd && exp.date < context.monthStart);
+        const previousTotal = sum(previous);
+        const insights = [];
+
+        const compare = (label, current, before, minChange) => {
+            if (before <= 0) return;
+            const growth = (current - before) / before;
+            if (Math.abs(growth) < 0.25 || Math.abs(current - before) < minChange) return;
+
+            insights.push({
+                type: label === 'Overall' ? 'month-over-month' : 'category-growth',
+                severity: growth >= 1 ? 'high' : (growth >= 0.5 ? 'medium' : 'low'),
+                template: `{label} spending is ${growth > 0 ? 'up' : 'down'} {growth:percent} on the same point last month ({current:money} vs {previous:money})`,
+                data: { label, growth: round(growth), current, previous: before }
+            });
+        };
+
+        compare('Overall', sum(context.thisMonth), previousTotal, 0);
+        // Ignore categories too small to matter
+        categoriesOf([...context.thisMonth, ...previous]).forEach(category => compare(
+            category,
+            sum(context.thisMonth.filter(exp => exp.category === category)),
+            sum(previous.filter(exp => exp.category === category)),
+            previousTotal * 0.05
+        ));
+
+        return insights;
+    }
+};
+
+const subscriptionCreep = {
+    id: 'subscription-creep',
+    panel: 'recommendations',
+    evaluate(context) {
+        const yearEnd = recurrence.addDays(context.today, 364);
+        const since = recurrence.addDays(context.today, -SUBSCRIPTION_WINDOW);
+
+        // Active schedules in the base currency, with their average monthly cost
+        const active = context.recurring
+            .filter(schedule => !schedule.paused && (!schedule.currency || schedule.currency === context.currency))
+            .map(schedule => ({
+                ...schedule,
+                monthly: schedule.amount * recurrence.occurrencesBetween(schedule, context.today, yearEnd, 400).length / 12
+            }))
+            .filter(schedule => schedule.monthly > 0);
+
+        const added = active.filter(schedule => recurrence.toDateString(schedule.start_date) >= since);
+        const total = round(active.reduce((total, schedule) => total + schedule.monthly, 0));
+        const increase = round(added.reduce((total, schedule) => total + schedule.monthly, 0));
+        const before = total - increase;
+        if (added.length === 0 || (before > 0 && increase / before < 0.1)) return [];
+
+        return [{
+            severity: before === 0 || increase / before >= 0.25 ? 'medium' : 'low',
+            template: 'Recurring costs grew by {increase:money} a month over the last 3 months ({names}); they now total {total:money} a month',
+            data: {
+                increase,
+                total,
+                count: added.length,
+                names: added.map(schedule => schedule.description || schedule.category).join(', ')
+            }
+        }];
+    }
+};
+
+const weekendSpending = {
+    id: 'weekend-spending',
+    panel: 'trends',
+    evaluate(context) {
+        const windowStart = recurrence.addDays(context.today, -WEEKDAY_WINDOW);
+        const recent = context.expenses.filter(exp => exp.date >= windowStart && exp.date < context.today);
+        if (recent.length === 0) return [];
+
+        // Count days from the first expense in the window so new users aren't diluted by empty days
+        const totals = { weekend: 0, weekday: 0 };
+        const days = { weekend: 0, weekday: 0 };
+        const first = recent.reduce((earliest, exp) => (exp.date < earliest ? exp.date : earliest), recent[0].date);
+        for (let day = first; day < context.today; day = recurrence.addDays(day, 1)) {
+            const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+            days[weekday === 0 || weekday === 6 ? 'weekend' : 'weekday']++;
+        }
+        recent.forEach(exp => {
+            const weekday = new Date(`${exp.date}T00:00:00Z`).getUTCDay();
+            totals[weekday === 0 || weekday === 6 ? 'weekend' : 'weekday'] += exp.amount;
+        });
+        if (days.weekend === 0 || days.weekday === 0) return [];
+
+        const weekend = round(totals.weekend / days.weekend);
+        const weekday = round(totals.weekday / days.weekday);
+        const data = { weekend, weekday };
+
+        if (weekday > 0 && weekend / weekday >= 1.5) {
+            return [{
+                severity: weekend / weekday >= 2 ? 'medium' : 'low',
+                template: 'You spend {ratio:number}× more per day at weekends ({weekend:money} vs {weekday:money} on weekdays)',
+                data: { ...data, ratio: round(weekend / weekday) }
+            }];
+        }
+        if (weekend > 0 && weekday / weekend >= 1.5) {
+            return [{
+                severity: 'low',
+                template: 'Weekdays cost you {ratio:number}× more per day than weekends ({weekday:money} vs {weekend:money})',
+                data: { ...data, ratio: round(weekday / weekend) }
+            }];
+        }
+        return [];
+    }
+};
+
+const savingsOpportunities = {
+    id: 'savings-opportunity',
+    panel: 'recommendations',
+    evaluate(context) {
+        const insights = [];
+        const monthTotal = sum(context.thisMonth);
+
+        // One category dominating the month
+        const byCategory = categoriesOf(context.thisMonth)
+            .map(category => ({ category, spent: sum(context.thisMonth.filter(exp => exp.category === category)) }))
+            .sort((a, b) => b.spent - a.spent);
+        if (byCategory.length > 1 && byCategory[0].spent / monthTotal > 0.5) {
+            insights.push({
+                type: 'category-concentration',
+                severity: 'medium',
+                template: 'Consider reducing {category} spending ({share:percent} of this month\'s total)',
+                data: { category: byCategory[0].category, share: round(byCategory[0].spent / monthTotal), spent: byCategory[0].spent }
+            });
+        }
+
+        // Categories running well above their usual month
+        if (context.daysElapsed < 7) return insights;
+        const history = [1, 2, 3].map(offset => context.monthExpenses(offset));
+        byCategory.forEach(({ category, spent }) => {
+            const usual = round(median(history.map(expenses => sum(expenses.filter(exp => exp.category === category)))));
+            const projected = projectAtPace(spent, context);
+            const savings = round(projected - usual);
+            if (usual <= 0 || projected < usual * 1.2 || savings < monthTotal * 0.05) return;
+
+            insights.push({
+                severity: projected >= usual * 1.5 ? 'medium' : 'low',
+                template: 'Bringing {category} back to your usual {usual:money} a month would save about {savings:money} this month',
+                data: { category, usual, projected, savings }
+            });
+        });
+
+        return insights;
+    }
+};
+
+const spendingTrend = {
+    id: 'spending-trend',
+    panel: 'trends',
+    evaluate(context) {
+        if (!context.forecast) return [];
+        const [next] = context.forecast.overall.forecasts;
+        const months = [1, 2, 3].map(offset => sum(context.monthExpenses(offset)));
+        const average = round(months.reduce((total, value) => total + value, 0) / months.length);
+        if (average <= 0 || !next) return [];
+
+        const change = round((next.value - average) / average);
+        const data = { forecast: next.value, average, change, month: next.month };
+        if (Math.abs(change) < 0.1) {
+            return [{
+                severity: 'low',
+                template: 'Spending is steady: {month} is forecast at {forecast:money}, close to your 3-month average of {average:money}',
+                data
+            }];
+        }
+        return [{
+            severity: change >= 0.25 ? 'medium' : 'low',
+            template: `Spending is trending ${change > 0 ? 'up' : 'down'}: {month} is forecast at {forecast:money}, {change:percent} ${change > 0 ? 'above' : 'below'} your 3-month average of {average:money}`,
+            data
+        }];
+    }
+};
+
+// Income to expect this month: what has come in so far, or the usual monthly
+// income of the last three months when more is still to come (e.g. salary
+// paid at the end of the month)
+function expectedIncome(context) {
+    const received = sum(context.thisMonthIncome);
+    const usual = median([1, 2, 3].map(offset => sum(context.monthIncome(offset))));
+    return { received, expected: Math.max(received, usual) };
+}
+
+const savingsRate = {
+    id: 'savings-rate',
+    panel: 'recommendations',
+    evaluate(context) {
+        // Users who don't record income get no savings advice
+        if (context.income.length === 0) return [];
+
+        const { received, expected } = expectedIncome(context);
+        const spent = sum(context.thisMonth);
+
+        if (spent > received && received >= expected) {
+            return [{
+                type: 'expenses-exceed-income',
+                severity: 'high',
+                template: 'Expenses are outpacing income this month: {spent:money} spent against {income:money} earned, {gap:money} more than came in',
+                data: { spent, income: received, gap: round(spent - received) }
+            }];
+        }
+
+        if (context.daysElapsed < 3 || expected <= 0) return [];
+        const projected = projectAtPace(spent, context);
+        const rate = round((expected - projected) / expected);
+        const data = { projected, income: expected, rate };
+
+        if (projected > expected) {
+            return [{
+                type: 'expenses-exceed-income',
+                severity: 'medium',
+                template: 'At this pace you\'ll spend {projected:money} this month, more than the {income:money} you usually earn',
+                data
+            }];
+        }
+        if (rate < 0.1) {
+            return [{
+                severity: 'low',
+                template: 'Your savings rate is on track for only {rate:percent} this month ({projected:money} spent of {income:money}); aim to keep at least 10% of income',
+                data
+            }];
+        }
+        return [];
+    }
+};
+
+const savingsTrend = {
+    id: 'savings-trend',
+    panel: 'trends',
+    evaluate(context) {
+        // Savings rate of each of the last three full months that had income
+        const rates = [1, 2, 3]
+            .map(offset => ({ income: sum(context.monthIncome(offset)), spent: sum(context.monthExpenses(offset)) }))
+            .filter(month => month.income > 0)
+            .map(month => (month.income - month.spent) / month.income);
+        if (rates.length === 0) return [];
+
+        const average = round(rates.reduce((total, rate) => total + rate, 0) / rates.length);
+        const data = { average, months: rates.length };
+        if (average < 0) {
+            return [{
+                severity: 'high',
+                template: 'You spent {average:percent} more than you earned on average over the last {months} month(s)',
+                data
+            }];
+        }
+        return [{
+            severity: average < 0.1 ? 'medium' : 'low',
+            template: 'You saved {average:percent} of your income on average over the last {months} month(s)',
+            data
+        }];
+    }
+};
+
+const DEFAULT_RULES = [
+    budgetPace,
+    savingsRate,
+    subscriptionCreep,
+    savingsOpportunities,
+    monthOverMonth,
+    weekendSpending,
+    spendingTrend,
+    savingsTrend
+];
+
+class InsightEngine {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = [...rules];
+    }
+
+    register(rule) {
+        this.rules.push(rule);
+        return this;
+    }
+
+    // Run every rule; a failing rule is logged and skipped. Returns
+    // { recommendations, trends }, each sorted by severity.
+    run(context) {
+        const insights = this.rules.flatMap(rule => {
+            try {
+                return (rule.evaluate(context) || []).map(result => ({
+                    type: result.type || rule.id,
+                    panel: rule.panel,
+                    severity: result.severity,
+                    template: result.template,
+                    data: result.data,
+                    message: renderTemplate(result.template, result.data, context.currency)
+                }));
+            } catch (error) {
+                console.error(`❌ Insight rule ${rule.id} failed:`, error.message);
+                return [];
+            }
+        }).sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+
+        return {
+            recommendations: insights.filter(insight => insight.panel === 'recommendations'),
+            trends: insights.filter(insight => insight.panel === 'trends')
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    InsightEngine,
+    createContext,
+    renderTemplate
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Versioned schema migrations for DatabaseManager.
+//
+// Each file in migrations/ is named NNN_description.js and exports
+// `up(context)` and `down(context)`. The context carries the dialect (`type`),
+// dialect column types (`types`) and `query`/`execute` helpers bound to the
+// migration's transaction. Applied versions are recorded in schema_migrations.
+class Migrator {
+    constructor(dbManager, directory = MIGRATIONS_DIR) {
+        this.db = dbManager;
+        this.directory = directory;
+    }
+
+    loadMigrations() {
+        return fs.readdirSync(this.directory)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .sort()
+            .map(file => {
+                const [version, ...name] = file.replace(/\.js$/, '').split('_');
+                return { version, name: name.join('_'), ...require(path.join(this.directory, file)) };
+            });
+    }
+
+    async ensureMigrationsTable() {
+        const types = this.db.getColumnTypes();
+        await this.db.execute(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(50) PRIMARY KEY,
+                name ${types.string} NOT NULL,
+                applied_at ${types.timestamp}
+            )
+        `);
+    }
+
+    async getAppliedVersions() {
+        await this.ensureMigrationsTable();
+        const rows = await this.db.query("SELECT version FROM schema_migrations ORDER BY version");
+        return rows.map(row => row.version);
+    }
+
+    context(client) {
+        return {
+            type: this.db.type,
+            types: this.db.getColumnTypes(),
+            query: (sql, params) => this.db.query(sql, params, client),
+            execute: (sql, params) => this.db.execute(sql, params, client)
+        };
+    }
+
+    async status() {
+        const applied = await this.getAppliedVersions();
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.includes(migration.version)
+        }));
+    }
+
+    // Applies every pending migration in version order; returns the applied ones
+    async up() {
+        const applied = await this.getAppliedVersions();
+        const pending = this.loadMigrations().filter(migration => !applied.includes(migration.version));
+
+        for (const migration of pending) {
+            await this.db.transaction(async (client) => {
+                await migration.up(this.context(client));
+                await this.db.execute(
+                    "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+                    [migration.version, migration.name],
+                    client
+                );
+            });
+            console.log(`⬆️  Applied migration ${migration.version}_${migration.name}`);
+        }
+
+        return pending;
+    }
+
+    // Reverts the most recently applied migrations, newest first
+    async down(steps = 1) {
+        const migrations = this.loadMigrations();
+        const applied = await this.getAppliedVersions();
+        const toRevert = applied.slice(-steps).reverse();
+
+        for (const version of toRevert) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`Migration file for version ${version} not found`);
+            }
+
+            await this.db.transaction(async (client) => {
+                await migration.down(this.context(client));
+                await this.db.execute("DELETE FROM schema_migrations WHERE version = ?", [version], client);
+            });
+            console.log(`⬇️  Reverted migration ${migration.version}_${migration.name}`);
+        }
+
+        return toRevert;
+    }
+}
+
+module.exports = Migrator;
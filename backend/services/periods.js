@@ -0,0 +1,134 @@
+const recurrence = require('./recurrence');
+
+// Reporting periods for /report and /ai-insights: a calendar month
+// (?year=&month=), a whole year (?year=) or a custom range (?from=&to=),
+// defaulting to the current month. "Today" is taken in the client's
+// timezone (?tz=, an IANA name such as Asia/Kolkata) so the current month
+// isn't mislabelled for users whose day differs from the server's.
+
+// Longest custom range accepted, in days
+const MAX_PERIOD_DAYS = 366 * 5;
+
+// Today's date (YYYY-MM-DD) in an IANA timezone, or in the server's when
+// none is given. Throws for an unknown timezone.
+function todayIn(timeZone) {
+    if (!timeZone) return recurrence.today();
+
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(new Date());
+    } catch (error) {
+        throw new Error(`Unknown timezone: ${timeZone}`);
+    }
+    const part = (type) => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+function monthPeriod(monthStart) {
+    return {
+        type: 'month',
+        from: monthStart,
+        to: recurrence.addDays(recurrence.addMonths(monthStart, 1), -1)
+    };
+}
+
+function yearPeriod(year) {
+    return { type: 'year', from: `${year}-01-01`, to: `${year}-12-31` };
+}
+
+// The period asked for in a query string, as { type, from, to }. Throws an
+// Error with a user-facing message for invalid parameters.
+function resolvePeriod(query, today) {
+    if (query.from !== undefined || query.to !== undefined) {
+        const { from, to } = query;
+        if (!recurrence.isValidDate(from) || !recurrence.isValidDate(to)) {
+            throw new Error('from and to must both be YYYY-MM-DD dates');
+        }
+        if (from > to) {
+            throw new Error('from must not be after to');
+        }
+        if (recurrence.daysBetween(from, to) >= MAX_PERIOD_DAYS) {
+            throw new Error(`A period can span at most ${MAX_PERIOD_DAYS} days`);
+        }
+        return { type: 'custom', from, to };
+    }
+
+    if (query.year !== undefined || query.month !== undefined) {
+        const year = query.year !== undefined ? Number(query.year) : Number(today.slice(0, 4));
+        if (!Number.isInteger(year) || year < 1000 || year > 9999) {
+            throw new Error('year must be a four-digit year');
+        }
+        if (query.month === undefined) return yearPeriod(year);
+
+        const month = Number(query.month);
+        if (!Number.isInteger(month) || month < 1 || month > 12) {
+            throw new Error('month must be between 1 and 12');
+        }
+        return monthPeriod(`${year}-${String(month).padStart(2, '0')}-01`);
+    }
+
+    return monthPeriod(`${today.slice(0, 7)}-01`);
+}
+
+// The equivalent period just before: the previous month or year, or the same
+// number of days before a custom range. While `period` is still running only
+// the days elapsed so far are compared, so a partial month is measured
+// against the same stretch of the month before.
+function previousPeriod(period, today) {
+    let previous;
+    if (period.type === 'month') {
+        previous = monthPeriod(recurrence.addMonths(period.from, -1));
+    } else if (period.type === 'year') {
+        previous = yearPeriod(Number(period.from.slice(0, 4)) - 1);
+    } else {
+        const days = recurrence.daysBetween(period.from, period.to) + 1;
+        previous = { type: 'custom', from: recurrence.addDays(period.from, -days), to: recurrence.addDays(period.from, -1) };
+    }
+
+    if (isCurrent(period, today)) {
+        const elapsedEnd = recurrence.addDays(previous.from, recurrence.daysBetween(period.from, today));
+        if (elapsedEnd < previous.to) {
+            return { ...previous, to: elapsedEnd, partial: true };
+        }
+    }
+    return { ...previous, partial: false };
+}
+
+function isCurrent(period, today) {
+    return period.from <= today && today <= period.to;
+}
+
+// The last day with data so far: the period's end, or today while it is running
+function lastDay(period, today) {
+    return period.to < today ? period.to : today;
+}
+
+// YYYY-MM months from `from`'s month to `to`'s month, inclusive
+function monthsBetween(from, to) {
+    const months = [];
+    for (let month = `${from.slice(0, 7)}-01`; month <= to; month = recurrence.addMonths(month, 1)) {
+        months.push(month.slice(0, 7));
+    }
+    return months;
+}
+
+// Percent change from `previous` to `current`; null when there is nothing to compare with
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10;
+}
+
+module.exports = {
+    todayIn,
+    resolvePeriod,
+    previousPeriod,
+    isCurrent,
+    lastDay,
+    monthsBetween,
+    percentChange
+};
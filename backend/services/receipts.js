@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { today } = require('./recurrence');
+
+// Receipts attached to expenses: where the files are kept on disk, and the
+// OCR that reads a receipt's total, date and merchant to pre-fill the expense
+// form. Recognition runs locally with tesseract.js; images never leave the server.
+
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, '../../data/attachments');
+
+// The language model comes from OCR_LANG_PATH (a directory or URL) or else the
+// @tesseract.js-data/<lang> package, so OCR works without a network
+// connection. OCR_DATA_DIR keeps an unpacked copy for faster start-up.
+const OCR_DATA_DIR = process.env.OCR_DATA_DIR || path.join(__dirname, '../../data/tessdata');
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+
+const MAX_RECEIPT_SIZE = 10 * 1024 * 1024;
+
+// Accepted upload types and the extension the stored file gets
+const RECEIPT_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf'
+};
+// Types tesseract.js can read; PDFs are stored but not scanned
+const OCR_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Lines naming the amount paid, best match first. Subtotals, tax and
+// change lines are never the total.
+const TOTAL_LABELS = [
+    /grand\s*total/i,
+    /(total|amount|balance)\s*(due|payable|paid)/i,
+    /net\s*(total|amount|payable)/i,
+    /\btotal\b/i
+];
+const NOT_TOTAL = /sub\s*-?\s*total|\btax\b|\bvat\b|\bgst\b|change|discount|savings|items|qty|quantity|tip/i;
+
+// Lines at the top of a receipt that are not the merchant's name
+const NOT_MERCHANT = /receipt|invoice|bill\b|welcome|thank|tel\b|phone|gstin|vat\s*no|www\.|@|^\W*(date|time)\b/i;
+
+// Store uploads as <random id><ext> so file names from the client never reach the filesystem
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        fs.mkdir(ATTACHMENTS_DIR, { recursive: true }, (err) => cb(err, ATTACHMENTS_DIR));
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${crypto.randomUUID()}${RECEIPT_TYPES[file.mimetype]}`);
+    }
+});
+
+// multer fileFilter accepting only the given MIME types
+function acceptTypes(types, message) {
+    return (req, file, cb) => {
+        if (types.includes(file.mimetype)) cb(null, true);
+        else cb(new Error(message));
+    };
+}
+
+const fileFilter = acceptTypes(Object.keys(RECEIPT_TYPES), 'Receipts must be JPEG, PNG, WebP or PDF files');
+const imageFilter = acceptTypes(OCR_TYPES, 'Only JPEG, PNG or WebP receipt images can be scanned');
+
+function attachmentPath(storageKey) {
+    return path.resolve(ATTACHMENTS_DIR, path.basename(storageKey));
+}
+
+// Remove stored files, ignoring ones that are already gone
+async function removeFiles(storageKeys) {
+    await Promise.all(storageKeys.map(key => fs.promises.unlink(attachmentPath(key)).catch((err) => {
+        if (err.code !== 'ENOENT') console.error(`Failed to remove attachment ${key}:`, err.message);
+    })));
+}
+
+// Column values for an uploaded file (a multer disk-storage file)
+function toAttachmentRecord(file, expenseId) {
+    return {
+        expense_id: Number(expenseId),
+        file_name: path.basename(file.originalname || 'receipt').slice(-100),
+        storage_key: file.filename,
+        mime_type: file.mimetype,
+        size: file.size
+    };
+}
+
+function canScan(mimeType) {
+    return OCR_TYPES.includes(mimeType);
+}
+
+function languageDataPath() {
+    if (process.env.OCR_LANG_PATH) return process.env.OCR_LANG_PATH;
+    try {
+        return require(`@tesseract.js-data/${OCR_LANG}`).langPath;
+    } catch (error) {
+        // Not installed: tesseract.js downloads the model from its CDN
+        return undefined;
+    }
+}
+
+// OCR worker, started on first use and reused. Loading the language model
+// takes a few seconds, so later scans are much faster than the first.
+let workerPromise = null;
+
+function getWorker() {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            // Required lazily so the server starts without loading the OCR engine
+            const { createWorker } = require('tesseract.js');
+            await fs.promises.mkdir(OCR_DATA_DIR, { recursive: true });
+            return createWorker(OCR_LANG, undefined, { cachePath: OCR_DATA_DIR, langPath: languageDataPath() });
+        })();
+        // Let a failed start (e.g. no language model available) be retried
+        workerPromise.catch(() => { workerPromise = null; });
+    }
+    return workerPromise;
+}
+
+// Amount in a piece of text such as "1,234.50", "1.234,50" or "12.5"; null without one.
+// The last two digits after a final "." or "," are read as cents.
+function parseAmount(token) {
+    const match = /(\d[\d.,']*?)[.,](\d{1,2})(?!\d)/.exec(token) || /(\d+)()(?![\d.,])/.exec(token);
+    if (!match) return null;
+    const whole = match[1].replace(/[.,']/g, '');
+    const value = Number(`${whole}.${match[2] || '0'}`);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Every amount on a line, left to right
+function amountsOn(line) {
+    return (line.match(/\d[\d.,']*[.,]\d{2}(?!\d)/g) || [])
+        .map(parseAmount)
+        .filter(value => value !== null && value > 0);
+}
+
+function findTotal(lines) {
+    for (const label of TOTAL_LABELS) {
+        // Receipts repeat the total near the bottom (e.g. before the payment
+        // lines), so prefer the last matching line
+        const candidates = lines.filter(line => label.test(line) && !NOT_TOTAL.test(line));
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const amounts = amountsOn(candidates[i]);
+            if (amounts.length > 0) return amounts[amounts.length - 1];
+        }
+    }
+
+    // No labelled total: the largest amount on the receipt is the best guess
+    const amounts = lines.filter(line => !NOT_TOTAL.test(line)).flatMap(amountsOn);
+    return amounts.length > 0 ? Math.max(...amounts) : null;
+}
+
+function toIsoDate(year, month, day) {
+    let y = Number(year);
+    if (y < 100) y += 2000;
+    const m = Number(month);
+    const d = Number(day);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// Dates on one line as YYYY-MM-DD. Numeric dates such as 03/04/2026 are read
+// day first unless that is impossible (04/13/2026).
+function datesOn(line) {
+    const dates = [];
+    const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+    let match;
+
+    const iso = /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g;
+    while ((match = iso.exec(line))) dates.push(toIsoDate(match[1], match[2], match[3]));
+
+    const numeric = /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/g;
+    while ((match = numeric.exec(line))) {
+        const [, first, second, year] = match;
+        dates.push(Number(first) > 12 || Number(second) <= 12
+            ? toIsoDate(year, second, first)
+            : toIsoDate(year, first, second));
+    }
+
+    const dayMonth = /\b(\d{1,2})(?:st|nd|rd|th)?[\s-]*([a-z]{3,9})[\s,.-]*(\d{4}|\d{2})\b/gi;
+    while ((match = dayMonth.exec(line))) {
+        if (monthIndex(match[2])) dates.push(toIsoDate(match[3], monthIndex(match[2]), match[1]));
+    }
+
+    const monthDay = /\b([a-z]{3,9})[\s.-]*(\d{1,2})(?:st|nd|rd|th)?[\s,]+(\d{4})\b/gi;
+    while ((match = monthDay.exec(line))) {
+        if (monthIndex(match[1])) dates.push(toIsoDate(match[3], monthIndex(match[1]), match[2]));
+    }
+
+    return dates.filter(Boolean);
+}
+
+// The first plausible purchase date; dates in the future (e.g. a return-by date) are skipped
+function findDate(lines, latest = today()) {
+    const dates = lines.flatMap(datesOn).filter(date => date <= latest);
+    return dates[0] || null;
+}
+
+// The merchant is usually the first line of text at the top of the receipt
+function findMerchant(lines) {
+    const line = lines.slice(0, 6).find(candidate => {
+        const letters = (candidate.match(/[a-z]/gi) || []).length;
+        return letters >= 3 && letters / candidate.replace(/\s/g, '').length >= 0.6 &&
+            !NOT_MERCHANT.test(candidate) && datesOn(candidate).length === 0 && amountsOn(candidate).length === 0;
+    });
+    return line ? line.replace(/[^\w&'.\- ]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) : null;
+}
+
+// Read the total, date and merchant from OCR text. Fields that can't be
+// found are null.
+function parseReceipt(text, options = {}) {
+    const lines = String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    return {
+        merchant: findMerchant(lines),
+        date: findDate(lines, options.today),
+        total: findTotal(lines)
+    };
+}
+
+// OCR an image (a file path or Buffer) and pull the receipt fields out of the
+// text. confidence is tesseract's mean word confidence (0-100).
+async function scanReceipt(image) {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    return {
+        ...parseReceipt(data.text),
+        confidence: Math.round(data.confidence),
+        text: data.text
+    };
+}
+
+module.exports = {
+    ATTACHMENTS_DIR,
+    MAX_RECEIPT_SIZE,
+    storage,
+    fileFilter,
+    imageFilter,
+    attachmentPath,
+    removeFiles,
+    toAttachmentRecord,
+    canScan,
+    parseReceipt,
+    scanReceipt
+};
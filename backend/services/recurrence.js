@@ -0,0 +1,238 @@
+// Schedule maths for recurring expenses. Everything works on YYYY-MM-DD strings
+// in UTC so occurrences never shift with daylight saving changes.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'cron'];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Cron schedules are scanned a day at a time up to this far ahead
+const CRON_SEARCH_DAYS = 366 * 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalise a DATE column value (string or Date) to YYYY-MM-DD
+function toDateString(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) {
+        // PostgreSQL DATE columns come back as local-midnight Date objects
+        return [
+            value.getFullYear(),
+            String(value.getMonth() + 1).padStart(2, '0'),
+            String(value.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+    return String(value).split('T')[0];
+}
+
+// Today's date in the server's local time zone
+function today() {
+    return toDateString(new Date());
+}
+
+function parseDate(value) {
+    return new Date(`${toDateString(value)}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// A real YYYY-MM-DD calendar date: 2026-02-31 does not round-trip, so it is rejected
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+    const date = parseDate(value);
+    return !isNaN(date.getTime()) && formatDate(date) === String(value);
+}
+
+function addDays(value, days) {
+    return formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+}
+
+// Add months keeping the day of month, clamped to the end of shorter months
+// (a schedule starting on the 31st falls on Feb 28/29, then Mar 31 again)
+function addMonths(value, months) {
+    const date = parseDate(value);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return formatDate(target);
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to).getTime() - parseDate(from).getTime()) / DAY_MS);
+}
+
+// Parse one cron field (*, 5, 1-5, 1,15, */2, 1-10/3) into a Set, or null for "any"
+function parseCronField(field, min, max) {
+    if (field === '*' || field === '?') return null;
+
+    const values = new Set();
+    field.split(',').forEach(part => {
+        const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid cron field: ${field}`);
+
+        const start = match[1] === '*' ? min : parseInt(match[1]);
+        const end = match[2] !== undefined ? parseInt(match[2]) : (match[1] === '*' || match[3] ? max : start);
+        const step = match[3] !== undefined ? parseInt(match[3]) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron field: ${field}`);
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    });
+    return values;
+}
+
+// Cron-like schedules work at day granularity. Accepts the usual five fields
+// (minute hour day-of-month month day-of-week; minute and hour are ignored)
+// or just the last three.
+function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5 && fields.length !== 3) {
+        throw new Error('Cron expression must have 5 fields (or 3: day-of-month month day-of-week)');
+    }
+
+    const [dayOfMonth, month, dayOfWeek] = fields.slice(-3);
+    const daysOfWeek = parseCronField(dayOfWeek, 0, 7);
+    if (daysOfWeek && daysOfWeek.has(7)) daysOfWeek.add(0);
+
+    return {
+        daysOfMonth: parseCronField(dayOfMonth, 1, 31),
+        months: parseCronField(month, 1, 12),
+        daysOfWeek
+    };
+}
+
+// Standard cron rule: when both day-of-month and day-of-week are restricted,
+// a day matching either one counts
+function cronMatches(cron, value) {
+    const date = parseDate(value);
+    if (cron.months && !cron.months.has(date.getUTCMonth() + 1)) return false;
+
+    const domMatch = !cron.daysOfMonth || cron.daysOfMonth.has(date.getUTCDate());
+    const dowMatch = !cron.daysOfWeek || cron.daysOfWeek.has(date.getUTCDay());
+    if (cron.daysOfMonth && cron.daysOfWeek) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+}
+
+// First occurrence of `schedule` on or after `from`, or null when the
+// schedule has ended. Fixed-interval schedules count from start_date so
+// they never drift.
+function nextOccurrence(schedule, from) {
+    const start = toDateString(schedule.start_date);
+    const end = toDateString(schedule.end_date);
+    const interval = Math.max(1, parseInt(schedule.interval_count) || 1);
+    const after = from && toDateString(from) > start ? toDateString(from) : start;
+    let next = null;
+
+    switch (schedule.frequency) {
+        case 'daily':
+        case 'weekly': {
+            const step = interval * (schedule.frequency === 'weekly' ? 7 : 1);
+            next = addDays(start, Math.ceil(daysBetween(start, after) / step) * step);
+            break;
+        }
+        case 'monthly':
+        case 'yearly': {
+            const step = interval * (schedule.frequency === 'yearly' ? 12 : 1);
+            const startDate = parseDate(start);
+            const afterDate = parseDate(after);
+            const monthsApart = (afterDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12
+                + afterDate.getUTCMonth() - startDate.getUTCMonth();
+            let k = Math.max(0, Math.floor(monthsApart / step) - 1);
+            while (addMonths(start, k * step) < after) k++;
+            next = addMonths(start, k * step);
+            break;
+        }
+        case 'cron': {
+            const cron = parseCron(schedule.cron);
+            for (let i = 0, day = after; i < CRON_SEARCH_DAYS; i++, day = addDays(day, 1)) {
+                if (end && day > end) break;
+                if (cronMatches(cron, day)) {
+                    next = day;
+                    break;
+                }
+            }
+            break;
+        }
+        default:
+            throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    return next && (!end || next <= end) ? next : null;
+}
+
+// Occurrences between `from` and `to` (inclusive), at most `limit` of them
+function occurrencesBetween(schedule, from, to, limit = 100) {
+    const dates = [];
+    let next = nextOccurrence(schedule, from);
+    while (next && next <= to && dates.length < limit) {
+        dates.push(next);
+        next = nextOccurrence(schedule, addDays(next, 1));
+    }
+    return dates;
+}
+
+// Validate a create/update request body and turn it into column values.
+// `field` names what the schedule posts under: the category of recurring
+// expenses or the source of recurring income.
+// Throws an Error with a user-facing message when something is wrong.
+function normalizeSchedule(input, field = 'category') {
+    const amount = parseFloat(input.amount);
+    if (!input[field] || isNaN(amount) || amount <= 0) {
+        throw new Error(`${field[0].toUpperCase()}${field.slice(1)} and a positive amount are required`);
+    }
+
+    const frequency = input.frequency || 'monthly';
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw new Error('Interval must be a positive whole number');
+    }
+
+    const startDate = input.startDate || today();
+    if (!isValidDate(startDate)) {
+        throw new Error('startDate must be a YYYY-MM-DD date');
+    }
+    const endDate = input.endDate || null;
+    if (endDate && (!isValidDate(endDate) || endDate < startDate)) {
+        throw new Error('endDate must be a YYYY-MM-DD date on or after startDate');
+    }
+
+    const cron = frequency === 'cron' ? String(input.cron || '').trim() : null;
+    if (frequency === 'cron') parseCron(cron);
+
+    // Posted entries are converted from this currency; null means the owner's base currency
+    const currency = input.currency ? String(input.currency).trim().toUpperCase() : null;
+    if (currency && !CURRENCY_PATTERN.test(currency)) {
+        throw new Error('currency must be an ISO 4217 currency code');
+    }
+
+    return {
+        [field]: input[field],
+        amount,
+        description: input.description || '',
+        frequency,
+        interval_count: interval,
+        cron,
+        start_date: startDate,
+        end_date: endDate,
+        currency
+    };
+}
+
+module.exports = {
+    FREQUENCIES,
+    toDateString,
+    today,
+    isValidDate,
+    addDays,
+    addMonths,
+    daysBetween,
+    parseCron,
+    nextOccurrence,
+    occurrencesBetween,
+    normalizeSchedule
+};
@@ -0,0 +1,134 @@
+const recurrence = require('./recurrence');
+
+// Occurrences posted per schedule in one run; a longer backlog continues on the next run
+const MAX_CATCH_UP = 500;
+
+// True when `schedule` has more than MAX_CATCH_UP occurrences from its
+// next_run up to `date`, more than one run posts
+function exceedsCatchUp(schedule, date = recurrence.today()) {
+    if (!schedule.next_run) return false;
+    return recurrence.occurrencesBetween(schedule, schedule.next_run, date, MAX_CATCH_UP + 1).length > MAX_CATCH_UP;
+}
+
+// Posts due recurring expenses through dbOperations.addExpense, reporting
+// each posted expense to `onPost(expense, userId)`, and due recurring income
+// through dbOperations.addIncome.
+//
+// Each schedule keeps next_run, the first occurrence not yet posted. A run posts
+// every occurrence up to today, advancing next_run in the same transaction as
+// each posted entry, so the first run after downtime catches up on everything
+// that was missed and an occurrence is never posted twice.
+class RecurringScheduler {
+    constructor(dbOperations, intervalMs = 60 * 60 * 1000, onPost = () => {}) {
+        this.db = dbOperations;
+        this.intervalMs = intervalMs;
+        this.onPost = onPost;
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        this.runDue();
+        this.timer = setInterval(() => this.runDue(), this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Overlapping calls share the run in progress instead of posting twice
+    runDue(date = recurrence.today()) {
+        if (!this.running) {
+            this.running = this.postDue(date)
+                .catch(error => {
+                    console.error('❌ Recurring expenses failed:', error.message);
+                    return 0;
+                })
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+        return this.running;
+    }
+
+    async postDue(date) {
+        const [expenseSchedules, incomeSchedules] = await Promise.all([
+            this.db.getDueRecurringExpenses(date),
+            this.db.getDueRecurringIncome(date)
+        ]);
+
+        const expenses = await this.postExpenseSchedules(expenseSchedules, date);
+        const income = await this.postIncomeSchedules(incomeSchedules, date);
+
+        if (expenses > 0) {
+            console.log(`🔁 Posted ${expenses} recurring expense(s)`);
+        }
+        if (income > 0) {
+            console.log(`🔁 Posted ${income} recurring income payment(s)`);
+        }
+        return expenses + income;
+    }
+
+    // Posts the due occurrences of the given recurring expenses only, e.g. one
+    // that was just created, without waiting for a run over every user
+    postExpenseSchedules(schedules, date = recurrence.today()) {
+        return this.postSchedules(schedules, date, {
+            label: 'Recurring expense',
+            post: async (schedule, next, following) => {
+                const expense = await this.db.postRecurringExpense(schedule.id, next, following, {
+                    date: next,
+                    category: schedule.category,
+                    amount: Number(schedule.amount),
+                    description: schedule.description,
+                    currency: schedule.currency || undefined,
+                    accountId: schedule.account_id
+                }, schedule.user_id);
+                if (expense) this.onPost(expense, schedule.user_id);
+                return expense;
+            }
+        });
+    }
+
+    postIncomeSchedules(schedules, date = recurrence.today()) {
+        return this.postSchedules(schedules, date, {
+            label: 'Recurring income',
+            post: (schedule, next, following) => this.db.postRecurringIncome(schedule.id, next, following, {
+                date: next,
+                source: schedule.source,
+                amount: Number(schedule.amount),
+                description: schedule.description,
+                currency: schedule.currency || undefined,
+                accountId: schedule.account_id,
+                recurringId: schedule.id
+            }, schedule.user_id)
+        });
+    }
+
+    // Posts every occurrence of `schedules` up to `date` with
+    // `post(schedule, date, nextRun)`, which returns null when another run
+    // already posted that occurrence
+    async postSchedules(schedules, date, { label, post }) {
+        let posted = 0;
+
+        for (const schedule of schedules) {
+            let next = recurrence.toDateString(schedule.next_run);
+            try {
+                for (let i = 0; next && next <= date && i < MAX_CATCH_UP; i++) {
+                    const following = recurrence.nextOccurrence(schedule, recurrence.addDays(next, 1));
+                    if (!await post(schedule, next, following)) break;
+                    next = following;
+                    posted++;
+                }
+            } catch (error) {
+                // e.g. a missing exchange rate; retried on the next run
+                console.error(`❌ ${label} ${schedule.id} failed on ${next}:`, error.message);
+            }
+        }
+
+        return posted;
+    }
+}
+
+module.exports = { MAX_CATCH_UP, RecurringScheduler, exceedsCatchUp };
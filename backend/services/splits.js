@@ -0,0 +1,109 @@
+// Split calculations for shared ledgers.
+// Amounts are handled in paise (integer cents) so shares always add up to the total.
+
+const SPLIT_TYPES = ['equal', 'percentage', 'exact'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Spread `remainder` extra cents over the first shares so the sum matches exactly
+function distributeRemainder(cents, remainder) {
+    return cents.map((value, i) => value + (i < remainder ? 1 : 0));
+}
+
+// Turn a split request into [{ userId, amount }].
+// `split.shares` is [{ userId, value }]: value is ignored for equal splits,
+// a percentage for percentage splits and an amount for exact splits.
+// Equal splits without shares are divided among every member in `memberIds`.
+function computeSplits(amount, split = {}, memberIds = []) {
+    const type = split.type || 'equal';
+    if (!SPLIT_TYPES.includes(type)) {
+        throw new Error(`Split type must be one of: ${SPLIT_TYPES.join(', ')}`);
+    }
+
+    const shares = Array.isArray(split.shares) && split.shares.length > 0
+        ? split.shares.map(share => ({ userId: Number(share.userId), value: Number(share.value) }))
+        : memberIds.map(userId => ({ userId: Number(userId), value: 0 }));
+
+    if (shares.length === 0) {
+        throw new Error('A split needs at least one member');
+    }
+    if (new Set(shares.map(share => share.userId)).size !== shares.length) {
+        throw new Error('Each member can only appear once in a split');
+    }
+    const outsider = shares.find(share => !memberIds.map(Number).includes(share.userId));
+    if (outsider) {
+        throw new Error(`User ${outsider.userId} is not a member of this ledger`);
+    }
+
+    const total = toCents(amount);
+    let cents;
+
+    if (type === 'equal') {
+        const base = Math.floor(total / shares.length);
+        cents = distributeRemainder(shares.map(() => base), total - base * shares.length);
+    } else if (type === 'percentage') {
+        const percentTotal = shares.reduce((sum, share) => sum + share.value, 0);
+        if (shares.some(share => !(share.value >= 0)) || Math.abs(percentTotal - 100) > 0.01) {
+            throw new Error('Percentages must add up to 100');
+        }
+        cents = shares.map(share => Math.floor((total * share.value) / 100));
+        cents = distributeRemainder(cents, total - cents.reduce((sum, value) => sum + value, 0));
+    } else {
+        cents = shares.map(share => toCents(share.value));
+        if (cents.some(value => !(value >= 0)) || cents.reduce((sum, value) => sum + value, 0) !== total) {
+            throw new Error('Exact amounts must add up to the expense amount');
+        }
+    }
+
+    return shares.map((share, i) => ({ userId: share.userId, amount: fromCents(cents[i]) }));
+}
+
+// Net balance per member: what they paid minus their share of every expense.
+// Positive means the member is owed money, negative means they owe.
+function computeBalances(expenses, splits, memberIds) {
+    const balances = new Map(memberIds.map(userId => [Number(userId), 0]));
+    const adjust = (userId, cents) => balances.set(Number(userId), (balances.get(Number(userId)) || 0) + cents);
+
+    expenses.forEach(expense => adjust(expense.paid_by, toCents(expense.amount)));
+    splits.forEach(split => adjust(split.user_id, -toCents(split.amount)));
+
+    return [...balances.entries()].map(([userId, cents]) => ({ userId, balance: fromCents(cents) }));
+}
+
+// Greedy settle-up: repeatedly match the largest debtor with the largest creditor.
+// Produces at most (members - 1) transfers.
+function simplifyDebts(balances) {
+    const creditors = balances
+        .filter(b => b.balance > 0)
+        .map(b => ({ userId: b.userId, cents: toCents(b.balance) }));
+    const debtors = balances
+        .filter(b => b.balance < 0)
+        .map(b => ({ userId: b.userId, cents: -toCents(b.balance) }));
+    const transfers = [];
+
+    while (creditors.length > 0 && debtors.length > 0) {
+        creditors.sort((a, b) => b.cents - a.cents);
+        debtors.sort((a, b) => b.cents - a.cents);
+
+        const creditor = creditors[0];
+        const debtor = debtors[0];
+        const cents = Math.min(creditor.cents, debtor.cents);
+
+        transfers.push({ from: debtor.userId, to: creditor.userId, amount: fromCents(cents) });
+        creditor.cents -= cents;
+        debtor.cents -= cents;
+
+        if (creditor.cents === 0) creditors.shift();
+        if (debtor.cents === 0) debtors.shift();
+    }
+
+    return transfers;
+}
+
+module.exports = {
+    SPLIT_TYPES,
+    computeSplits,
+    computeBalances,
+    simplifyDebts
+};
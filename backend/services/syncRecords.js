@@ -0,0 +1,108 @@
+const { toDateString } = require('./recurrence');
+
+// Sync state of one expense, the same shape on every device:
+//   { fields: { date, category, ... }, clock: { <field>: stamp }, deleted: stamp | null, version }
+//
+// A stamp is "<15-digit milliseconds>:<device id>", so stamps compare as
+// strings and two devices never produce the same one. Each field keeps the
+// stamp of its last change and merging two states keeps, field by field, the
+// later change: concurrent edits to different fields on two devices both
+// survive, and for the same field the last writer wins. Merging is
+// order-independent and can be repeated, so a batch pulled twice is harmless.
+// A record is deleted once its deletion is later than every field change.
+
+// Expense columns that sync. account_id and attachments stay on the device:
+// account ids differ between databases and receipt files are not uploaded.
+const SYNCED_FIELDS = ['date', 'category', 'amount', 'description', 'currency', 'original_amount', 'exchange_rate'];
+
+function makeStamp(time, deviceId) {
+    return `${String(time).padStart(15, '0')}:${deviceId}`;
+}
+
+function stampTime(stamp) {
+    return stamp ? Number(stamp.split(':')[0]) : 0;
+}
+
+function latestStamp(state) {
+    if (!state) return null;
+    return [...Object.values(state.clock), state.deleted].filter(Boolean).sort().pop() || null;
+}
+
+// A stamp later than every stamp in `state`, even if this device's clock is behind
+function nextStamp(state, deviceId, now = Date.now()) {
+    return makeStamp(Math.max(now, stampTime(latestStamp(state)) + 1), deviceId);
+}
+
+function toNumber(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+// The synced column values of an expense row
+function toFields(row) {
+    return {
+        date: toDateString(row.date),
+        category: row.category,
+        amount: toNumber(row.amount),
+        description: row.description || '',
+        currency: row.currency || null,
+        original_amount: toNumber(row.original_amount),
+        exchange_rate: toNumber(row.exchange_rate)
+    };
+}
+
+function isDeleted(state) {
+    return Boolean(state.deleted) && Object.values(state.clock).every(stamp => stamp < state.deleted);
+}
+
+// The state after a local change: `row` is the expense as it is now, or null
+// once it has been deleted. Returns null when nothing synced has changed.
+function recordChange(state, row, deviceId, now) {
+    if (!row) {
+        if (!state || isDeleted(state)) return null;
+        return { ...state, deleted: nextStamp(state, deviceId, now), version: state.version + 1 };
+    }
+
+    const fields = toFields(row);
+    const changed = SYNCED_FIELDS.filter(field => !state || isDeleted(state) || state.fields[field] !== fields[field]);
+    if (changed.length === 0) return null;
+
+    const stamp = nextStamp(state, deviceId, now);
+    const clock = { ...(state ? state.clock : {}) };
+    changed.forEach(field => {
+        clock[field] = stamp;
+    });
+    return { fields, clock, deleted: null, version: (state ? state.version : 0) + 1 };
+}
+
+// Field-by-field merge of two states of the same record (either may be null)
+function mergeStates(local, remote) {
+    if (!local) return remote;
+    if (!remote) return local;
+
+    const fields = {};
+    const clock = {};
+    SYNCED_FIELDS.forEach(field => {
+        const source = (remote.clock[field] || '') > (local.clock[field] || '') ? remote : local;
+        fields[field] = source.fields[field];
+        if (source.clock[field]) clock[field] = source.clock[field];
+    });
+
+    const deleted = [local.deleted, remote.deleted].filter(Boolean).sort().pop() || null;
+    return { fields, clock, deleted, version: Math.max(local.version, remote.version) };
+}
+
+function sameState(a, b) {
+    return a.deleted === b.deleted && SYNCED_FIELDS.every(field =>
+        a.fields[field] === b.fields[field] && a.clock[field] === b.clock[field]);
+}
+
+module.exports = {
+    SYNCED_FIELDS,
+    makeStamp,
+    stampTime,
+    toFields,
+    isDeleted,
+    recordChange,
+    mergeStates,
+    sameState
+};
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+    encodeRfc3986,
+    canonicalQuery,
+    signAwsRequest,
+    loadServiceAccount,
+    GoogleTokenProvider
+} = require('./cloudAuth');
+
+// Remote storage for cloud sync (see services/cloudSync.js). Every adapter
+// keeps text objects under '/'-separated keys and offers the same methods:
+//   put(key, body)            store or replace an object
+//   get(key)                  the object's body, or null when there is none
+//   list(prefix, startAfter)  keys starting with `prefix`, in ascending
+//                             order, only those after `startAfter` if given
+// Sync only ever adds objects, so adapters need no delete or locking.
+
+function assertKey(key) {
+    if (typeof key !== 'string' || !key || key.split('/').some(part => !part || part === '.' || part === '..')) {
+        throw new Error(`Invalid sync key: ${key}`);
+    }
+}
+
+// Objects as files under a directory, e.g. a folder shared by a file-sync
+// client or a network drive; also used to try sync out offline
+class FileSystemStorage {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    filePath(key) {
+        assertKey(key);
+        return path.join(this.dir, ...key.split('/'));
+    }
+
+    // Written to a temporary file first so readers never see half an object
+    async put(key, body) {
+        const file = this.filePath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(temp, body);
+        await fs.promises.rename(temp, file);
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.filePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(prefix, startAfter = null) {
+        // Only walk the directory the prefix points into
+        const base = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+        const keys = [];
+        const walk = async (relative) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(path.join(this.dir, ...relative.split('/').filter(Boolean)), { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const key = relative ? `${relative}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) await walk(key);
+                else if (!entry.name.endsWith('.tmp')) keys.push(key);
+            }
+        };
+        await walk(base);
+
+        return keys
+            .filter(key => key.startsWith(prefix) && (!startAfter || key > startAfter))
+            .sort();
+    }
+}
+
+// Amazon S3, or an S3-compatible service at `endpoint` (path-style URLs).
+// Requests are signed with AWS Signature Version 4.
+class S3Storage {
+    constructor(config) {
+        this.config = config;
+        this.baseUrl = config.endpoint
+            ? `${config.endpoint.replace(/\/$/, '')}/${encodeRfc3986(config.bucket)}`
+            : `https://${config.bucket}.s3.${config.region}.amazonaws.com`;
+    }
+
+    async request({ method, key = null, params = {}, body = '', headers = {} }) {
+        const query = canonicalQuery(params);
+        const url = `${key ? this.objectUrl(key) : `${this.baseUrl}/`}${query ? `?${query}` : ''}`;
+        try {
+            return await axios({
+                method,
+                url,
+                data: body || undefined,
+                headers: signAwsRequest({
+                    method,
+                    url,
+                    headers,
+                    body,
+                    region: this.config.region,
+                    credentials: this.config
+                }),
+                responseType: 'text'
+            });
+        } catch (error) {
+            // S3 explains failures in an XML error document
+            const data = error.response && typeof error.response.data === 'string' ? error.response.data : '';
+            const [code] = xmlValues(data, 'Code');
+            if (code) {
+                const [message] = xmlValues(data, 'Message');
+                error.message = `S3 ${method} failed: ${code}${message ? ` (${message})` : ''}`;
+            }
+            throw error;
+        }
+    }
+
+    objectUrl(key) {
+        assertKey(key);
+        return `${this.baseUrl}/${key.split('/').map(encodeRfc3986).join('/')}`;
+    }
+
+    async put(key, body) {
+        await this.request({
+            method: 'PUT',
+            key,
+            body,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    async get(key) {
+        try {
+            const response = await this.request({ method: 'GET', key });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+
+    // ListObjectsV2, following continuation tokens until the listing is complete
+    async list(prefix, startAfter = null) {
+        const keys = [];
+        let continuationToken = null;
+        do {
+            const params = { 'list-type': 2, prefix };
+            if (continuationToken) params['continuation-token'] = continuationToken;
+            else if (startAfter) params['start-after'] = startAfter;
+            const xml = String((await this.request({ method: 'GET', params })).data);
+
+            keys.push(...xmlValues(xml, 'Key'));
+            continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true'
+                ? xmlValues(xml, 'NextContinuationToken')[0]
+                : null;
+        } while (continuationToken);
+        return keys;
+    }
+}
+
+// Text of every <tag> element in an XML document
+function xmlValues(xml, tag) {
+    return [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(match => decodeXml(match[1]));
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+// Google APIs answer errors with { error: { message } }
+async function googleRequest(tokens, options) {
+    try {
+        return await axios({
+            ...options,
+            headers: { ...(options.headers || {}), Authorization: `Bearer ${await tokens.getToken()}` }
+        });
+    } catch (error) {
+        const data = error.response && error.response.data;
+        if (data && data.error && data.error.message) {
+            error.message = `${error.message}: ${data.error.message}`;
+        }
+        throw error;
+    }
+}
+
+// Firestore documents in one collection: the key and body as fields, under
+// a document id derived from the key (keys may contain '/', ids may not).
+// Signs in as the project's service account; against the Firestore emulator
+// (`emulatorHost`) without a key, as the emulator's admin user.
+class FirestoreStorage {
+    constructor(config) {
+        this.config = config;
+        this.collection = config.collection || 'sync_objects';
+        const root = config.emulatorHost ? `http://${config.emulatorHost}` : 'https://firestore.googleapis.com';
+        this.baseUrl = `${root}/v1/projects/${config.projectId}/databases/(default)/documents`;
+        this.tokens = config.clientEmail && config.privateKey
+            ? new GoogleTokenProvider({
+                clientEmail: config.clientEmail,
+                privateKey: config.privateKey,
+                scopes: ['https://www.googleapis.com/auth/datastore'],
+                tokenUri: config.tokenUri
+            })
+            : { getToken: async () => 'owner' };
+    }
+
+    request(options) {
+        return googleRequest(this.tokens, options);
+    }
+
+    documentUrl(key) {
+        assertKey(key);
+        return `${this.baseUrl}/${this.collection}/${crypto.createHash('sha256').update(key).digest('hex')}`;
+    }
+
+    async put(key, body) {
+        await this.request({
+            method: 'PATCH',
+            url: this.documentUrl(key),
+            data: { fields: { key: { stringValue: key }, body: { stringValue: body } } }
+        });
+    }
+
+    async get(key) {
+        try {
+            const response = await this.request({ method: 'GET', url: this.documentUrl(key) });
+            return response.data.fields.body.stringValue;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+
+    // Keys in order through a structured query, a page at a time
+    async list(prefix, startAfter = null) {
+        const keys = [];
+        const keyFilter = (op, value) => ({
+            fieldFilter: { field: { fieldPath: 'key' }, op, value: { stringValue: value } }
+        });
+        let after = startAfter && startAfter > prefix ? startAfter : null;
+        for (;;) {
+            const response = await this.request({
+                method: 'POST',
+                url: `${this.baseUrl}:runQuery`,
+                data: {
+                    structuredQuery: {
+                        from: [{ collectionId: this.collection }],
+                        where: {
+                            compositeFilter: {
+                                op: 'AND',
+                                filters: [
+                                    after ? keyFilter('GREATER_THAN', after) : keyFilter('GREATER_THAN_OR_EQUAL', prefix),
+                                    keyFilter('LESS_THAN', `${prefix}\uf8ff`)
+                                ]
+                            }
+                        },
+                        orderBy: [{ field: { fieldPath: 'key' }, direction: 'ASCENDING' }],
+                        select: { fields: [{ fieldPath: 'key' }] },
+                        limit: 1000
+                    }
+                }
+            });
+            const page = response.data
+                .filter(result => result.document)
+                .map(result => result.document.fields.key.stringValue);
+            keys.push(...page);
+            if (page.length < 1000) return keys;
+            after = page[page.length - 1];
+        }
+    }
+}
+
+// Google Cloud Storage objects through the JSON API, signed in as the
+// service account in the key file at `credentialsPath`. `endpoint` points at
+// an emulator or another server speaking the same API.
+class GcsStorage {
+    constructor(config) {
+        this.config = config;
+        this.bucket = config.bucket || `${config.projectId}-expense-sync`;
+        this.baseUrl = (config.endpoint || 'https://storage.googleapis.com').replace(/\/$/, '');
+        const account = loadServiceAccount(config.credentialsPath);
+        this.tokens = new GoogleTokenProvider({
+            clientEmail: account.client_email,
+            privateKey: account.private_key,
+            scopes: ['https://www.googleapis.com/auth/devstorage.read_write'],
+            tokenUri: account.token_uri
+        });
+    }
+
+    request(options) {
+        return googleRequest(this.tokens, options);
+    }
+
+    async put(key, body) {
+        assertKey(key);
+        await this.request({
+            method: 'POST',
+            url: `${this.baseUrl}/upload/storage/v1/b/${this.bucket}/o`,
+            params: { uploadType: 'media', name: key },
+            data: body,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    async get(key) {
+        assertKey(key);
+        try {
+            const response = await this.request({
+                method: 'GET',
+                url: `${this.baseUrl}/storage/v1/b/${this.bucket}/o/${encodeURIComponent(key)}`,
+                params: { alt: 'media' },
+                responseType: 'text'
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async list(prefix, startAfter = null) {
+        const keys = [];
+        let pageToken;
+        do {
+            const params = { prefix, fields: 'items(name),nextPageToken' };
+            // startOffset is inclusive; the object at startAfter is dropped below
+            if (startAfter) params.startOffset = startAfter;
+            if (pageToken) params.pageToken = pageToken;
+            const response = await this.request({ method: 'GET', url: `${this.baseUrl}/storage/v1/b/${this.bucket}/o`, params });
+            keys.push(...(response.data.items || []).map(item => item.name));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        return keys.filter(key => !startAfter || key > startAfter);
+    }
+}
+
+// The adapter for CLOUD_SYNC_PROVIDER, configured from the environment.
+// Throws when the provider is unknown or its settings are incomplete.
+function createStorage(provider, env = process.env) {
+    switch (provider) {
+        case 'filesystem':
+            return new FileSystemStorage(env.CLOUD_SYNC_DIR || path.join(__dirname, '../../data/sync'));
+        case 'aws':
+            if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY || !env.AWS_S3_BUCKET) {
+                throw new Error('AWS configuration incomplete');
+            }
+            return new S3Storage({
+                accessKeyId: env.AWS_ACCESS_KEY_ID,
+                secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+                sessionToken: env.AWS_SESSION_TOKEN,
+                region: env.AWS_REGION || 'us-east-1',
+                bucket: env.AWS_S3_BUCKET,
+                endpoint: env.AWS_S3_ENDPOINT
+            });
+        case 'firebase':
+            if (!env.FIREBASE_PROJECT_ID ||
+                (!env.FIRESTORE_EMULATOR_HOST && (!env.FIREBASE_CLIENT_EMAIL || !env.FIREBASE_PRIVATE_KEY))) {
+                throw new Error('Firebase configuration incomplete');
+            }
+            return new FirestoreStorage({
+                projectId: env.FIREBASE_PROJECT_ID,
+                privateKey: env.FIREBASE_PRIVATE_KEY,
+                clientEmail: env.FIREBASE_CLIENT_EMAIL,
+                tokenUri: env.FIREBASE_TOKEN_URI,
+                emulatorHost: env.FIRESTORE_EMULATOR_HOST
+            });
+        case 'google': {
+            if (!env.GOOGLE_APPLICATION_CREDENTIALS) {
+                throw new Error('Google Cloud configuration incomplete');
+            }
+            const projectId = env.GOOGLE_CLOUD_PROJECT_ID || loadServiceAccount(env.GOOGLE_APPLICATION_CREDENTIALS).project_id;
+            if (!projectId && !env.GOOGLE_CLOUD_BUCKET) {
+                throw new Error('Google Cloud configuration incomplete');
+            }
+            return new GcsStorage({
+                projectId,
+                bucket: env.GOOGLE_CLOUD_BUCKET,
+                credentialsPath: env.GOOGLE_APPLICATION_CREDENTIALS,
+                endpoint: env.STORAGE_EMULATOR_HOST
+            });
+        }
+        default:
+            throw new Error(`Unknown cloud provider: ${provider}`);
+    }
+}
+
+module.exports = {
+    FileSystemStorage,
+    S3Storage,
+    FirestoreStorage,
+    GcsStorage,
+    createStorage
+};
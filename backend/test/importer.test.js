@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const importer = require('../services/importer');
+
+const mapping = { date: 'Date', amount: 'Amount', description: 'Description' };
+
+describe('normalizeDate', () => {
+    it('reads ambiguous dates in the given order', () => {
+        assert.equal(importer.normalizeDate('03/04/2026', 'DMY'), '2026-04-03');
+        assert.equal(importer.normalizeDate('03/04/2026', 'MDY'), '2026-03-04');
+        assert.equal(importer.normalizeDate('2026-04-03'), '2026-04-03');
+        assert.equal(importer.normalizeDate('20260403120000[+5.30:IST]'), '2026-04-03');
+    });
+});
+
+describe('parseAmount', () => {
+    it('reads signs, brackets and thousands separators', () => {
+        assert.equal(importer.parseAmount('1,234.50'), 1234.5);
+        assert.equal(importer.parseAmount('-450.00'), -450);
+        assert.equal(importer.parseAmount('(450.00)'), -450);
+    });
+});
+
+describe('CSV statements', () => {
+    const csv = 'Date,Amount,Description\n01/03/2026,-450.00,"Groceries, weekly"\n02/03/2026,2000.00,Salary\n';
+
+    it('treats negative amounts as expenses by default', () => {
+        const rows = importer.parseStatement(csv, 'csv', { mapping });
+        assert.deepEqual(rows.map(row => [row.date, row.amount, row.description, row.skip]), [
+            ['2026-03-01', 450, 'Groceries, weekly', null],
+            ['2026-03-02', 2000, 'Salary', 'Not a debit']
+        ]);
+        assert.equal(rows[0].category, 'Other');
+    });
+
+    it('treats positive amounts as expenses when amountSign is positive', () => {
+        const rows = importer.parseStatement(csv, 'csv', { mapping, amountSign: 'positive' });
+        assert.deepEqual(rows.map(row => row.skip), ['Not a debit', null]);
+    });
+
+    it('skips rows without a debit when a debit column is mapped', () => {
+        const rows = importer.parseStatement(
+            'Date,Debit,Credit\n01/03/2026,450.00,\n02/03/2026,,2000.00\n',
+            'csv',
+            { mapping: { date: 'Date', debit: 'Debit' } }
+        );
+        assert.equal(rows[0].amount, 450);
+        assert.deepEqual(rows.map(row => row.skip), [null, 'Not a debit']);
+    });
+
+    it('rejects a mapping without date and amount columns or an unknown sign', () => {
+        assert.throws(() => importer.parseStatement(csv, 'csv', { mapping: { date: 'Date' } }), /date and amount/);
+        assert.throws(() => importer.parseStatement(csv, 'csv', { mapping, amountSign: 'both' }), /amountSign/);
+    });
+});
+
+describe('detectFormat', () => {
+    it('uses the extension, then the content', () => {
+        assert.equal(importer.detectFormat('statement.qfx'), 'ofx');
+        assert.equal(importer.detectFormat('export', '!Type:Bank\n'), 'qif');
+        assert.equal(importer.detectFormat('export', 'OFXHEADER:100\n'), 'ofx');
+        assert.equal(importer.detectFormat('export.txt', 'Date,Amount\n'), 'csv');
+    });
+});
+
+describe('duplicateKey', () => {
+    it('matches the same expense whatever form the date and amount take', () => {
+        assert.equal(
+            importer.duplicateKey({ date: '2026-03-01', amount: 450, description: 'Groceries' }),
+            importer.duplicateKey({ date: '2026-03-01T00:00:00.000Z', amount: '450.00', description: 'Groceries' })
+        );
+    });
+});
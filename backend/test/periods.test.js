@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const periods = require('../services/periods');
+
+describe('todayIn', () => {
+    it('returns a YYYY-MM-DD date and rejects unknown timezones', () => {
+        assert.match(periods.todayIn('Asia/Kolkata'), /^\d{4}-\d{2}-\d{2}$/);
+        assert.throws(() => periods.todayIn('Mars/Olympus'), /Unknown timezone/);
+    });
+});
+
+describe('resolvePeriod', () => {
+    const today = '2026-03-18';
+
+    it('defaults to the current month', () => {
+        assert.deepEqual(periods.resolvePeriod({}, today), { type: 'month', from: '2026-03-01', to: '2026-03-31' });
+    });
+
+    it('reads a month, a year or a custom range', () => {
+        assert.deepEqual(periods.resolvePeriod({ year: '2024', month: '2' }, today), { type: 'month', from: '2024-02-01', to: '2024-02-29' });
+        assert.deepEqual(periods.resolvePeriod({ year: '2025' }, today), { type: 'year', from: '2025-01-01', to: '2025-12-31' });
+        assert.deepEqual(periods.resolvePeriod({ from: '2026-01-10', to: '2026-02-09' }, today), { type: 'custom', from: '2026-01-10', to: '2026-02-09' });
+    });
+
+    it('rejects invalid parameters', () => {
+        assert.throws(() => periods.resolvePeriod({ from: '2026-01-10' }, today), /from and to/);
+        assert.throws(() => periods.resolvePeriod({ from: '2026-02-10', to: '2026-01-10' }, today), /must not be after/);
+        assert.throws(() => periods.resolvePeriod({ month: '13' }, today), /between 1 and 12/);
+        assert.throws(() => periods.resolvePeriod({ year: '26' }, today), /four-digit/);
+    });
+});
+
+describe('previousPeriod', () => {
+    it('compares a running month with the same days of the month before', () => {
+        const march = periods.resolvePeriod({}, '2026-03-18');
+        assert.deepEqual(periods.previousPeriod(march, '2026-03-18'), { type: 'month', from: '2026-02-01', to: '2026-02-18', partial: true });
+    });
+
+    it('uses the whole previous period once the period is over', () => {
+        const march = periods.resolvePeriod({ year: '2026', month: '3' }, '2026-05-01');
+        assert.deepEqual(periods.previousPeriod(march, '2026-05-01'), { type: 'month', from: '2026-02-01', to: '2026-02-28', partial: false });
+
+        const custom = { type: 'custom', from: '2026-01-11', to: '2026-01-20' };
+        assert.deepEqual(periods.previousPeriod(custom, '2026-05-01'), { type: 'custom', from: '2026-01-01', to: '2026-01-10', partial: false });
+    });
+});
+
+describe('helpers', () => {
+    it('lists months and percent changes', () => {
+        assert.deepEqual(periods.monthsBetween('2025-11-15', '2026-02-01'), ['2025-11', '2025-12', '2026-01', '2026-02']);
+        assert.equal(periods.percentChange(150, 100), 50);
+        assert.equal(periods.percentChange(50, -100), 150);
+        assert.equal(periods.percentChange(10, 0), null);
+    });
+});
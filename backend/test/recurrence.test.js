@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../services/recurrence');
+
+function schedule(fields) {
+    return { frequency: 'monthly', interval_count: 1, cron: null, start_date: '2026-01-01', end_date: null, ...fields };
+}
+
+describe('isValidDate', () => {
+    it('accepts real calendar dates', () => {
+        assert.equal(recurrence.isValidDate('2026-02-28'), true);
+        assert.equal(recurrence.isValidDate('2024-02-29'), true);
+    });
+
+    it('rejects other formats and days that do not exist', () => {
+        assert.equal(recurrence.isValidDate('2026-02-31'), false);
+        assert.equal(recurrence.isValidDate('2025-02-29'), false);
+        assert.equal(recurrence.isValidDate('2026-13-01'), false);
+        assert.equal(recurrence.isValidDate('01/02/2026'), false);
+        assert.equal(recurrence.isValidDate('2026-10-01T00:00:00Z'), false);
+        assert.equal(recurrence.isValidDate(undefined), false);
+    });
+});
+
+describe('date arithmetic', () => {
+    it('adds days across month and year ends', () => {
+        assert.equal(recurrence.addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(recurrence.addDays('2026-03-01', -1), '2026-02-28');
+    });
+
+    it('clamps addMonths to the end of shorter months', () => {
+        assert.equal(recurrence.addMonths('2026-01-31', 1), '2026-02-28');
+        assert.equal(recurrence.addMonths('2024-01-31', 1), '2024-02-29');
+        assert.equal(recurrence.addMonths('2026-01-31', 2), '2026-03-31');
+        assert.equal(recurrence.addMonths('2026-11-15', 3), '2027-02-15');
+    });
+
+    it('counts days between dates', () => {
+        assert.equal(recurrence.daysBetween('2026-01-01', '2026-03-01'), 59);
+        assert.equal(recurrence.daysBetween('2026-03-01', '2026-01-01'), -59);
+    });
+
+    it('reads PostgreSQL Date objects as their local calendar date', () => {
+        assert.equal(recurrence.toDateString(new Date(2026, 4, 7)), '2026-05-07');
+        assert.equal(recurrence.toDateString('2026-05-07T10:00:00Z'), '2026-05-07');
+        assert.equal(recurrence.toDateString(null), null);
+    });
+});
+
+describe('nextOccurrence', () => {
+    it('counts fixed intervals from start_date', () => {
+        const biweekly = schedule({ frequency: 'weekly', interval_count: 2, start_date: '2026-01-05' });
+        assert.equal(recurrence.nextOccurrence(biweekly, '2026-01-06'), '2026-01-19');
+        assert.equal(recurrence.nextOccurrence(biweekly, '2026-01-19'), '2026-01-19');
+
+        const daily = schedule({ frequency: 'daily', interval_count: 3 });
+        assert.equal(recurrence.nextOccurrence(daily, '2026-01-02'), '2026-01-04');
+    });
+
+    it('never returns a date before start_date', () => {
+        assert.equal(recurrence.nextOccurrence(schedule({ start_date: '2026-06-15' }), '2026-01-01'), '2026-06-15');
+    });
+
+    it('keeps the day of month after a short month', () => {
+        const monthly = schedule({ start_date: '2026-01-31' });
+        assert.equal(recurrence.nextOccurrence(monthly, '2026-02-01'), '2026-02-28');
+        assert.equal(recurrence.nextOccurrence(monthly, '2026-03-01'), '2026-03-31');
+    });
+
+    it('steps yearly schedules by whole years', () => {
+        const yearly = schedule({ frequency: 'yearly', start_date: '2024-02-29' });
+        assert.equal(recurrence.nextOccurrence(yearly, '2024-03-01'), '2025-02-28');
+    });
+
+    it('returns null once the schedule has ended', () => {
+        const ending = schedule({ end_date: '2026-03-15' });
+        assert.equal(recurrence.nextOccurrence(ending, '2026-03-02'), null);
+    });
+
+    it('matches cron day, month and weekday fields', () => {
+        // Weekdays only
+        const weekdays = schedule({ frequency: 'cron', cron: '0 9 * * 1-5' });
+        assert.equal(recurrence.nextOccurrence(weekdays, '2026-01-03'), '2026-01-05');
+        // The 1st and 15th
+        const twiceMonthly = schedule({ frequency: 'cron', cron: '1,15 * *' });
+        assert.equal(recurrence.nextOccurrence(twiceMonthly, '2026-01-02'), '2026-01-15');
+    });
+});
+
+describe('occurrencesBetween', () => {
+    it('lists occurrences in the range, up to the limit', () => {
+        const weekly = schedule({ frequency: 'weekly', start_date: '2026-01-01' });
+        assert.deepEqual(
+            recurrence.occurrencesBetween(weekly, '2026-01-01', '2026-01-22'),
+            ['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22']
+        );
+        assert.equal(recurrence.occurrencesBetween(weekly, '2026-01-01', '2026-12-31', 3).length, 3);
+    });
+});
+
+describe('parseCron', () => {
+    it('rejects malformed expressions', () => {
+        assert.throws(() => recurrence.parseCron('* *'), /5 fields/);
+        assert.throws(() => recurrence.parseCron('0 0 32 * *'), /Invalid cron field/);
+        assert.throws(() => recurrence.parseCron('0 0 * * mon'), /Invalid cron field/);
+    });
+});
+
+describe('normalizeSchedule', () => {
+    it('fills in defaults', () => {
+        const normalized = recurrence.normalizeSchedule({ category: 'Rent', amount: '1200', startDate: '2026-01-01' });
+        assert.equal(normalized.frequency, 'monthly');
+        assert.equal(normalized.interval_count, 1);
+        assert.equal(normalized.amount, 1200);
+        assert.equal(normalized.currency, null);
+    });
+
+    it('rejects invalid fields with a user-facing message', () => {
+        assert.throws(() => recurrence.normalizeSchedule({ category: 'Rent', amount: 0 }), /positive amount/);
+        assert.throws(() => recurrence.normalizeSchedule({ category: 'Rent', amount: 5, frequency: 'hourly' }), /Frequency/);
+        assert.throws(() => recurrence.normalizeSchedule({ category: 'Rent', amount: 5, startDate: '2026-02-30' }), /startDate/);
+        assert.throws(
+            () => recurrence.normalizeSchedule({ category: 'Rent', amount: 5, startDate: '2026-02-01', endDate: '2026-01-01' }),
+            /endDate/
+        );
+        assert.throws(() => recurrence.normalizeSchedule({ source: 'Pay', amount: 5, currency: 'usd1' }, 'source'), /ISO 4217/);
+    });
+});
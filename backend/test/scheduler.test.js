@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_CATCH_UP, RecurringScheduler, exceedsCatchUp } = require('../services/scheduler');
+
+// The dbOperations the scheduler uses, over in-memory schedules. Like
+// postScheduleRun, posting only succeeds while the schedule is still at `date`.
+function fakeDb(schedules) {
+    const posted = [];
+    const post = (id, date, nextRun, entry) => {
+        const schedule = schedules.find(s => s.id === id);
+        if (schedule.next_run !== date) return null;
+        if (entry.currency === 'ZZZ') throw new Error('No exchange rate');
+        schedule.last_run = date;
+        schedule.next_run = nextRun;
+        posted.push({ id, date });
+        return { id: posted.length, ...entry };
+    };
+    return {
+        posted,
+        getDueRecurringExpenses: async (date) => schedules.filter(s => !s.income && s.next_run && s.next_run <= date),
+        getDueRecurringIncome: async (date) => schedules.filter(s => s.income && s.next_run && s.next_run <= date),
+        postRecurringExpense: async (...args) => post(...args),
+        postRecurringIncome: async (...args) => post(...args)
+    };
+}
+
+function schedule(fields) {
+    return { frequency: 'daily', interval_count: 1, cron: null, end_date: null, amount: 5, user_id: 1, ...fields };
+}
+
+describe('RecurringScheduler', () => {
+    it('posts every missed occurrence and reports expenses', async () => {
+        const db = fakeDb([
+            schedule({ id: 1, start_date: '2026-01-01', next_run: '2026-01-01', category: 'Food' }),
+            schedule({ id: 2, start_date: '2026-01-02', next_run: '2026-01-02', source: 'Pay', income: true })
+        ]);
+        const reported = [];
+        const scheduler = new RecurringScheduler(db, 1000, (expense) => reported.push(expense.date));
+
+        assert.equal(await scheduler.postDue('2026-01-03'), 5);
+        assert.deepEqual(reported, ['2026-01-01', '2026-01-02', '2026-01-03']);
+    });
+
+    it('posts an occurrence once when two runs overlap', async () => {
+        const db = fakeDb([schedule({ id: 1, start_date: '2026-01-01', next_run: '2026-01-01', category: 'Food' })]);
+        const first = new RecurringScheduler(db);
+        const second = new RecurringScheduler(db);
+
+        await Promise.all([first.postDue('2026-01-10'), second.postDue('2026-01-10')]);
+        assert.equal(db.posted.length, 10);
+        assert.equal(new Set(db.posted.map(entry => entry.date)).size, 10);
+    });
+
+    it('leaves a failing schedule at its next occurrence and carries on', async () => {
+        const schedules = [
+            schedule({ id: 1, start_date: '2026-01-01', next_run: '2026-01-01', category: 'Food', currency: 'ZZZ' }),
+            schedule({ id: 2, start_date: '2026-01-01', next_run: '2026-01-01', category: 'Food' })
+        ];
+        const scheduler = new RecurringScheduler(fakeDb(schedules));
+        const logged = console.error;
+        console.error = () => {};
+        try {
+            assert.equal(await scheduler.postDue('2026-01-02'), 2);
+        } finally {
+            console.error = logged;
+        }
+        assert.equal(schedules[0].next_run, '2026-01-01');
+        assert.equal(schedules[1].next_run, '2026-01-03');
+    });
+
+    it('posts only the schedules it is given', async () => {
+        const schedules = [
+            schedule({ id: 1, start_date: '2026-01-01', next_run: '2026-01-01', category: 'Food' }),
+            schedule({ id: 2, start_date: '2026-01-01', next_run: '2026-01-01', category: 'Food' })
+        ];
+        const scheduler = new RecurringScheduler(fakeDb(schedules));
+
+        assert.equal(await scheduler.postExpenseSchedules([schedules[1]], '2026-01-02'), 2);
+        assert.equal(schedules[0].next_run, '2026-01-01');
+    });
+});
+
+describe('exceedsCatchUp', () => {
+    it('is true only for backlogs longer than one run posts', () => {
+        const start = '2026-01-01';
+        const daily = schedule({ start_date: start, next_run: start });
+        const lastInOneRun = new Date(Date.UTC(2026, 0, MAX_CATCH_UP)).toISOString().slice(0, 10);
+        const firstBeyond = new Date(Date.UTC(2026, 0, MAX_CATCH_UP + 1)).toISOString().slice(0, 10);
+
+        assert.equal(exceedsCatchUp(daily, lastInOneRun), false);
+        assert.equal(exceedsCatchUp(daily, firstBeyond), true);
+        assert.equal(exceedsCatchUp(schedule({ start_date: start, next_run: null }), firstBeyond), false);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const splits = require('../services/splits');
+
+const sum = (shares) => Math.round(shares.reduce((total, share) => total + share.amount * 100, 0)) / 100;
+
+describe('computeSplits', () => {
+    it('splits equally among every member by default, giving leftover paise to the first', () => {
+        const shares = splits.computeSplits(100, { type: 'equal' }, [1, 2, 3]);
+        assert.deepEqual(shares, [
+            { userId: 1, amount: 33.34 },
+            { userId: 2, amount: 33.33 },
+            { userId: 3, amount: 33.33 }
+        ]);
+    });
+
+    it('splits equally among the listed members only', () => {
+        const shares = splits.computeSplits(10, { type: 'equal', shares: [{ userId: 2 }, { userId: 3 }] }, [1, 2, 3]);
+        assert.deepEqual(shares, [{ userId: 2, amount: 5 }, { userId: 3, amount: 5 }]);
+    });
+
+    it('splits by percentage and keeps the total exact', () => {
+        const shares = splits.computeSplits(99.99, {
+            type: 'percentage',
+            shares: [{ userId: 1, value: 50 }, { userId: 2, value: 25 }, { userId: 3, value: 25 }]
+        }, [1, 2, 3]);
+        assert.equal(sum(shares), 99.99);
+        assert.deepEqual(shares.map(share => share.userId), [1, 2, 3]);
+    });
+
+    it('accepts exact amounts that add up to the total', () => {
+        const shares = splits.computeSplits(30, {
+            type: 'exact',
+            shares: [{ userId: 1, value: 12.5 }, { userId: 2, value: 17.5 }]
+        }, [1, 2]);
+        assert.deepEqual(shares, [{ userId: 1, amount: 12.5 }, { userId: 2, amount: 17.5 }]);
+    });
+
+    it('rejects splits that do not add up or include outsiders', () => {
+        assert.throws(() => splits.computeSplits(30, { type: 'unknown' }, [1]), /Split type/);
+        assert.throws(() => splits.computeSplits(30, {
+            type: 'percentage',
+            shares: [{ userId: 1, value: 60 }, { userId: 2, value: 30 }]
+        }, [1, 2]), /add up to 100/);
+        assert.throws(() => splits.computeSplits(30, {
+            type: 'exact',
+            shares: [{ userId: 1, value: 10 }, { userId: 2, value: 10 }]
+        }, [1, 2]), /add up to the expense amount/);
+        assert.throws(() => splits.computeSplits(30, { shares: [{ userId: 9 }] }, [1, 2]), /not a member/);
+        assert.throws(() => splits.computeSplits(30, { shares: [{ userId: 1 }, { userId: 1 }] }, [1]), /only appear once/);
+        assert.throws(() => splits.computeSplits(30, {}, []), /at least one member/);
+    });
+});
+
+describe('computeBalances', () => {
+    it('credits the payer and debits each share', () => {
+        const balances = splits.computeBalances(
+            [{ paid_by: 1, amount: 90 }, { paid_by: 2, amount: 30 }],
+            [
+                { user_id: 1, amount: 30 }, { user_id: 2, amount: 30 }, { user_id: 3, amount: 30 },
+                { user_id: 1, amount: 15 }, { user_id: 2, amount: 15 }
+            ],
+            [1, 2, 3]
+        );
+        assert.deepEqual(balances, [
+            { userId: 1, balance: 45 },
+            { userId: 2, balance: -15 },
+            { userId: 3, balance: -30 }
+        ]);
+    });
+});
+
+describe('simplifyDebts', () => {
+    it('settles every balance with at most one transfer fewer than the members', () => {
+        const transfers = splits.simplifyDebts([
+            { userId: 1, balance: 45 },
+            { userId: 2, balance: -15 },
+            { userId: 3, balance: -30 }
+        ]);
+        assert.deepEqual(transfers, [
+            { from: 3, to: 1, amount: 30 },
+            { from: 2, to: 1, amount: 15 }
+        ]);
+    });
+
+    it('returns nothing when everyone is settled', () => {
+        assert.deepEqual(splits.simplifyDebts([{ userId: 1, balance: 0 }, { userId: 2, balance: 0 }]), []);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const syncRecords = require('../services/syncRecords');
+
+const row = (fields = {}) => ({
+    date: '2026-03-01',
+    category: 'Food',
+    amount: 12.5,
+    description: 'Lunch',
+    currency: null,
+    original_amount: null,
+    exchange_rate: null,
+    ...fields
+});
+
+describe('recordChange', () => {
+    it('stamps every field of a new record', () => {
+        const state = syncRecords.recordChange(null, row(), 'a', 1000);
+        assert.equal(state.version, 1);
+        assert.equal(state.deleted, null);
+        syncRecords.SYNCED_FIELDS.forEach(field => assert.equal(state.clock[field], syncRecords.makeStamp(1000, 'a')));
+    });
+
+    it('only stamps the fields that changed, and nothing when none did', () => {
+        const created = syncRecords.recordChange(null, row(), 'a', 1000);
+        assert.equal(syncRecords.recordChange(created, row(), 'a', 2000), null);
+
+        const edited = syncRecords.recordChange(created, row({ amount: 15 }), 'a', 2000);
+        assert.equal(edited.clock.amount, syncRecords.makeStamp(2000, 'a'));
+        assert.equal(edited.clock.category, created.clock.category);
+        assert.equal(edited.version, 2);
+    });
+
+    it('stamps later than the record even when this device clock is behind', () => {
+        const created = syncRecords.recordChange(null, row(), 'a', 5000);
+        const edited = syncRecords.recordChange(created, row({ amount: 1 }), 'b', 1000);
+        assert.ok(edited.clock.amount > created.clock.amount);
+    });
+
+    it('marks a deleted row once', () => {
+        const created = syncRecords.recordChange(null, row(), 'a', 1000);
+        const deleted = syncRecords.recordChange(created, null, 'a', 2000);
+        assert.equal(syncRecords.isDeleted(deleted), true);
+        assert.equal(syncRecords.recordChange(deleted, null, 'a', 3000), null);
+    });
+});
+
+describe('mergeStates', () => {
+    const base = syncRecords.recordChange(null, row(), 'a', 1000);
+    const onA = syncRecords.recordChange(base, row({ amount: 20 }), 'a', 2000);
+    const onB = syncRecords.recordChange(base, row({ description: 'Dinner' }), 'b', 3000);
+
+    it('keeps concurrent edits to different fields', () => {
+        const merged = syncRecords.mergeStates(onA, onB);
+        assert.equal(merged.fields.amount, 20);
+        assert.equal(merged.fields.description, 'Dinner');
+        assert.equal(merged.version, 2);
+    });
+
+    it('lets the later edit of the same field win', () => {
+        const early = syncRecords.recordChange(base, row({ amount: 20 }), 'a', 2000);
+        const late = syncRecords.recordChange(base, row({ amount: 30 }), 'b', 3000);
+        assert.equal(syncRecords.mergeStates(early, late).fields.amount, 30);
+        assert.equal(syncRecords.mergeStates(late, early).fields.amount, 30);
+    });
+
+    it('is order-independent and idempotent', () => {
+        const ab = syncRecords.mergeStates(onA, onB);
+        const ba = syncRecords.mergeStates(onB, onA);
+        assert.ok(syncRecords.sameState(ab, ba));
+        assert.ok(syncRecords.sameState(syncRecords.mergeStates(ab, onB), ab));
+    });
+
+    it('returns the other state when one side is missing', () => {
+        assert.equal(syncRecords.mergeStates(null, onB), onB);
+        assert.equal(syncRecords.mergeStates(onA, null), onA);
+    });
+
+    it('deletes the record only when the deletion is later than every edit', () => {
+        const deleted = syncRecords.recordChange(base, null, 'a', 2500);
+        assert.equal(syncRecords.isDeleted(syncRecords.mergeStates(deleted, onA)), true);
+        // onB edited the description after the deletion, so the record survives
+        assert.equal(syncRecords.isDeleted(syncRecords.mergeStates(deleted, onB)), false);
+    });
+});
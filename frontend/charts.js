@@ -0,0 +1,368 @@
+// Canvas charts for the dashboard: monthly trend line, category donut and
+// daily spending heatmap. Each chart is drawn by a function that returns the
+// hoverable regions it painted; renderChart() wires those up to a tooltip and
+// an onSelect(value) callback. Colours come from the theme's CSS variables,
+// so charts are redrawn whenever the theme changes.
+
+// Charts on the page by canvas id: { canvas, tooltip, draw, data, options, regions, hover }
+const charts = {};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const compactNumber = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 });
+
+// Current theme colours
+function chartTheme() {
+    const style = getComputedStyle(document.documentElement);
+    const value = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+        primary: value('--primary-color', '#007aff'),
+        light: value('--primary-light', 'rgba(0, 122, 255, 0.1)'),
+        text: value('--text-primary', '#1d1d1f'),
+        muted: value('--text-secondary', '#86868b'),
+        border: value('--border-color', 'rgba(0, 0, 0, 0.1)'),
+        background: value('--card-background', '#ffffff')
+    };
+}
+
+// Draw (or redraw with new data) a chart on a canvas. `draw(ctx, view, data)`
+// paints it and returns its regions: { contains(x, y), tooltip, value }.
+// options: format (money formatter for labels), onSelect(value), emptyText,
+// plus anything the draw function reads from view.options
+function renderChart(canvasId, draw, data, options = {}) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    if (!charts[canvasId]) {
+        charts[canvasId] = { canvas, regions: [], hover: null };
+        attachChartEvents(charts[canvasId]);
+    }
+    Object.assign(charts[canvasId], { draw, data, options, hover: null });
+    drawChart(charts[canvasId]);
+}
+
+function redrawCharts() {
+    Object.values(charts).forEach(drawChart);
+}
+
+// Size the canvas to its container (sharp on high-DPI screens) and paint it.
+// Charts in hidden sections have no size and are drawn when next rendered.
+function drawChart(chart) {
+    const { canvas } = chart;
+    const width = canvas.parentElement.clientWidth;
+    const height = canvas.parentElement.clientHeight;
+    if (!width || !height || !chart.draw) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const view = {
+        width,
+        height,
+        theme: chartTheme(),
+        hover: chart.hover,
+        format: chart.options.format || ((value) => String(value)),
+        options: chart.options
+    };
+    const isEmpty = !chart.data || chart.data.length === 0 || chart.data.every(item => !item.total);
+    if (isEmpty) {
+        chart.regions = [];
+        drawEmptyChart(ctx, view, chart.options.emptyText || 'No expenses yet');
+        return;
+    }
+    chart.regions = chart.draw(ctx, view, chart.data) || [];
+}
+
+function drawEmptyChart(ctx, view, text) {
+    ctx.fillStyle = view.theme.muted;
+    ctx.font = '14px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, view.width / 2, view.height / 2);
+}
+
+// Hover highlights the region under the pointer and shows its tooltip; a
+// click passes the region's value to options.onSelect
+function attachChartEvents(chart) {
+    const { canvas } = chart;
+    chart.tooltip = document.createElement('div');
+    chart.tooltip.className = 'chart-tooltip';
+    canvas.parentElement.appendChild(chart.tooltip);
+
+    const regionAt = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const index = chart.regions.findIndex(region => region.contains(x, y));
+        return { x, y, index };
+    };
+
+    canvas.addEventListener('mousemove', (event) => {
+        const { x, y, index } = regionAt(event);
+        const hover = index === -1 ? null : index;
+        if (hover !== chart.hover) {
+            chart.hover = hover;
+            drawChart(chart);
+        }
+
+        const region = chart.regions[index];
+        canvas.style.cursor = region && chart.options.onSelect ? 'pointer' : 'default';
+        if (!region) {
+            chart.tooltip.classList.remove('visible');
+            return;
+        }
+        chart.tooltip.innerHTML = region.tooltip;
+        const half = chart.tooltip.offsetWidth / 2;
+        chart.tooltip.style.left = `${Math.min(Math.max(x, half), canvas.clientWidth - half)}px`;
+        chart.tooltip.style.top = `${y}px`;
+        chart.tooltip.classList.add('visible');
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+        chart.tooltip.classList.remove('visible');
+        if (chart.hover !== null) {
+            chart.hover = null;
+            drawChart(chart);
+        }
+    });
+
+    canvas.addEventListener('click', (event) => {
+        const region = chart.regions[regionAt(event).index];
+        if (region && chart.options.onSelect) {
+            chart.tooltip.classList.remove('visible');
+            chart.options.onSelect(region.value);
+        }
+    });
+}
+
+// 'YYYY-MM' -> 'Oct 2026'
+function monthLabel(month, withYear = true) {
+    const [year, index] = month.split('-');
+    return withYear ? `${MONTH_NAMES[Number(index) - 1]} ${year}` : MONTH_NAMES[Number(index) - 1];
+}
+
+// A round number at or above `value` for the top of an axis
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 2.5, 5, 10].find(n => n * magnitude >= value);
+    return step * magnitude;
+}
+
+// Monthly totals as a line with a shaded area. data: [{ month: 'YYYY-MM', total }], oldest first
+function drawTrendChart(ctx, view, data) {
+    const { width, height, theme, hover, format } = view;
+    const pad = { top: 16, right: 16, bottom: 28, left: 48 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const max = niceMax(Math.max(...data.map(point => point.total)));
+    const step = data.length > 1 ? plotWidth / (data.length - 1) : 0;
+
+    const xOf = (i) => pad.left + (data.length > 1 ? i * step : plotWidth / 2);
+    const yOf = (total) => pad.top + plotHeight - (total / max) * plotHeight;
+
+    // Gridlines and axis labels
+    ctx.font = '11px Inter, sans-serif';
+    ctx.lineWidth = 1;
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const value = (max / 4) * i;
+        const y = yOf(value);
+        ctx.strokeStyle = theme.border;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(width - pad.right, y);
+        ctx.stroke();
+        ctx.fillStyle = theme.muted;
+        ctx.textAlign = 'right';
+        ctx.fillText(compactNumber.format(value), pad.left - 8, y);
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    data.forEach((point, i) => ctx.fillText(monthLabel(point.month, false), xOf(i), height - pad.bottom + 8));
+
+    // Area, line and points
+    const tracePath = () => {
+        ctx.beginPath();
+        data.forEach((point, i) => (i === 0 ? ctx.moveTo(xOf(i), yOf(point.total)) : ctx.lineTo(xOf(i), yOf(point.total))));
+    };
+    tracePath();
+    ctx.lineTo(xOf(data.length - 1), yOf(0));
+    ctx.lineTo(xOf(0), yOf(0));
+    ctx.closePath();
+    ctx.fillStyle = theme.light;
+    ctx.fill();
+
+    tracePath();
+    ctx.strokeStyle = theme.primary;
+    ctx.lineWidth = 2.5;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    if (hover !== null) {
+        ctx.strokeStyle = theme.border;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xOf(hover), pad.top);
+        ctx.lineTo(xOf(hover), pad.top + plotHeight);
+        ctx.stroke();
+    }
+
+    data.forEach((point, i) => {
+        ctx.beginPath();
+        ctx.arc(xOf(i), yOf(point.total), i === hover ? 6 : 4, 0, Math.PI * 2);
+        ctx.fillStyle = theme.background;
+        ctx.fill();
+        ctx.strokeStyle = theme.primary;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    });
+
+    // Each month owns the vertical band around its point
+    const band = data.length > 1 ? step / 2 : plotWidth / 2;
+    return data.map((point, i) => ({
+        contains: (x, y) => Math.abs(x - xOf(i)) <= band && y >= pad.top && y <= pad.top + plotHeight,
+        tooltip: `<strong>${monthLabel(point.month)}</strong>${format(point.total)}`,
+        value: point
+    }));
+}
+
+// Category totals as a donut, with the overall total in the middle.
+// data: [{ category, total, color }]
+function drawDonutChart(ctx, view, data) {
+    const { width, height, theme, hover, format } = view;
+    const slices = data.filter(item => item.total > 0);
+    const total = slices.reduce((sum, item) => sum + item.total, 0);
+    const cx = width / 2;
+    const cy = height / 2;
+    const outer = Math.min(width, height) / 2 - 10;
+    const inner = outer * 0.62;
+
+    let start = -Math.PI / 2;
+    const angles = slices.map(item => {
+        const end = start + (item.total / total) * Math.PI * 2;
+        const angle = { start, end };
+        start = end;
+        return angle;
+    });
+
+    slices.forEach((item, i) => {
+        const radius = i === hover ? outer + 6 : outer;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, angles[i].start, angles[i].end);
+        ctx.arc(cx, cy, inner, angles[i].end, angles[i].start, true);
+        ctx.closePath();
+        ctx.fillStyle = item.color || theme.primary;
+        ctx.fill();
+        ctx.strokeStyle = theme.background;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    });
+
+    const focus = hover !== null ? slices[hover] : null;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = theme.text;
+    ctx.font = '600 16px Inter, sans-serif';
+    ctx.fillText(format(focus ? focus.total : total), cx, cy - 8);
+    ctx.fillStyle = theme.muted;
+    ctx.font = '12px Inter, sans-serif';
+    ctx.fillText(focus ? focus.category : 'This month', cx, cy + 12);
+
+    return slices.map((item, i) => ({
+        contains: (x, y) => {
+            const distance = Math.hypot(x - cx, y - cy);
+            if (distance < inner || distance > outer + 6) return false;
+            // Angle measured clockwise from 12 o'clock, like the slices
+            let angle = Math.atan2(y - cy, x - cx);
+            if (angle < -Math.PI / 2) angle += Math.PI * 2;
+            return angle >= angles[i].start && angle < angles[i].end;
+        },
+        tooltip: `<strong>${item.category}</strong>${format(item.total)} (${Math.round((item.total / total) * 100)}%)`,
+        value: item
+    }));
+}
+
+// 'YYYY-MM-DD' for a UTC date
+function isoDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Daily totals as a calendar of weeks (columns) by weekday (rows), darker
+// for bigger days. data: [{ date: 'YYYY-MM-DD', total }]; options.weeks and
+// options.today set the range shown.
+function drawHeatmapChart(ctx, view, data) {
+    const { width, height, theme, hover, format, options } = view;
+    const weeks = options.weeks || 26;
+    const today = options.today || isoDay(new Date());
+    const totals = new Map(data.map(day => [day.date, day.total]));
+
+    // Start on the Monday `weeks - 1` weeks before this week's Monday
+    const end = new Date(`${today}T00:00:00Z`);
+    const start = new Date(end);
+    start.setUTCDate(start.getUTCDate() - ((end.getUTCDay() + 6) % 7) - (weeks - 1) * 7);
+
+    const pad = { top: 18, left: 32 };
+    const cell = Math.max(4, Math.min((width - pad.left) / weeks, (height - pad.top) / 7));
+    const gap = Math.max(1, Math.round(cell * 0.15));
+
+    // Colour scale tops out at the 95th percentile so one big day doesn't wash out the rest
+    const sorted = data.map(day => day.total).filter(total => total > 0).sort((a, b) => a - b);
+    const cap = sorted[Math.floor((sorted.length - 1) * 0.95)] || 1;
+
+    ctx.font = '10px Inter, sans-serif';
+    ctx.fillStyle = theme.muted;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    [0, 2, 4].forEach(row => ctx.fillText(DAY_NAMES[row], 0, pad.top + row * cell + cell / 2));
+
+    const days = [];
+    for (let date = new Date(start); isoDay(date) <= today; date.setUTCDate(date.getUTCDate() + 1)) {
+        const index = days.length;
+        const column = Math.floor(index / 7);
+        const row = index % 7;
+        const day = isoDay(date);
+        days.push({ date: day, total: totals.get(day) || 0, x: pad.left + column * cell, y: pad.top + row * cell });
+
+        // Label a column with its month when the month starts within it
+        if (row === 0 && (column === 0 || date.getUTCDate() <= 7)) {
+            ctx.fillStyle = theme.muted;
+            ctx.textBaseline = 'top';
+            ctx.fillText(MONTH_NAMES[date.getUTCMonth()], pad.left + column * cell, 0);
+        }
+    }
+
+    days.forEach((day, i) => {
+        ctx.fillStyle = day.total > 0 ? theme.primary : theme.border;
+        ctx.globalAlpha = day.total > 0 ? 0.2 + 0.8 * Math.min(day.total / cap, 1) : 1;
+        ctx.fillRect(day.x, day.y, cell - gap, cell - gap);
+        ctx.globalAlpha = 1;
+        if (i === hover) {
+            ctx.strokeStyle = theme.text;
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(day.x - 0.5, day.y - 0.5, cell - gap + 1, cell - gap + 1);
+        }
+    });
+
+    return days.map(day => ({
+        contains: (x, y) => x >= day.x && x < day.x + cell && y >= day.y && y < day.y + cell,
+        tooltip: `<strong>${new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, {
+            weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+        })}</strong>${day.total > 0 ? format(day.total) : 'No spending'}`,
+        value: day
+    }));
+}
+
+// Keep charts sized to their cards
+let chartResizeTimer = null;
+window.addEventListener('resize', () => {
+    clearTimeout(chartResizeTimer);
+    chartResizeTimer = setTimeout(redrawCharts, 150);
+});
@@ -1,17 +1,306 @@
 // API Base URL
 const API_BASE_URL = 'https://todar2o.vercel.app/';
 
+// Expenses currently shown in the table, and the one being edited (if any)
+let currentExpenses = [];
+let editingExpenseId = null;
+
+// Category suggestions only pre-select a category until the user picks one
+let categoryPickedManually = false;
+let suggestionTimer = null;
+
+// Page size and total match count for the Expenses table
+const EXPENSES_PAGE_SIZE = 50;
+let expensesTotal = 0;
+
+// Session token from /auth/login or /auth/register
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
+
+// Totals from the API are in the user's base currency
+let baseCurrency = 'INR';
+const moneyFormats = {};
+
+// Anomalies shown on the Insights page, referenced by index from their buttons
+let currentAnomalies = [];
+
+// The user's categories (from /categories) and the one being edited in the Categories modal
+let userCategories = [];
+let editingCategoryId = null;
+
+// The user's accounts with their balances (from /accounts/balances)
+let userAccounts = [];
+const ACCOUNT_TYPES = {
+    cash: { label: 'Cash', icon: 'fa-money-bill' },
+    bank: { label: 'Bank account', icon: 'fa-university' },
+    credit_card: { label: 'Credit card', icon: 'fa-credit-card' },
+    wallet: { label: 'Wallet', icon: 'fa-wallet' },
+    savings: { label: 'Savings', icon: 'fa-piggy-bank' }
+};
+
+// Expense whose receipts are open in the Receipts modal, and the object URLs
+// of the files shown there (revoked when the modal closes)
+let attachmentExpenseId = null;
+let attachmentUrls = [];
+const RECEIPT_HINT = 'Attach a photo of the receipt to fill in the amount, date and merchant.';
+
+// Shared ledger open in the Shared section, with its members and the caller's role
+let currentLedger = null;
+
+// Cloud sync state from /sync/status, polled while signed in
+const SYNC_POLL_MS = 30 * 1000;
+let syncStatus = null;
+let syncPollTimer = null;
+
+// Period shown on the dashboard and Insights page ({ type, from, to } as
+// returned by /report); null shows the current month
+let dashboardPeriod = null;
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', function() {
     setupNavigation();
     setupForm();
     setupThemeSwitcher();
-    loadDashboard();
+    setupAuth();
+    setupCurrencyList();
+
+    if (authToken) {
+        showApp();
+    } else {
+        showAuthScreen();
+    }
 });
 
+// fetch() against the API with the session token; a 401 sends the user back to login
+async function apiFetch(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) {
+        headers.Authorization = `Bearer ${authToken}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+    if (response.status === 401) {
+        logout();
+    }
+    return response;
+}
+
+// Setup login / signup forms
+function setupAuth() {
+    document.getElementById('authForm').addEventListener('submit', handleAuth);
+    document.getElementById('authToggle').addEventListener('click', (event) => {
+        event.preventDefault();
+        const form = document.getElementById('authForm');
+        setAuthMode(form.dataset.mode === 'login' ? 'signup' : 'login');
+    });
+    setAuthMode('login');
+}
+
+function setAuthMode(mode) {
+    const isLogin = mode === 'login';
+    document.getElementById('authForm').dataset.mode = mode;
+    document.getElementById('authTitle').textContent = isLogin ? 'Welcome Back' : 'Create Account';
+    document.getElementById('authNameGroup').style.display = isLogin ? 'none' : 'block';
+    document.getElementById('authSubmit').textContent = isLogin ? 'Log In' : 'Sign Up';
+    document.getElementById('authToggleText').textContent = isLogin ? "Don't have an account?" : 'Already have an account?';
+    document.getElementById('authToggle').textContent = isLogin ? 'Sign up' : 'Log in';
+    document.getElementById('authError').textContent = '';
+}
+
+// Handle login / signup
+async function handleAuth(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const formData = new FormData(form);
+    const endpoint = form.dataset.mode === 'login' ? '/auth/login' : '/auth/register';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: formData.get('email'),
+                password: formData.get('password'),
+                name: formData.get('name')
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('authError').textContent = data.error;
+            return;
+        }
+
+        authToken = data.token;
+        localStorage.setItem('authToken', authToken);
+        form.reset();
+        showApp();
+    } catch (error) {
+        console.error('Error signing in:', error);
+    }
+}
+
+function logout() {
+    authToken = null;
+    currentUser = null;
+    currentLedger = null;
+    syncStatus = null;
+    clearInterval(syncPollTimer);
+    localStorage.removeItem('authToken');
+    showAuthScreen();
+}
+
+function showAuthScreen() {
+    document.body.classList.add('signed-out');
+}
+
+function showApp() {
+    document.body.classList.remove('signed-out');
+    loadCurrentUser();
+    loadCategories();
+    switchSection('dashboard');
+    loadSyncStatus();
+    clearInterval(syncPollTimer);
+    syncPollTimer = setInterval(loadSyncStatus, SYNC_POLL_MS);
+}
+
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch(`/auth/me`);
+        if (response.ok) {
+            currentUser = (await response.json()).user;
+            baseCurrency = currentUser.baseCurrency || baseCurrency;
+        }
+    } catch (error) {
+        console.error('Error loading user:', error);
+    }
+}
+
+async function loadSyncStatus() {
+    try {
+        const response = await apiFetch('/sync/status');
+        if (!response.ok) return;
+        const status = await response.json();
+
+        // Reload what is on screen when a sync brought in changes from another device
+        const previous = syncStatus;
+        syncStatus = status;
+        if (previous && status.lastSyncTime !== previous.lastSyncTime && status.lastResult && status.lastResult.pulled > 0) {
+            refreshActiveSection();
+        }
+        updateSyncIndicator();
+    } catch (error) {
+        console.error('Error loading sync status:', error);
+    }
+}
+
+// Header indicator: hidden while sync is off, otherwise the last sync time
+// or the error the last attempt ended with
+function updateSyncIndicator() {
+    const indicator = document.getElementById('syncIndicator');
+    const status = syncStatus;
+    indicator.style.display = status && status.enabled ? '' : 'none';
+    if (!status || !status.enabled) return;
+
+    const icon = indicator.querySelector('i');
+    const label = document.getElementById('syncLabel');
+    indicator.classList.toggle('error', Boolean(status.lastError) && !status.syncing);
+
+    const details = [];
+    if (status.syncing) {
+        icon.className = 'fas fa-sync fa-spin';
+        label.textContent = 'Syncing…';
+    } else if (status.lastError) {
+        icon.className = 'fas fa-exclamation-triangle';
+        label.textContent = 'Sync failed';
+        details.push(`Last attempt failed: ${status.lastError}`);
+        if (status.nextSyncIn !== null) {
+            details.push(`Retrying in ${formatDuration(status.nextSyncIn)}`);
+        }
+    } else {
+        icon.className = 'fas fa-cloud';
+        label.textContent = status.lastSyncTime ? `Synced ${timeAgo(status.lastSyncTime)}` : 'Not synced yet';
+    }
+    if (status.lastSyncTime) {
+        details.push(`Last synced ${new Date(status.lastSyncTime).toLocaleString()}`);
+    }
+    if (status.pending > 0) {
+        details.push(`${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync`);
+    }
+    if (status.canSync) details.push('Click to sync now');
+    indicator.title = details.join('\n');
+}
+
+async function syncNow() {
+    // Only administrators can start a sync (it covers every account)
+    if (!syncStatus || !syncStatus.canSync || syncStatus.syncing) return;
+    syncStatus = { ...syncStatus, syncing: true };
+    updateSyncIndicator();
+
+    try {
+        const response = await apiFetch('/sync/now', { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error);
+        } else if (data.pulled > 0) {
+            refreshActiveSection();
+        }
+    } catch (error) {
+        console.error('Error syncing:', error);
+    }
+    loadSyncStatus();
+}
+
+function refreshActiveSection() {
+    const active = document.querySelector('.nav-btn.active[data-section]');
+    if (active) switchSection(active.dataset.section);
+}
+
+function timeAgo(date) {
+    const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return `on ${new Date(date).toLocaleDateString()}`;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+}
+
+// Format an amount with the locale's currency conventions (base currency by default)
+function formatMoney(amount, currency = baseCurrency) {
+    const code = currency || baseCurrency;
+    if (!moneyFormats[code]) {
+        moneyFormats[code] = new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+    }
+    return moneyFormats[code].format(Number(amount) || 0);
+}
+
+// Escape text from the server (names, descriptions) before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Suggest ISO currency codes in currency inputs
+function setupCurrencyList() {
+    const codes = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('currency')
+        : ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'SGD', 'AED'];
+    document.getElementById('currencyCodes').innerHTML =
+        codes.map(code => `<option value="${code}"></option>`).join('');
+}
+
 // Setup navigation
 function setupNavigation() {
-    const navButtons = document.querySelectorAll('.nav-btn');
+    const navButtons = document.querySelectorAll('.nav-btn[data-section]');
     navButtons.forEach(button => {
         button.addEventListener('click', () => {
             const section = button.dataset.section;
@@ -41,6 +330,7 @@ function switchSection(sectionName) {
     // Load section data
     if (sectionName === 'dashboard') loadDashboard();
     if (sectionName === 'expenses') loadExpenses();
+    if (sectionName === 'ledgers') loadLedgers();
     if (sectionName === 'insights') loadAIInsights();
 }
 
@@ -48,164 +338,2093 @@ function switchSection(sectionName) {
 function setupForm() {
     const form = document.getElementById('expenseForm');
     form.addEventListener('submit', handleAddExpense);
+    document.getElementById('expenseDescription').addEventListener('input', scheduleCategorySuggestion);
+    document.getElementById('expenseCategory').addEventListener('change', () => {
+        categoryPickedManually = true;
+    });
+    document.getElementById('expenseReceipt').addEventListener('change', scanReceipt);
+    document.getElementById('attachmentForm').addEventListener('submit', handleAddAttachment);
+    setupExpenseFilters();
+    document.getElementById('budgetForm').addEventListener('submit', handleSaveBudget);
+    document.getElementById('incomeForm').addEventListener('submit', handleSaveIncome);
+    document.getElementById('accountForm').addEventListener('submit', handleSaveAccount);
+    document.getElementById('transferForm').addEventListener('submit', handleAddTransfer);
+    document.getElementById('dashboardAccount').addEventListener('change', () => loadDashboard());
+    document.getElementById('periodPrev').addEventListener('click', () => shiftPeriod(-1));
+    document.getElementById('periodNext').addEventListener('click', () => shiftPeriod(1));
+    document.getElementById('periodType').addEventListener('change', changePeriodType);
+    document.getElementById('periodFrom').addEventListener('change', changeCustomPeriod);
+    document.getElementById('periodTo').addEventListener('change', changeCustomPeriod);
+    document.getElementById('importForm').addEventListener('submit', previewImport);
+    document.getElementById('ledgerForm').addEventListener('submit', handleCreateLedger);
+    document.getElementById('ledgerMemberForm').addEventListener('submit', handleAddLedgerMember);
+    document.getElementById('ledgerExpenseForm').addEventListener('submit', handleAddLedgerExpense);
+    document.getElementById('settingsForm').addEventListener('submit', handleSaveSettings);
+    document.getElementById('ratesForm').addEventListener('submit', handleImportRates);
+    document.getElementById('categoryForm').addEventListener('submit', handleSaveCategory);
+    document.getElementById('categoryMergeForm').addEventListener('submit', handleMergeCategory);
 }
 
 // Load dashboard
 async function loadDashboard() {
     try {
-        const response = await fetch(`${API_BASE_URL}/report`);
+        const account = document.getElementById('dashboardAccount').value;
+        const response = await apiFetch(`/report?rollup=true&${periodQuery()}${account ? `&account=${account}` : ''}`);
         const data = await response.json();
+        if (!response.ok) {
+            alert(data.error);
+            return;
+        }
         updateDashboard(data);
     } catch (error) {
         console.error('Error loading dashboard:', error);
     }
 }
 
+// Query string selecting the dashboard period, with the browser's timezone
+// so the server knows which month is the current one
+function periodQuery() {
+    const params = new URLSearchParams();
+    const period = dashboardPeriod;
+    if (period && period.type === 'custom') {
+        params.set('from', period.from);
+        params.set('to', period.to);
+    } else if (period) {
+        params.set('year', period.from.slice(0, 4));
+        if (period.type === 'month') params.set('month', Number(period.from.slice(5, 7)));
+    }
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (timeZone) params.set('tz', timeZone);
+    return params.toString();
+}
+
+// Show another period on the dashboard and Insights page
+function selectPeriod(period) {
+    dashboardPeriod = period;
+    loadDashboard();
+    loadAIInsights();
+}
+
+// Move to the previous (-1) or next (1) month, year or custom range of the same length
+function shiftPeriod(step) {
+    const period = dashboardPeriod;
+    if (!period) return;
+
+    if (period.type === 'month') {
+        const [year, month] = period.from.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1 + step, 1));
+        selectPeriod({ type: 'month', ...monthRange(date.toISOString().slice(0, 7)) });
+    } else if (period.type === 'year') {
+        const year = Number(period.from.slice(0, 4)) + step;
+        selectPeriod({ type: 'year', from: `${year}-01-01`, to: `${year}-12-31` });
+    } else {
+        const days = (Date.parse(period.to) - Date.parse(period.from)) / 86400000 + 1;
+        selectPeriod({ type: 'custom', from: shiftDate(period.from, step * days), to: shiftDate(period.to, step * days) });
+    }
+}
+
+function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+// Switch between month, year and custom range, keeping the end of the current period
+function changePeriodType() {
+    const type = document.getElementById('periodType').value;
+    const period = dashboardPeriod || { type: 'month', ...monthRange(new Date().toISOString().slice(0, 7)) };
+    const end = period.to;
+
+    if (type === 'month') {
+        selectPeriod({ type, ...monthRange(end.slice(0, 7)) });
+    } else if (type === 'year') {
+        selectPeriod({ type, from: `${end.slice(0, 4)}-01-01`, to: `${end.slice(0, 4)}-12-31` });
+    } else {
+        dashboardPeriod = { ...period, type };
+        updatePeriodPicker(dashboardPeriod);
+    }
+}
+
+function changeCustomPeriod() {
+    const from = document.getElementById('periodFrom').value;
+    const to = document.getElementById('periodTo').value;
+    if (from && to && from <= to) {
+        selectPeriod({ type: 'custom', from, to });
+    }
+}
+
+// "October 2026", "2026" or "1 Sep 2026 – 15 Oct 2026"
+function periodLabel(period) {
+    const format = (date, options) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, options);
+    if (period.type === 'month') return format(period.from, { month: 'long', year: 'numeric' });
+    if (period.type === 'year') return period.from.slice(0, 4);
+    const options = { day: 'numeric', month: 'short', year: 'numeric' };
+    return `${format(period.from, options)} – ${format(period.to, options)}`;
+}
+
+function updatePeriodPicker(period) {
+    const custom = period.type === 'custom';
+    document.getElementById('periodLabel').textContent = periodLabel(period);
+    document.getElementById('periodType').value = period.type;
+    // Nothing to show after the period that contains today
+    document.getElementById('periodNext').disabled = Boolean(period.isCurrent);
+    ['periodFrom', 'periodTo'].forEach(id => {
+        document.getElementById(id).hidden = !custom;
+    });
+    if (custom) {
+        document.getElementById('periodFrom').value = period.from;
+        document.getElementById('periodTo').value = period.to;
+    }
+}
+
+// Spending against the previous period, e.g. "▲ 12% vs previous period"
+function updateSpendingChange(data) {
+    const element = document.getElementById('spendingChange');
+    const { spending } = data.comparison;
+    const previous = data.previousPeriod;
+
+    element.className = 'stat-change';
+    element.title = `${formatMoney(spending.previous)} from ${previous.from} to ${previous.to}`;
+    if (spending.change === null) {
+        element.textContent = 'Nothing to compare with';
+    } else if (spending.change === 0) {
+        element.textContent = 'Same as previous period';
+    } else {
+        element.classList.add(spending.change > 0 ? 'up' : 'down');
+        element.textContent = `${spending.change > 0 ? '▲' : '▼'} ${Math.abs(spending.change)}% vs ${previous.partial ? 'same days of ' : ''}previous period`;
+    }
+}
+
 // Update dashboard
 function updateDashboard(data) {
-    document.getElementById('totalSpending').textContent = `₹${data.totalSpending}`;
+    baseCurrency = data.baseCurrency || baseCurrency;
+    dashboardPeriod = data.period;
+    updatePeriodPicker(data.period);
+
+    const current = data.period.isCurrent && data.period.type !== 'custom';
+    document.getElementById('totalSpendingLabel').textContent = current
+        ? `Total This ${data.period.type === 'year' ? 'Year' : 'Month'}`
+        : 'Total Spent';
+    document.getElementById('totalSpending').textContent = formatMoney(data.totalSpending);
+    updateSpendingChange(data);
     document.getElementById('expenseCount').textContent = data.expenses.length;
     
-    if (data.isOverBudget) {
+    document.getElementById('budgetProgress').textContent = data.budgetUtilisation === null
+        ? '—'
+        : `${Math.round(data.budgetUtilisation)}%`;
+
+    const overCategories = data.overBudgetCategories || [];
+    if (data.isOverBudget || overCategories.length > 0) {
+        const messages = [];
+        if (data.isOverBudget) {
+            messages.push(data.period.type === 'month'
+                ? `Monthly spending exceeds your ${formatMoney(data.budgetLimit)} budget!`
+                : `Spending exceeds your ${formatMoney(data.budgetLimit)} budget for this period!`);
+        }
+        if (overCategories.length > 0) {
+            messages.push(`Over budget: ${overCategories.join(', ')}.`);
+        }
+        document.getElementById('warningText').textContent = messages.join(' ');
         document.getElementById('warningBanner').style.display = 'flex';
     } else {
         document.getElementById('warningBanner').style.display = 'none';
     }
 
     updateCategoryList(data.categoryTotals);
+    updateCharts(data);
+    updateCashFlow(data);
+    loadBudgets(data);
+    loadAccounts();
+    loadUpcoming();
 }
 
-// Update category list
-function updateCategoryList(categories) {
-    const list = document.getElementById('categoryList');
+// Dashboard charts (see charts.js) for the selected period: the trend up to
+// its last month and the heatmap up to its last day so far. Clicking a month,
+// category or day opens the matching expenses.
+function updateCharts(data) {
+    const format = (value) => formatMoney(value);
+    const { period } = data;
+    const today = new Date().toLocaleDateString('en-CA');
+
+    renderChart('trendCanvas', drawTrendChart, recentMonths(data.monthlyTotals, period.to.slice(0, 7), (data.cashFlow || []).length || 6), {
+        format,
+        onSelect: (point) => showExpensesFor(monthRange(point.month))
+    });
+    renderChart('categoryCanvas', drawDonutChart, data.categoryTotals, {
+        format,
+        onSelect: (item) => showExpensesFor({ from: period.from, to: period.to, category: item.category })
+    });
+    renderChart('heatmapCanvas', drawHeatmapChart, data.dailyTotals || [], {
+        format,
+        weeks: 26,
+        today: period.to < today ? period.to : today,
+        onSelect: (day) => showExpensesFor({ from: day.date, to: day.date })
+    });
+}
+
+// Totals for the `count` months up to and including `lastMonth`, oldest
+// first, with months without expenses as zero
+function recentMonths(monthlyTotals, lastMonth, count) {
+    const [year, index] = lastMonth.split('-').map(Number);
+    const months = [];
+    for (let offset = count - 1; offset >= 0; offset--) {
+        const date = new Date(year, index - 1 - offset, 1);
+        const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        const row = monthlyTotals.find(item => item.month === month);
+        months.push({ month, total: row ? row.total : 0 });
+    }
+    return months;
+}
+
+// First and last day of a YYYY-MM month
+function monthRange(month) {
+    const [year, index] = month.split('-').map(Number);
+    return {
+        from: `${month}-01`,
+        to: `${month}-${String(new Date(year, index, 0).getDate()).padStart(2, '0')}`
+    };
+}
+
+// Open the Expenses section filtered to from..to and optionally a category,
+// for the account selected on the dashboard
+function showExpensesFor({ from, to, category = '' }) {
+    const filters = document.getElementById('expenseFilters').elements;
+    ['search', 'minAmount', 'maxAmount'].forEach(name => {
+        filters[name].value = '';
+    });
+    filters.from.value = from;
+    filters.to.value = to;
+    filters.category.value = category;
+    filters.account.value = document.getElementById('dashboardAccount').value;
+    switchSection('expenses');
+}
+
+// Load budgets and combine them with the period's utilisation
+async function loadBudgets(report) {
+    try {
+        const response = await apiFetch(`/budgets`);
+        const budgets = await response.json();
+        updateBudgetList(budgets, report);
+    } catch (error) {
+        console.error('Error loading budgets:', error);
+    }
+}
+
+// Update budget list
+function updateBudgetList(budgets, report) {
+    const list = document.getElementById('budgetList');
     list.innerHTML = '';
-    
-    categories.forEach(cat => {
+
+    if (budgets.length === 0) {
+        list.innerHTML = '<p class="empty-state">No budgets set yet.</p>';
+        return;
+    }
+
+    budgets.forEach(budget => {
+        const usage = budget.category
+            ? (report.categoryUtilisation || []).find(cat => cat.category === budget.category)
+            : { spent: report.totalSpending, budget: report.budgetLimit, utilisation: report.budgetUtilisation };
+        const utilisation = usage ? usage.utilisation : 0;
+        // Monthly budgets are scaled to the length of the period shown
+        const limit = usage && usage.budget !== null ? usage.budget : budget.amount;
+
         const item = document.createElement('div');
-        item.className = 'category-item';
+        item.className = 'budget-item' + (utilisation > 100 ? ' over' : '');
         item.innerHTML = `
-            <span>${cat.category}</span>
-            <span>₹${cat.total}</span>
+            <div class="budget-item-header">
+                <span>${budget.category || 'Overall'}</span>
+                <span>${formatMoney(usage ? usage.spent : 0)} / ${formatMoney(limit)}</span>
+                <button class="action-btn delete" title="Remove budget" onclick="deleteBudget(${budget.id})">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="budget-bar">
+                <div class="budget-bar-fill" style="width: ${Math.min(utilisation || 0, 100)}%"></div>
+            </div>
         `;
         list.appendChild(item);
     });
 }
 
-// Load expenses
-async function loadExpenses() {
+// Handle save budget
+async function handleSaveBudget(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+    const budget = {
+        category: formData.get('category') || null,
+        amount: parseFloat(formData.get('amount'))
+    };
+
     try {
-        const response = await fetch(`${API_BASE_URL}/expenses`);
-        const expenses = await response.json();
-        updateExpensesTable(expenses);
+        const response = await apiFetch(`/budgets`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(budget)
+        });
+
+        if (response.ok) {
+            hideBudgetModal();
+            event.target.reset();
+            loadDashboard();
+        }
     } catch (error) {
-        console.error('Error loading expenses:', error);
+        console.error('Error saving budget:', error);
     }
 }
 
-// Update expenses table
-function updateExpensesTable(expenses) {
-    const tbody = document.getElementById('expensesTableBody');
-    tbody.innerHTML = '';
-    
-    expenses.forEach(exp => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${new Date(exp.date).toLocaleDateString()}</td>
-            <td>${exp.category}</td>
-            <td>${exp.description || '-'}</td>
-            <td>₹${exp.amount}</td>
-        `;
-        tbody.appendChild(row);
-    });
-}
-
-// Load AI insights
-async function loadAIInsights() {
+// Delete budget
+async function deleteBudget(id) {
     try {
-        const response = await fetch(`${API_BASE_URL}/ai-insights`);
-        const data = await response.json();
-        updateInsights(data.insights);
+        const response = await apiFetch(`/budgets/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            loadDashboard();
+        }
     } catch (error) {
-        console.error('Error loading insights:', error);
+        console.error('Error deleting budget:', error);
     }
 }
 
-// Update insights
-function updateInsights(insights) {
-    document.getElementById('predictionsContent').innerHTML = 
-        `<p>Next month: ₹${insights.predictions.nextMonth || 0}</p>`;
-    
-    document.getElementById('recommendationsContent').innerHTML = 
-        insights.recommendations.map(r => `<p>• ${r}</p>`).join('');
-    
-    document.getElementById('anomaliesContent').innerHTML = 
-        insights.anomalies.map(a => `<p>• ₹${a.amount} on ${a.date}</p>`).join('');
+// Update the cash-flow card: the period's totals, the income-vs-expense
+// chart of the months up to its end and the period's income entries
+function updateCashFlow(report) {
+    const summary = document.getElementById('cashFlowSummary');
+    const rate = report.savingsRate === null ? '—' : `${Math.round(report.savingsRate)}%`;
+    summary.innerHTML = `
+        <div><span class="stat-label">Income</span><strong>${formatMoney(report.totalIncome)}</strong></div>
+        <div><span class="stat-label">Expenses</span><strong>${formatMoney(report.totalSpending)}</strong></div>
+        <div class="${report.netCashFlow < 0 ? 'negative' : 'positive'}">
+            <span class="stat-label">Net</span><strong>${formatMoney(report.netCashFlow)}</strong>
+        </div>
+        <div><span class="stat-label">Savings rate</span><strong>${rate}</strong></div>
+    `;
+
+    const chart = document.getElementById('cashFlowChart');
+    const months = report.cashFlow || [];
+    const largest = Math.max(...months.map(month => Math.max(month.income, month.expenses)), 0);
+    chart.innerHTML = largest === 0
+        ? '<p class="empty-state">Add income to compare it with your spending.</p>'
+        : months.map(month => `
+            <div class="cash-flow-month" title="Net ${formatMoney(month.netCashFlow)}">
+                <span class="cash-flow-label">${month.month}</span>
+                <div class="cash-flow-bars">
+                    <div class="cash-flow-bar income" style="width: ${(month.income / largest) * 100}%"></div>
+                    <div class="cash-flow-bar expenses" style="width: ${(month.expenses / largest) * 100}%"></div>
+                </div>
+                <span class="cash-flow-net ${month.netCashFlow < 0 ? 'negative' : 'positive'}">${formatMoney(month.netCashFlow)}</span>
+            </div>
+        `).join('');
+
+    const list = document.getElementById('incomeList');
+    list.innerHTML = '';
+    (report.income || []).forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        item.innerHTML = `
+            <span>${new Date(entry.date).toLocaleDateString()} · ${entry.source}${entry.recurring_id ? ' <i class="fas fa-redo" title="Recurring"></i>' : ''}</span>
+            <span>${formatMoney(entry.original_amount !== null ? entry.original_amount : entry.amount, entry.currency || baseCurrency)}</span>
+            <button class="action-btn delete" title="Delete income" onclick="deleteIncome(${entry.id})">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        list.appendChild(item);
+    });
 }
 
-// Handle add expense
-async function handleAddExpense(event) {
+// Handle save income; a repeating entry becomes a recurring income schedule
+async function handleSaveIncome(event) {
     event.preventDefault();
-    
+
     const formData = new FormData(event.target);
-    const expense = {
+    const income = {
         date: formData.get('date'),
-        category: formData.get('category'),
+        source: formData.get('source').trim(),
         amount: parseFloat(formData.get('amount')),
-        description: formData.get('description')
+        currency: formData.get('currency').trim().toUpperCase(),
+        description: formData.get('description'),
+        accountId: formData.get('accountId') ? Number(formData.get('accountId')) : null
     };
+    const repeat = formData.get('repeat');
 
     try {
-        const response = await fetch(`${API_BASE_URL}/add-expense`, {
+        const response = await apiFetch(repeat ? '/recurring-income' : '/income', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(expense)
+            body: JSON.stringify(repeat ? { ...income, frequency: repeat, startDate: income.date } : income)
         });
 
         if (response.ok) {
-            hideAddExpenseModal();
+            hideIncomeModal();
             event.target.reset();
             loadDashboard();
-            loadExpenses();
-            loadAIInsights();
+        } else {
+            alert((await response.json()).error);
         }
     } catch (error) {
-        console.error('Error adding expense:', error);
+        console.error('Error saving income:', error);
     }
 }
 
-// Modal functions
-function showAddExpenseModal() {
-    document.getElementById('addExpenseModal').classList.add('active');
-    document.getElementById('expenseDate').value = new Date().toISOString().split('T')[0];
+// Delete income
+async function deleteIncome(id) {
+    if (!confirm('Delete this income entry?')) return;
+
+    try {
+        const response = await apiFetch(`/income/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Error deleting income:', error);
+    }
 }
 
-function hideAddExpenseModal() {
-    document.getElementById('addExpenseModal').classList.remove('active');
+// Load accounts with their current balances
+async function loadAccounts() {
+    try {
+        const response = await apiFetch(`/accounts/balances`);
+        if (!response.ok) return;
+        userAccounts = (await response.json()).accounts;
+        updateAccountSelects();
+        updateAccountList();
+        updateAccountManager();
+    } catch (error) {
+        console.error('Error loading accounts:', error);
+    }
 }
 
-// Theme Switcher Functions
-function setupThemeSwitcher() {
-    const themeButtons = document.querySelectorAll('.theme-btn');
-    
-    // Load saved theme from localStorage
-    const savedTheme = localStorage.getItem('selectedTheme') || 'default';
-    applyTheme(savedTheme);
-    
-    themeButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            const theme = button.dataset.theme;
-            applyTheme(theme);
-            localStorage.setItem('selectedTheme', theme);
-        });
+// Fill the account dropdowns, keeping their placeholder option and current
+// choice; archived accounts are only offered as filters
+function updateAccountSelects() {
+    const options = (includeArchived) => userAccounts
+        .filter(account => includeArchived || !account.archived)
+        .map(account => `<option value="${account.id}">${account.name}${account.archived ? ' (archived)' : ''}</option>`)
+        .join('');
+
+    [
+        ['dashboardAccount', true],
+        ['filterAccount', true],
+        ['expenseAccount', false],
+        ['incomeAccount', false],
+        ['importAccount', false],
+        ['transferFrom', false],
+        ['transferTo', false]
+    ].forEach(([id, includeArchived]) => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        const placeholder = select.querySelector('option[value=""]');
+        select.innerHTML = (placeholder ? placeholder.outerHTML : '') + options(includeArchived);
+        select.value = value;
+        if (select.selectedIndex === -1) select.selectedIndex = 0;
     });
 }
 
-function applyTheme(theme) {
-    // Remove existing theme classes
-    document.documentElement.removeAttribute('data-theme');
-    
-    // Apply new theme
-    if (theme !== 'default') {
+// Update the Accounts card on the dashboard
+function updateAccountList() {
+    const list = document.getElementById('accountList');
+    const active = userAccounts.filter(account => !account.archived);
+
+    if (active.length === 0) {
+        list.innerHTML = '<p class="empty-state">Add your bank accounts, cards and cash to track balances.</p>';
+        return;
+    }
+
+    list.innerHTML = active.map(account => `
+        <div class="category-item">
+            <span><i class="fas ${ACCOUNT_TYPES[account.type].icon}"></i> ${account.name}</span>
+            <span class="${account.balance < 0 ? 'balance-negative' : ''}">${formatMoney(account.balance)}</span>
+        </div>
+    `).join('');
+}
+
+// Update the account list in the Accounts modal
+function updateAccountManager() {
+    const list = document.getElementById('accountManageList');
+    list.innerHTML = '';
+
+    userAccounts.forEach(account => {
+        const item = document.createElement('div');
+        item.className = account.archived ? 'category-item paused' : 'category-item';
+        item.innerHTML = `
+            <span>
+                <i class="fas ${ACCOUNT_TYPES[account.type].icon}"></i> ${account.name}
+                <small class="ledger-role">${ACCOUNT_TYPES[account.type].label}</small>
+            </span>
+            <span>${formatMoney(account.balance)}</span>
+            <span class="table-actions">
+                <button class="action-btn" title="${account.archived ? 'Restore' : 'Archive'}"
+                    onclick="setAccountArchived(${account.id}, ${!account.archived})">
+                    <i class="fas ${account.archived ? 'fa-box-open' : 'fa-archive'}"></i>
+                </button>
+                <button class="action-btn delete" title="Delete" onclick="deleteAccount(${account.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </span>
+        `;
+        list.appendChild(item);
+    });
+}
+
+// Handle save account
+async function handleSaveAccount(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+    const account = {
+        name: formData.get('name'),
+        type: formData.get('type'),
+        openingBalance: parseFloat(formData.get('openingBalance')) || 0,
+        openingDate: formData.get('openingDate') || undefined
+    };
+
+    try {
+        const response = await apiFetch(`/accounts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(account)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('accountError').textContent = data.error;
+            return;
+        }
+
+        event.target.reset();
+        document.getElementById('accountError').textContent = '';
+        document.getElementById('accountOpeningDate').value = new Date().toISOString().split('T')[0];
+        loadAccounts();
+    } catch (error) {
+        console.error('Error saving account:', error);
+    }
+}
+
+// Archive an account (hidden from new entries, history kept) or restore it
+async function setAccountArchived(id, archived) {
+    try {
+        const response = await apiFetch(`/accounts/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ archived })
+        });
+
+        if (response.ok) {
+            loadAccounts();
+        }
+    } catch (error) {
+        console.error('Error updating account:', error);
+    }
+}
+
+async function deleteAccount(id) {
+    const account = userAccounts.find(acc => acc.id === id);
+    if (!account || !confirm(`Delete ${account.name}?`)) return;
+
+    try {
+        const response = await apiFetch(`/accounts/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            loadAccounts();
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error deleting account:', error);
+    }
+}
+
+// Load recent transfers into the Accounts modal
+async function loadTransfers() {
+    try {
+        const response = await apiFetch(`/transfers`);
+        const transfers = await response.json();
+        const accountName = (id) => (userAccounts.find(account => account.id === id) || { name: '—' }).name;
+
+        document.getElementById('transferList').innerHTML = transfers.slice(0, 10).map(transfer => `
+            <div class="category-item">
+                <span>${new Date(transfer.date).toLocaleDateString()} · ${accountName(transfer.from_account_id)} → ${accountName(transfer.to_account_id)}</span>
+                <span>${formatMoney(transfer.amount)}</span>
+                <button class="action-btn delete" title="Delete transfer" onclick="deleteTransfer(${transfer.id})">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading transfers:', error);
+    }
+}
+
+// Handle add transfer
+async function handleAddTransfer(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+    const transfer = {
+        fromAccountId: Number(formData.get('fromAccountId')),
+        toAccountId: Number(formData.get('toAccountId')),
+        amount: parseFloat(formData.get('amount')),
+        date: formData.get('date'),
+        description: formData.get('description')
+    };
+
+    try {
+        const response = await apiFetch(`/transfers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(transfer)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('transferError').textContent = data.error;
+            return;
+        }
+
+        document.getElementById('transferError').textContent = '';
+        document.getElementById('transferAmount').value = '';
+        document.getElementById('transferDescription').value = '';
+        await loadAccounts();
+        loadTransfers();
+    } catch (error) {
+        console.error('Error adding transfer:', error);
+    }
+}
+
+async function deleteTransfer(id) {
+    if (!confirm('Delete this transfer?')) return;
+
+    try {
+        const response = await apiFetch(`/transfers/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            await loadAccounts();
+            loadTransfers();
+        }
+    } catch (error) {
+        console.error('Error deleting transfer:', error);
+    }
+}
+
+// Load upcoming recurring expenses and any paused schedules
+async function loadUpcoming() {
+    try {
+        const [upcomingResponse, schedulesResponse] = await Promise.all([
+            apiFetch(`/recurring-expenses/upcoming`),
+            apiFetch(`/recurring-expenses`)
+        ]);
+        const upcoming = await upcomingResponse.json();
+        const schedules = await schedulesResponse.json();
+        updateUpcomingList(upcoming, schedules.filter(schedule => schedule.paused));
+    } catch (error) {
+        console.error('Error loading upcoming expenses:', error);
+    }
+}
+
+// Update upcoming list
+function updateUpcomingList(upcoming, paused) {
+    const list = document.getElementById('upcomingList');
+    list.innerHTML = '';
+
+    if (upcoming.length === 0 && paused.length === 0) {
+        list.innerHTML = '<p class="empty-state">No recurring expenses due in the next 30 days.</p>';
+        return;
+    }
+
+    upcoming.forEach(occurrence => {
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        item.innerHTML = `
+            <span>${new Date(occurrence.date).toLocaleDateString()} · ${occurrence.description || occurrence.category}</span>
+            <span>${formatMoney(occurrence.amount, occurrence.currency)}</span>
+            <button class="action-btn" title="Pause" onclick="setRecurringPaused(${occurrence.recurringId}, true)">
+                <i class="fas fa-pause"></i>
+            </button>
+        `;
+        list.appendChild(item);
+    });
+
+    paused.forEach(schedule => {
+        const item = document.createElement('div');
+        item.className = 'category-item paused';
+        item.innerHTML = `
+            <span>Paused · ${schedule.description || schedule.category}</span>
+            <span>${formatMoney(schedule.amount, schedule.currency)}</span>
+            <button class="action-btn" title="Resume" onclick="setRecurringPaused(${schedule.id}, false)">
+                <i class="fas fa-play"></i>
+            </button>
+        `;
+        list.appendChild(item);
+    });
+}
+
+// Pause or resume a recurring expense
+async function setRecurringPaused(id, paused) {
+    try {
+        const response = await apiFetch(`/recurring-expenses/${id}/${paused ? 'pause' : 'resume'}`, { method: 'POST' });
+
+        if (response.ok) {
+            refreshAfterChange();
+        }
+    } catch (error) {
+        console.error('Error updating recurring expense:', error);
+    }
+}
+
+// Update category list; subcategory totals are listed under their parent
+function updateCategoryList(categories) {
+    const list = document.getElementById('categoryList');
+    list.innerHTML = '';
+    
+    categories.forEach(cat => {
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        item.innerHTML = `
+            <span>
+                <span class="category-badge" style="color: ${cat.color}"><i class="fas ${cat.icon}"></i></span>
+                ${cat.category}
+            </span>
+            <span>${formatMoney(cat.total)}</span>
+        `;
+        list.appendChild(item);
+
+        (cat.subcategories || []).forEach(sub => {
+            const subItem = document.createElement('div');
+            subItem.className = 'category-item subcategory';
+            subItem.innerHTML = `
+                <span>${sub.category}</span>
+                <span>${formatMoney(sub.total)}</span>
+            `;
+            list.appendChild(subItem);
+        });
+    });
+}
+
+// Load the user's categories and refresh every category dropdown
+async function loadCategories() {
+    try {
+        const response = await apiFetch(`/categories`);
+        if (!response.ok) return;
+        userCategories = await response.json();
+        updateCategorySelects();
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+// Top-level categories in name order, each followed by its subcategories
+function getSortedCategories() {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return userCategories
+        .filter(cat => !cat.parent_id)
+        .sort(byName)
+        .flatMap(parent => [parent, ...userCategories.filter(cat => cat.parent_id === parent.id).sort(byName)]);
+}
+
+function getCategoryOptions(valueKey = 'name') {
+    return getSortedCategories().map(cat => `
+        <option value="${cat[valueKey]}">${cat.parent_id ? '&nbsp;&nbsp;↳ ' : ''}${cat.name}</option>
+    `).join('');
+}
+
+// Fill the category dropdowns, keeping their placeholder option and current choice
+function updateCategorySelects() {
+    const options = getCategoryOptions();
+    ['filterCategory', 'expenseCategory', 'budgetCategory', 'importDefaultCategory', 'ledgerExpenseCategory'].forEach(id => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        const placeholder = select.querySelector('option[value=""]');
+        select.innerHTML = (placeholder ? placeholder.outerHTML : '') + options;
+        select.value = value;
+        if (select.selectedIndex === -1) select.selectedIndex = 0;
+    });
+}
+
+// Coloured icon for a category name; names without a category get a grey tag
+function getCategoryBadge(name) {
+    const category = userCategories.find(cat => cat.name === name);
+    const color = category ? category.color : '#8e8e93';
+    const icon = category ? category.icon : 'fa-tag';
+    return `<span class="category-badge" style="color: ${color}"><i class="fas ${icon}"></i></span>`;
+}
+
+// Setup expense filter bar; any change reloads the first page
+function setupExpenseFilters() {
+    const filters = document.getElementById('expenseFilters');
+    let searchTimer = null;
+
+    filters.addEventListener('change', () => loadExpenses());
+    filters.addEventListener('input', (event) => {
+        if (event.target.name !== 'search') return;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadExpenses(), 300);
+    });
+    filters.addEventListener('reset', () => setTimeout(() => loadExpenses(), 0));
+    filters.addEventListener('submit', (event) => event.preventDefault());
+}
+
+// Build the /expenses query string from the filter bar
+function getExpenseQuery(offset) {
+    const formData = new FormData(document.getElementById('expenseFilters'));
+    const [sort, order] = (formData.get('sort') || 'date:desc').split(':');
+    const params = new URLSearchParams({ sort, order, limit: EXPENSES_PAGE_SIZE, offset });
+
+    ['search', 'from', 'to', 'category', 'account', 'minAmount', 'maxAmount'].forEach(name => {
+        const value = formData.get(name);
+        if (value) params.set(name, value);
+    });
+
+    // Filtering by a parent category includes its subcategories
+    const parent = userCategories.find(cat => cat.name === formData.get('category'));
+    if (parent) {
+        const names = [parent.name, ...userCategories.filter(cat => cat.parent_id === parent.id).map(cat => cat.name)];
+        params.set('category', names.join(','));
+    }
+
+    return params.toString();
+}
+
+// Load expenses (first page, or the next page when appending)
+async function loadExpenses(append = false) {
+    const offset = append ? currentExpenses.length : 0;
+
+    try {
+        const response = await apiFetch(`/expenses?${getExpenseQuery(offset)}`);
+        const data = await response.json();
+        expensesTotal = data.total;
+        updateExpensesTable(data.expenses, append);
+    } catch (error) {
+        console.error('Error loading expenses:', error);
+    }
+}
+
+function loadMoreExpenses() {
+    loadExpenses(true);
+}
+
+// Download the filtered expenses; the PDF report covers the "from" month (or the current one)
+async function exportExpenses() {
+    const format = document.getElementById('exportFormat').value;
+    const params = new URLSearchParams(getExpenseQuery(0));
+    ['sort', 'order', 'limit', 'offset'].forEach(name => params.delete(name));
+    params.set('format', format);
+
+    if (format === 'pdf' && params.get('from')) {
+        params.set('month', params.get('from').slice(0, 7));
+    }
+
+    // Fetched rather than navigated to so the request carries the auth header
+    try {
+        const response = await apiFetch(`/export?${params.toString()}`);
+        if (!response.ok) return;
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `expenses.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error exporting expenses:', error);
+    }
+}
+
+// Update expenses table
+function updateExpensesTable(expenses, append = false) {
+    const tbody = document.getElementById('expensesTableBody');
+    if (!append) {
+        tbody.innerHTML = '';
+        currentExpenses = [];
+    }
+    currentExpenses = currentExpenses.concat(expenses);
+
+    document.getElementById('expensesSummary').textContent =
+        `Showing ${currentExpenses.length} of ${expensesTotal}`;
+    document.getElementById('loadMoreExpenses').style.display =
+        currentExpenses.length < expensesTotal ? 'inline-flex' : 'none';
+    
+    expenses.forEach(exp => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${new Date(exp.date).toLocaleDateString()}</td>
+            <td>${getCategoryBadge(exp.category)} ${exp.category}</td>
+            <td>${exp.description || '-'}</td>
+            <td>${formatExpenseAmount(exp)}</td>
+            <td class="table-actions">
+                <button class="action-btn ${exp.attachment_count > 0 ? 'has-attachments' : ''}"
+                    title="${exp.attachment_count > 0 ? `Receipts (${exp.attachment_count})` : 'Attach receipt'}"
+                    onclick="showAttachmentModal(${exp.id})">
+                    <i class="fas fa-paperclip"></i>
+                </button>
+                <button class="action-btn" title="Edit" onclick="showEditExpenseModal(${exp.id})">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="action-btn delete" title="Delete" onclick="deleteExpense(${exp.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+// Base-currency amount, with the original amount when it was recorded in another currency
+function formatExpenseAmount(exp) {
+    if (!exp.currency || exp.currency === baseCurrency) {
+        return formatMoney(exp.amount);
+    }
+    return `${formatMoney(exp.amount)} <span class="original-amount">${formatMoney(exp.original_amount, exp.currency)}</span>`;
+}
+
+// Delete expense
+async function deleteExpense(id) {
+    if (!confirm('Delete this expense?')) return;
+
+    try {
+        const response = await apiFetch(`/expenses/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            refreshAfterChange();
+        }
+    } catch (error) {
+        console.error('Error deleting expense:', error);
+    }
+}
+
+// Load the ledgers the user belongs to
+async function loadLedgers() {
+    try {
+        const response = await apiFetch(`/ledgers`);
+        const ledgers = await response.json();
+        updateLedgerList(ledgers);
+
+        const stillMember = currentLedger && ledgers.some(ledger => ledger.id === currentLedger.id);
+        if (stillMember) {
+            selectLedger(currentLedger.id);
+        } else if (ledgers.length > 0) {
+            selectLedger(ledgers[0].id);
+        } else {
+            currentLedger = null;
+            document.getElementById('ledgerDetail').style.display = 'none';
+        }
+    } catch (error) {
+        console.error('Error loading ledgers:', error);
+    }
+}
+
+function updateLedgerList(ledgers) {
+    const list = document.getElementById('ledgerList');
+    list.innerHTML = '';
+
+    if (ledgers.length === 0) {
+        list.innerHTML = '<p class="empty-state">No shared ledgers yet.</p>';
+        return;
+    }
+
+    ledgers.forEach(ledger => {
+        const item = document.createElement('div');
+        item.className = 'category-item ledger-item';
+        item.dataset.ledgerId = ledger.id;
+        item.innerHTML = `
+            <span>${escapeHtml(ledger.name)}</span>
+            <span class="ledger-role">${escapeHtml(ledger.role)}</span>
+        `;
+        item.addEventListener('click', () => selectLedger(ledger.id));
+        list.appendChild(item);
+    });
+}
+
+// Open a ledger: members, balances and expenses
+async function selectLedger(id) {
+    try {
+        const [ledgerResponse, balancesResponse, expensesResponse] = await Promise.all([
+            apiFetch(`/ledgers/${id}`),
+            apiFetch(`/ledgers/${id}/balances`),
+            apiFetch(`/ledgers/${id}/expenses`)
+        ]);
+        if (!ledgerResponse.ok) return;
+
+        currentLedger = await ledgerResponse.json();
+        document.querySelectorAll('.ledger-item').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.ledgerId) === currentLedger.id);
+        });
+
+        const detail = document.getElementById('ledgerDetail');
+        detail.style.display = 'grid';
+        detail.querySelectorAll('.owner-only').forEach(el => {
+            el.style.display = currentLedger.role === 'owner' ? 'flex' : 'none';
+        });
+        detail.querySelectorAll('.editor-only').forEach(el => {
+            el.style.display = currentLedger.role === 'viewer' ? 'none' : 'inline-block';
+        });
+        document.getElementById('ledgerName').textContent = currentLedger.name;
+
+        updateLedgerMembers(currentLedger.members);
+        updateLedgerBalances(await balancesResponse.json());
+        updateLedgerExpenses(await expensesResponse.json());
+    } catch (error) {
+        console.error('Error loading ledger:', error);
+    }
+}
+
+function getMemberName(userId) {
+    const member = currentLedger.members.find(m => Number(m.user_id) === Number(userId));
+    return member ? (member.name || member.email) : `User ${userId}`;
+}
+
+function updateLedgerMembers(members) {
+    const list = document.getElementById('ledgerMembers');
+    list.innerHTML = '';
+
+    members.forEach(member => {
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        item.innerHTML = `
+            <span>${escapeHtml(member.name || member.email)}</span>
+            <span class="ledger-role">${escapeHtml(member.role)}</span>
+        `;
+        if (currentLedger.role === 'owner' && (!currentUser || member.user_id !== currentUser.id)) {
+            item.innerHTML += `
+                <button class="action-btn delete" title="Remove member" onclick="removeLedgerMember(${Number(member.user_id)})">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+        }
+        list.appendChild(item);
+    });
+}
+
+function updateLedgerBalances(data) {
+    const list = document.getElementById('ledgerBalances');
+    list.innerHTML = '';
+
+    data.balances.forEach(b => {
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        const status = b.balance > 0 ? 'balance-positive' : (b.balance < 0 ? 'balance-negative' : '');
+        item.innerHTML = `
+            <span>${escapeHtml(b.member)}</span>
+            <span class="${status}">${b.balance > 0 ? 'gets back' : (b.balance < 0 ? 'owes' : 'settled')} ${formatMoney(Math.abs(b.balance))}</span>
+        `;
+        list.appendChild(item);
+    });
+
+    document.getElementById('ledgerSettleUp').innerHTML = data.settleUp.length === 0
+        ? '<p class="empty-state">Everyone is settled up.</p>'
+        : data.settleUp.map(t => `<p>${escapeHtml(t.fromMember)} pays ${escapeHtml(t.toMember)} ${formatMoney(t.amount)}</p>`).join('');
+}
+
+function updateLedgerExpenses(expenses) {
+    const tbody = document.getElementById('ledgerExpensesBody');
+    tbody.innerHTML = '';
+
+    expenses.forEach(exp => {
+        const row = document.createElement('tr');
+        const splitSummary = exp.splits.map(s => `${getMemberName(s.userId)}: ${formatMoney(s.amount)}`).join(', ');
+        row.innerHTML = `
+            <td>${new Date(exp.date).toLocaleDateString()}</td>
+            <td>${escapeHtml(exp.description || exp.category)}</td>
+            <td>${escapeHtml(getMemberName(exp.paid_by))}</td>
+            <td>${formatMoney(exp.amount)}</td>
+            <td title="${escapeHtml(splitSummary)}">${escapeHtml(exp.split_type)}</td>
+            <td class="table-actions">
+                ${currentLedger.role === 'viewer' ? '' : `
+                <button class="action-btn delete" title="Delete" onclick="deleteLedgerExpense(${Number(exp.id)})">
+                    <i class="fas fa-trash"></i>
+                </button>`}
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+async function handleCreateLedger(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+
+    try {
+        const response = await apiFetch(`/ledgers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: formData.get('name') })
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            event.target.reset();
+            currentLedger = data.ledger;
+            loadLedgers();
+        }
+    } catch (error) {
+        console.error('Error creating ledger:', error);
+    }
+}
+
+async function handleAddLedgerMember(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+
+    try {
+        const response = await apiFetch(`/ledgers/${currentLedger.id}/members`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: formData.get('email'), role: formData.get('role') })
+        });
+
+        if (response.ok) {
+            event.target.reset();
+            selectLedger(currentLedger.id);
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error adding member:', error);
+    }
+}
+
+async function removeLedgerMember(userId) {
+    if (!confirm(`Remove ${getMemberName(userId)} from this ledger?`)) return;
+
+    try {
+        const response = await apiFetch(`/ledgers/${currentLedger.id}/members/${userId}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            selectLedger(currentLedger.id);
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error removing member:', error);
+    }
+}
+
+async function leaveLedger() {
+    if (!currentUser || !confirm(`Leave ${currentLedger.name}?`)) return;
+
+    try {
+        const response = await apiFetch(`/ledgers/${currentLedger.id}/members/${currentUser.id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            currentLedger = null;
+            loadLedgers();
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error leaving ledger:', error);
+    }
+}
+
+// One input per member for percentage/exact splits; equal splits use checkboxes
+function updateSplitInputs() {
+    const type = document.getElementById('ledgerSplitType').value;
+    const container = document.getElementById('ledgerSplitShares');
+
+    container.innerHTML = currentLedger.members.map(member => `
+        <div class="form-group">
+            <label for="share-${member.user_id}">${escapeHtml(member.name || member.email)}</label>
+            ${type === 'equal'
+                ? `<input type="checkbox" id="share-${member.user_id}" data-user-id="${member.user_id}" checked>`
+                : `<input type="number" id="share-${member.user_id}" data-user-id="${member.user_id}" min="0" step="0.01"
+                       placeholder="${type === 'percentage' ? '%' : 'Amount'}">`}
+        </div>
+    `).join('');
+}
+
+async function handleAddLedgerExpense(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+    const type = formData.get('splitType');
+    const inputs = [...document.querySelectorAll('#ledgerSplitShares input')];
+    const shares = type === 'equal'
+        ? inputs.filter(input => input.checked).map(input => ({ userId: Number(input.dataset.userId) }))
+        : inputs.filter(input => input.value !== '').map(input => ({
+            userId: Number(input.dataset.userId),
+            value: parseFloat(input.value)
+        }));
+
+    const expense = {
+        date: formData.get('date'),
+        category: formData.get('category'),
+        amount: parseFloat(formData.get('amount')),
+        description: formData.get('description'),
+        paidBy: Number(formData.get('paidBy')),
+        split: { type, shares }
+    };
+
+    try {
+        const response = await apiFetch(`/ledgers/${currentLedger.id}/expenses`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(expense)
+        });
+
+        if (response.ok) {
+            hideLedgerExpenseModal();
+            selectLedger(currentLedger.id);
+        } else {
+            document.getElementById('ledgerExpenseError').textContent = (await response.json()).error;
+        }
+    } catch (error) {
+        console.error('Error saving shared expense:', error);
+    }
+}
+
+async function deleteLedgerExpense(id) {
+    if (!confirm('Delete this shared expense?')) return;
+
+    try {
+        const response = await apiFetch(`/ledgers/${currentLedger.id}/expenses/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            selectLedger(currentLedger.id);
+        }
+    } catch (error) {
+        console.error('Error deleting shared expense:', error);
+    }
+}
+
+// Load AI insights
+async function loadAIInsights() {
+    try {
+        const response = await apiFetch(`/ai-insights?${periodQuery()}`);
+        const data = await response.json();
+        if (!response.ok) return;
+        baseCurrency = data.baseCurrency || baseCurrency;
+        updateInsights(data.insights);
+    } catch (error) {
+        console.error('Error loading insights:', error);
+    }
+}
+
+// Update insights
+function updateInsights(insights) {
+    const predictions = insights.predictions;
+    const range = (interval) => `${formatMoney(interval.lower)} – ${formatMoney(interval.upper)}`;
+
+    document.getElementById('nextMonthPrediction').textContent = formatMoney(predictions.nextMonth || 0);
+    document.getElementById('predictionsContent').innerHTML = `
+        <p>This month (projected): ${formatMoney(predictions.currentMonth.value)}
+            <span class="forecast-range">${range(predictions.currentMonth)}</span></p>
+        <p>Next month: ${formatMoney(predictions.nextMonth || 0)}
+            <span class="forecast-range">${range(predictions.nextMonthRange)}</span></p>
+        ${predictions.categories.map(cat => `<p>• ${cat.category}: ${formatMoney(cat.nextMonth)}</p>`).join('')}
+        <p class="forecast-range">95% ranges, ${predictions.model} model</p>
+    `;
+    
+    document.getElementById('recommendationsContent').innerHTML =
+        renderInsightList(insights.recommendations, 'No recommendations right now.');
+    document.getElementById('trendAnalysisContent').innerHTML =
+        renderInsightList(insights.trends, 'Not enough history to spot trends yet.');
+    
+    currentAnomalies = insights.anomalies;
+    document.getElementById('anomaliesContent').innerHTML = currentAnomalies.length === 0
+        ? '<p class="empty-state">Nothing unusual in this period.</p>'
+        : currentAnomalies.map((a, index) => `
+            <div class="anomaly-item severity-${a.severity}">
+                <div class="anomaly-title">
+                    <span class="severity-badge">${a.severity}</span>
+                    ${formatMoney(a.amount)} · ${a.category} · ${a.date}
+                </div>
+                <div class="anomaly-reason">${a.reason}</div>
+                ${a.status === 'confirmed'
+                    ? '<div class="anomaly-status"><i class="fas fa-check"></i> Confirmed</div>'
+                    : `<div class="anomaly-actions">
+                        <button class="btn-secondary" onclick="sendAnomalyFeedback(${index}, 'confirmed')">Confirm</button>
+                        <button class="btn-secondary" onclick="sendAnomalyFeedback(${index}, 'dismissed')">Not unusual</button>
+                    </div>`}
+            </div>
+        `).join('');
+}
+
+// Rule-based insights ({ type, severity, message, data }), most severe first
+function renderInsightList(insights, emptyText) {
+    if (insights.length === 0) {
+        return `<p class="empty-state">${emptyText}</p>`;
+    }
+    return insights.map(insight => `
+        <p class="insight-item severity-${insight.severity}" data-type="${insight.type}">${insight.message}</p>
+    `).join('');
+}
+
+// Confirm an anomaly, or dismiss it so the same pattern isn't flagged again
+async function sendAnomalyFeedback(index, status) {
+    const anomaly = currentAnomalies[index];
+    if (!anomaly) return;
+
+    try {
+        const response = await apiFetch(`/anomalies/feedback`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key: anomaly.key, status, expenseId: anomaly.id })
+        });
+
+        if (response.ok) {
+            loadAIInsights();
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error saving anomaly feedback:', error);
+    }
+}
+
+// Handle add/edit expense
+async function handleAddExpense(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(event.target);
+    const expense = {
+        date: formData.get('date'),
+        category: formData.get('category'),
+        amount: parseFloat(formData.get('amount')),
+        currency: formData.get('currency').trim().toUpperCase(),
+        description: formData.get('description'),
+        accountId: formData.get('accountId') ? Number(formData.get('accountId')) : null
+    };
+
+    // Attached once the expense is saved (schedules have no receipts)
+    const receipt = document.getElementById('expenseReceipt').files[0];
+
+    // A repeating expense becomes a schedule; the server posts this first occurrence
+    const repeat = editingExpenseId ? '' : formData.get('repeat');
+    const url = editingExpenseId
+        ? `/expenses/${editingExpenseId}`
+        : (repeat ? '/recurring-expenses' : '/add-expense');
+    const body = repeat ? { ...expense, frequency: repeat, startDate: expense.date } : expense;
+
+    try {
+        const response = await apiFetch(url, {
+            method: editingExpenseId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            if (receipt && data.expense) {
+                await uploadAttachment(data.expense.id, receipt);
+            }
+            hideAddExpenseModal();
+            event.target.reset();
+            refreshAfterChange();
+        } else {
+            alert(data.error);
+        }
+    } catch (error) {
+        console.error('Error saving expense:', error);
+    }
+}
+
+// Ask for a category suggestion once the user pauses typing the description
+function scheduleCategorySuggestion() {
+    clearTimeout(suggestionTimer);
+    suggestionTimer = setTimeout(suggestCategory, 300);
+}
+
+async function suggestCategory() {
+    const description = document.getElementById('expenseDescription').value.trim();
+    if (!description) {
+        document.getElementById('categorySuggestion').innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/categorize`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ description })
+        });
+        if (response.ok) {
+            updateCategorySuggestion(await response.json());
+        }
+    } catch (error) {
+        console.error('Error suggesting category:', error);
+    }
+}
+
+// Pre-select the suggested category (unless the user chose one) and show how confident the suggestion is
+function updateCategorySuggestion(suggestion) {
+    const hint = document.getElementById('categorySuggestion');
+    if (!suggestion.category) {
+        hint.innerHTML = '';
+        return;
+    }
+
+    if (!categoryPickedManually) {
+        document.getElementById('expenseCategory').value = suggestion.category;
+    }
+
+    const percent = Math.round(suggestion.confidence * 100);
+    const level = percent >= 75 ? 'high' : (percent >= 50 ? 'medium' : 'low');
+    hint.innerHTML = `
+        <i class="fas fa-magic"></i>
+        Suggested: ${suggestion.category}
+        <span class="confidence-bar confidence-${level}" title="Confidence">
+            <span style="width: ${percent}%"></span>
+        </span>
+        ${percent}%
+    `;
+}
+
+// Read the chosen receipt image (OCR runs on the server) and pre-fill the
+// amount, date and description. PDFs are only attached.
+async function scanReceipt() {
+    const file = document.getElementById('expenseReceipt').files[0];
+    const status = document.getElementById('receiptStatus');
+    if (!file) {
+        status.textContent = RECEIPT_HINT;
+        return;
+    }
+    if (!file.type.startsWith('image/')) {
+        status.textContent = 'PDF receipts are attached without being read.';
+        return;
+    }
+
+    status.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reading receipt...';
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        const response = await apiFetch(`/receipts/scan`, { method: 'POST', body: formData });
+        const data = await response.json();
+        if (response.ok) {
+            fillFromReceipt(data);
+        } else {
+            status.textContent = data.error;
+        }
+    } catch (error) {
+        console.error('Error reading receipt:', error);
+        status.textContent = 'The receipt could not be read; fill in the details by hand.';
+    }
+}
+
+// Fill the expense form with what OCR found; the description is only set when empty
+function fillFromReceipt(receipt) {
+    const description = document.getElementById('expenseDescription');
+    if (receipt.total !== null) {
+        document.getElementById('expenseAmount').value = receipt.total;
+    }
+    if (receipt.date) {
+        document.getElementById('expenseDate').value = receipt.date;
+    }
+    if (receipt.merchant && !description.value.trim()) {
+        description.value = receipt.merchant;
+        suggestCategory();
+    }
+
+    const found = [
+        receipt.merchant,
+        receipt.total !== null ? formatMoney(receipt.total, document.getElementById('expenseCurrency').value) : null,
+        receipt.date ? new Date(receipt.date).toLocaleDateString() : null
+    ].filter(Boolean);
+    document.getElementById('receiptStatus').innerHTML = found.length > 0
+        ? `<i class="fas fa-receipt"></i> Read ${found.join(' · ')} (${receipt.confidence}% confidence). Check before saving.`
+        : 'Nothing could be read from this receipt; fill in the details by hand.';
+}
+
+// Upload a receipt for an expense. With scan=true the server also reads it
+// and the response includes the fields it found.
+async function uploadAttachment(expenseId, file, scan = false) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('scan', scan ? 'true' : 'false');
+
+    const response = await apiFetch(`/expenses/${expenseId}/attachments`, { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error);
+    }
+    return data;
+}
+
+// Load the receipts of the expense open in the Receipts modal
+async function loadAttachments() {
+    const list = document.getElementById('attachmentList');
+
+    try {
+        const response = await apiFetch(`/expenses/${attachmentExpenseId}/attachments`);
+        const attachments = await response.json();
+        if (!response.ok) {
+            list.innerHTML = `<p class="empty-state">${attachments.error}</p>`;
+            return;
+        }
+        updateAttachmentList(attachments);
+    } catch (error) {
+        console.error('Error loading attachments:', error);
+    }
+}
+
+// Thumbnails of each receipt; clicking one opens the original. Files need
+// the session token, so they are fetched and shown through object URLs.
+async function updateAttachmentList(attachments) {
+    const list = document.getElementById('attachmentList');
+    revokeAttachmentUrls();
+
+    if (attachments.length === 0) {
+        list.innerHTML = '<p class="empty-state">No receipts attached yet.</p>';
+        return;
+    }
+
+    list.innerHTML = attachments.map(attachment => `
+        <div class="attachment-item" id="attachment-${attachment.id}">
+            <button class="attachment-thumb" title="Open ${attachment.file_name}" onclick="openAttachment(${attachment.id})">
+                <i class="fas ${attachment.mime_type === 'application/pdf' ? 'fa-file-pdf' : 'fa-image'}"></i>
+            </button>
+            <div class="attachment-info">
+                <span>${attachment.file_name}</span>
+                <button class="action-btn delete" title="Delete" onclick="deleteAttachment(${attachment.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    await Promise.all(attachments.map(async (attachment) => {
+        const url = await getAttachmentUrl(attachment.id);
+        if (url && attachment.mime_type.startsWith('image/')) {
+            const thumb = document.querySelector(`#attachment-${attachment.id} .attachment-thumb`);
+            if (thumb) thumb.innerHTML = `<img src="${url}" alt="${attachment.file_name}">`;
+        }
+    }));
+}
+
+// Object URL for an attachment's file, fetched once per modal visit
+async function getAttachmentUrl(id) {
+    const cached = attachmentUrls.find(entry => entry.id === id);
+    if (cached) return cached.url;
+
+    try {
+        const response = await apiFetch(`/attachments/${id}`);
+        if (!response.ok) return null;
+        const url = URL.createObjectURL(await response.blob());
+        attachmentUrls.push({ id, url });
+        return url;
+    } catch (error) {
+        console.error('Error loading attachment:', error);
+        return null;
+    }
+}
+
+async function openAttachment(id) {
+    const url = await getAttachmentUrl(id);
+    if (url) {
+        window.open(url, '_blank');
+    } else {
+        alert('The receipt file could not be loaded.');
+    }
+}
+
+function revokeAttachmentUrls() {
+    attachmentUrls.forEach(entry => URL.revokeObjectURL(entry.url));
+    attachmentUrls = [];
+}
+
+// Attach a receipt from the Receipts modal, reading it to show what it says
+async function handleAddAttachment(event) {
+    event.preventDefault();
+    const file = document.getElementById('attachmentFile').files[0];
+    const status = document.getElementById('attachmentStatus');
+    document.getElementById('attachmentError').textContent = '';
+    if (!file) return;
+
+    status.innerHTML = file.type.startsWith('image/') ? '<i class="fas fa-spinner fa-spin"></i> Reading receipt...' : '';
+    try {
+        const { receipt } = await uploadAttachment(attachmentExpenseId, file, true);
+        status.textContent = receipt && receipt.total !== null
+            ? `Receipt total: ${formatMoney(receipt.total)}${receipt.date ? ` on ${new Date(receipt.date).toLocaleDateString()}` : ''}`
+            : '';
+        event.target.reset();
+        loadAttachments();
+        loadExpenses();
+    } catch (error) {
+        status.textContent = '';
+        document.getElementById('attachmentError').textContent = error.message;
+    }
+}
+
+async function deleteAttachment(id) {
+    if (!confirm('Delete this receipt?')) return;
+
+    try {
+        const response = await apiFetch(`/attachments/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadAttachments();
+            loadExpenses();
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+    }
+}
+
+// Build the multipart body for /import from the import form
+function getImportFormData(commit) {
+    const form = document.getElementById('importForm');
+    const formData = new FormData(form);
+    const mapping = {
+        date: document.getElementById('mapDate').value,
+        amount: document.getElementById('mapAmount').value,
+        debit: document.getElementById('mapDebit').value,
+        description: document.getElementById('mapDescription').value,
+        category: document.getElementById('mapCategory').value
+    };
+
+    formData.set('mapping', JSON.stringify(mapping));
+    formData.set('commit', commit ? 'true' : 'false');
+    return formData;
+}
+
+// Preview an import without saving anything
+async function previewImport(event) {
+    event.preventDefault();
+
+    try {
+        const response = await apiFetch(`/import`, {
+            method: 'POST',
+            body: getImportFormData(false)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('importPreview').innerHTML = `<p class="import-error">${data.error}</p>`;
+            return;
+        }
+
+        updateImportPreview(data);
+        document.getElementById('importCommitBtn').disabled = data.summary.importable === 0;
+    } catch (error) {
+        console.error('Error previewing import:', error);
+    }
+}
+
+// Show parsed rows with their status (ok, duplicate, invalid, skipped)
+function updateImportPreview(data) {
+    const rows = data.rows.map(row => `
+        <tr class="import-row ${row.status}">
+            <td>${row.row}</td>
+            <td>${row.expense.date || '-'}</td>
+            <td>${row.expense.description || '-'}</td>
+            <td>${row.expense.category}</td>
+            <td>${isNaN(row.expense.amount) ? '-' : formatMoney(row.expense.amount, row.expense.currency)}</td>
+            <td>${row.reason || row.status}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('importPreview').innerHTML = `
+        <p>${data.summary.importable} of ${data.summary.total} rows will be imported
+            (${data.summary.duplicate || 0} duplicates, ${data.summary.invalid || 0} invalid,
+            ${data.summary.skipped || 0} skipped as credits).</p>
+        <table class="expenses-table">
+            <thead>
+                <tr><th>Row</th><th>Date</th><th>Description</th><th>Category</th><th>Amount</th><th>Status</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Import the previewed rows in one transaction
+async function commitImport() {
+    try {
+        const response = await apiFetch(`/import`, {
+            method: 'POST',
+            body: getImportFormData(true)
+        });
+
+        if (response.ok) {
+            hideImportModal();
+            refreshAfterChange();
+        }
+    } catch (error) {
+        console.error('Error importing statement:', error);
+    }
+}
+
+// Save the base currency; the server re-converts existing expenses and budgets
+async function handleSaveSettings(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+
+    try {
+        const response = await apiFetch(`/auth/me`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ baseCurrency: formData.get('baseCurrency').trim().toUpperCase() })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('settingsError').textContent = data.error;
+            return;
+        }
+
+        currentUser = data.user;
+        baseCurrency = currentUser.baseCurrency;
+        hideSettingsModal();
+        refreshAfterChange();
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+}
+
+// Load the latest rate for each currency pair
+async function loadExchangeRates() {
+    try {
+        const response = await apiFetch(`/exchange-rates`);
+        const rates = await response.json();
+        const list = document.getElementById('ratesList');
+
+        list.innerHTML = rates.length === 0
+            ? '<p class="empty-state">No exchange rates imported yet.</p>'
+            : rates.map(rate => `
+                <div class="category-item">
+                    <span>1 ${rate.base_currency} = ${rate.rate} ${rate.quote_currency}</span>
+                    <span class="ledger-role">${String(rate.date).split('T')[0]}</span>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading exchange rates:', error);
+    }
+}
+
+async function handleImportRates(event) {
+    event.preventDefault();
+
+    try {
+        const response = await apiFetch(`/exchange-rates`, {
+            method: 'POST',
+            body: new FormData(event.target)
+        });
+        const data = await response.json();
+
+        document.getElementById('settingsError').textContent = response.ok ? '' : data.error;
+        if (response.ok) {
+            event.target.reset();
+            loadExchangeRates();
+        }
+    } catch (error) {
+        console.error('Error importing exchange rates:', error);
+    }
+}
+
+// Category list, parent choices and merge choices in the Categories modal
+function updateCategoryManager() {
+    const list = document.getElementById('categoryManageList');
+    list.innerHTML = '';
+
+    getSortedCategories().forEach(cat => {
+        const item = document.createElement('div');
+        item.className = cat.parent_id ? 'category-item subcategory' : 'category-item';
+        item.innerHTML = `
+            <span>${getCategoryBadge(cat.name)} ${cat.name}</span>
+            <span class="table-actions">
+                <button class="action-btn" title="Edit" onclick="editCategory(${cat.id})">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="action-btn delete" title="Delete" onclick="deleteCategory(${cat.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </span>
+        `;
+        list.appendChild(item);
+    });
+
+    // Only top-level categories can be parents, and never the category itself
+    document.getElementById('categoryParent').innerHTML = '<option value="">None (top-level)</option>' +
+        userCategories
+            .filter(cat => !cat.parent_id && cat.id !== editingCategoryId)
+            .map(cat => `<option value="${cat.id}">${cat.name}</option>`)
+            .join('');
+
+    const mergeOptions = getCategoryOptions('id');
+    document.getElementById('mergeSource').innerHTML = mergeOptions;
+    document.getElementById('mergeTarget').innerHTML = mergeOptions;
+}
+
+function resetCategoryForm() {
+    editingCategoryId = null;
+    document.getElementById('categoryForm').reset();
+    document.getElementById('categoryError').textContent = '';
+    document.getElementById('categorySubmitBtn').innerHTML = '<i class="fas fa-save"></i> Add Category';
+    updateCategoryManager();
+}
+
+function editCategory(id) {
+    const category = userCategories.find(cat => cat.id === id);
+    if (!category) return;
+
+    editingCategoryId = id;
+    updateCategoryManager();
+    document.getElementById('categoryName').value = category.name;
+    document.getElementById('categoryParent').value = category.parent_id || '';
+    document.getElementById('categoryColor').value = category.color;
+    document.getElementById('categoryIcon').value = category.icon;
+    document.getElementById('categoryError').textContent = '';
+    document.getElementById('categorySubmitBtn').innerHTML = '<i class="fas fa-save"></i> Save Category';
+}
+
+// Create a category, or update the one being edited (renames carry over to expenses)
+async function handleSaveCategory(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+    const category = {
+        name: formData.get('name'),
+        parentId: formData.get('parentId') || null,
+        color: formData.get('color'),
+        icon: formData.get('icon') || undefined
+    };
+    const isEdit = editingCategoryId !== null;
+
+    try {
+        const response = await apiFetch(isEdit ? `/categories/${editingCategoryId}` : `/categories`, {
+            method: isEdit ? 'PATCH' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(category)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            document.getElementById('categoryError').textContent = data.error;
+            return;
+        }
+
+        await loadCategories();
+        resetCategoryForm();
+        if (isEdit) refreshAfterChange();
+    } catch (error) {
+        console.error('Error saving category:', error);
+    }
+}
+
+async function deleteCategory(id) {
+    const category = userCategories.find(cat => cat.id === id);
+    if (!category || !confirm(`Delete ${category.name}?`)) return;
+
+    try {
+        const response = await apiFetch(`/categories/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            await loadCategories();
+            resetCategoryForm();
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error deleting category:', error);
+    }
+}
+
+async function handleMergeCategory(event) {
+    event.preventDefault();
+
+    const formData = new FormData(event.target);
+    const source = userCategories.find(cat => cat.id === Number(formData.get('source')));
+    const target = userCategories.find(cat => cat.id === Number(formData.get('into')));
+    if (!source || !target || !confirm(`Merge ${source.name} into ${target.name}?`)) return;
+
+    try {
+        const response = await apiFetch(`/categories/${source.id}/merge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ into: target.id })
+        });
+
+        if (response.ok) {
+            await loadCategories();
+            resetCategoryForm();
+            refreshAfterChange();
+        } else {
+            alert((await response.json()).error);
+        }
+    } catch (error) {
+        console.error('Error merging categories:', error);
+    }
+}
+
+// Reload every view that depends on the expense list
+function refreshAfterChange() {
+    loadDashboard();
+    loadExpenses();
+    loadAIInsights();
+}
+
+// Modal functions
+function showAddExpenseModal() {
+    editingExpenseId = null;
+    document.getElementById('expenseForm').reset();
+    document.getElementById('expenseModalTitle').textContent = 'Add New Expense';
+    document.getElementById('expenseRepeatGroup').style.display = 'block';
+    document.getElementById('categorySuggestion').innerHTML = '';
+    document.getElementById('receiptStatus').textContent = RECEIPT_HINT;
+    categoryPickedManually = false;
+    document.getElementById('addExpenseModal').classList.add('active');
+    document.getElementById('expenseDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('expenseCurrency').value = baseCurrency;
+}
+
+function showEditExpenseModal(id) {
+    const expense = currentExpenses.find(exp => exp.id === id);
+    if (!expense) return;
+
+    editingExpenseId = id;
+    document.getElementById('expenseModalTitle').textContent = 'Edit Expense';
+    document.getElementById('expenseRepeatGroup').style.display = 'none';
+    document.getElementById('categorySuggestion').innerHTML = '';
+    categoryPickedManually = true;
+    document.getElementById('expenseDate').value = String(expense.date).split('T')[0];
+    document.getElementById('expenseCategory').value = expense.category;
+    document.getElementById('expenseAmount').value = expense.original_amount !== null ? expense.original_amount : expense.amount;
+    document.getElementById('expenseCurrency').value = expense.currency || baseCurrency;
+    document.getElementById('expenseDescription').value = expense.description || '';
+    document.getElementById('expenseAccount').value = expense.account_id || '';
+    document.getElementById('expenseReceipt').value = '';
+    document.getElementById('receiptStatus').textContent = RECEIPT_HINT;
+    document.getElementById('addExpenseModal').classList.add('active');
+}
+
+function hideAddExpenseModal() {
+    editingExpenseId = null;
+    document.getElementById('addExpenseModal').classList.remove('active');
+}
+
+function showAttachmentModal(expenseId) {
+    const expense = currentExpenses.find(exp => exp.id === expenseId);
+    attachmentExpenseId = expenseId;
+    document.getElementById('attachmentModalTitle').textContent = expense && expense.description
+        ? `Receipts: ${expense.description}`
+        : 'Receipts';
+    document.getElementById('attachmentForm').reset();
+    document.getElementById('attachmentStatus').textContent = '';
+    document.getElementById('attachmentError').textContent = '';
+    document.getElementById('attachmentList').innerHTML = '';
+    document.getElementById('attachmentModal').classList.add('active');
+    loadAttachments();
+}
+
+function hideAttachmentModal() {
+    attachmentExpenseId = null;
+    revokeAttachmentUrls();
+    document.getElementById('attachmentModal').classList.remove('active');
+}
+
+function showImportModal() {
+    document.getElementById('importForm').reset();
+    document.getElementById('importPreview').innerHTML = '';
+    document.getElementById('importCommitBtn').disabled = true;
+    document.getElementById('importCurrency').value = baseCurrency;
+    if (userCategories.some(cat => cat.name === 'Other')) {
+        document.getElementById('importDefaultCategory').value = 'Other';
+    }
+    document.getElementById('importModal').classList.add('active');
+}
+
+function hideImportModal() {
+    document.getElementById('importModal').classList.remove('active');
+}
+
+function showBudgetModal() {
+    document.getElementById('budgetModal').classList.add('active');
+}
+
+function hideBudgetModal() {
+    document.getElementById('budgetModal').classList.remove('active');
+}
+
+function showIncomeModal() {
+    document.getElementById('incomeForm').reset();
+    document.getElementById('incomeDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('incomeCurrency').value = baseCurrency;
+    document.getElementById('incomeModal').classList.add('active');
+}
+
+function hideIncomeModal() {
+    document.getElementById('incomeModal').classList.remove('active');
+}
+
+function showSettingsModal() {
+    document.getElementById('baseCurrency').value = baseCurrency;
+    document.getElementById('settingsError').textContent = '';
+    document.getElementById('settingsModal').classList.add('active');
+    loadExchangeRates();
+}
+
+function showAccountModal() {
+    document.getElementById('accountError').textContent = '';
+    document.getElementById('transferError').textContent = '';
+    document.getElementById('accountOpeningDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('transferDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('accountModal').classList.add('active');
+    loadTransfers();
+}
+
+function hideAccountModal() {
+    document.getElementById('accountModal').classList.remove('active');
+    loadDashboard();
+}
+
+function hideSettingsModal() {
+    document.getElementById('settingsModal').classList.remove('active');
+}
+
+function showCategoryModal() {
+    resetCategoryForm();
+    document.getElementById('categoryModal').classList.add('active');
+}
+
+function hideCategoryModal() {
+    document.getElementById('categoryModal').classList.remove('active');
+}
+
+function showLedgerExpenseModal() {
+    const form = document.getElementById('ledgerExpenseForm');
+    form.reset();
+    document.getElementById('ledgerExpenseError').textContent = '';
+    document.getElementById('ledgerExpenseDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('ledgerExpensePaidBy').innerHTML = currentLedger.members.map(member => `
+        <option value="${member.user_id}" ${currentUser && member.user_id === currentUser.id ? 'selected' : ''}>
+            ${escapeHtml(member.name || member.email)}
+        </option>
+    `).join('');
+    updateSplitInputs();
+    document.getElementById('ledgerExpenseModal').classList.add('active');
+}
+
+function hideLedgerExpenseModal() {
+    document.getElementById('ledgerExpenseModal').classList.remove('active');
+}
+
+// Theme Switcher Functions
+function setupThemeSwitcher() {
+    const themeButtons = document.querySelectorAll('.theme-btn');
+    
+    // Load saved theme from localStorage
+    const savedTheme = localStorage.getItem('selectedTheme') || 'default';
+    applyTheme(savedTheme);
+    
+    themeButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            const theme = button.dataset.theme;
+            applyTheme(theme);
+            localStorage.setItem('selectedTheme', theme);
+        });
+    });
+}
+
+function applyTheme(theme) {
+    // Remove existing theme classes
+    document.documentElement.removeAttribute('data-theme');
+    
+    // Apply new theme
+    if (theme !== 'default') {
         document.documentElement.setAttribute('data-theme', theme);
     }
     
@@ -216,6 +2435,9 @@ function applyTheme(theme) {
             btn.classList.add('active');
         }
     });
+
+    // Charts take their colours from the theme variables
+    redrawCharts();
     
     // Add theme transition effect
     document.body.style.transition = 'all 0.3s ease';